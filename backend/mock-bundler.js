@@ -0,0 +1,190 @@
+/**
+ * Local mock ERC-4337 bundler
+ *
+ * Minimal bundler JSON-RPC server for local testing of USEROP_SUBMITTER=bundler.
+ * Each eth_sendUserOperation is submitted immediately as its own handleOps
+ * transaction from DEPLOYER_PRIVATE_KEY against RPC_URL (e.g. a Tenderly fork).
+ *
+ * Supported methods:
+ * - eth_chainId
+ * - eth_supportedEntryPoints
+ * - eth_estimateUserOperationGas
+ * - eth_sendUserOperation
+ * - eth_getUserOperationReceipt
+ *
+ * Usage:
+ *   npm run mock-bundler
+ *   USEROP_SUBMITTER=bundler BUNDLER_URL=http://localhost:4337 npm run dev
+ *
+ * Tests require it and start createMockBundler() on a free port instead.
+ */
+require('dotenv').config({ path: __dirname + '/.env' })
+const http = require('http')
+const { ethers } = require('ethers')
+const DirectSubmitter = require('./src/services/submitters/direct.submitter')
+const { fromRpcUserOp } = require('./src/services/submitters/base.submitter')
+
+const ENTRYPOINT_V06 = '0x5FF137D4b0FDCD49DcA30c7CF57E578a026d2789'
+
+const ENTRYPOINT_ABI = [
+  'function getUserOpHash((address sender, uint256 nonce, bytes initCode, bytes callData, uint256 callGasLimit, uint256 verificationGasLimit, uint256 preVerificationGas, uint256 maxFeePerGas, uint256 maxPriorityFeePerGas, bytes paymasterAndData, bytes signature) userOp) view returns (bytes32)',
+]
+
+// Error codes from ERC-4337 bundler RPC spec
+const RPC_ERRORS = {
+  INVALID_PARAMS: -32602,
+  METHOD_NOT_FOUND: -32601,
+  REJECTED_BY_ENTRYPOINT: -32500,
+  EXECUTION_REVERTED: -32521
+}
+
+class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message)
+    this.code = code
+    this.data = data
+  }
+}
+
+/**
+ * Bundler JSON-RPC server submitting through `submitter` (not listening yet)
+ * @param {Object} options
+ * @param {ethers.Provider} options.provider - Chain the EntryPoint lives on
+ * @param {DirectSubmitter} options.submitter - Sends each UserOp as its own handleOps
+ * @param {string} [options.entryPointAddress]
+ * @param {boolean} [options.quiet] - Don't log each request
+ * @returns {http.Server}
+ */
+function createMockBundler({ provider, submitter, entryPointAddress = ENTRYPOINT_V06, quiet = false }) {
+  const entryPoint = new ethers.Contract(entryPointAddress, ENTRYPOINT_ABI, provider)
+
+  function checkEntryPoint(address) {
+    if (!address || address.toLowerCase() !== entryPointAddress.toLowerCase()) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, `Unsupported EntryPoint: ${address}`)
+    }
+  }
+
+  const handlers = {
+    async eth_chainId() {
+      const network = await provider.getNetwork()
+      return ethers.toQuantity(network.chainId)
+    },
+
+    async eth_supportedEntryPoints() {
+      return [entryPointAddress]
+    },
+
+    async eth_estimateUserOperationGas([rpcUserOp, address]) {
+      checkEntryPoint(address)
+      try {
+        const gas = await submitter.estimateUserOperationGas(fromRpcUserOp(rpcUserOp))
+        return {
+          callGasLimit: ethers.toQuantity(gas.callGasLimit),
+          verificationGasLimit: ethers.toQuantity(gas.verificationGasLimit),
+          preVerificationGas: ethers.toQuantity(gas.preVerificationGas)
+        }
+      } catch (error) {
+        throw new RpcError(RPC_ERRORS.EXECUTION_REVERTED, error.shortMessage || error.message, error.data)
+      }
+    },
+
+    async eth_sendUserOperation([rpcUserOp, address]) {
+      checkEntryPoint(address)
+      const userOp = fromRpcUserOp(rpcUserOp)
+      const userOpHash = await entryPoint.getUserOpHash(userOp)
+      try {
+        return await submitter.sendUserOperation(userOp, userOpHash)
+      } catch (error) {
+        throw new RpcError(RPC_ERRORS.REJECTED_BY_ENTRYPOINT, error.shortMessage || error.message, error.data)
+      }
+    },
+
+    async eth_getUserOperationReceipt([userOpHash]) {
+      const receipt = await submitter.getUserOperationReceipt(userOpHash)
+      if (!receipt) return null
+
+      return {
+        userOpHash,
+        entryPoint: entryPointAddress,
+        success: receipt.success,
+        actualGasUsed: ethers.toQuantity(receipt.actualGasUsed),
+        actualGasCost: ethers.toQuantity(receipt.actualGasCost),
+        reason: receipt.revertReason || '0x',
+        logs: receipt.logs,
+        receipt: {
+          transactionHash: receipt.txHash,
+          blockNumber: ethers.toQuantity(receipt.blockNumber)
+        }
+      }
+    }
+  }
+
+  async function handleRequest({ id, method, params }) {
+    const handler = handlers[method]
+    if (!handler) {
+      return { jsonrpc: '2.0', id, error: { code: RPC_ERRORS.METHOD_NOT_FOUND, message: `Method not found: ${method}` } }
+    }
+
+    try {
+      const result = await handler(params || [])
+      return { jsonrpc: '2.0', id, result }
+    } catch (error) {
+      if (!quiet) console.error(`${method} failed:`, error.message)
+      return {
+        jsonrpc: '2.0',
+        id,
+        error: { code: error.code || RPC_ERRORS.REJECTED_BY_ENTRYPOINT, message: error.message, data: error.data }
+      }
+    }
+  }
+
+  return http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405)
+      return res.end()
+    }
+
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', async () => {
+      let request
+      try {
+        request = JSON.parse(body)
+      } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'application/json' })
+        return res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }))
+      }
+
+      if (!quiet) console.log(`-> ${request.method}`)
+      const response = await handleRequest(request)
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify(response, (key, value) => typeof value === 'bigint' ? ethers.toQuantity(value) : value))
+    })
+  })
+}
+
+if (require.main === module) {
+  const RPC_URL = process.env.RPC_URL
+  const DEPLOYER_PRIVATE_KEY = process.env.DEPLOYER_PRIVATE_KEY
+  const PORT = parseInt(process.env.MOCK_BUNDLER_PORT) || 4337
+
+  if (!RPC_URL || !DEPLOYER_PRIVATE_KEY) {
+    console.error('Missing required env vars: RPC_URL, DEPLOYER_PRIVATE_KEY')
+    process.exit(1)
+  }
+
+  const provider = new ethers.JsonRpcProvider(RPC_URL)
+  const submitter = new DirectSubmitter({
+    provider,
+    entryPointAddress: ENTRYPOINT_V06,
+    executorWallet: new ethers.Wallet(DEPLOYER_PRIVATE_KEY, provider)
+  })
+
+  createMockBundler({ provider, submitter }).listen(PORT, () => {
+    console.log(`Mock bundler listening on http://localhost:${PORT}`)
+    console.log(`  EntryPoint: ${ENTRYPOINT_V06}`)
+    console.log(`  Upstream RPC: ${RPC_URL}`)
+  })
+}
+
+module.exports = { createMockBundler, RPC_ERRORS }
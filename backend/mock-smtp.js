@@ -0,0 +1,171 @@
+/**
+ * Local mock SMTP server
+ *
+ * Minimal SMTP server for local testing of EMAIL_TRANSPORT=smtp. Accepts every
+ * message (any AUTH succeeds), prints it to the console and keeps the last
+ * MOCK_SMTP_KEEP messages, served as JSON on MOCK_SMTP_HTTP_PORT for scripted checks.
+ *
+ * Supported commands: EHLO/HELO, AUTH PLAIN/LOGIN, MAIL FROM, RCPT TO, DATA, RSET, NOOP, QUIT
+ *
+ * Usage:
+ *   npm run mock-smtp
+ *   EMAIL_TRANSPORT=smtp EMAIL_SMTP_PORT=2525 npm run dev
+ *   curl http://localhost:2526/messages
+ *
+ * Tests require it and start createMockSmtp() on a free port instead.
+ */
+require('dotenv').config({ path: __dirname + '/.env' })
+const net = require('net')
+const http = require('http')
+
+/**
+ * Split a received DATA block into headers and body (dot-stuffing removed)
+ */
+function parseMessage(data) {
+  const raw = data.replace(/^\.\./gm, '.')
+  const separator = raw.indexOf('\r\n\r\n')
+  const headerBlock = separator === -1 ? raw : raw.slice(0, separator)
+  const body = separator === -1 ? '' : raw.slice(separator + 4)
+
+  const headers = {}
+  for (const line of headerBlock.split('\r\n')) {
+    const colon = line.indexOf(':')
+    if (colon > 0) headers[line.slice(0, colon).toLowerCase()] = line.slice(colon + 1).trim()
+  }
+  return { headers, body }
+}
+
+/**
+ * SMTP server keeping the last `keep` messages it accepts (not listening yet)
+ * @param {Object} [options]
+ * @param {number} [options.keep]
+ * @param {boolean} [options.quiet] - Don't print received messages
+ * @returns {{server: net.Server, messages: Array<{from, to, subject, headers, body, receivedAt}>}}
+ */
+function createMockSmtp({ keep = 100, quiet = false } = {}) {
+  const messages = []
+
+  function handleConnection(socket) {
+    let buffer = ''
+    let envelope = { from: null, to: [] }
+    let data = null
+    let authStep = null
+
+    const reply = (line) => socket.write(`${line}\r\n`)
+
+    const handleCommand = (line) => {
+      // Multi-step AUTH LOGIN: username, then password (accepted as-is)
+      if (authStep) {
+        authStep = authStep === 'username' ? 'password' : null
+        return reply(authStep ? '334 UGFzc3dvcmQ6' : '235 2.7.0 Authentication successful')
+      }
+
+      const [verb, ...rest] = line.split(' ')
+      const arg = rest.join(' ')
+
+      switch (verb.toUpperCase()) {
+        case 'EHLO':
+          return reply(`250-mock-smtp greets ${arg}\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME`)
+        case 'HELO':
+          return reply('250 mock-smtp')
+        case 'AUTH':
+          if (/^LOGIN/i.test(arg)) {
+            authStep = 'username'
+            return reply('334 VXNlcm5hbWU6')
+          }
+          return reply('235 2.7.0 Authentication successful')
+        case 'MAIL':
+          envelope = { from: arg.replace(/^FROM:/i, '').trim(), to: [] }
+          return reply('250 2.1.0 OK')
+        case 'RCPT':
+          envelope.to.push(arg.replace(/^TO:/i, '').trim())
+          return reply('250 2.1.5 OK')
+        case 'DATA':
+          if (!envelope.from || envelope.to.length === 0) return reply('503 5.5.1 Need MAIL and RCPT first')
+          data = ''
+          return reply('354 End data with <CR><LF>.<CR><LF>')
+        case 'RSET':
+          envelope = { from: null, to: [] }
+          return reply('250 2.0.0 OK')
+        case 'NOOP':
+          return reply('250 2.0.0 OK')
+        case 'QUIT':
+          reply('221 2.0.0 Bye')
+          return socket.end()
+        default:
+          return reply('502 5.5.2 Command not implemented')
+      }
+    }
+
+    const receiveMessage = () => {
+      const { headers, body } = parseMessage(data)
+      const message = { ...envelope, subject: headers.subject || '', headers, body, receivedAt: new Date().toISOString() }
+
+      messages.push(message)
+      if (messages.length > keep) messages.shift()
+
+      if (!quiet) {
+        console.log(`\n=== ${message.receivedAt} ${message.from} -> ${message.to.join(', ')}`)
+        console.log(`Subject: ${message.subject}\n\n${body}`)
+      }
+
+      data = null
+      envelope = { from: null, to: [] }
+      reply(`250 2.0.0 Queued as ${messages.length}`)
+    }
+
+    socket.setEncoding('utf8')
+    socket.on('data', (chunk) => {
+      buffer += chunk
+
+      let newline
+      while ((newline = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, newline)
+        buffer = buffer.slice(newline + 2)
+
+        if (data === null) {
+          handleCommand(line)
+        } else if (line === '.') {
+          receiveMessage()
+        } else {
+          data += `${line}\r\n`
+        }
+      }
+    })
+    socket.on('error', (error) => { if (!quiet) console.error('Connection error:', error.message) })
+
+    reply('220 mock-smtp ESMTP ready')
+  }
+
+  return { server: net.createServer(handleConnection), messages }
+}
+
+if (require.main === module) {
+  const PORT = parseInt(process.env.MOCK_SMTP_PORT) || 2525
+  const HTTP_PORT = parseInt(process.env.MOCK_SMTP_HTTP_PORT) || 2526
+  const KEEP = parseInt(process.env.MOCK_SMTP_KEEP) || 100
+
+  const { server, messages } = createMockSmtp({ keep: KEEP })
+
+  server.listen(PORT, () => {
+    console.log(`Mock SMTP server listening on localhost:${PORT}`)
+  })
+
+  http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url === '/messages') {
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      return res.end(JSON.stringify(messages))
+    }
+    if (req.method === 'DELETE' && req.url === '/messages') {
+      messages.length = 0
+      res.writeHead(204)
+      return res.end()
+    }
+    res.writeHead(404)
+    res.end()
+  }).listen(HTTP_PORT, () => {
+    console.log(`Received messages: http://localhost:${HTTP_PORT}/messages`)
+  })
+}
+
+module.exports = { createMockSmtp, parseMessage }
@@ -33,11 +33,11 @@ const SIMPLE_PAYMASTER_V06_BYTECODE = '0x608060405234801561001057600080fd5b50604
 
 // CompoundV3CrossCometSwitcher bytecode needs to be loaded from compiled artifacts
 const SWITCHER_ABI = [
-  'constructor(address _flashLoanPool, address _swapPool)',
+  'constructor(address _uniswapV3Factory)',
   'function authorizeCaller(address caller, bool authorized) external',
   'function authorizedCallers(address) view returns (bool)',
   'function owner() view returns (address)',
-  'function switchCollateral(address user, address sourceComet, address targetComet, address collateralAsset, uint256 collateralAmount, uint256 borrowAmount, uint256 minOutputAmount) external',
+  'function switchCollateral(address user, address sourceComet, address targetComet, address[] collateralAssets, uint256[] collateralAmounts, uint256 debtAmount, uint256 borrowAmount, uint256 minOutputAmount, address flashPool, bytes swapPath) external',
 ]
 
 // Mainnet addresses (constant)
@@ -45,8 +45,8 @@ const MAINNET_ADDRESSES = {
   ENTRYPOINT_V06: '0x5FF137D4b0FDCD49DcA30c7CF57E578a026d2789',
   USDC_COMET: '0xc3d688B66703497DAA19211EEdff47f25384cdc3',
   WETH_COMET: '0xA17581A9E3356d9A858b789D68B4d866e593aE94',
-  FLASH_POOL: '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640', // 0.05% USDC/WETH
-  SWAP_POOL: '0x7BeA39867e4169DBe237d55C8242a8f2fcDcc387',  // 1% USDC/WETH
+  // Flash loan and swap pools are picked per switch by the backend among this factory's pools
+  UNISWAP_V3_FACTORY: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
   USDC: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
   WETH: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
   WBTC: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599',
@@ -187,10 +187,7 @@ async function main() {
       deployer
     )
 
-    const switcher = await factory.deploy(
-      MAINNET_ADDRESSES.FLASH_POOL,
-      MAINNET_ADDRESSES.SWAP_POOL
-    )
+    const switcher = await factory.deploy(MAINNET_ADDRESSES.UNISWAP_V3_FACTORY)
     await switcher.waitForDeployment()
     switcherAddress = await switcher.getAddress()
     console.log('Switcher deployed at:', switcherAddress)
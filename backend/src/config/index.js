@@ -28,22 +28,162 @@ module.exports = {
     entryPointV06: '0x5FF137D4b0FDCD49DcA30c7CF57E578a026d2789',
     sessionKeyPlugin: '0x0000003E0000a96de4058e1E02a62FaaeCf23d8d',
     multiOwnerPlugin: '0xcE0000007B008F50d762D155002600004cD6c647',
-    usdcComet: '0xc3d688B66703497DAA19211EEdff47f25384cdc3',
-    wethComet: '0xA17581A9E3356d9A858b789D68B4d866e593aE94',
-    // Uniswap pools
-    flashPool: '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640', // 0.05% USDC/WETH
-    swapPool: '0x7BeA39867e4169DBe237d55C8242a8f2fcDcc387'   // 1% USDC/WETH
+    // Comets, tokens and switch pools live in the market registry (config/markets.js)
+    // Uniswap QuoterV2 (swap simulation)
+    quoterV2: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+    // Uniswap V3 factory (flash loan / swap pool discovery - the Switcher only accepts its pools)
+    uniswapV3Factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
+    // Uniswap SwapRouter02 (session key swaps - liquidation guardian deleveraging)
+    swapRouter02: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45'
   },
 
-  // Tokens (constant mainnet addresses)
-  tokens: {
-    wbtc: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599',
-    usdc: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
-    weth: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2'
+  // UserOp submission: 'direct' (EntryPoint.handleOps from the executor wallet) or 'bundler'
+  userOps: {
+    submitter: process.env.USEROP_SUBMITTER || 'direct',
+    bundlerUrl: process.env.BUNDLER_URL,
+    receiptPollIntervalMs: parseInt(process.env.USEROP_RECEIPT_POLL_MS) || 2000,
+    receiptTimeoutMs: parseInt(process.env.USEROP_RECEIPT_TIMEOUT_MS) || 120000,
+    // Safety margin added to estimated gas limits (basis points, 2000 = +20%)
+    gasMarginBps: parseInt(process.env.USEROP_GAS_MARGIN_BPS) || 2000,
+    // maxFeePerGas = baseFee * multiplier + priority fee (headroom for base fee rises)
+    baseFeeMultiplier: parseInt(process.env.USEROP_BASE_FEE_MULTIPLIER) || 2,
+    // Used when the node doesn't support eth_maxPriorityFeePerGas
+    fallbackPriorityFeeWei: BigInt(process.env.USEROP_FALLBACK_PRIORITY_FEE_WEI || '1000000000')
+  },
+
+  // Background tracking of submitted UserOps (PENDING -> SUCCESS/FAILED)
+  transactions: {
+    watchIntervalMs: parseInt(process.env.TX_WATCH_INTERVAL_MS) || 3000,
+    // PENDING records older than this are marked FAILED
+    pendingTimeoutMs: parseInt(process.env.TX_PENDING_TIMEOUT_MS) || 600000
+  },
+
+  // Market data (on-chain Comet rates)
+  markets: {
+    // How long rates/utilization are served from memory before re-reading the Comets
+    cacheTtlMs: parseInt(process.env.MARKET_CACHE_TTL_MS) || 30000,
+    // Comets deployed on a fork, added to the market registry (JSON keyed like config/markets.js MARKETS)
+    extraComets: process.env.EXTRA_COMETS
+  },
+
+  // Cross-Comet switching
+  switching: {
+    // Slippage tolerance in basis points applied to the swap leg (50 = 0.5%)
+    defaultSlippageBps: parseInt(process.env.DEFAULT_SLIPPAGE_BPS) || 50,
+    maxSlippageBps: parseInt(process.env.MAX_SLIPPAGE_BPS) || 500,
+    // Lowest health factor either Comet may be left with after a (partial) switch
+    minHealthFactor: parseFloat(process.env.SWITCH_MIN_HEALTH_FACTOR) || 1.1,
+    // Uniswap fee tiers considered for every pool the backend picks: flash loan and swap
+    // pools of a switch or migration, and the guardian's deleverage swap
+    feeTiers: [100, 500, 3000, 10000]
+  },
+
+  // Opt-in rate-arbitrage switching (workers/autoSwitcher) - users enable it per account
+  autoSwitch: {
+    // Run the worker at all
+    enabled: process.env.AUTO_SWITCH_ENABLED === 'true',
+    intervalMs: parseInt(process.env.AUTO_SWITCH_INTERVAL_MS) || 900000,
+    // Minimum time between two automatic switch attempts for the same user (dry runs don't count)
+    cooldownHours: parseInt(process.env.AUTO_SWITCH_COOLDOWN_HOURS) || 24,
+    // Force dry-run for every user: decisions are logged, nothing is submitted
+    dryRun: process.env.AUTO_SWITCH_DRY_RUN === 'true',
+    // Gas assumed for a switch that can't be simulated yet (Switcher setup still pending)
+    fallbackGasLimit: BigInt(process.env.AUTO_SWITCH_FALLBACK_GAS_LIMIT || '1500000')
+  },
+
+  // Liquidation protection (workers/liquidationGuardian) - users set triggers and limits per account
+  guardian: {
+    // Run the worker at all
+    enabled: process.env.GUARDIAN_ENABLED === 'true',
+    intervalMs: parseInt(process.env.GUARDIAN_INTERVAL_MS) || 60000,
+    // Slippage tolerance for the collateral -> base token swap when deleveraging (basis points)
+    deleverSlippageBps: parseInt(process.env.GUARDIAN_DELEVER_SLIPPAGE_BPS) || 100
+  },
+
+  // Webhook and email notifications for position events
+  notifications: {
+    // Delivery worker: sends due webhook / email deliveries and retries failures
+    dispatchIntervalMs: parseInt(process.env.NOTIFICATION_DISPATCH_INTERVAL_MS) || 5000,
+    // Attempts per delivery before it is marked FAILED - retry n waits retryBaseMs * 2^(n-1)
+    maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 6,
+    retryBaseMs: parseInt(process.env.NOTIFICATION_RETRY_BASE_MS) || 30000,
+    webhookTimeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    // Accept http:// webhook URLs (local receivers only - never in production)
+    allowInsecureWebhooks: process.env.WEBHOOK_ALLOW_INSECURE === 'true',
+    // Health factor / session key expiry checks for users with a notification channel
+    monitorIntervalMs: parseInt(process.env.NOTIFICATION_MONITOR_INTERVAL_MS) || 300000,
+    email: {
+      // 'log' (default, written to the backend log) or 'smtp'
+      transport: process.env.EMAIL_TRANSPORT || 'log',
+      from: process.env.EMAIL_FROM || 'DeFi Borrowing App <notifications@localhost>',
+      smtp: {
+        host: process.env.EMAIL_SMTP_HOST || 'localhost',
+        port: parseInt(process.env.EMAIL_SMTP_PORT) || 2525,
+        // Implicit TLS (port 465) - plain connections otherwise
+        secure: process.env.EMAIL_SMTP_SECURE === 'true',
+        user: process.env.EMAIL_SMTP_USER,
+        pass: process.env.EMAIL_SMTP_PASS
+      }
+    }
+  },
+
+  // Server-sent event stream for dashboards (GET /api/stream)
+  realtime: {
+    // How often the chain head is checked - connected users' positions and balances are re-read on each new block
+    blockPollMs: parseInt(process.env.REALTIME_BLOCK_POLL_MS) || 4000,
+    // Comment line sent on idle streams so proxies don't drop them
+    heartbeatMs: parseInt(process.env.REALTIME_HEARTBEAT_MS) || 25000,
+    // Streams are closed after this long so clients reconnect with a fresh Privy token
+    maxConnectionMs: parseInt(process.env.REALTIME_MAX_CONNECTION_MS) || 900000,
+    maxConnectionsPerUser: parseInt(process.env.REALTIME_MAX_CONNECTIONS_PER_USER) || 5
   },
 
   // NOTE: Session keys are now per-user, stored encrypted in MongoDB
-  // No global session key config needed
+  // Per-token ERC-20 spend limits registered with each session key (approve/transfer amounts,
+  // whole tokens) - the allowance resets every refreshIntervalSeconds. Every token in the
+  // market registry needs an entry
+  sessionKeys: {
+    // Validity window granted on registration / renewal
+    ttlDays: parseInt(process.env.SESSION_KEY_TTL_DAYS) || 30,
+    // Keys expiring within this many days are reported as expiring soon
+    expiryWarningDays: parseInt(process.env.SESSION_KEY_EXPIRY_WARNING_DAYS) || 3,
+    spendLimits: {
+      WBTC: {
+        amount: process.env.SESSION_KEY_WBTC_SPEND_LIMIT || '5',
+        refreshIntervalSeconds: parseInt(process.env.SESSION_KEY_WBTC_SPEND_WINDOW_SECONDS) || 86400
+      },
+      USDC: {
+        amount: process.env.SESSION_KEY_USDC_SPEND_LIMIT || '250000',
+        refreshIntervalSeconds: parseInt(process.env.SESSION_KEY_USDC_SPEND_WINDOW_SECONDS) || 86400
+      },
+      WETH: {
+        amount: process.env.SESSION_KEY_WETH_SPEND_LIMIT || '100',
+        refreshIntervalSeconds: parseInt(process.env.SESSION_KEY_WETH_SPEND_WINDOW_SECONDS) || 86400
+      },
+      wstETH: {
+        amount: process.env.SESSION_KEY_WSTETH_SPEND_LIMIT || '100',
+        refreshIntervalSeconds: parseInt(process.env.SESSION_KEY_WSTETH_SPEND_WINDOW_SECONDS) || 86400
+      },
+      COMP: {
+        amount: process.env.SESSION_KEY_COMP_SPEND_LIMIT || '5000',
+        refreshIntervalSeconds: parseInt(process.env.SESSION_KEY_COMP_SPEND_WINDOW_SECONDS) || 86400
+      },
+      LINK: {
+        amount: process.env.SESSION_KEY_LINK_SPEND_LIMIT || '20000',
+        refreshIntervalSeconds: parseInt(process.env.SESSION_KEY_LINK_SPEND_WINDOW_SECONDS) || 86400
+      },
+      UNI: {
+        amount: process.env.SESSION_KEY_UNI_SPEND_LIMIT || '30000',
+        refreshIntervalSeconds: parseInt(process.env.SESSION_KEY_UNI_SPEND_WINDOW_SECONDS) || 86400
+      }
+    }
+  },
+
+  // Backend policy applied before signing with a session key
+  policy: {
+    // Max USD value of supply/borrow/repay/withdraw/swap/switch amounts per user per rolling 24h
+    dailyNotionalCapUsd: parseInt(process.env.POLICY_DAILY_NOTIONAL_CAP_USD) || 250000
+  },
 
   // Encryption (for storing session keys in DB)
   encryption: {
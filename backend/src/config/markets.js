@@ -0,0 +1,363 @@
+/**
+ * Market Registry
+ *
+ * Single description of every Compound V3 Comet the app supports. Services,
+ * controllers, session key permissions and the frontend (GET /api/defi/registry)
+ * are all driven from here - supporting another Comet means adding its base
+ * token and collaterals to TOKENS and an entry to MARKETS. No pools are listed:
+ * the flash loan pool and swap path of each switch or migration are found per
+ * call by route.service, through the ROUTING tokens below (Comets that share a
+ * base token switch without a swap). Comets deployed on a fork (e.g. a second USDC
+ * Comet) are added without code changes through EXTRA_COMETS.
+ *
+ * The Aave V3 market (AAVE) is described here too: which registry tokens may be
+ * supplied as collateral and borrowed through its Pool.
+ */
+
+const config = require('./index');
+const { ValidationError } = require('../utils/errors');
+
+// ERC-20 tokens used as base tokens or collateral (constant mainnet addresses)
+const TOKENS = {
+  WBTC: {
+    address: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599',
+    decimals: 8
+  },
+  USDC: {
+    address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+    decimals: 6
+  },
+  WETH: {
+    address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+    decimals: 18
+  },
+  wstETH: {
+    address: '0x7f39C581F595B53c5cb19bD0b3f8dA6c935E2Ca0',
+    decimals: 18
+  },
+  COMP: {
+    address: '0xc00e94Cb662C3520282E6f5717214004A7f26888',
+    decimals: 18
+  },
+  LINK: {
+    address: '0x514910771AF9Ca656af840dff83E8264EcF986CA',
+    decimals: 18
+  },
+  UNI: {
+    address: '0x1f9840a85d5aF5bf1D1762F925BDADdC4201F984',
+    decimals: 18
+  }
+};
+
+/**
+ * Comets, keyed by the name used in API requests ({ comet: 'USDC' })
+ * - baseToken: TOKENS key of the borrowable asset
+ * - quoteCurrency: unit the Comet's price feeds are denominated in
+ * - collaterals: TOKENS keys users may supply (first is the default)
+ * - priceFeeds: optional overrides by TOKENS key - unset feeds are read from
+ *   the Comet (baseTokenPriceFeed / getAssetInfoByAddress)
+ * - protocol: Transaction.protocol recorded for operations on this Comet
+ */
+const MARKETS = {
+  USDC: {
+    name: 'USDC Comet',
+    address: '0xc3d688B66703497DAA19211EEdff47f25384cdc3',
+    baseToken: 'USDC',
+    quoteCurrency: 'USD',
+    collaterals: ['WBTC', 'WETH', 'wstETH', 'COMP', 'LINK', 'UNI'],
+    priceFeeds: {},
+    protocol: 'COMPOUND_USDC'
+  },
+  WETH: {
+    name: 'WETH Comet',
+    address: '0xA17581A9E3356d9A858b789D68B4d866e593aE94',
+    baseToken: 'WETH',
+    quoteCurrency: 'ETH',
+    collaterals: ['WBTC', 'wstETH'],
+    priceFeeds: {},
+    protocol: 'COMPOUND_WETH'
+  }
+};
+
+/**
+ * Aave V3 Ethereum market - a single Pool lends and borrows every listed asset
+ * - collaterals: TOKENS keys users may supply (used as collateral)
+ * - borrowAssets: TOKENS keys users may borrow (variable rate)
+ * - oracle: AaveOracle, prices in USD with 8 decimals
+ * - aTokens: collateral receipt tokens by TOKENS key (approved to the Switcher to migrate out of Aave)
+ * - variableDebtTokens: debt tokens by TOKENS key (credit delegated to the Switcher to migrate into Aave)
+ * - protocol: Transaction.protocol recorded for Aave operations
+ */
+const AAVE = {
+  name: 'Aave V3',
+  pool: '0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2',
+  oracle: '0x54586bE62E3c3580375aE3723C145253060Ca0C2',
+  quoteCurrency: 'USD',
+  collaterals: ['WBTC', 'WETH', 'wstETH', 'LINK'],
+  borrowAssets: ['USDC', 'WETH'],
+  aTokens: {
+    WBTC: '0x5Ee5bf7ae06D1Be5997A1A72006FE6C607eC6DE8',
+    WETH: '0x4d5F47FA6A74757f35C14fD3a6Ef8E3C9BC514E8',
+    wstETH: '0x0B925eD163218f6662a35e0f0371Ac234f9E9371',
+    LINK: '0x5E8C8A7243651DB1384C0dDfDbE39761E8e7E51a'
+  },
+  variableDebtTokens: {
+    USDC: '0x72E95b8931767C79bA4EeE721354d6E99a61D004',
+    WETH: '0xeA51d7853EEFb32b6ee06b1C12E6dcCA88Be0fFE'
+  },
+  protocol: 'AAVE'
+};
+
+// Protocols accepted by the /api/defi operations ({ protocol: 'AAVE' }) - Compound V3 by default
+const PROTOCOLS = ['COMPOUND', 'AAVE'];
+
+/**
+ * Tokens swaps and flash loans may route through - the deepest Uniswap V3 pairs
+ * - hubs: TOKENS keys
+ * - extra: tokens only used for routing (never supplied or borrowed, so not in TOKENS)
+ */
+const ROUTING = {
+  hubs: ['USDC', 'WETH', 'WBTC'],
+  extra: {
+    USDT: {
+      address: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
+      decimals: 6
+    },
+    DAI: {
+      address: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
+      decimals: 18
+    }
+  }
+};
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Comets added through EXTRA_COMETS (config.markets.extraComets): JSON keyed like MARKETS,
+ * each entry described the same way (priceFeeds optional) with TOKENS keys only
+ * @throws {Error} If the JSON is invalid or an entry doesn't fit the registry - the backend must not start
+ */
+function parseExtraComets(json) {
+  if (!json) return {};
+
+  let comets;
+  try {
+    comets = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`EXTRA_COMETS is not valid JSON: ${error.message}`);
+  }
+
+  const known = Object.values(MARKETS);
+  return Object.fromEntries(Object.entries(comets).map(([key, comet]) => {
+    const missing = ['name', 'address', 'baseToken', 'quoteCurrency', 'collaterals', 'protocol'].filter(field => !comet[field]);
+    const problem = missing.length > 0 ? `missing ${missing.join(', ')}`
+      : MARKETS[key] ? 'the key is already in the registry'
+      : !/^0x[0-9a-fA-F]{40}$/.test(comet.address) ? `${comet.address} is not an address`
+      : known.some(market => sameAddress(market.address, comet.address)) ? `${comet.address} is already in the registry`
+      : known.some(market => market.protocol === comet.protocol) ? `protocol ${comet.protocol} is already in use`
+      : !TOKENS[comet.baseToken] ? `base token ${comet.baseToken} is not in TOKENS`
+      : !Array.isArray(comet.collaterals) || comet.collaterals.some(symbol => !TOKENS[symbol]) ? 'collaterals must be TOKENS keys'
+      : null;
+    if (problem) {
+      throw new Error(`EXTRA_COMETS ${key}: ${problem}`);
+    }
+
+    known.push(comet);
+    return [key, { priceFeeds: {}, ...comet }];
+  }));
+}
+
+Object.assign(MARKETS, parseExtraComets(config.markets.extraComets));
+
+function getToken(symbol) {
+  const token = TOKENS[symbol];
+  if (!token) {
+    throw new ValidationError(`Unknown token: ${symbol}`);
+  }
+  return { symbol, ...token };
+}
+
+function findTokenByAddress(address) {
+  const symbol = Object.keys(TOKENS).find(key => sameAddress(TOKENS[key].address, address));
+  return symbol ? getToken(symbol) : null;
+}
+
+function getTokens() {
+  return Object.keys(TOKENS).map(getToken);
+}
+
+/**
+ * Resolve a market key ('USDC', 'WETH', ...) to its full description
+ * @returns {{key: string, name: string, address: string, baseToken: string, baseTokenAddress: string,
+ *   decimals: number, quoteCurrency: string, collaterals: string[], priceFeeds: Object, protocol: string}}
+ * @throws {ValidationError} If the market isn't in the registry
+ */
+function getMarket(key) {
+  const market = MARKETS[key];
+  if (!market) {
+    throw new ValidationError(`Unknown Comet: ${key}. Supported: ${Object.keys(MARKETS).join(', ')}`);
+  }
+
+  const baseToken = TOKENS[market.baseToken];
+  return {
+    key,
+    ...market,
+    baseTokenAddress: baseToken.address,
+    decimals: baseToken.decimals
+  };
+}
+
+function getMarkets() {
+  return Object.keys(MARKETS).map(getMarket);
+}
+
+function getMarketKeys() {
+  return Object.keys(MARKETS);
+}
+
+function findMarketByAddress(address) {
+  const key = Object.keys(MARKETS).find(k => sameAddress(MARKETS[k].address, address));
+  return key ? getMarket(key) : null;
+}
+
+/**
+ * Resolve a collateral of a market by symbol (defaults to the market's first collateral)
+ * @throws {ValidationError} If the market doesn't accept the asset
+ */
+function getCollateral(marketKey, symbol) {
+  const market = getMarket(marketKey);
+  const collateral = symbol || market.collaterals[0];
+
+  if (!market.collaterals.includes(collateral)) {
+    throw new ValidationError(`${collateral} is not supported as collateral on the ${market.name}. Supported: ${market.collaterals.join(', ')}`);
+  }
+  return getToken(collateral);
+}
+
+/**
+ * Is an asset accepted as collateral by the Comet at an address
+ */
+function isCollateralOf(cometAddress, assetAddress) {
+  const market = findMarketByAddress(cometAddress);
+  return !!market && market.collaterals.some(symbol => sameAddress(TOKENS[symbol].address, assetAddress));
+}
+
+/**
+ * Resolve the protocol of a request (Compound V3 when unset)
+ * @throws {ValidationError} If the protocol isn't supported
+ */
+function getProtocol(protocol) {
+  const resolved = protocol ? String(protocol).toUpperCase() : 'COMPOUND';
+  if (!PROTOCOLS.includes(resolved)) {
+    throw new ValidationError(`Unknown protocol: ${protocol}. Supported: ${PROTOCOLS.join(', ')}`);
+  }
+  return resolved;
+}
+
+/**
+ * The Aave V3 market description
+ * @returns {{name: string, pool: string, oracle: string, quoteCurrency: string, collaterals: string[],
+ *   borrowAssets: string[], aTokens: Object, variableDebtTokens: Object, protocol: string}}
+ */
+function getAaveMarket() {
+  return { ...AAVE };
+}
+
+/**
+ * Resolve an asset Aave accepts as collateral (defaults to the first listed)
+ * @throws {ValidationError} If the asset can't be supplied to Aave
+ */
+function getAaveCollateral(symbol) {
+  const collateral = symbol || AAVE.collaterals[0];
+
+  if (!AAVE.collaterals.includes(collateral)) {
+    throw new ValidationError(`${collateral} is not supported as collateral on ${AAVE.name}. Supported: ${AAVE.collaterals.join(', ')}`);
+  }
+  return getToken(collateral);
+}
+
+/**
+ * Resolve an asset that can be borrowed from Aave (defaults to the first listed)
+ * @throws {ValidationError} If the asset can't be borrowed from Aave
+ */
+function getAaveBorrowAsset(symbol) {
+  const asset = symbol || AAVE.borrowAssets[0];
+
+  if (!AAVE.borrowAssets.includes(asset)) {
+    throw new ValidationError(`${asset} cannot be borrowed on ${AAVE.name}. Supported: ${AAVE.borrowAssets.join(', ')}`);
+  }
+  return getToken(asset);
+}
+
+/**
+ * Intermediate tokens for multi-hop swap paths, and pair tokens for flash loan pools
+ * @returns {Array<{symbol: string, address: string, decimals: number}>}
+ */
+function getRoutingTokens() {
+  return [
+    ...ROUTING.hubs.map(getToken),
+    ...Object.entries(ROUTING.extra).map(([symbol, token]) => ({ symbol, ...token }))
+  ];
+}
+
+/**
+ * Whether two markets lend the same base token (they switch without a swap)
+ */
+function sharesBaseToken(sourceKey, targetKey) {
+  return getMarket(sourceKey).baseTokenAddress === getMarket(targetKey).baseTokenAddress;
+}
+
+/**
+ * Markets a market can switch to - any other Comet: the flash loan and swap pools are
+ * chosen per switch (see route.service)
+ */
+function getSwitchTargets(key) {
+  return getMarketKeys().filter(other => other !== key);
+}
+
+/**
+ * Public description of the registry (served to the frontend)
+ */
+function describe() {
+  return {
+    tokens: getTokens(),
+    markets: getMarkets().map(market => ({
+      key: market.key,
+      name: market.name,
+      address: market.address,
+      baseToken: market.baseToken,
+      decimals: market.decimals,
+      quoteCurrency: market.quoteCurrency,
+      collaterals: market.collaterals,
+      switchTargets: getSwitchTargets(market.key)
+    })),
+    aave: {
+      name: AAVE.name,
+      pool: AAVE.pool,
+      quoteCurrency: AAVE.quoteCurrency,
+      collaterals: AAVE.collaterals,
+      borrowAssets: AAVE.borrowAssets
+    },
+    protocols: PROTOCOLS
+  };
+}
+
+module.exports = {
+  getToken,
+  getTokens,
+  findTokenByAddress,
+  getMarket,
+  getMarkets,
+  getMarketKeys,
+  findMarketByAddress,
+  getCollateral,
+  isCollateralOf,
+  getProtocol,
+  getAaveMarket,
+  getAaveCollateral,
+  getAaveBorrowAsset,
+  getRoutingTokens,
+  sharesBaseToken,
+  getSwitchTargets,
+  describe
+};
@@ -125,10 +125,7 @@ async function fundSmartAccount(req, res, next) {
 
     logger.info(`Funding Smart Account ${user.smartAccountAddress} with test tokens`)
 
-    const results = await erc4337Service.fundWithTenderly(
-      user.smartAccountAddress,
-      tokens || ['WBTC', 'USDC', 'WETH']
-    )
+    const results = await erc4337Service.fundWithTenderly(user.smartAccountAddress, tokens)
 
     const balances = await erc4337Service.getBalances(user.smartAccountAddress)
 
@@ -1,11 +1,76 @@
 const User = require('../models/User');
 const erc4337Service = require('../services/erc4337.service');
+const permissionsService = require('../services/permissions.service');
+const policyService = require('../services/policy.service');
 const { ethers } = require('ethers');
 const { generatePrivateKey, privateKeyToAccount } = require('viem/accounts');
+const config = require('../config');
 const logger = require('../utils/logger');
 const { ValidationError } = require('../utils/errors');
 const { encrypt, decrypt } = require('../utils/encryption');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SESSION_KEY_TTL_MS = config.sessionKeys.ttlDays * DAY_MS;
+
+/**
+ * Generate a new session key - the private key is only ever stored encrypted
+ */
+function generateSessionKey() {
+  const sessionKeyPrivate = generatePrivateKey();
+
+  return {
+    address: privateKeyToAccount(sessionKeyPrivate).address,
+    encryptedPrivateKey: encrypt(sessionKeyPrivate)
+  };
+}
+
+/**
+ * A fresh, not yet granted session key record for User.sessionKey
+ */
+function newSessionKeyRecord() {
+  return {
+    ...generateSessionKey(),
+    expiresAt: new Date(Date.now() + SESSION_KEY_TTL_MS),
+    permissions: permissionsService.SESSION_KEY_PERMISSIONS,
+    permissionsVersion: permissionsService.PERMISSIONS_VERSION,
+    isGranted: false  // Not granted until user signs registration
+  };
+}
+
+/**
+ * Expiry state of a session key, with "expiring soon" at the configured warning threshold
+ */
+function getSessionKeyExpiry(sessionKey) {
+  const expiresAt = sessionKey?.expiresAt ? new Date(sessionKey.expiresAt) : null;
+  const remainingMs = expiresAt ? expiresAt.getTime() - Date.now() : 0;
+  const isExpired = remainingMs <= 0;
+
+  return {
+    expiresAt,
+    isExpired,
+    isExpiringSoon: !isExpired && remainingMs <= config.sessionKeys.expiryWarningDays * DAY_MS,
+    daysRemaining: isExpired ? 0 : Math.ceil(remainingMs / DAY_MS),
+    warningDays: config.sessionKeys.expiryWarningDays
+  };
+}
+
+/**
+ * Session key fields shared by the login and profile responses
+ */
+function sessionKeySummary(user) {
+  const expiry = getSessionKeyExpiry(user.sessionKey);
+
+  return {
+    hasSessionKey: !!user.sessionKey?.address && user.sessionKey?.isGranted,
+    sessionKeyAddress: user.sessionKey?.address,
+    sessionKeyExpiry: user.sessionKey?.expiresAt,
+    sessionKeyExpired: expiry.isExpired,
+    sessionKeyExpiringSoon: expiry.isExpiringSoon,
+    sessionKeyDaysRemaining: expiry.daysRemaining,
+    sessionKeyRegrantRequired: user.sessionKey?.isGranted ? policyService.getRegrantStatus(user).regrantRequired : false
+  };
+}
+
 /**
  * Register or login user with Privy
  *
@@ -40,9 +105,7 @@ async function loginOrRegister(req, res, next) {
             eoaAddress: user.privyWalletAddress,
             privyWalletAddress: user.privyWalletAddress,
             smartAccountAddress: user.smartAccountAddress,
-            hasSessionKey: !!user.sessionKey?.address && user.sessionKey?.isGranted,
-            sessionKeyAddress: user.sessionKey?.address,
-            sessionKeyExpiry: user.sessionKey?.expiresAt
+            ...sessionKeySummary(user)
           }
         }
       });
@@ -59,21 +122,14 @@ async function loginOrRegister(req, res, next) {
 
     // Generate a unique session key for this user
     // This key will be registered on the smart account after user signs
-    const sessionKeyPrivate = generatePrivateKey();
-    const sessionKeyAccount = privateKeyToAccount(sessionKeyPrivate);
+    const sessionKey = newSessionKeyRecord();
 
     user = new User({
       privyId: privyUserId,
       email,
       privyWalletAddress,
       smartAccountAddress,
-      sessionKey: {
-        address: sessionKeyAccount.address,
-        encryptedPrivateKey: encrypt(sessionKeyPrivate),
-        expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
-        permissions: ['SWAP', 'SUPPLY', 'BORROW', 'REPAY', 'SWITCH_PROTOCOL'],
-        isGranted: false  // Not granted until user signs registration
-      }
+      sessionKey
     });
 
     await user.save();
@@ -82,7 +138,7 @@ async function loginOrRegister(req, res, next) {
       Email: ${email}
       Privy EOA (OWNER): ${privyWalletAddress}
       Smart Account: ${smartAccountAddress}
-      Session Key: ${sessionKeyAccount.address} (pending user signature)
+      Session Key: ${sessionKey.address} (pending user signature)
     `);
 
     res.status(201).json({
@@ -96,7 +152,7 @@ async function loginOrRegister(req, res, next) {
           smartAccountAddress,
           hasSessionKey: false,
           // Return session key address so frontend can build registration UserOp
-          sessionKeyAddress: sessionKeyAccount.address
+          sessionKeyAddress: sessionKey.address
         },
         message: 'User created. Smart account owner is your Privy wallet. Please activate to deploy and grant session key.'
       }
@@ -140,19 +196,27 @@ async function getSessionKeyRegistrationData(req, res, next) {
       }
     }
 
+    // Validity starts when the user grants the key, not when it was generated
+    user.sessionKey.expiresAt = new Date(Date.now() + SESSION_KEY_TTL_MS);
+    // A key generated before the current permission set gets it now, while it is still ungranted
+    user.sessionKey.permissions = permissionsService.SESSION_KEY_PERMISSIONS;
+    user.sessionKey.permissionsVersion = permissionsService.PERMISSIONS_VERSION;
+
     // Build the unsigned UserOp for session key registration
     // User must sign this with their Privy wallet (the owner)
     const registrationData = await erc4337Service.buildSessionKeyRegistrationUserOp(
       user.smartAccountAddress,
       user.privyWalletAddress,  // Owner is Privy wallet
       user.sessionKey.address,
-      user.sessionKey.expiresAt
+      user.sessionKey.expiresAt,
+      user.sessionKey.permissions
     );
 
     // Store the UserOp in the user record so we can retrieve it during confirmation
     // This avoids timestamp mismatch when rebuilding
     user.sessionKey.pendingUserOp = JSON.stringify(registrationData.userOp);
     user.sessionKey.pendingUserOpHash = registrationData.userOpHash;
+    user.sessionKey.pendingAction = 'REGISTER';
     await user.save();
 
     logger.info(`Session key registration data generated for ${user.email}`);
@@ -187,7 +251,7 @@ async function confirmSessionKeyRegistration(req, res, next) {
     }
 
     // Retrieve the stored UserOp (avoids timestamp mismatch from rebuilding)
-    if (!user.sessionKey?.pendingUserOp) {
+    if (!user.sessionKey?.pendingUserOp || (user.sessionKey.pendingAction && user.sessionKey.pendingAction !== 'REGISTER')) {
       return res.status(400).json({
         success: false,
         error: 'No pending registration found. Please request registration data first.'
@@ -217,6 +281,7 @@ async function confirmSessionKeyRegistration(req, res, next) {
         // Clear the pending data
         user.sessionKey.pendingUserOp = undefined;
         user.sessionKey.pendingUserOpHash = undefined;
+        user.sessionKey.pendingAction = undefined;
         await user.save();
 
         logger.info(`Session key registered for user: ${user.email}
@@ -247,6 +312,363 @@ async function confirmSessionKeyRegistration(req, res, next) {
   }
 }
 
+/**
+ * Ensure the user's current session key is granted and registered on-chain
+ * (revocation, rotation and renewal all act on the registered key)
+ */
+async function assertSessionKeyRegistered(user) {
+  if (!user.sessionKey?.address || !user.sessionKey.isGranted) {
+    throw new ValidationError('No active session key. Please activate your smart account first.');
+  }
+
+  const isRegistered = await erc4337Service.isSessionKeyRegistered(
+    user.smartAccountAddress,
+    user.sessionKey.address
+  );
+  if (!isRegistered) {
+    throw new ValidationError('Session key is not registered on your smart account');
+  }
+}
+
+/**
+ * Get the stored owner UserOp for a pending session key change
+ */
+function getPendingUserOp(user, action, userOpHash) {
+  if (!user.sessionKey?.pendingUserOp || user.sessionKey.pendingAction !== action) {
+    throw new ValidationError(`No pending session key ${action.toLowerCase()} found. Please request the ${action.toLowerCase()} data first.`);
+  }
+
+  if (userOpHash && userOpHash !== user.sessionKey.pendingUserOpHash) {
+    logger.warn(`UserOp hash mismatch for ${user.email}: expected ${user.sessionKey.pendingUserOpHash}, got ${userOpHash}`);
+  }
+
+  return JSON.parse(user.sessionKey.pendingUserOp);
+}
+
+/**
+ * Replace User.sessionKey in a single update, only if it still holds the key
+ * and pending UserOp this request started from (guards against concurrent changes)
+ */
+async function replaceSessionKey(user, sessionKey) {
+  const updated = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      'sessionKey.address': user.sessionKey.address,
+      'sessionKey.pendingUserOpHash': user.sessionKey.pendingUserOpHash
+    },
+    { $set: { sessionKey, updatedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new ValidationError('Session key was changed by another request. Please refresh and try again.');
+  }
+
+  return updated;
+}
+
+/**
+ * Get the data needed for user to sign session key revocation
+ * Returns the unsigned owner UserOp calling removeSessionKey
+ */
+async function getSessionKeyRevocationData(req, res, next) {
+  try {
+    const user = req.user;
+
+    await assertSessionKeyRegistered(user);
+
+    const revocationData = await erc4337Service.buildSessionKeyRemovalUserOp(
+      user.smartAccountAddress,
+      user.sessionKey.address
+    );
+
+    user.sessionKey.pendingUserOp = JSON.stringify(revocationData.userOp);
+    user.sessionKey.pendingUserOpHash = revocationData.userOpHash;
+    user.sessionKey.pendingAction = 'REVOKE';
+    user.sessionKey.pendingKey = undefined;
+    await user.save();
+
+    logger.info(`Session key revocation data generated for ${user.email}`);
+
+    res.json({
+      success: true,
+      data: {
+        ...revocationData,
+        sessionKeyAddress: user.sessionKey.address,
+        message: 'Sign this UserOp with your Privy wallet to revoke the session key'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Confirm session key revocation after user has signed
+ * Once the key is gone on-chain, a new (not yet granted) key replaces it
+ */
+async function confirmSessionKeyRevocation(req, res, next) {
+  try {
+    const user = req.user;
+    const { signature, userOpHash } = req.body;
+
+    if (!signature) {
+      throw new ValidationError('Signature is required');
+    }
+
+    const storedUserOp = getPendingUserOp(user, 'REVOKE', userOpHash);
+    const revokedAddress = user.sessionKey.address;
+
+    const result = await erc4337Service.submitSignedUserOp(storedUserOp, signature);
+
+    let sessionKeyAddress = revokedAddress;
+    if (result.success) {
+      const isStillRegistered = await erc4337Service.isSessionKeyRegistered(user.smartAccountAddress, revokedAddress);
+
+      if (isStillRegistered) {
+        result.success = false;
+        result.error = 'Revocation transaction succeeded but key is still registered on-chain';
+      } else {
+        const updated = await replaceSessionKey(user, newSessionKeyRecord());
+        sessionKeyAddress = updated.sessionKey.address;
+
+        logger.info(`Session key revoked for user: ${user.email}
+          Smart Account: ${user.smartAccountAddress}
+          Revoked Key: ${revokedAddress}
+          Tx: ${result.txHash}
+        `);
+      }
+    }
+
+    res.json({
+      success: result.success,
+      data: {
+        revokedSessionKeyAddress: revokedAddress,
+        sessionKeyAddress,
+        txHash: result.txHash,
+        message: result.success
+          ? 'Session key revoked. Activate again to grant a new session key.'
+          : result.error || 'Failed to revoke session key'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the data needed for user to sign session key rotation
+ * Generates the replacement key and returns the unsigned owner UserOp calling rotateSessionKey
+ */
+async function getSessionKeyRotationData(req, res, next) {
+  try {
+    const user = req.user;
+
+    await assertSessionKeyRegistered(user);
+
+    const newKey = generateSessionKey();
+
+    const rotationData = await erc4337Service.buildSessionKeyRotationUserOp(
+      user.smartAccountAddress,
+      user.sessionKey.address,
+      newKey.address
+    );
+
+    user.sessionKey.pendingUserOp = JSON.stringify(rotationData.userOp);
+    user.sessionKey.pendingUserOpHash = rotationData.userOpHash;
+    user.sessionKey.pendingAction = 'ROTATE';
+    user.sessionKey.pendingKey = newKey;
+    await user.save();
+
+    logger.info(`Session key rotation data generated for ${user.email}`);
+
+    res.json({
+      success: true,
+      data: {
+        ...rotationData,
+        sessionKeyAddress: user.sessionKey.address,
+        newSessionKeyAddress: newKey.address,
+        message: 'Sign this UserOp with your Privy wallet to rotate the session key'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Confirm session key rotation after user has signed
+ * The new key inherits the old key's on-chain permissions and expiry
+ */
+async function confirmSessionKeyRotation(req, res, next) {
+  try {
+    const user = req.user;
+    const { signature, userOpHash } = req.body;
+
+    if (!signature) {
+      throw new ValidationError('Signature is required');
+    }
+
+    const storedUserOp = getPendingUserOp(user, 'ROTATE', userOpHash);
+    const oldAddress = user.sessionKey.address;
+    const newKey = user.sessionKey.pendingKey;
+
+    const result = await erc4337Service.submitSignedUserOp(storedUserOp, signature);
+
+    let sessionKeyAddress = oldAddress;
+    if (result.success) {
+      const [isNewRegistered, isOldRegistered] = await Promise.all([
+        erc4337Service.isSessionKeyRegistered(user.smartAccountAddress, newKey.address),
+        erc4337Service.isSessionKeyRegistered(user.smartAccountAddress, oldAddress)
+      ]);
+
+      if (!isNewRegistered || isOldRegistered) {
+        result.success = false;
+        result.error = 'Rotation transaction succeeded but the new key is not registered on-chain';
+      } else {
+        const updated = await replaceSessionKey(user, {
+          address: newKey.address,
+          encryptedPrivateKey: newKey.encryptedPrivateKey,
+          expiresAt: user.sessionKey.expiresAt,
+          permissions: user.sessionKey.permissions,
+          permissionsVersion: user.sessionKey.permissionsVersion,
+          isGranted: true
+        });
+        sessionKeyAddress = updated.sessionKey.address;
+
+        logger.info(`Session key rotated for user: ${user.email}
+          Smart Account: ${user.smartAccountAddress}
+          Old Key: ${oldAddress}
+          New Key: ${sessionKeyAddress}
+          Tx: ${result.txHash}
+        `);
+      }
+    }
+
+    res.json({
+      success: result.success,
+      data: {
+        previousSessionKeyAddress: oldAddress,
+        sessionKeyAddress,
+        expiresAt: user.sessionKey.expiresAt,
+        txHash: result.txHash,
+        message: result.success
+          ? 'Session key rotated. The previous key can no longer be used.'
+          : result.error || 'Failed to rotate session key'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the data needed for user to sign session key renewal
+ * Returns the unsigned owner UserOp calling updateKeyPermissions with a new time range
+ */
+async function getSessionKeyRenewalData(req, res, next) {
+  try {
+    const user = req.user;
+
+    await assertSessionKeyRegistered(user);
+
+    const expiresAt = new Date(Date.now() + SESSION_KEY_TTL_MS);
+
+    const renewalData = await erc4337Service.buildSessionKeyRenewalUserOp(
+      user.smartAccountAddress,
+      user.sessionKey.address,
+      expiresAt
+    );
+
+    user.sessionKey.pendingUserOp = JSON.stringify(renewalData.userOp);
+    user.sessionKey.pendingUserOpHash = renewalData.userOpHash;
+    user.sessionKey.pendingAction = 'RENEW';
+    user.sessionKey.pendingKey = undefined;
+    user.sessionKey.pendingExpiresAt = expiresAt;
+    await user.save();
+
+    logger.info(`Session key renewal data generated for ${user.email}`);
+
+    res.json({
+      success: true,
+      data: {
+        ...renewalData,
+        sessionKeyAddress: user.sessionKey.address,
+        currentExpiresAt: user.sessionKey.expiresAt,
+        expiresAt,
+        message: 'Sign this UserOp with your Privy wallet to renew the session key'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Confirm session key renewal after user has signed
+ * The new expiry is only stored once the plugin reports the extended time range
+ */
+async function confirmSessionKeyRenewal(req, res, next) {
+  try {
+    const user = req.user;
+    const { signature, userOpHash } = req.body;
+
+    if (!signature) {
+      throw new ValidationError('Signature is required');
+    }
+
+    const storedUserOp = getPendingUserOp(user, 'RENEW', userOpHash);
+    const newExpiresAt = user.sessionKey.pendingExpiresAt;
+
+    const result = await erc4337Service.submitSignedUserOp(storedUserOp, signature);
+
+    let expiresAt = user.sessionKey.expiresAt;
+    if (result.success) {
+      const { validUntil } = await erc4337Service.getSessionKeyTimeRange(
+        user.smartAccountAddress,
+        user.sessionKey.address
+      );
+
+      // On-chain time range has second precision
+      if (!validUntil || Math.abs(validUntil.getTime() - new Date(newExpiresAt).getTime()) >= 1000) {
+        result.success = false;
+        result.error = 'Renewal transaction succeeded but the key time range was not updated on-chain';
+      } else {
+        const updated = await replaceSessionKey(user, {
+          address: user.sessionKey.address,
+          encryptedPrivateKey: user.sessionKey.encryptedPrivateKey,
+          expiresAt: newExpiresAt,
+          permissions: user.sessionKey.permissions,
+          permissionsVersion: user.sessionKey.permissionsVersion,
+          isGranted: true
+        });
+        expiresAt = updated.sessionKey.expiresAt;
+
+        logger.info(`Session key renewed for user: ${user.email}
+          Smart Account: ${user.smartAccountAddress}
+          Session Key: ${user.sessionKey.address}
+          Expires: ${expiresAt.toISOString()}
+          Tx: ${result.txHash}
+        `);
+      }
+    }
+
+    res.json({
+      success: result.success,
+      data: {
+        sessionKeyAddress: user.sessionKey.address,
+        expiresAt,
+        txHash: result.txHash,
+        message: result.success
+          ? 'Session key renewed.'
+          : result.error || 'Failed to renew session key'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Get session key status
  */
@@ -254,17 +676,25 @@ async function getSessionKeyStatus(req, res, next) {
   try {
     const user = req.user;
 
-    const isRegistered = await erc4337Service.isSessionKeyRegistered(user.smartAccountAddress);
-    const isExpired = user.sessionKey?.expiresAt ? new Date(user.sessionKey.expiresAt) < new Date() : true;
+    const isRegistered = user.sessionKey?.isGranted
+      ? await erc4337Service.isSessionKeyRegistered(user.smartAccountAddress, user.sessionKey.address)
+      : false;
+    const expiry = getSessionKeyExpiry(user.sessionKey);
+    // Rotation and renewal keep the key's permissions - missing or outdated ones need a revoke and new registration
+    const regrant = isRegistered
+      ? policyService.getRegrantStatus(user)
+      : { missingPermissions: [], outdatedPermissions: [], regrantRequired: false };
 
     res.json({
       success: true,
       data: {
-        hasSessionKey: isRegistered && !isExpired,
+        hasSessionKey: isRegistered && !expiry.isExpired,
         sessionKeyAddress: user.sessionKey?.address,
-        expiresAt: user.sessionKey?.expiresAt,
-        isExpired,
-        isRegistered
+        ...expiry,
+        // Renewal is possible while the key is still registered, even after it expired
+        canRenew: isRegistered,
+        isRegistered,
+        ...regrant
       }
     });
   } catch (error) {
@@ -290,8 +720,7 @@ async function getProfile(req, res, next) {
           privyWalletAddress: user.privyWalletAddress,
           smartWalletAddress: user.smartAccountAddress,
           smartAccountAddress: user.smartAccountAddress,
-          hasSessionKey: !!user.sessionKey?.address && user.sessionKey?.isGranted,
-          sessionKeyExpiry: user.sessionKey?.expiresAt,
+          ...sessionKeySummary(user),
           sessionKey: user.sessionKey ? {
             address: user.sessionKey.address,
             expiresAt: user.sessionKey.expiresAt,
@@ -311,6 +740,12 @@ module.exports = {
   loginOrRegister,
   getSessionKeyRegistrationData,
   confirmSessionKeyRegistration,
+  getSessionKeyRevocationData,
+  confirmSessionKeyRevocation,
+  getSessionKeyRotationData,
+  confirmSessionKeyRotation,
+  getSessionKeyRenewalData,
+  confirmSessionKeyRenewal,
   getSessionKeyStatus,
   getProfile
 };
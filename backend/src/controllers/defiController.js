@@ -5,15 +5,35 @@
  * - Get positions
  * - Supply/Withdraw collateral
  * - Borrow/Repay
+ *   (Compound V3 by default, Aave V3 with { protocol: 'AAVE' })
  * - Cross-Comet switch
+ * - Compound <-> Aave V3 migration
+ * - Auto-switch (rate arbitrage) settings and log
+ * - Liquidation guardian settings and interventions
+ *
+ * Every batch of calls passes the session key policy (permissions, expiry,
+ * daily notional cap) before it is signed. Operations are submitted as
+ * UserOps and recorded as PENDING; the transaction watcher updates them
+ * once the UserOp is included.
  */
 
 const { ethers } = require('ethers')
+const mongoose = require('mongoose')
+const config = require('../config')
+const markets = require('../config/markets')
 const erc4337Service = require('../services/erc4337.service')
+const marketService = require('../services/market.service')
+const aaveService = require('../services/aave.service')
+const switchService = require('../services/switch.service')
+const migrationService = require('../services/migration.service')
+const guardianService = require('../services/guardian.service')
+const policyService = require('../services/policy.service')
+const realtimeService = require('../services/realtime.service')
 const Transaction = require('../models/Transaction')
-const config = require('../config')
+const AutoSwitchLog = require('../models/AutoSwitchLog')
 const logger = require('../utils/logger')
 const { decrypt } = require('../utils/encryption')
+const { ValidationError, NotFoundError } = require('../utils/errors')
 
 /**
  * Helper to get decrypted session key from user
@@ -25,16 +45,48 @@ function getSessionKey(user) {
   return decrypt(user.sessionKey.encryptedPrivateKey)
 }
 
-// Contract addresses (constant mainnet addresses)
-const USDC_COMET = '0xc3d688B66703497DAA19211EEdff47f25384cdc3'
-const WETH_COMET = '0xA17581A9E3356d9A858b789D68B4d866e593aE94'
-const WBTC = '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599'
-const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'
-const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2'
-const SWAP_POOL = '0x7BeA39867e4169DBe237d55C8242a8f2fcDcc387' // 1% USDC/WETH pool for price
+/**
+ * Response for a submitted (not yet included) UserOp
+ * Clients follow the outcome on GET /api/stream (or poll GET /transactions/:id)
+ */
+function submittedResponse(transaction) {
+  return {
+    success: true,
+    data: {
+      transactionId: transaction._id,
+      userOpHash: transaction.userOpHash,
+      status: transaction.status
+    }
+  }
+}
 
-// Provider for price queries
-const provider = new ethers.JsonRpcProvider(config.blockchain.rpcUrl)
+/**
+ * Submit an Aave V3 supply / borrow / repay / withdraw and track it as PENDING
+ * @param {'SUPPLY'|'BORROW'|'REPAY'|'WITHDRAW'} type - Operation (also the policy action and Transaction.type)
+ */
+async function submitAaveOperation(user, sessionKeyPrivate, type, asset, amount) {
+  const { token, calls } = aaveService.buildCalls(type, user.smartAccountAddress, asset, amount)
+
+  const { userOpHash } = await policyService.authorizeAndRun(user, calls, type, () => {
+    logger.info(`Aave ${type.toLowerCase()} of ${amount} ${token.symbol} for ${user.smartAccountAddress}`)
+    return erc4337Service.submitWithSessionKey(user.smartAccountAddress, calls, sessionKeyPrivate)
+  })
+
+  // Track as PENDING - the transaction watcher settles it from the receipt
+  const transaction = await Transaction.create({
+    user: user._id,
+    smartAccountAddress: user.smartAccountAddress,
+    type,
+    protocol: aaveService.market.protocol,
+    asset: token.symbol,
+    amount: amount.toString(),
+    userOpHash,
+    status: 'PENDING'
+  })
+
+  realtimeService.publishTransaction(transaction)
+  return transaction
+}
 
 // ABIs
 const ERC20_ABI = [
@@ -48,107 +100,9 @@ const COMET_ABI = [
   'function borrowBalanceOf(address account) view returns (uint256)',
 ]
 
-const UNISWAP_POOL_ABI = [
-  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
-  'function token0() view returns (address)',
-  'function token1() view returns (address)',
-]
-
-/**
- * Get current ETH/USDC price from Uniswap pool
- * Returns price as USDC per 1 ETH (e.g., 2500 means 1 ETH = 2500 USDC)
- */
-async function getEthUsdcPrice() {
-  try {
-    if (!SWAP_POOL) {
-      logger.warn('SWAP_POOL not configured, using default price')
-      return 2500 // Fallback price
-    }
-
-    const pool = new ethers.Contract(SWAP_POOL, UNISWAP_POOL_ABI, provider)
-    const [slot0, token0] = await Promise.all([
-      pool.slot0(),
-      pool.token0()
-    ])
-
-    const sqrtPriceX96 = slot0.sqrtPriceX96
-
-    // Calculate price from sqrtPriceX96
-    // price = (sqrtPriceX96 / 2^96)^2
-    const Q96 = 2n ** 96n
-    const sqrtPrice = BigInt(sqrtPriceX96)
-
-    // Uniswap stores price as token1/token0
-    // In USDC/WETH pool: token0 = USDC, token1 = WETH
-    // So sqrtPriceX96 gives us WETH/USDC (how many USDC per WETH)
-    // But we need to account for decimals (USDC=6, WETH=18)
-
-    // price = (sqrtPrice^2) / 2^192 * 10^(token0Decimals - token1Decimals)
-    // For USDC(6)/WETH(18): multiply by 10^12
-
-    // Check if USDC is token0 (it should be in this pool)
-    const usdcIsToken0 = token0.toLowerCase() === USDC?.toLowerCase()
-
-    // Calculate raw price (as float for simplicity)
-    const priceRaw = Number(sqrtPrice * sqrtPrice) / Number(Q96 * Q96)
-
-    let ethUsdcPrice
-    if (usdcIsToken0) {
-      // sqrtPriceX96 gives WETH/USDC, but with 6 vs 18 decimals
-      // Actual price = priceRaw * 10^(6-18) = priceRaw * 10^-12
-      // This gives WETH per USDC, so invert for USDC per WETH
-      ethUsdcPrice = 1 / (priceRaw * 1e-12)
-    } else {
-      // sqrtPriceX96 gives USDC/WETH with 18 vs 6 decimals
-      ethUsdcPrice = priceRaw * 1e12
-    }
-
-    logger.info(`Current ETH/USDC price from Uniswap: ${ethUsdcPrice.toFixed(2)}`)
-    return ethUsdcPrice
-  } catch (error) {
-    logger.error('Failed to get ETH/USDC price:', error.message)
-    return 2500 // Fallback price
-  }
-}
-
-/**
- * Calculate borrow amount needed to cover debt repayment after swap
- * @param {bigint} debtAmount - The debt to repay in source token
- * @param {string} sourceToken - 'USDC' or 'WETH'
- * @param {number} ethPrice - Current ETH/USDC price
- * @returns {bigint} - Amount to borrow in target token
- */
-function calculateBorrowAmount(debtAmount, sourceToken, ethPrice) {
-  // Add buffer for:
-  // - Flash loan fee: 0.05% (on 0.05% pool)
-  // - Swap fee: 1% (on 1% pool)
-  // - Slippage buffer: 0.5%
-  // Total: ~1.55% buffer, round up to 2% for safety
-  const BUFFER_MULTIPLIER = 1.02
-
-  const debtFloat = Number(debtAmount)
-
-  if (sourceToken === 'USDC') {
-    // Debt is in USDC, need to borrow WETH
-    // USDC has 6 decimals, WETH has 18
-    const debtUsdc = debtFloat / 1e6
-    const wethNeeded = (debtUsdc * BUFFER_MULTIPLIER) / ethPrice
-    const wethWei = BigInt(Math.ceil(wethNeeded * 1e18))
-    logger.info(`Calculated borrow: ${debtUsdc.toFixed(2)} USDC debt -> ${wethNeeded.toFixed(6)} WETH needed`)
-    return wethWei
-  } else {
-    // Debt is in WETH, need to borrow USDC
-    // WETH has 18 decimals, USDC has 6
-    const debtWeth = debtFloat / 1e18
-    const usdcNeeded = debtWeth * ethPrice * BUFFER_MULTIPLIER
-    const usdcUnits = BigInt(Math.ceil(usdcNeeded * 1e6))
-    logger.info(`Calculated borrow: ${debtWeth.toFixed(6)} WETH debt -> ${usdcNeeded.toFixed(2)} USDC needed`)
-    return usdcUnits
-  }
-}
-
 /**
  * Get current DeFi position
+ * Compound V3 positions keyed by Comet, or the Aave V3 position with ?protocol=AAVE
  */
 async function getPosition(req, res, next) {
   try {
@@ -161,6 +115,19 @@ async function getPosition(req, res, next) {
       })
     }
 
+    if (markets.getProtocol(req.query.protocol) === 'AAVE') {
+      const position = await aaveService.getPosition(user.smartAccountAddress)
+
+      return res.json({
+        success: true,
+        data: {
+          address: user.smartAccountAddress,
+          protocol: 'AAVE',
+          position
+        }
+      })
+    }
+
     const positions = await erc4337Service.getPositions(user.smartAccountAddress)
 
     res.json({
@@ -177,33 +144,23 @@ async function getPosition(req, res, next) {
 }
 
 /**
- * Get market comparison (APY rates)
+ * Get market comparison (live on-chain rates)
+ * Every Comet, or the Aave V3 reserves with ?protocol=AAVE
  */
 async function getMarketComparison(req, res, next) {
   try {
-    // Static rates for now - in production would fetch from on-chain
-    const markets = {
-      USDC: {
-        comet: USDC_COMET,
-        name: 'USDC Comet',
-        baseToken: 'USDC',
-        supplyAPY: '3.2%',
-        borrowAPY: '4.8%',
-        collateralFactor: '82%'
-      },
-      WETH: {
-        comet: WETH_COMET,
-        name: 'WETH Comet',
-        baseToken: 'WETH',
-        supplyAPY: '1.8%',
-        borrowAPY: '3.2%',
-        collateralFactor: '85%'
-      }
+    if (markets.getProtocol(req.query.protocol) === 'AAVE') {
+      return res.json({
+        success: true,
+        data: { market: await aaveService.getMarket() }
+      })
     }
 
+    const comparison = await marketService.getMarkets()
+
     res.json({
       success: true,
-      data: { markets }
+      data: { markets: comparison }
     })
   } catch (error) {
     logger.error('Get market comparison error:', error)
@@ -212,12 +169,27 @@ async function getMarketComparison(req, res, next) {
 }
 
 /**
- * Supply collateral to Comet
+ * Get the market registry (supported Comets, tokens and switch targets)
+ */
+async function getMarketRegistry(req, res, next) {
+  try {
+    res.json({
+      success: true,
+      data: markets.describe()
+    })
+  } catch (error) {
+    logger.error('Get market registry error:', error)
+    next(error)
+  }
+}
+
+/**
+ * Supply collateral to a Comet (or to Aave V3 with protocol: 'AAVE')
  */
 async function supply(req, res, next) {
   try {
     const user = req.user
-    const { comet, asset, amount } = req.body
+    const { comet, asset, amount, protocol } = req.body
 
     if (!user.smartAccountAddress) {
       return res.status(400).json({
@@ -235,15 +207,17 @@ async function supply(req, res, next) {
       })
     }
 
-    const cometAddress = comet === 'USDC' ? USDC_COMET : WETH_COMET
-    const assetAddress = asset === 'WBTC' ? WBTC : asset === 'USDC' ? USDC : WETH
+    if (markets.getProtocol(protocol) === 'AAVE') {
+      const transaction = await submitAaveOperation(user, sessionKeyPrivate, 'SUPPLY', asset, amount)
+      return res.status(202).json(submittedResponse(transaction))
+    }
 
-    // Get decimals
-    let decimals = 18
-    if (asset === 'WBTC') decimals = 8
-    if (asset === 'USDC') decimals = 6
+    const market = markets.getMarket(comet)
+    const collateral = markets.getCollateral(comet, asset)
+    const cometAddress = market.address
+    const assetAddress = collateral.address
 
-    const amountWei = ethers.parseUnits(amount.toString(), decimals)
+    const amountWei = ethers.parseUnits(amount.toString(), collateral.decimals)
 
     // Build calls: approve + supply
     const erc20Iface = new ethers.Interface(ERC20_ABI)
@@ -262,31 +236,25 @@ async function supply(req, res, next) {
       }
     ]
 
-    logger.info(`Supplying ${amount} ${asset} to ${comet} Comet for ${user.smartAccountAddress}`)
-
-    const result = await erc4337Service.executeWithSessionKey(user.smartAccountAddress, calls, sessionKeyPrivate)
+    const { userOpHash } = await policyService.authorizeAndRun(user, calls, 'SUPPLY', () => {
+      logger.info(`Supplying ${amount} ${collateral.symbol} to ${comet} Comet for ${user.smartAccountAddress}`)
+      return erc4337Service.submitWithSessionKey(user.smartAccountAddress, calls, sessionKeyPrivate)
+    })
 
-    // Save transaction
-    await Transaction.create({
+    // Track as PENDING - the transaction watcher settles it from the receipt
+    const transaction = await Transaction.create({
       user: user._id,
       smartAccountAddress: user.smartAccountAddress,
       type: 'SUPPLY',
-      protocol: comet === 'USDC' ? 'COMPOUND_USDC' : 'COMPOUND_WETH',
-      asset,
+      protocol: market.protocol,
+      asset: collateral.symbol,
       amount: amount.toString(),
-      txHash: result.txHash,
-      userOpHash: result.userOpHash,
-      status: result.success ? 'SUCCESS' : 'FAILED'
+      userOpHash,
+      status: 'PENDING'
     })
 
-    res.json({
-      success: result.success,
-      data: {
-        txHash: result.txHash,
-        userOpHash: result.userOpHash,
-        gasUsed: result.gasUsed
-      }
-    })
+    realtimeService.publishTransaction(transaction)
+    res.status(202).json(submittedResponse(transaction))
   } catch (error) {
     logger.error('Supply error:', error)
     next(error)
@@ -294,12 +262,12 @@ async function supply(req, res, next) {
 }
 
 /**
- * Borrow from Comet
+ * Borrow a Comet's base token (or any Aave V3 borrowable asset with protocol: 'AAVE')
  */
 async function borrow(req, res, next) {
   try {
     const user = req.user
-    const { comet, asset, amount } = req.body
+    const { comet, asset, amount, protocol } = req.body
 
     if (!user.smartAccountAddress) {
       return res.status(400).json({
@@ -317,12 +285,16 @@ async function borrow(req, res, next) {
       })
     }
 
-    const cometAddress = comet === 'USDC' ? USDC_COMET : WETH_COMET
-    const assetAddress = comet === 'USDC' ? USDC : WETH
+    if (markets.getProtocol(protocol) === 'AAVE') {
+      const transaction = await submitAaveOperation(user, sessionKeyPrivate, 'BORROW', asset, amount)
+      return res.status(202).json(submittedResponse(transaction))
+    }
+
+    const market = markets.getMarket(comet)
+    const cometAddress = market.address
+    const assetAddress = market.baseTokenAddress
 
-    // Get decimals
-    const decimals = comet === 'USDC' ? 6 : 18
-    const amountWei = ethers.parseUnits(amount.toString(), decimals)
+    const amountWei = ethers.parseUnits(amount.toString(), market.decimals)
 
     // Build call: withdraw (borrow)
     const cometIface = new ethers.Interface(COMET_ABI)
@@ -333,31 +305,25 @@ async function borrow(req, res, next) {
       data: cometIface.encodeFunctionData('withdraw', [assetAddress, amountWei])
     }]
 
-    logger.info(`Borrowing ${amount} from ${comet} Comet for ${user.smartAccountAddress}`)
-
-    const result = await erc4337Service.executeWithSessionKey(user.smartAccountAddress, calls, sessionKeyPrivate)
+    const { userOpHash } = await policyService.authorizeAndRun(user, calls, 'BORROW', () => {
+      logger.info(`Borrowing ${amount} ${market.baseToken} from ${comet} Comet for ${user.smartAccountAddress}`)
+      return erc4337Service.submitWithSessionKey(user.smartAccountAddress, calls, sessionKeyPrivate)
+    })
 
-    // Save transaction
-    await Transaction.create({
+    // Track as PENDING - the transaction watcher settles it from the receipt
+    const transaction = await Transaction.create({
       user: user._id,
       smartAccountAddress: user.smartAccountAddress,
       type: 'BORROW',
-      protocol: comet === 'USDC' ? 'COMPOUND_USDC' : 'COMPOUND_WETH',
-      asset: comet,
+      protocol: market.protocol,
+      asset: market.baseToken,
       amount: amount.toString(),
-      txHash: result.txHash,
-      userOpHash: result.userOpHash,
-      status: result.success ? 'SUCCESS' : 'FAILED'
+      userOpHash,
+      status: 'PENDING'
     })
 
-    res.json({
-      success: result.success,
-      data: {
-        txHash: result.txHash,
-        userOpHash: result.userOpHash,
-        gasUsed: result.gasUsed
-      }
-    })
+    realtimeService.publishTransaction(transaction)
+    res.status(202).json(submittedResponse(transaction))
   } catch (error) {
     logger.error('Borrow error:', error)
     next(error)
@@ -365,12 +331,12 @@ async function borrow(req, res, next) {
 }
 
 /**
- * Repay borrowed amount
+ * Repay borrowed amount (Comet, or Aave V3 variable debt with protocol: 'AAVE')
  */
 async function repay(req, res, next) {
   try {
     const user = req.user
-    const { comet, asset, amount } = req.body
+    const { comet, asset, amount, protocol } = req.body
 
     if (!user.smartAccountAddress) {
       return res.status(400).json({
@@ -388,12 +354,16 @@ async function repay(req, res, next) {
       })
     }
 
-    const cometAddress = comet === 'USDC' ? USDC_COMET : WETH_COMET
-    const assetAddress = comet === 'USDC' ? USDC : WETH
+    if (markets.getProtocol(protocol) === 'AAVE') {
+      const transaction = await submitAaveOperation(user, sessionKeyPrivate, 'REPAY', asset, amount)
+      return res.status(202).json(submittedResponse(transaction))
+    }
+
+    const market = markets.getMarket(comet)
+    const cometAddress = market.address
+    const assetAddress = market.baseTokenAddress
 
-    // Get decimals
-    const decimals = comet === 'USDC' ? 6 : 18
-    const amountWei = ethers.parseUnits(amount.toString(), decimals)
+    const amountWei = ethers.parseUnits(amount.toString(), market.decimals)
 
     // Build calls: approve + supply (repay)
     const erc20Iface = new ethers.Interface(ERC20_ABI)
@@ -412,31 +382,25 @@ async function repay(req, res, next) {
       }
     ]
 
-    logger.info(`Repaying ${amount} to ${comet} Comet for ${user.smartAccountAddress}`)
-
-    const result = await erc4337Service.executeWithSessionKey(user.smartAccountAddress, calls, sessionKeyPrivate)
+    const { userOpHash } = await policyService.authorizeAndRun(user, calls, 'REPAY', () => {
+      logger.info(`Repaying ${amount} ${market.baseToken} to ${comet} Comet for ${user.smartAccountAddress}`)
+      return erc4337Service.submitWithSessionKey(user.smartAccountAddress, calls, sessionKeyPrivate)
+    })
 
-    // Save transaction
-    await Transaction.create({
+    // Track as PENDING - the transaction watcher settles it from the receipt
+    const transaction = await Transaction.create({
       user: user._id,
       smartAccountAddress: user.smartAccountAddress,
       type: 'REPAY',
-      protocol: comet === 'USDC' ? 'COMPOUND_USDC' : 'COMPOUND_WETH',
-      asset: comet,
+      protocol: market.protocol,
+      asset: market.baseToken,
       amount: amount.toString(),
-      txHash: result.txHash,
-      userOpHash: result.userOpHash,
-      status: result.success ? 'SUCCESS' : 'FAILED'
+      userOpHash,
+      status: 'PENDING'
     })
 
-    res.json({
-      success: result.success,
-      data: {
-        txHash: result.txHash,
-        userOpHash: result.userOpHash,
-        gasUsed: result.gasUsed
-      }
-    })
+    realtimeService.publishTransaction(transaction)
+    res.status(202).json(submittedResponse(transaction))
   } catch (error) {
     logger.error('Repay error:', error)
     next(error)
@@ -444,12 +408,12 @@ async function repay(req, res, next) {
 }
 
 /**
- * Withdraw collateral
+ * Withdraw collateral (Comet, or Aave V3 with protocol: 'AAVE')
  */
 async function withdraw(req, res, next) {
   try {
     const user = req.user
-    const { comet, asset, amount } = req.body
+    const { comet, asset, amount, protocol } = req.body
 
     if (!user.smartAccountAddress) {
       return res.status(400).json({
@@ -467,15 +431,17 @@ async function withdraw(req, res, next) {
       })
     }
 
-    const cometAddress = comet === 'USDC' ? USDC_COMET : WETH_COMET
-    const assetAddress = asset === 'WBTC' ? WBTC : asset === 'USDC' ? USDC : WETH
+    if (markets.getProtocol(protocol) === 'AAVE') {
+      const transaction = await submitAaveOperation(user, sessionKeyPrivate, 'WITHDRAW', asset, amount)
+      return res.status(202).json(submittedResponse(transaction))
+    }
 
-    // Get decimals
-    let decimals = 18
-    if (asset === 'WBTC') decimals = 8
-    if (asset === 'USDC') decimals = 6
+    const market = markets.getMarket(comet)
+    const collateral = markets.getCollateral(comet, asset)
+    const cometAddress = market.address
+    const assetAddress = collateral.address
 
-    const amountWei = ethers.parseUnits(amount.toString(), decimals)
+    const amountWei = ethers.parseUnits(amount.toString(), collateral.decimals)
 
     // Build call: withdraw
     const cometIface = new ethers.Interface(COMET_ABI)
@@ -486,31 +452,25 @@ async function withdraw(req, res, next) {
       data: cometIface.encodeFunctionData('withdraw', [assetAddress, amountWei])
     }]
 
-    logger.info(`Withdrawing ${amount} ${asset} from ${comet} Comet for ${user.smartAccountAddress}`)
-
-    const result = await erc4337Service.executeWithSessionKey(user.smartAccountAddress, calls, sessionKeyPrivate)
+    const { userOpHash } = await policyService.authorizeAndRun(user, calls, 'WITHDRAW', () => {
+      logger.info(`Withdrawing ${amount} ${collateral.symbol} from ${comet} Comet for ${user.smartAccountAddress}`)
+      return erc4337Service.submitWithSessionKey(user.smartAccountAddress, calls, sessionKeyPrivate)
+    })
 
-    // Save transaction
-    await Transaction.create({
+    // Track as PENDING - the transaction watcher settles it from the receipt
+    const transaction = await Transaction.create({
       user: user._id,
       smartAccountAddress: user.smartAccountAddress,
       type: 'WITHDRAW',
-      protocol: comet === 'USDC' ? 'COMPOUND_USDC' : 'COMPOUND_WETH',
-      asset,
+      protocol: market.protocol,
+      asset: collateral.symbol,
       amount: amount.toString(),
-      txHash: result.txHash,
-      userOpHash: result.userOpHash,
-      status: result.success ? 'SUCCESS' : 'FAILED'
+      userOpHash,
+      status: 'PENDING'
     })
 
-    res.json({
-      success: result.success,
-      data: {
-        txHash: result.txHash,
-        userOpHash: result.userOpHash,
-        gasUsed: result.gasUsed
-      }
-    })
+    realtimeService.publishTransaction(transaction)
+    res.status(202).json(submittedResponse(transaction))
   } catch (error) {
     logger.error('Withdraw error:', error)
     next(error)
@@ -523,7 +483,7 @@ async function withdraw(req, res, next) {
 async function switchPosition(req, res, next) {
   try {
     const user = req.user
-    const { sourceComet, targetComet, collateralAsset, amount } = req.body
+    const { sourceComet, targetComet, collateralAsset, amount, percentage, slippageBps } = req.body
 
     if (!user.smartAccountAddress) {
       return res.status(400).json({
@@ -541,84 +501,472 @@ async function switchPosition(req, res, next) {
       })
     }
 
-    // Get source comet address
-    const sourceCometAddress = sourceComet === 'USDC' ? USDC_COMET : WETH_COMET
-    const targetCometAddress = targetComet === 'USDC' ? USDC_COMET : WETH_COMET
+    // Size the switch from the current source position (rejects quotes outside the slippage
+    // tolerance and switches that leave either Comet below the minimum health factor)
+    const plan = await switchService.planSwitch(user.smartAccountAddress, sourceComet, targetComet, {
+      collateralSymbol: collateralAsset,
+      amount,
+      percentage,
+      slippageBps
+    })
+    const result = await switchService.executeCrossSwitch(user, plan, sessionKeyPrivate)
 
-    // Get current position
-    const positions = await erc4337Service.getPositions(user.smartAccountAddress)
-    const sourcePosition = sourceComet === 'USDC' ? positions.USDC : positions.WETH
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      })
+    }
 
-    if (!sourcePosition || BigInt(sourcePosition.collateral.balance) === 0n) {
+    // Tracked as PENDING - the transaction watcher settles it from the receipt
+    res.status(202).json(submittedResponse(result.transaction))
+  } catch (error) {
+    logger.error('Switch position error:', error)
+    next(error)
+  }
+}
+
+/**
+ * Preview a switch between Comets (dry run)
+ * Reports flash loan fee, swap output, refund, post-switch health of both Comets and gas
+ */
+async function previewSwitch(req, res, next) {
+  try {
+    const user = req.user
+    const { sourceComet, targetComet, collateralAsset, amount, percentage, slippageBps } = req.body
+
+    if (!user.smartAccountAddress) {
       return res.status(400).json({
         success: false,
-        error: 'No collateral in source Comet'
+        error: 'No smart account address found'
       })
     }
 
-    // Calculate amounts
-    const collateralAmount = amount
-      ? ethers.parseUnits(amount.toString(), 8) // WBTC has 8 decimals
-      : BigInt(sourcePosition.collateral.balance)
+    const plan = await switchService.planSwitch(user.smartAccountAddress, sourceComet, targetComet, {
+      collateralSymbol: collateralAsset,
+      amount,
+      percentage,
+      slippageBps
+    })
+    const preview = await switchService.previewSwitch(user.smartAccountAddress, plan)
+
+    res.json({
+      success: true,
+      data: { preview }
+    })
+  } catch (error) {
+    logger.error('Preview switch error:', error)
+    next(error)
+  }
+}
 
-    // Get actual debt from source Comet
-    const sourceCometContract = new ethers.Contract(sourceCometAddress, COMET_ABI, provider)
-    const actualDebt = await sourceCometContract.borrowBalanceOf(user.smartAccountAddress)
+/**
+ * Migrate a position between a Comet and Aave V3
+ */
+async function migratePosition(req, res, next) {
+  try {
+    const user = req.user
+    const { direction, comet, debtAsset, collateralAsset, percentage, slippageBps } = req.body
 
-    if (actualDebt === 0n) {
+    if (!user.smartAccountAddress) {
       return res.status(400).json({
         success: false,
-        error: 'No debt to switch. Supply collateral and borrow first.'
+        error: 'No smart account address found'
       })
     }
 
-    // Get current ETH/USDC price and calculate borrow amount
-    const ethPrice = await getEthUsdcPrice()
-    const borrowAmount = calculateBorrowAmount(actualDebt, sourceComet, ethPrice)
+    const sessionKeyPrivate = getSessionKey(user)
+    if (!sessionKeyPrivate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Session key not granted. Please complete account activation first.'
+      })
+    }
 
-    logger.info(`Switching position from ${sourceComet} to ${targetComet}`)
-    logger.info(`  Collateral: ${ethers.formatUnits(collateralAmount, 8)} WBTC`)
-    logger.info(`  Actual debt: ${sourceComet === 'USDC' ? ethers.formatUnits(actualDebt, 6) + ' USDC' : ethers.formatEther(actualDebt) + ' WETH'}`)
-    logger.info(`  Borrow amount: ${sourceComet === 'USDC' ? ethers.formatEther(borrowAmount) + ' WETH' : ethers.formatUnits(borrowAmount, 6) + ' USDC'}`)
-    logger.info(`  ETH price: $${ethPrice.toFixed(2)}`)
+    // Sized like a switch: slippage tolerance and minimum health factor on both sides
+    const plan = await migrationService.planMigration(user.smartAccountAddress, {
+      direction,
+      comet,
+      debtAsset,
+      collateralSymbol: collateralAsset,
+      percentage,
+      slippageBps
+    })
+    const result = await migrationService.executeMigration(user, plan, sessionKeyPrivate)
 
-    const result = await erc4337Service.executeCrossSwitch(
-      user.smartAccountAddress,
-      sourceCometAddress,
-      targetCometAddress,
-      collateralAmount.toString(),
-      borrowAmount.toString(),
-      sessionKeyPrivate
-    )
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error
+      })
+    }
 
-    // Save transaction
-    await Transaction.create({
-      user: user._id,
-      smartAccountAddress: user.smartAccountAddress,
-      type: 'SWITCH',
-      protocol: 'COMPOUND',
-      asset: collateralAsset || 'WBTC',
-      amount: ethers.formatUnits(collateralAmount, 8),
-      txHash: result.txHash,
-      userOpHash: result.userOpHash,
-      status: result.success ? 'SUCCESS' : 'FAILED',
-      metadata: { sourceComet, targetComet }
-    })
+    // Tracked as PENDING - the transaction watcher settles it from the receipt
+    res.status(202).json(submittedResponse(result.transaction))
+  } catch (error) {
+    logger.error('Migrate position error:', error)
+    next(error)
+  }
+}
 
-    // Get updated positions
-    const newPositions = await erc4337Service.getPositions(user.smartAccountAddress)
+/**
+ * Get the owner UserOp that approves the Switcher on Aave (credit delegation and
+ * aToken approvals) - signed once by the user before their first migration
+ */
+async function getMigrationSetupData(req, res, next) {
+  try {
+    const user = req.user
+
+    if (!user.smartAccountAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'No smart account address found'
+      })
+    }
+
+    const calls = await migrationService.buildSetupCalls(user.smartAccountAddress)
+    if (calls.length === 0) {
+      return res.json({
+        success: true,
+        data: {
+          alreadyApproved: true,
+          message: 'The Switcher is already approved on Aave'
+        }
+      })
+    }
+
+    const setupData = await erc4337Service.buildOwnerBatchUserOp(user.smartAccountAddress, calls)
+
+    // Stored so the confirmation submits exactly what the owner signed
+    user.migrationSetup = {
+      pendingUserOp: JSON.stringify(setupData.userOp),
+      pendingUserOpHash: setupData.userOpHash
+    }
+    await user.save()
 
     res.json({
+      success: true,
+      data: {
+        ...setupData,
+        approvals: calls.map(call => call.target),
+        message: 'Sign this UserOp with your Privy wallet to approve the Switcher on Aave'
+      }
+    })
+  } catch (error) {
+    logger.error('Migration setup error:', error)
+    next(error)
+  }
+}
+
+/**
+ * Submit the migration setup UserOp once the user has signed it
+ */
+async function confirmMigrationSetup(req, res, next) {
+  try {
+    const user = req.user
+    const { signature, userOpHash } = req.body
+
+    if (!signature) {
+      throw new ValidationError('Signature is required')
+    }
+    if (!user.migrationSetup?.pendingUserOp) {
+      throw new ValidationError('No pending migration setup found. Please request the setup data first.')
+    }
+    if (userOpHash && userOpHash !== user.migrationSetup.pendingUserOpHash) {
+      throw new ValidationError('userOpHash does not match the pending migration setup')
+    }
+
+    const result = await erc4337Service.submitSignedUserOp(JSON.parse(user.migrationSetup.pendingUserOp), signature)
+
+    if (result.success) {
+      user.migrationSetup = undefined
+      await user.save()
+    }
+
+    res.status(result.success ? 200 : 500).json({
       success: result.success,
       data: {
         txHash: result.txHash,
-        userOpHash: result.userOpHash,
-        gasUsed: result.gasUsed,
-        positions: newPositions
+        message: result.success
+          ? 'The Switcher is approved on Aave - migrations can now run with the session key'
+          : result.error || 'Failed to submit the migration setup'
       }
     })
   } catch (error) {
-    logger.error('Switch position error:', error)
+    logger.error('Confirm migration setup error:', error)
+    next(error)
+  }
+}
+
+/**
+ * Preview a migration between a Comet and Aave V3 (dry run)
+ * Reports flash loan fee, borrow and swap, refund, post-migration health of both sides and gas
+ */
+async function previewMigration(req, res, next) {
+  try {
+    const user = req.user
+    const { direction, comet, debtAsset, collateralAsset, percentage, slippageBps } = req.body
+
+    if (!user.smartAccountAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'No smart account address found'
+      })
+    }
+
+    const plan = await migrationService.planMigration(user.smartAccountAddress, {
+      direction,
+      comet,
+      debtAsset,
+      collateralSymbol: collateralAsset,
+      percentage,
+      slippageBps
+    })
+    const preview = await migrationService.previewMigration(user.smartAccountAddress, plan)
+
+    res.json({
+      success: true,
+      data: { preview }
+    })
+  } catch (error) {
+    logger.error('Preview migration error:', error)
+    next(error)
+  }
+}
+
+/**
+ * Auto-switch settings for a user, with the worker-wide settings that apply to them
+ */
+function describeAutoSwitch(user) {
+  const settings = user.autoSwitch || {}
+  return {
+    enabled: !!settings.enabled,
+    horizonDays: settings.horizonDays,
+    minSavingsUsd: settings.minSavingsUsd,
+    dryRun: settings.dryRun,
+    lastTriggeredAt: settings.lastTriggeredAt || null,
+    cooldownHours: config.autoSwitch.cooldownHours,
+    workerEnabled: config.autoSwitch.enabled,
+    forcedDryRun: config.autoSwitch.dryRun
+  }
+}
+
+/**
+ * Get auto-switch (rate arbitrage) settings
+ */
+async function getAutoSwitch(req, res, next) {
+  try {
+    res.json({
+      success: true,
+      data: { autoSwitch: describeAutoSwitch(req.user) }
+    })
+  } catch (error) {
+    logger.error('Get auto-switch error:', error)
+    next(error)
+  }
+}
+
+/**
+ * Update auto-switch settings (opt in/out, horizon, savings threshold, dry run)
+ */
+async function updateAutoSwitch(req, res, next) {
+  try {
+    const user = req.user
+    const { enabled, horizonDays, minSavingsUsd, dryRun } = req.body
+
+    for (const [field, value] of Object.entries({ enabled, dryRun })) {
+      if (value !== undefined && typeof value !== 'boolean') {
+        throw new ValidationError(`${field} must be true or false`)
+      }
+    }
+
+    if (horizonDays !== undefined && (!Number.isInteger(horizonDays) || horizonDays < 1 || horizonDays > 365)) {
+      throw new ValidationError('horizonDays must be an integer between 1 and 365')
+    }
+
+    if (minSavingsUsd !== undefined && (typeof minSavingsUsd !== 'number' || !Number.isFinite(minSavingsUsd) || minSavingsUsd < 0)) {
+      throw new ValidationError('minSavingsUsd must be a non-negative number')
+    }
+
+    // The worker switches with the session key, so it needs the switch permission
+    if (enabled && !(user.sessionKey?.isGranted && user.sessionKey.permissions?.includes('SWITCH_PROTOCOL'))) {
+      throw new ValidationError('Auto-switch needs a granted session key with the SWITCH_PROTOCOL permission')
+    }
+
+    if (enabled !== undefined) user.autoSwitch.enabled = enabled
+    if (horizonDays !== undefined) user.autoSwitch.horizonDays = horizonDays
+    if (minSavingsUsd !== undefined) user.autoSwitch.minSavingsUsd = minSavingsUsd
+    if (dryRun !== undefined) user.autoSwitch.dryRun = dryRun
+    await user.save()
+
+    logger.info(`Auto-switch settings updated for ${user.smartAccountAddress}: ${JSON.stringify(describeAutoSwitch(user))}`)
+
+    res.json({
+      success: true,
+      data: { autoSwitch: describeAutoSwitch(user) }
+    })
+  } catch (error) {
+    logger.error('Update auto-switch error:', error)
+    next(error)
+  }
+}
+
+/**
+ * Get the auto-switch execution log (executed, dry-run and failed switches)
+ */
+async function getAutoSwitchLog(req, res, next) {
+  try {
+    const user = req.user
+    const { limit = 20, offset = 0 } = req.query
+
+    const entries = await AutoSwitchLog.find({ user: user._id })
+      .sort({ createdAt: -1 })
+      .skip(parseInt(offset))
+      .limit(parseInt(limit))
+
+    const total = await AutoSwitchLog.countDocuments({ user: user._id })
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      }
+    })
+  } catch (error) {
+    logger.error('Get auto-switch log error:', error)
+    next(error)
+  }
+}
+
+const GUARDIAN_ACTIONS = ['REPAY', 'SUPPLY', 'DELEVER']
+
+/**
+ * Liquidation guardian settings for a user, with the actions their session key allows
+ */
+function describeGuardian(user) {
+  const settings = user.guardian || {}
+  return {
+    enabled: !!settings.enabled,
+    triggerHealthFactor: settings.triggerHealthFactor,
+    targetHealthFactor: settings.targetHealthFactor,
+    maxActionUsd: settings.maxActionUsd,
+    maxDailyUsd: settings.maxDailyUsd,
+    actions: settings.actions || [],
+    availableActions: guardianService.getAvailableActions(user),
+    lastActionAt: settings.lastActionAt || null,
+    workerEnabled: config.guardian.enabled
+  }
+}
+
+/**
+ * Get liquidation guardian settings
+ */
+async function getGuardian(req, res, next) {
+  try {
+    res.json({
+      success: true,
+      data: { guardian: describeGuardian(req.user) }
+    })
+  } catch (error) {
+    logger.error('Get guardian error:', error)
+    next(error)
+  }
+}
+
+/**
+ * Update liquidation guardian settings (opt in/out, health factors, limits, actions)
+ */
+async function updateGuardian(req, res, next) {
+  try {
+    const user = req.user
+    const { enabled, triggerHealthFactor, targetHealthFactor, maxActionUsd, maxDailyUsd, actions } = req.body
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      throw new ValidationError('enabled must be true or false')
+    }
+
+    for (const [field, value] of Object.entries({ triggerHealthFactor, targetHealthFactor })) {
+      if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 1)) {
+        throw new ValidationError(`${field} must be a number of at least 1`)
+      }
+    }
+
+    for (const [field, value] of Object.entries({ maxActionUsd, maxDailyUsd })) {
+      if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+        throw new ValidationError(`${field} must be a non-negative number`)
+      }
+    }
+
+    if (actions !== undefined && (!Array.isArray(actions) || actions.some(action => !GUARDIAN_ACTIONS.includes(action)))) {
+      throw new ValidationError(`actions must be a list of ${GUARDIAN_ACTIONS.join(', ')}`)
+    }
+
+    const trigger = triggerHealthFactor ?? user.guardian.triggerHealthFactor
+    const target = targetHealthFactor ?? user.guardian.targetHealthFactor
+    if (target <= trigger) {
+      throw new ValidationError('targetHealthFactor must be above triggerHealthFactor', { triggerHealthFactor: trigger, targetHealthFactor: target })
+    }
+
+    // The worker acts with the session key
+    if (enabled && !user.sessionKey?.isGranted) {
+      throw new ValidationError('The liquidation guardian needs a granted session key')
+    }
+
+    if (enabled !== undefined) user.guardian.enabled = enabled
+    if (triggerHealthFactor !== undefined) user.guardian.triggerHealthFactor = triggerHealthFactor
+    if (targetHealthFactor !== undefined) user.guardian.targetHealthFactor = targetHealthFactor
+    if (maxActionUsd !== undefined) user.guardian.maxActionUsd = maxActionUsd
+    if (maxDailyUsd !== undefined) user.guardian.maxDailyUsd = maxDailyUsd
+    // Keep the canonical order - it is the order actions are tried in
+    if (actions !== undefined) user.guardian.actions = GUARDIAN_ACTIONS.filter(action => actions.includes(action))
+    await user.save()
+
+    logger.info(`Guardian settings updated for ${user.smartAccountAddress}: ${JSON.stringify(describeGuardian(user))}`)
+
+    res.json({
+      success: true,
+      data: { guardian: describeGuardian(user) }
+    })
+  } catch (error) {
+    logger.error('Update guardian error:', error)
+    next(error)
+  }
+}
+
+/**
+ * Get liquidation guardian interventions (GUARDIAN transactions)
+ */
+async function getGuardianLog(req, res, next) {
+  try {
+    const user = req.user
+    const { limit = 20, offset = 0 } = req.query
+    const query = { user: user._id, type: 'GUARDIAN' }
+
+    const transactions = await Transaction.find(query)
+      .sort({ createdAt: -1 })
+      .skip(parseInt(offset))
+      .limit(parseInt(limit))
+
+    const total = await Transaction.countDocuments(query)
+
+    res.json({
+      success: true,
+      data: {
+        transactions,
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      }
+    })
+  } catch (error) {
+    logger.error('Get guardian log error:', error)
     next(error)
   }
 }
@@ -655,13 +1003,53 @@ async function getTransactions(req, res, next) {
   }
 }
 
+/**
+ * Get a single transaction (poll for PENDING -> SUCCESS/FAILED)
+ */
+async function getTransaction(req, res, next) {
+  try {
+    const user = req.user
+    const { id } = req.params
+
+    if (!mongoose.isValidObjectId(id)) {
+      throw new ValidationError('Invalid transaction id')
+    }
+
+    const transaction = await Transaction.findOne({ _id: id, user: user._id })
+    if (!transaction) {
+      throw new NotFoundError('Transaction not found')
+    }
+
+    res.json({
+      success: true,
+      data: { transaction }
+    })
+  } catch (error) {
+    logger.error('Get transaction error:', error)
+    next(error)
+  }
+}
+
 module.exports = {
   getPosition,
   getMarketComparison,
+  getMarketRegistry,
   supply,
   borrow,
   repay,
   withdraw,
   switchPosition,
-  getTransactions
+  previewSwitch,
+  migratePosition,
+  previewMigration,
+  getMigrationSetupData,
+  confirmMigrationSetup,
+  getAutoSwitch,
+  updateAutoSwitch,
+  getAutoSwitchLog,
+  getGuardian,
+  updateGuardian,
+  getGuardianLog,
+  getTransactions,
+  getTransaction
 }
@@ -0,0 +1,310 @@
+/**
+ * Notification Controller
+ *
+ * Handles notification settings for position events:
+ * - Email settings and health factor alert threshold
+ * - Webhook endpoints (create, update, delete, test ping)
+ * - Delivery log
+ *
+ * Deliveries are queued by notification.service and sent by the notification
+ * dispatcher worker.
+ */
+
+const mongoose = require('mongoose')
+const config = require('../config')
+const notificationService = require('../services/notification.service')
+const Webhook = require('../models/Webhook')
+const NotificationDelivery = require('../models/NotificationDelivery')
+const logger = require('../utils/logger')
+const { ValidationError, NotFoundError } = require('../utils/errors')
+
+const MAX_WEBHOOKS = 5
+
+/**
+ * Check a list of subscribed events
+ */
+function validateEvents(events, field = 'events') {
+  const known = notificationService.getEvents()
+  if (!Array.isArray(events) || events.length === 0 || events.some(event => !known.includes(event))) {
+    throw new ValidationError(`${field} must be a non-empty list of: ${known.join(', ')}`)
+  }
+}
+
+/**
+ * Webhook URLs must be HTTPS on a public address (http:// and local receivers only with
+ * WEBHOOK_ALLOW_INSECURE)
+ */
+async function validateWebhookUrl(url) {
+  let parsed
+  try {
+    parsed = new URL(url)
+  } catch (e) {
+    throw new ValidationError('url must be a valid URL')
+  }
+
+  const allowed = config.notifications.allowInsecureWebhooks ? ['https:', 'http:'] : ['https:']
+  if (!allowed.includes(parsed.protocol)) {
+    throw new ValidationError('Webhook url must use https')
+  }
+  if (parsed.username || parsed.password) {
+    throw new ValidationError('Webhook url must not contain credentials')
+  }
+  await notificationService.checkWebhookTarget(parsed.href)
+}
+
+/**
+ * Webhook as returned to the client (never the secret)
+ */
+function describeWebhook(webhook) {
+  return {
+    id: webhook._id,
+    url: webhook.url,
+    events: webhook.events,
+    active: webhook.active,
+    description: webhook.description || null,
+    lastDeliveryAt: webhook.lastDeliveryAt || null,
+    createdAt: webhook.createdAt
+  }
+}
+
+function describeSettings(user) {
+  const settings = user.notifications || {}
+  return {
+    email: {
+      enabled: !!settings.email?.enabled,
+      address: user.email,
+      events: settings.email?.events || []
+    },
+    healthFactorThreshold: settings.healthFactorThreshold,
+    events: notificationService.getEvents(),
+    emailTransport: notificationService.mailer.name
+  }
+}
+
+async function findWebhook(user, id) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new ValidationError('Invalid webhook id')
+  }
+
+  const webhook = await Webhook.findOne({ _id: id, user: user._id })
+  if (!webhook) {
+    throw new NotFoundError('Webhook not found')
+  }
+  return webhook
+}
+
+/**
+ * Get notification settings
+ */
+async function getSettings(req, res, next) {
+  try {
+    res.json({
+      success: true,
+      data: { notifications: describeSettings(req.user) }
+    })
+  } catch (error) {
+    logger.error('Get notification settings error:', error)
+    next(error)
+  }
+}
+
+/**
+ * Update notification settings (email on/off and events, health factor alert threshold)
+ */
+async function updateSettings(req, res, next) {
+  try {
+    const user = req.user
+    const { email, healthFactorThreshold } = req.body
+
+    if (email !== undefined) {
+      if (email.enabled !== undefined && typeof email.enabled !== 'boolean') {
+        throw new ValidationError('email.enabled must be true or false')
+      }
+      if (email.events !== undefined) {
+        validateEvents(email.events, 'email.events')
+      }
+    }
+
+    if (healthFactorThreshold !== undefined && (typeof healthFactorThreshold !== 'number' || !Number.isFinite(healthFactorThreshold) || healthFactorThreshold < 1)) {
+      throw new ValidationError('healthFactorThreshold must be a number of at least 1')
+    }
+
+    if (email?.enabled !== undefined) user.notifications.email.enabled = email.enabled
+    if (email?.events !== undefined) user.notifications.email.events = email.events
+    if (healthFactorThreshold !== undefined) {
+      user.notifications.healthFactorThreshold = healthFactorThreshold
+      // Re-evaluate every position against the new threshold
+      user.notifications.healthFactorBelow = []
+    }
+    await user.save()
+
+    res.json({
+      success: true,
+      data: { notifications: describeSettings(user) }
+    })
+  } catch (error) {
+    logger.error('Update notification settings error:', error)
+    next(error)
+  }
+}
+
+/**
+ * List the user's webhooks
+ */
+async function getWebhooks(req, res, next) {
+  try {
+    const webhooks = await Webhook.find({ user: req.user._id }).sort({ createdAt: 1 })
+
+    res.json({
+      success: true,
+      data: { webhooks: webhooks.map(describeWebhook) }
+    })
+  } catch (error) {
+    logger.error('Get webhooks error:', error)
+    next(error)
+  }
+}
+
+/**
+ * Register a webhook - the signing secret is only returned in this response
+ */
+async function createWebhook(req, res, next) {
+  try {
+    const user = req.user
+    const { url, events = notificationService.getEvents(), description } = req.body
+
+    await validateWebhookUrl(url)
+    validateEvents(events)
+
+    if (await Webhook.countDocuments({ user: user._id }) >= MAX_WEBHOOKS) {
+      throw new ValidationError(`At most ${MAX_WEBHOOKS} webhooks per account`)
+    }
+
+    const { webhook, secret } = await notificationService.createWebhook(user, {
+      url,
+      events,
+      description: typeof description === 'string' ? description.slice(0, 200) : undefined
+    })
+
+    logger.info(`Webhook ${webhook._id} registered for ${user.smartAccountAddress}: ${url}`)
+
+    res.status(201).json({
+      success: true,
+      data: { webhook: describeWebhook(webhook), secret }
+    })
+  } catch (error) {
+    logger.error('Create webhook error:', error)
+    next(error)
+  }
+}
+
+/**
+ * Update a webhook (url, events, active)
+ */
+async function updateWebhook(req, res, next) {
+  try {
+    const webhook = await findWebhook(req.user, req.params.id)
+    const { url, events, active } = req.body
+
+    if (url !== undefined) await validateWebhookUrl(url)
+    if (events !== undefined) validateEvents(events)
+    if (active !== undefined && typeof active !== 'boolean') {
+      throw new ValidationError('active must be true or false')
+    }
+
+    if (url !== undefined) webhook.url = url
+    if (events !== undefined) webhook.events = events
+    if (active !== undefined) webhook.active = active
+    await webhook.save()
+
+    res.json({
+      success: true,
+      data: { webhook: describeWebhook(webhook) }
+    })
+  } catch (error) {
+    logger.error('Update webhook error:', error)
+    next(error)
+  }
+}
+
+/**
+ * Delete a webhook (pending deliveries to it fail on their next attempt)
+ */
+async function deleteWebhook(req, res, next) {
+  try {
+    const webhook = await findWebhook(req.user, req.params.id)
+    await webhook.deleteOne()
+
+    logger.info(`Webhook ${webhook._id} deleted for ${req.user.smartAccountAddress}`)
+
+    res.json({ success: true })
+  } catch (error) {
+    logger.error('Delete webhook error:', error)
+    next(error)
+  }
+}
+
+/**
+ * Queue a signed ping to a webhook
+ */
+async function testWebhook(req, res, next) {
+  try {
+    const webhook = await findWebhook(req.user, req.params.id)
+    if (!webhook.active) {
+      throw new ValidationError('Webhook is disabled')
+    }
+
+    const delivery = await notificationService.pingWebhook(req.user, webhook)
+
+    res.status(202).json({
+      success: true,
+      data: { deliveryId: delivery._id, status: delivery.status }
+    })
+  } catch (error) {
+    logger.error('Test webhook error:', error)
+    next(error)
+  }
+}
+
+/**
+ * Get the notification delivery log
+ */
+async function getDeliveries(req, res, next) {
+  try {
+    const user = req.user
+    const { limit = 20, offset = 0 } = req.query
+
+    const deliveries = await NotificationDelivery.find({ user: user._id })
+      .sort({ createdAt: -1 })
+      .skip(parseInt(offset))
+      .limit(parseInt(limit))
+
+    const total = await NotificationDelivery.countDocuments({ user: user._id })
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      }
+    })
+  } catch (error) {
+    logger.error('Get notification deliveries error:', error)
+    next(error)
+  }
+}
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  testWebhook,
+  getDeliveries
+}
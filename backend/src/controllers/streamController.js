@@ -0,0 +1,79 @@
+/**
+ * Stream Controller
+ *
+ * Server-sent event stream of account updates for the dashboard:
+ * - positions, balances and markets snapshots on connect
+ * - positions / balances on new blocks, markets when rates change
+ * - transaction on every recorded transaction and status change
+ *
+ * Streams are authenticated like every other route (Privy bearer token) and
+ * closed after REALTIME_MAX_CONNECTION_MS so clients reconnect with a fresh token.
+ */
+
+const config = require('../config')
+const marketService = require('../services/market.service')
+const realtimeService = require('../services/realtime.service')
+const logger = require('../utils/logger')
+const { AppError } = require('../utils/errors')
+
+// Reconnect delay suggested to EventSource-compatible clients
+const RETRY_MS = 3000
+
+/**
+ * Open the event stream
+ */
+async function stream(req, res, next) {
+  try {
+    const user = req.user
+
+    if (!user.smartAccountAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'No smart account address found'
+      })
+    }
+
+    if (realtimeService.getConnectionCount(user._id) >= config.realtime.maxConnectionsPerUser) {
+      throw new AppError(`At most ${config.realtime.maxConnectionsPerUser} open streams per account`, 429)
+    }
+
+    // Read the initial state before opening the stream, so failures still get a JSON error
+    const [state, markets] = await Promise.all([
+      realtimeService.getAccountState(user.smartAccountAddress),
+      marketService.getMarkets()
+    ])
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Don't let nginx buffer events
+      'X-Accel-Buffering': 'no'
+    })
+    res.write(`retry: ${RETRY_MS}\n\n`)
+
+    realtimeService.send(res, 'positions', state.positions)
+    realtimeService.send(res, 'balances', state.balances)
+    realtimeService.send(res, 'markets', { markets })
+
+    const removeClient = realtimeService.addClient(user._id, res)
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.realtime.heartbeatMs)
+    const expiry = setTimeout(() => res.end(), config.realtime.maxConnectionMs)
+
+    logger.debug(`Stream opened for ${user.smartAccountAddress}`)
+
+    req.on('close', () => {
+      clearInterval(heartbeat)
+      clearTimeout(expiry)
+      removeClient()
+      logger.debug(`Stream closed for ${user.smartAccountAddress}`)
+    })
+  } catch (error) {
+    logger.error('Stream error:', error)
+    next(error)
+  }
+}
+
+module.exports = {
+  stream
+}
@@ -5,11 +5,20 @@ const config = require('./config');
 const connectDB = require('./config/database');
 const logger = require('./utils/logger');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const transactionWatcher = require('./workers/transactionWatcher');
+const autoSwitcher = require('./workers/autoSwitcher');
+const liquidationGuardian = require('./workers/liquidationGuardian');
+const notificationDispatcher = require('./workers/notificationDispatcher');
+const notificationMonitor = require('./workers/notificationMonitor');
+const realtimePublisher = require('./workers/realtimePublisher');
+const realtimeService = require('./services/realtime.service');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const accountRoutes = require('./routes/account');
 const defiRoutes = require('./routes/defi');
+const notificationRoutes = require('./routes/notifications');
+const streamRoutes = require('./routes/stream');
 
 // Create Express app
 const app = express();
@@ -47,6 +56,8 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/account', accountRoutes);
 app.use('/api/defi', defiRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/stream', streamRoutes);
 
 // Error handling
 app.use(notFoundHandler);
@@ -66,12 +77,42 @@ async function startServer() {
       logger.info(`Chain ID: ${config.blockchain.chainId}`);
     });
 
+    // Settle PENDING transactions in the background
+    transactionWatcher.start();
+
+    // Deliver webhook / email notifications and raise health factor and key expiry alerts
+    notificationDispatcher.start();
+    notificationMonitor.start();
+
+    // Push positions, balances and rates to open dashboard streams on new blocks
+    realtimePublisher.start();
+
+    // Opt-in rate-arbitrage switching
+    if (config.autoSwitch.enabled) {
+      autoSwitcher.start();
+    }
+
+    // Opt-in liquidation protection
+    if (config.guardian.enabled) {
+      liquidationGuardian.start();
+    }
+
     // Graceful shutdown
     const mongoose = require('mongoose');
 
     const shutdown = async (signal) => {
       logger.info(`${signal} received. Shutting down gracefully...`);
 
+      transactionWatcher.stop();
+      notificationDispatcher.stop();
+      notificationMonitor.stop();
+      realtimePublisher.stop();
+      autoSwitcher.stop();
+      liquidationGuardian.stop();
+
+      // Open event streams would keep server.close() waiting
+      realtimeService.closeAll();
+
       server.close(async () => {
         logger.info('HTTP server closed');
 
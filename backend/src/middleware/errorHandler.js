@@ -1,10 +1,54 @@
 const logger = require('../utils/logger');
 const { AppError } = require('../utils/errors');
+const { getFailedOpReason } = require('../utils/revertDecoder');
+
+/**
+ * EntryPoint v0.6 FailedOp codes (AAxx) and how to surface them
+ * AA1x: account creation, AA2x: account, AA3x: paymaster, AA4x: gas, AA5x: postOp, AA9x: bundler
+ */
+const ENTRYPOINT_FAILURES = {
+  AA10: { statusCode: 409, errorCode: 'ACCOUNT_ALREADY_DEPLOYED', userMessage: 'The smart account is already deployed.', actionRequired: 'Retry without deploying the account' },
+  AA13: { statusCode: 400, errorCode: 'ACCOUNT_DEPLOYMENT_FAILED', userMessage: 'The smart account could not be deployed.', actionRequired: 'Check the account factory configuration' },
+  AA20: { statusCode: 400, errorCode: 'ACCOUNT_NOT_DEPLOYED', userMessage: 'The smart account has not been deployed yet.', actionRequired: 'Create the smart account first' },
+  AA21: { statusCode: 400, errorCode: 'ACCOUNT_PREFUND_FAILED', userMessage: 'The smart account could not pay for gas.', actionRequired: 'Fund the smart account or use the paymaster' },
+  AA22: { statusCode: 400, errorCode: 'USEROP_EXPIRED', userMessage: 'The operation is outside its valid time range.', actionRequired: 'Renew the session key and retry' },
+  AA23: { statusCode: 400, errorCode: 'ACCOUNT_VALIDATION_REVERTED', userMessage: 'The smart account rejected the operation.', actionRequired: 'Check session key permissions' },
+  AA24: { statusCode: 403, errorCode: 'INVALID_USEROP_SIGNATURE', userMessage: 'The operation signature was rejected. The session key may be missing, expired or not permitted for this call.', actionRequired: 'Re-register the session key' },
+  AA25: { statusCode: 409, errorCode: 'NONCE_ERROR', userMessage: 'Transaction nonce conflict. Please try again.', actionRequired: 'Retry the transaction' },
+  AA30: { statusCode: 503, errorCode: 'PAYMASTER_NOT_DEPLOYED', userMessage: 'The gas sponsor is not available on this network.', actionRequired: 'Check PAYMASTER_V06_ADDRESS' },
+  AA31: { statusCode: 503, errorCode: 'PAYMASTER_DEPOSIT_LOW', userMessage: 'The gas sponsor has run out of funds.', actionRequired: 'Top up the paymaster deposit on the EntryPoint' },
+  AA32: { statusCode: 400, errorCode: 'PAYMASTER_EXPIRED', userMessage: 'Gas sponsorship for this operation has expired.', actionRequired: 'Retry the transaction' },
+  AA33: { statusCode: 503, errorCode: 'PAYMASTER_VALIDATION_REVERTED', userMessage: 'The gas sponsor rejected the operation.', actionRequired: 'Check the paymaster deposit and configuration' },
+  AA34: { statusCode: 503, errorCode: 'PAYMASTER_SIGNATURE_ERROR', userMessage: 'The gas sponsor signature was rejected.', actionRequired: 'Check the paymaster configuration' },
+  AA40: { statusCode: 400, errorCode: 'USEROP_GAS_TOO_LOW', userMessage: 'The operation ran out of verification gas.', actionRequired: 'Retry the transaction' },
+  AA41: { statusCode: 400, errorCode: 'USEROP_GAS_TOO_LOW', userMessage: 'The operation ran out of verification gas.', actionRequired: 'Retry the transaction' },
+  AA51: { statusCode: 400, errorCode: 'USEROP_GAS_TOO_LOW', userMessage: 'The prepaid gas did not cover the operation.', actionRequired: 'Retry the transaction' }
+};
+
+// Fallbacks by code family (first digit) for codes not listed above
+const ENTRYPOINT_FAILURE_FAMILIES = {
+  1: { statusCode: 400, errorCode: 'ACCOUNT_DEPLOYMENT_FAILED', userMessage: 'The smart account could not be deployed.', actionRequired: 'Check the account factory configuration' },
+  2: { statusCode: 400, errorCode: 'ACCOUNT_VALIDATION_REVERTED', userMessage: 'The smart account rejected the operation.', actionRequired: 'Check session key permissions' },
+  3: { statusCode: 503, errorCode: 'PAYMASTER_VALIDATION_REVERTED', userMessage: 'The gas sponsor rejected the operation.', actionRequired: 'Check the paymaster deposit and configuration' },
+  4: { statusCode: 400, errorCode: 'USEROP_GAS_TOO_LOW', userMessage: 'The operation ran out of verification gas.', actionRequired: 'Retry the transaction' },
+  5: { statusCode: 400, errorCode: 'USEROP_GAS_TOO_LOW', userMessage: 'The prepaid gas did not cover the operation.', actionRequired: 'Retry the transaction' },
+  9: { statusCode: 503, errorCode: 'BUNDLER_ERROR', userMessage: 'The operation could not be bundled.', actionRequired: 'Try again later' }
+};
 
 /**
  * Parse blockchain/RPC errors and return user-friendly messages
  */
 function parseBlockchainError(err) {
+  // Check for EntryPoint FailedOp (handleOps / simulateValidation / bundler rejections)
+  const failedOpReason = getFailedOpReason(err);
+  if (failedOpReason) {
+    const code = failedOpReason.slice(0, 4);
+    const failure = ENTRYPOINT_FAILURES[code] || ENTRYPOINT_FAILURE_FAMILIES[code[2]];
+    if (failure) {
+      return { ...failure, failedOpReason };
+    }
+  }
+
   // Check for Tenderly quota limit error
   if (err.error?.code === -32004 || err.message?.includes('quota limit')) {
     return {
@@ -102,7 +146,8 @@ function errorHandler(err, req, res, next) {
       success: false,
       error: blockchainError.userMessage,
       errorCode: blockchainError.errorCode,
-      actionRequired: blockchainError.actionRequired
+      actionRequired: blockchainError.actionRequired,
+      details: blockchainError.failedOpReason ? { failedOpReason: blockchainError.failedOpReason } : undefined
     });
   }
 
@@ -111,6 +156,7 @@ function errorHandler(err, req, res, next) {
     return res.status(err.statusCode).json({
       success: false,
       error: err.message,
+      errorCode: err.errorCode || undefined,
       details: err.details || undefined
     });
   }
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One record per auto-switch decision to move a position (executed, dry run or failed)
+const autoSwitchLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  smartAccountAddress: {
+    type: String,
+    lowercase: true
+  },
+  decision: {
+    type: String,
+    required: true,
+    enum: ['EXECUTED', 'DRY_RUN', 'FAILED']
+  },
+  sourceComet: String,
+  targetComet: String,
+  // Borrow APRs as fractions (0.048 = 4.8%) when the decision was made
+  sourceBorrowApr: Number,
+  targetBorrowApr: Number,
+  debtUsd: Number,
+  horizonDays: Number,
+  // Interest saved over the horizon, before costs
+  projectedSavingsUsd: Number,
+  costs: {
+    flashFeeUsd: Number,
+    // Swap pool fee plus price impact
+    swapCostUsd: Number,
+    gasUsd: Number,
+    totalUsd: Number
+  },
+  netSavingsUsd: Number,
+  minSavingsUsd: Number,
+  // SWITCH transaction submitted for an EXECUTED decision
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  error: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+autoSwitchLogSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AutoSwitchLog', autoSwitchLogSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One notification event on its way to one channel (webhook or email), retried with backoff
+const notificationDeliverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true,
+    enum: ['WEBHOOK', 'EMAIL']
+  },
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook'
+  },
+  // Webhook URL or email address
+  target: String,
+  // Event body - the JSON posted to webhooks, rendered into emails
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'DELIVERED', 'FAILED'],
+    default: 'PENDING'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // HTTP status of the last webhook attempt
+  responseStatus: Number,
+  lastError: String,
+  deliveredAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+notificationDeliverySchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
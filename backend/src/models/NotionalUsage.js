@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Session key notional a user has used in the rolling 24h window (see policy.service)
+// One document per user, so a reservation can be checked and taken in a single update
+const notionalUsageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Allowed operations, pruned once they leave the window
+  // _id is set by policy.service, which releases a reservation by it if the operation is never submitted
+  reservations: [{
+    notionalUsd: {
+      type: Number,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      required: true
+    }
+  }]
+});
+
+module.exports = mongoose.model('NotionalUsage', notionalUsageSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One record per policy decision on a batch of session key calls
+const sessionKeyAuditSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  smartAccountAddress: {
+    type: String,
+    lowercase: true
+  },
+  sessionKeyAddress: {
+    type: String,
+    lowercase: true
+  },
+  // Operation the calls belong to (SUPPLY, BORROW, SWITCH, ...)
+  action: String,
+  decision: {
+    type: String,
+    required: true,
+    enum: ['ALLOWED', 'DENIED']
+  },
+  reason: String,
+  calls: [{
+    _id: false,
+    target: {
+      type: String,
+      lowercase: true
+    },
+    selector: String,
+    functionName: String,
+    // Permission that allowed the call (unset if denied)
+    permission: String,
+    args: mongoose.Schema.Types.Mixed
+  }],
+  // USD value counted against the daily notional cap
+  notionalUsd: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+sessionKeyAuditSchema.index({ user: 1, createdAt: -1 });
+sessionKeyAuditSchema.index({ user: 1, decision: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SessionKeyAudit', sessionKeyAuditSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const markets = require('../config/markets');
 
 const transactionSchema = new mongoose.Schema({
   user: {
@@ -14,11 +15,13 @@ const transactionSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['DEPOSIT', 'SWAP', 'SUPPLY', 'BORROW', 'REPAY', 'WITHDRAW', 'SWITCH', 'SWITCH_PROTOCOL']
+    // GUARDIAN: liquidation guardian intervention (metadata.action: REPAY, SUPPLY or DELEVER)
+    enum: ['DEPOSIT', 'SWAP', 'SUPPLY', 'BORROW', 'REPAY', 'WITHDRAW', 'SWITCH', 'SWITCH_PROTOCOL', 'MIGRATE', 'GUARDIAN']
   },
   protocol: {
     type: String,
-    enum: ['AAVE', 'COMPOUND', 'COMPOUND_USDC', 'COMPOUND_WETH', 'UNISWAP', null]
+    // Per-Comet protocols come from the market registry (COMPOUND_USDC, COMPOUND_WETH, ...)
+    enum: ['AAVE', 'COMPOUND', ...markets.getMarkets().map(market => market.protocol), 'UNISWAP', null]
   },
   asset: {
     type: String
@@ -42,9 +45,9 @@ const transactionSchema = new mongoose.Schema({
     symbol: String,
     amount: String
   },
+  // Set once the UserOp is included (unknown while PENDING when submitted via a bundler)
   txHash: {
     type: String,
-    required: true,
     lowercase: true
   },
   userOpHash: {
@@ -75,5 +78,7 @@ const transactionSchema = new mongoose.Schema({
 // Index for efficient queries
 transactionSchema.index({ user: 1, createdAt: -1 });
 transactionSchema.index({ txHash: 1 });
+transactionSchema.index({ userOpHash: 1 });
+transactionSchema.index({ status: 1, createdAt: 1 });
 
 module.exports = mongoose.model('Transaction', transactionSchema);
@@ -35,21 +35,140 @@ const userSchema = new mongoose.Schema({
     // Encrypted private key - ONLY the backend can decrypt and use this
     encryptedPrivateKey: String,
     expiresAt: Date,
+    // Actions the key may perform - each maps to allowlisted selectors and
+    // token spend limits on-chain (see permissions.service)
     permissions: [{
       type: String,
-      enum: ['SWAP', 'SUPPLY', 'BORROW', 'REPAY', 'SWITCH_PROTOCOL']
+      enum: ['SWAP', 'SUPPLY', 'BORROW', 'REPAY', 'WITHDRAW', 'SWITCH_PROTOCOL', 'AAVE_SUPPLY', 'AAVE_BORROW', 'AAVE_REPAY', 'AAVE_WITHDRAW', 'MIGRATE_PROTOCOL']
     }],
+    // Version of the on-chain permission rules the key was registered with
+    // (permissions.service PERMISSIONS_VERSION) - unset on keys registered before versions were recorded
+    permissionsVersion: Number,
     // True only after user has signed the registration UserOp
     isGranted: {
       type: Boolean,
       default: false
     },
-    // Temporary storage for pending registration UserOp (cleared after confirmation)
+    // Temporary storage for pending owner-signed UserOp (cleared after confirmation)
+    pendingUserOp: {
+      type: String  // JSON stringified UserOp data
+    },
+    pendingUserOpHash: String,
+    // What the pending UserOp does to the session key
+    pendingAction: {
+      type: String,
+      enum: ['REGISTER', 'REVOKE', 'ROTATE', 'RENEW']
+    },
+    // New expiry for a pending renewal - applied once the time range is updated on-chain
+    pendingExpiresAt: Date,
+    // Replacement key for a pending rotation - becomes the session key once rotated on-chain
+    pendingKey: {
+      address: {
+        type: String,
+        lowercase: true
+      },
+      encryptedPrivateKey: String
+    }
+  },
+  // Owner-signed Aave approvals for the Switcher (see migration.service buildSetupCalls)
+  migrationSetup: {
+    // Pending owner UserOp until the user's signature comes back (cleared after confirmation)
     pendingUserOp: {
       type: String  // JSON stringified UserOp data
     },
     pendingUserOpHash: String
   },
+  // Opt-in rate-arbitrage switching (see workers/autoSwitcher)
+  autoSwitch: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Borrow savings are projected over this many days
+    horizonDays: {
+      type: Number,
+      default: 30,
+      min: 1,
+      max: 365
+    },
+    // Switch only when projected savings, net of switch costs, exceed this (USD)
+    minSavingsUsd: {
+      type: Number,
+      default: 25,
+      min: 0
+    },
+    // Log the switch that would be made without submitting it
+    dryRun: {
+      type: Boolean,
+      default: true
+    },
+    // Last switch (or dry run) - starts the per-user cooldown
+    lastTriggeredAt: Date
+  },
+  // Liquidation protection (see workers/liquidationGuardian)
+  guardian: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Act when a Comet position's health factor falls below this
+    triggerHealthFactor: {
+      type: Number,
+      default: 1.2,
+      min: 1
+    },
+    // Size each intervention to bring the health factor back up to this
+    targetHealthFactor: {
+      type: Number,
+      default: 1.5,
+      min: 1
+    },
+    // Most a single intervention may move (USD)
+    maxActionUsd: {
+      type: Number,
+      default: 5000,
+      min: 0
+    },
+    // Most all interventions may move in a rolling 24h window (USD)
+    maxDailyUsd: {
+      type: Number,
+      default: 20000,
+      min: 0
+    },
+    // Protective actions the guardian may take, tried in this order
+    actions: {
+      type: [{
+        type: String,
+        enum: ['REPAY', 'SUPPLY', 'DELEVER']
+      }],
+      default: ['REPAY', 'SUPPLY', 'DELEVER']
+    },
+    lastActionAt: Date
+  },
+  // Email notifications and alert state (webhooks live in the Webhook collection)
+  notifications: {
+    email: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      // Events emailed to User.email (notification.service EVENTS)
+      events: {
+        type: [String],
+        default: ['transaction.failed', 'switch.executed', 'health_factor.threshold_crossed', 'session_key.expiring']
+      }
+    },
+    // health_factor.threshold_crossed fires when a position crosses this (either direction)
+    healthFactorThreshold: {
+      type: Number,
+      default: 1.3,
+      min: 1
+    },
+    // Markets (registry keys) currently below the threshold - alerts fire on changes only
+    healthFactorBelow: [String],
+    // Session key expiry already warned about (one warning per key validity window)
+    sessionKeyExpiryNotifiedFor: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
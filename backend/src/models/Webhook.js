@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// HTTPS endpoint a user registered for notification events (see notification.service)
+const webhookSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // HMAC signing secret, encrypted - shown to the user once, when the webhook is created
+  encryptedSecret: {
+    type: String,
+    required: true
+  },
+  // Events delivered to this endpoint (notification.service EVENTS)
+  events: [String],
+  active: {
+    type: Boolean,
+    default: true
+  },
+  description: String,
+  lastDeliveryAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Webhook', webhookSchema);
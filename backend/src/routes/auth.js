@@ -14,6 +14,14 @@ router.get('/session-key/registration-data', authController.getSessionKeyRegistr
 router.post('/session-key/confirm', authController.confirmSessionKeyRegistration);
 router.get('/session-key/status', authController.getSessionKeyStatus);
 
+// Session key revocation / rotation / renewal (owner-signed, same prepare + confirm flow)
+router.get('/session-key/revocation-data', authController.getSessionKeyRevocationData);
+router.post('/session-key/revoke', authController.confirmSessionKeyRevocation);
+router.get('/session-key/rotation-data', authController.getSessionKeyRotationData);
+router.post('/session-key/rotate', authController.confirmSessionKeyRotation);
+router.get('/session-key/renewal-data', authController.getSessionKeyRenewalData);
+router.post('/session-key/renew', authController.confirmSessionKeyRenewal);
+
 router.get('/profile', authController.getProfile);
 
 module.exports = router;
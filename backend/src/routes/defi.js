@@ -6,12 +6,16 @@ const { authenticatePrivy } = require('../middleware/auth')
 // All routes require authentication
 router.use(authenticatePrivy)
 
-// Get current position
+// Get current position (Compound V3 by default, ?protocol=AAVE for Aave V3)
 router.get('/position', defiController.getPosition)
 
-// Get market comparison
+// Get market comparison (?protocol=AAVE for Aave V3 reserves)
 router.get('/markets', defiController.getMarketComparison)
 
+// Get the market registry (supported Comets and switch targets)
+router.get('/registry', defiController.getMarketRegistry)
+
+// Supply, borrow, repay and withdraw take { protocol: 'AAVE' } for Aave V3
 // Supply collateral
 router.post('/supply', defiController.supply)
 
@@ -24,10 +28,40 @@ router.post('/repay', defiController.repay)
 // Withdraw
 router.post('/withdraw', defiController.withdraw)
 
+// Preview a switch (dry run against current fork state)
+router.post('/switch/preview', defiController.previewSwitch)
+
 // Switch position between Comets
 router.post('/switch', defiController.switchPosition)
 
+// Preview a Compound <-> Aave V3 migration
+router.post('/migrate/preview', defiController.previewMigration)
+
+// Migrate position between a Comet and Aave V3
+router.post('/migrate', defiController.migratePosition)
+
+// Owner-signed Aave approvals for the Switcher (once, before the first migration)
+router.get('/migrate/setup-data', defiController.getMigrationSetupData)
+router.post('/migrate/setup', defiController.confirmMigrationSetup)
+
+// Auto-switch (rate arbitrage) settings
+router.get('/auto-switch', defiController.getAutoSwitch)
+router.put('/auto-switch', defiController.updateAutoSwitch)
+
+// Auto-switch execution log
+router.get('/auto-switch/log', defiController.getAutoSwitchLog)
+
+// Liquidation guardian settings
+router.get('/guardian', defiController.getGuardian)
+router.put('/guardian', defiController.updateGuardian)
+
+// Liquidation guardian interventions
+router.get('/guardian/log', defiController.getGuardianLog)
+
 // Get transaction history
 router.get('/transactions', defiController.getTransactions)
 
+// Get a single transaction (status polling)
+router.get('/transactions/:id', defiController.getTransaction)
+
 module.exports = router
@@ -0,0 +1,25 @@
+const express = require('express')
+const router = express.Router()
+const notificationController = require('../controllers/notificationController')
+const { authenticatePrivy } = require('../middleware/auth')
+
+// All routes require authentication
+router.use(authenticatePrivy)
+
+// Email settings and health factor alert threshold
+router.get('/settings', notificationController.getSettings)
+router.put('/settings', notificationController.updateSettings)
+
+// Webhook endpoints
+router.get('/webhooks', notificationController.getWebhooks)
+router.post('/webhooks', notificationController.createWebhook)
+router.patch('/webhooks/:id', notificationController.updateWebhook)
+router.delete('/webhooks/:id', notificationController.deleteWebhook)
+
+// Send a signed ping to a webhook
+router.post('/webhooks/:id/test', notificationController.testWebhook)
+
+// Delivery log (webhooks and emails)
+router.get('/deliveries', notificationController.getDeliveries)
+
+module.exports = router
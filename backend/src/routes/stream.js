@@ -0,0 +1,9 @@
+const express = require('express')
+const router = express.Router()
+const streamController = require('../controllers/streamController')
+const { authenticatePrivy } = require('../middleware/auth')
+
+// Server-sent events: transaction status, positions / balances per block, market rates
+router.get('/', authenticatePrivy, streamController.stream)
+
+module.exports = router
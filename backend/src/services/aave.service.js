@@ -0,0 +1,319 @@
+/**
+ * Aave V3 Service
+ *
+ * Adapter for the Aave V3 Pool described by the market registry (AAVE):
+ * - Reserve rates (supply and variable borrow APR/APY) and collateral parameters
+ * - Account positions: aToken collateral, variable debt and risk from getUserAccountData
+ * - Session key calls for supply, borrow (variable rate), repay and withdraw
+ *
+ * Aave reports values in its base currency, USD with 8 decimals.
+ */
+
+const { ethers } = require('ethers')
+const config = require('../config')
+const markets = require('../config/markets')
+const marketService = require('./market.service')
+const { BPS_DENOMINATOR: BPS } = require('../utils/sizing')
+
+const SECONDS_PER_YEAR = 31536000
+// Aave's base currency (USD) and oracle prices use 8 decimals
+const BASE_DECIMALS = 8
+// Stable rate borrowing is disabled on Aave V3 Ethereum - every loan is variable rate
+const VARIABLE_RATE_MODE = 2n
+const REFERRAL_CODE = 0
+
+const POOL_ABI = [
+  'function supply(address asset, uint256 amount, address onBehalfOf, uint16 referralCode)',
+  'function withdraw(address asset, uint256 amount, address to) returns (uint256)',
+  'function borrow(address asset, uint256 amount, uint256 interestRateMode, uint16 referralCode, address onBehalfOf)',
+  'function repay(address asset, uint256 amount, uint256 interestRateMode, address onBehalfOf) returns (uint256)',
+  'function getUserAccountData(address user) view returns (uint256 totalCollateralBase, uint256 totalDebtBase, uint256 availableBorrowsBase, uint256 currentLiquidationThreshold, uint256 ltv, uint256 healthFactor)',
+  'function getReserveData(address asset) view returns (tuple(uint256 configuration, uint128 liquidityIndex, uint128 currentLiquidityRate, uint128 variableBorrowIndex, uint128 currentVariableBorrowRate, uint128 currentStableBorrowRate, uint40 lastUpdateTimestamp, uint16 id, address aTokenAddress, address stableDebtTokenAddress, address variableDebtTokenAddress, address interestRateStrategyAddress, uint128 accruedToTreasury, uint128 unbacked, uint128 isolationModeTotalDebt))',
+]
+
+const ORACLE_ABI = [
+  'function getAssetsPrices(address[] assets) view returns (uint256[])',
+]
+
+const ERC20_ABI = [
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function balanceOf(address account) view returns (uint256)',
+]
+
+/**
+ * Format a base currency (8 decimal) value for display
+ */
+function formatValue(value) {
+  return {
+    value: value.toString(),
+    formatted: Number(ethers.formatUnits(value, BASE_DECIMALS)).toFixed(2)
+  }
+}
+
+function formatPercent(fraction) {
+  return `${(fraction * 100).toFixed(2)}%`
+}
+
+/**
+ * Convert an Aave yearly rate (ray, 27 decimals) to APR and APY fractions
+ * APR is what the Pool reports, APY compounds every second
+ */
+function annualizeRate(rateRay) {
+  const apr = Number(ethers.formatUnits(rateRay, 27))
+  const apy = Math.expm1(SECONDS_PER_YEAR * Math.log1p(apr / SECONDS_PER_YEAR))
+  return { apr, apy }
+}
+
+/**
+ * Loan-to-value and liquidation threshold (basis points) from a reserve configuration bitmap
+ */
+function decodeConfiguration(configuration) {
+  const bits = BigInt(configuration)
+  return {
+    ltv: Number(bits & 0xFFFFn),
+    liquidationThreshold: Number((bits >> 16n) & 0xFFFFn)
+  }
+}
+
+class AaveService {
+  constructor() {
+    this.market = markets.getAaveMarket()
+    this.provider = new ethers.JsonRpcProvider(config.blockchain.rpcUrl)
+    this.pool = new ethers.Contract(this.market.pool, POOL_ABI, this.provider)
+    this.oracle = new ethers.Contract(this.market.oracle, ORACLE_ABI, this.provider)
+    this.poolIface = new ethers.Interface(POOL_ABI)
+    this.erc20Iface = new ethers.Interface(ERC20_ABI)
+  }
+
+  /**
+   * Registry tokens listed on Aave (collaterals and borrowable assets)
+   */
+  getAssets() {
+    return [...new Set([...this.market.collaterals, ...this.market.borrowAssets])].map(markets.getToken)
+  }
+
+  /**
+   * Reserve of an asset: aToken / variable debt token, current rates and collateral parameters
+   * Cached with the Comet market reads
+   */
+  async getReserve(token) {
+    return marketService.cached(`aave:reserve:${token.address.toLowerCase()}`, async () => {
+      const data = await this.pool.getReserveData(token.address)
+      return {
+        aToken: data.aTokenAddress,
+        variableDebtToken: data.variableDebtTokenAddress,
+        liquidityRate: data.currentLiquidityRate,
+        variableBorrowRate: data.currentVariableBorrowRate,
+        ...decodeConfiguration(data.configuration)
+      }
+    })
+  }
+
+  /**
+   * Read the Aave market: per-asset rates and collateral parameters
+   */
+  async getMarket() {
+    const tokens = this.getAssets()
+    const reserves = await Promise.all(tokens.map(token => this.getReserve(token)))
+
+    const assets = {}
+    tokens.forEach((token, i) => {
+      const reserve = reserves[i]
+      const supply = annualizeRate(reserve.liquidityRate)
+      const borrow = annualizeRate(reserve.variableBorrowRate)
+      const canBorrow = this.market.borrowAssets.includes(token.symbol)
+
+      assets[token.symbol] = {
+        address: token.address,
+        canSupply: this.market.collaterals.includes(token.symbol),
+        canBorrow,
+        // Formatted strings, like the Comet market reads
+        supplyAPY: formatPercent(supply.apy),
+        borrowAPY: canBorrow ? formatPercent(borrow.apy) : null,
+        supplyAPR: formatPercent(supply.apr),
+        borrowAPR: canBorrow ? formatPercent(borrow.apr) : null,
+        loanToValue: reserve.ltv / 10000,
+        liquidationThreshold: reserve.liquidationThreshold / 10000,
+        // Numeric values as fractions (0.048 = 4.8%)
+        rates: {
+          supplyApr: supply.apr,
+          supplyApy: supply.apy,
+          borrowApr: borrow.apr,
+          borrowApy: borrow.apy
+        }
+      }
+    })
+
+    return {
+      name: this.market.name,
+      pool: this.market.pool,
+      protocol: this.market.protocol,
+      collaterals: this.market.collaterals,
+      borrowAssets: this.market.borrowAssets,
+      assets,
+      updatedAt: new Date().toISOString()
+    }
+  }
+
+  /**
+   * Read an account's Aave collateral (aToken balances), variable debt and risk
+   */
+  async getPosition(accountAddress) {
+    const tokens = this.getAssets()
+    const reserves = await Promise.all(tokens.map(token => this.getReserve(token)))
+    const balanceOf = (tokenAddress) => new ethers.Contract(tokenAddress, ERC20_ABI, this.provider).balanceOf(accountAddress)
+
+    const [supplied, borrowed, prices, accountData] = await Promise.all([
+      Promise.all(reserves.map(reserve => balanceOf(reserve.aToken))),
+      Promise.all(reserves.map(reserve => balanceOf(reserve.variableDebtToken))),
+      this.oracle.getAssetsPrices(tokens.map(token => token.address)),
+      this.pool.getUserAccountData(accountAddress)
+    ])
+
+    const describe = (token, i, amount) => ({
+      asset: token.symbol,
+      address: token.address,
+      decimals: token.decimals,
+      balance: amount.toString(),
+      formatted: ethers.formatUnits(amount, token.decimals),
+      usdValue: amount > 0n ? formatValue(amount * prices[i] / 10n ** BigInt(token.decimals)) : null
+    })
+
+    return {
+      pool: this.market.pool,
+      name: this.market.name,
+      protocol: this.market.protocol,
+      collaterals: tokens
+        .map((token, i) => describe(token, i, supplied[i]))
+        .filter(collateral => this.market.collaterals.includes(collateral.asset)),
+      borrowed: tokens
+        .map((token, i) => describe(token, i, borrowed[i]))
+        .filter(debt => this.market.borrowAssets.includes(debt.asset)),
+      risk: this.getRisk(accountData)
+    }
+  }
+
+  /**
+   * Risk metrics from getUserAccountData, shaped like the Comet position risk
+   */
+  getRisk(accountData) {
+    const { totalCollateralBase, totalDebtBase, availableBorrowsBase, currentLiquidationThreshold, ltv, healthFactor } = accountData
+    const liquidationThreshold = totalCollateralBase * currentLiquidationThreshold / BPS
+
+    // Aave reports a max uint health factor without debt
+    const health = totalDebtBase > 0n ? Number(ethers.formatUnits(healthFactor, 18)) : null
+    const distanceToLiquidation = totalDebtBase > 0n && liquidationThreshold > 0n
+      ? Number((liquidationThreshold - totalDebtBase) * 10000n / liquidationThreshold) / 10000
+      : null
+
+    return {
+      quoteCurrency: this.market.quoteCurrency,
+      healthFactor: health,
+      healthFactorFormatted: health === null ? 'N/A' : health.toFixed(2),
+      riskLevel: marketService.getRiskLevel(health),
+      collateralValue: formatValue(totalCollateralBase),
+      debtValue: formatValue(totalDebtBase),
+      borrowCapacity: formatValue(totalCollateralBase * ltv / BPS),
+      availableToBorrow: formatValue(availableBorrowsBase),
+      liquidationThreshold: formatValue(liquidationThreshold),
+      loanToValue: Number(ltv) / 10000,
+      distanceToLiquidation,
+      distanceToLiquidationFormatted: distanceToLiquidation === null ? 'N/A' : formatPercent(distanceToLiquidation)
+    }
+  }
+
+  /**
+   * Risk of an account's Aave position after collateral and debt changes (e.g. a migration)
+   * Collateral changes count at the asset's own LTV / liquidation threshold, like Aave's weighted averages
+   * @param {string} accountAddress
+   * @param {Object} changes
+   * @param {Array<{token: Object, amount: bigint}>} [changes.collaterals] - Collateral supplied (negative: withdrawn)
+   * @param {Array<{token: Object, amount: bigint}>} [changes.debts] - Variable debt borrowed (negative: repaid)
+   */
+  async getProjectedRisk(accountAddress, { collaterals = [], debts = [] } = {}) {
+    const changes = [...collaterals, ...debts]
+    const [accountData, prices, reserves] = await Promise.all([
+      this.pool.getUserAccountData(accountAddress),
+      changes.length > 0 ? this.oracle.getAssetsPrices(changes.map(change => change.token.address)) : [],
+      Promise.all(collaterals.map(change => this.getReserve(change.token)))
+    ])
+    const valueOf = (change, i) => change.amount * prices[i] / 10n ** BigInt(change.token.decimals)
+    const atLeastZero = (value) => value > 0n ? value : 0n
+
+    // Weighted sums in base currency x basis points
+    let collateralBase = accountData.totalCollateralBase
+    let thresholdSum = collateralBase * accountData.currentLiquidationThreshold
+    let capacitySum = collateralBase * accountData.ltv
+    collaterals.forEach((change, i) => {
+      const value = valueOf(change, i)
+      collateralBase += value
+      thresholdSum += value * BigInt(reserves[i].liquidationThreshold)
+      capacitySum += value * BigInt(reserves[i].ltv)
+    })
+    collateralBase = atLeastZero(collateralBase)
+
+    const debtBase = atLeastZero(debts.reduce(
+      (total, change, i) => total + valueOf(change, collaterals.length + i),
+      accountData.totalDebtBase
+    ))
+    const borrowCapacity = atLeastZero(capacitySum) / BPS
+
+    return this.getRisk({
+      totalCollateralBase: collateralBase,
+      totalDebtBase: debtBase,
+      availableBorrowsBase: atLeastZero(borrowCapacity - debtBase),
+      currentLiquidationThreshold: collateralBase > 0n ? atLeastZero(thresholdSum) / collateralBase : 0n,
+      ltv: collateralBase > 0n ? atLeastZero(capacitySum) / collateralBase : 0n,
+      // Same definition as the Pool: liquidation threshold value over debt, 18 decimals
+      healthFactor: debtBase > 0n ? atLeastZero(thresholdSum) * 10n ** 18n / BPS / debtBase : ethers.MaxUint256
+    })
+  }
+
+  /**
+   * Session key calls for an Aave operation
+   * @param {'SUPPLY'|'BORROW'|'REPAY'|'WITHDRAW'} type
+   * @param {string} accountAddress - Smart account the position belongs to
+   * @param {string} [symbol] - Asset (defaults to the first listed collateral / borrowable asset)
+   * @param {string|number} amount - Amount in whole tokens
+   * @returns {{token: Object, amount: bigint, calls: Array<{target: string, value: bigint, data: string}>}}
+   */
+  buildCalls(type, accountAddress, symbol, amount) {
+    const token = type === 'SUPPLY' || type === 'WITHDRAW'
+      ? markets.getAaveCollateral(symbol)
+      : markets.getAaveBorrowAsset(symbol)
+    const amountWei = ethers.parseUnits(amount.toString(), token.decimals)
+
+    const poolCall = (functionName, args) => ({
+      target: this.market.pool,
+      value: 0n,
+      data: this.poolIface.encodeFunctionData(functionName, args)
+    })
+    const approvePool = {
+      target: token.address,
+      value: 0n,
+      data: this.erc20Iface.encodeFunctionData('approve', [this.market.pool, amountWei])
+    }
+
+    let calls
+    switch (type) {
+      case 'SUPPLY':
+        calls = [approvePool, poolCall('supply', [token.address, amountWei, accountAddress, REFERRAL_CODE])]
+        break
+      case 'BORROW':
+        calls = [poolCall('borrow', [token.address, amountWei, VARIABLE_RATE_MODE, REFERRAL_CODE, accountAddress])]
+        break
+      case 'REPAY':
+        calls = [approvePool, poolCall('repay', [token.address, amountWei, VARIABLE_RATE_MODE, accountAddress])]
+        break
+      case 'WITHDRAW':
+        calls = [poolCall('withdraw', [token.address, amountWei, accountAddress])]
+        break
+      default:
+        throw new Error(`Unsupported Aave operation: ${type}`)
+    }
+
+    return { token, amount: amountWei, calls }
+  }
+}
+
+module.exports = new AaveService()
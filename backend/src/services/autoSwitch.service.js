@@ -0,0 +1,140 @@
+/**
+ * Auto-Switch Service
+ *
+ * Finds rate-arbitrage switches for users who opted in (User.autoSwitch):
+ * - Compares borrow APRs across every Comet pair in the market registry
+ * - Sizes a full switch to each cheaper Comet (switch.service planSwitch)
+ * - Prices the switch: flash loan fee, swap fee + price impact, gas
+ * - Projects the interest saved over the user's horizon, net of those costs
+ *
+ * The auto-switch worker decides whether to act on the best opportunity.
+ */
+
+const { ethers } = require('ethers')
+const config = require('../config')
+const markets = require('../config/markets')
+const logger = require('../utils/logger')
+const marketService = require('./market.service')
+const switchService = require('./switch.service')
+const { AppError } = require('../utils/errors')
+
+// Comet price feeds report 8 decimals
+const PRICE_DECIMALS = 8
+const DAYS_PER_YEAR = 365
+
+const roundUsd = (value) => Math.round(value * 100) / 100
+
+class AutoSwitchService {
+  constructor() {
+    this.provider = new ethers.JsonRpcProvider(config.blockchain.rpcUrl)
+  }
+
+  /**
+   * USD value of a token amount (registry tokens only)
+   */
+  async toUsd(tokenAddress, amount) {
+    const { decimals } = markets.findTokenByAddress(tokenAddress)
+    const price = await marketService.getUsdPrice(tokenAddress)
+    return Number(ethers.formatUnits(BigInt(amount) * price / 10n ** BigInt(decimals), PRICE_DECIMALS))
+  }
+
+  /**
+   * Current borrow APR of every registry market, as fractions (0.048 = 4.8%)
+   */
+  async getBorrowAprs() {
+    const keys = markets.getMarketKeys()
+    const results = await Promise.all(keys.map(key => marketService.getMarket(key)))
+    return Object.fromEntries(keys.map((key, i) => [key, results[i].rates.borrowApr]))
+  }
+
+  /**
+   * Best switch to a cheaper Comet for a user's positions, or null if there is none
+   * @param {Object} user - User document (smartAccountAddress, autoSwitch)
+   * @returns {Promise<{plan: Object, evaluation: Object}|null>}
+   */
+  async findOpportunity(user) {
+    const borrowAprs = await this.getBorrowAprs()
+    let best = null
+
+    for (const sourceKey of markets.getMarketKeys()) {
+      for (const targetKey of markets.getSwitchTargets(sourceKey)) {
+        // Only ever move debt to a Comet that is cheaper right now
+        if (borrowAprs[targetKey] >= borrowAprs[sourceKey]) continue
+
+        let plan
+        try {
+          plan = await switchService.planSwitch(user.smartAccountAddress, sourceKey, targetKey)
+        } catch (error) {
+          // No position, collateral the target doesn't take, unhealthy result, quote outside tolerance...
+          if (error instanceof AppError) {
+            logger.debug(`Auto-switch ${sourceKey} -> ${targetKey} not possible for ${user.smartAccountAddress}: ${error.message}`)
+            continue
+          }
+          throw error
+        }
+
+        const evaluation = await this.evaluate(user.smartAccountAddress, plan, borrowAprs, user.autoSwitch.horizonDays)
+        if (evaluation && (!best || evaluation.netSavingsUsd > best.evaluation.netSavingsUsd)) {
+          best = { plan, evaluation }
+        }
+      }
+    }
+
+    return best
+  }
+
+  /**
+   * Projected savings of a planned switch over a horizon, net of its costs
+   * @returns {Promise<Object|null>} null if the switch would revert
+   */
+  async evaluate(accountAddress, plan, borrowAprs, horizonDays) {
+    const simulation = await switchService.simulateSwitch(accountAddress, plan)
+    if (simulation.simulated && !simulation.success) {
+      logger.info(`Auto-switch ${plan.sourceKey} -> ${plan.targetKey} skipped for ${accountAddress}: simulation reverted (${simulation.reason})`)
+      return null
+    }
+
+    // Not simulated until the Switcher setup steps have run - assume a typical switch
+    const gasLimit = simulation.gasEstimate ? BigInt(simulation.gasEstimate) : config.autoSwitch.fallbackGasLimit
+    const feeData = await this.provider.getFeeData()
+    const gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n
+    // Gas is paid in ETH - priced through the registry's WETH
+    const weth = markets.getToken('WETH')
+
+    const [debtUsd, targetDebtUsd, requiredOutputUsd, flashFeeUsd, gasUsd] = await Promise.all([
+      this.toUsd(plan.source.baseTokenAddress, plan.repayAmount),
+      this.toUsd(plan.target.baseTokenAddress, plan.minimalBorrow),
+      this.toUsd(plan.source.baseTokenAddress, plan.minOutputAmount),
+      this.toUsd(plan.source.baseTokenAddress, plan.flashFee),
+      this.toUsd(weth.address, gasLimit * gasPrice)
+    ])
+
+    const sourceBorrowApr = borrowAprs[plan.sourceKey]
+    const targetBorrowApr = borrowAprs[plan.targetKey]
+
+    // Interest on the debt today vs. on the (slightly larger) target debt after the switch
+    const years = horizonDays / DAYS_PER_YEAR
+    const projectedSavingsUsd = years * (debtUsd * sourceBorrowApr - targetDebtUsd * targetBorrowApr)
+
+    // Borrowed value in excess of what the flash loan needs back: pool fee plus price impact
+    const swapCostUsd = Math.max(targetDebtUsd - requiredOutputUsd, 0)
+    const totalUsd = flashFeeUsd + swapCostUsd + gasUsd
+
+    return {
+      sourceBorrowApr,
+      targetBorrowApr,
+      debtUsd: roundUsd(debtUsd),
+      horizonDays,
+      projectedSavingsUsd: roundUsd(projectedSavingsUsd),
+      costs: {
+        flashFeeUsd: roundUsd(flashFeeUsd),
+        swapCostUsd: roundUsd(swapCostUsd),
+        gasUsd: roundUsd(gasUsd),
+        totalUsd: roundUsd(totalUsd)
+      },
+      netSavingsUsd: roundUsd(projectedSavingsUsd - totalUsd)
+    }
+  }
+}
+
+module.exports = new AutoSwitchService()
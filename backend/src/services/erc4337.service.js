@@ -8,17 +8,18 @@
  */
 
 const { ethers } = require('ethers')
-const {
-  createMultiOwnerModularAccount,
-  SessionKeyPermissionsBuilder,
-  SessionKeyAccessListType,
-} = require('@alchemy/aa-accounts')
+const { createMultiOwnerModularAccount } = require('@alchemy/aa-accounts')
 const { LocalAccountSigner } = require('@alchemy/aa-core')
 const { http, keccak256, toHex, encodeAbiParameters, encodePacked } = require('viem')
 const { privateKeyToAccount } = require('viem/accounts')
 const { mainnet } = require('viem/chains')
 const config = require('../config')
+const markets = require('../config/markets')
 const logger = require('../utils/logger')
+const { SWITCHER_ABI } = require('../utils/switcherAbi')
+const marketService = require('./market.service')
+const permissionsService = require('./permissions.service')
+const { createSubmitter } = require('./submitters')
 
 // Mainnet fork config
 const mainnetFork = {
@@ -40,21 +41,27 @@ const MULTI_OWNER_PLUGIN = '0xcE0000007B008F50d762D155002600004cD6c647'
 const PAYMASTER_V06 = config.contracts?.paymasterV06 || process.env.PAYMASTER_V06_ADDRESS
 const SWITCHER = config.contracts?.switcher || process.env.SWITCHER_ADDRESS
 
-// DeFi Addresses (constant mainnet addresses)
-const USDC_COMET = '0xc3d688B66703497DAA19211EEdff47f25384cdc3'
-const WETH_COMET = '0xA17581A9E3356d9A858b789D68B4d866e593aE94'
-const WBTC = '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599'
-const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'
-const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2'
-
 // ABIs
 const ENTRYPOINT_V06_ABI = [
-  'function handleOps((address sender, uint256 nonce, bytes initCode, bytes callData, uint256 callGasLimit, uint256 verificationGasLimit, uint256 preVerificationGas, uint256 maxFeePerGas, uint256 maxPriorityFeePerGas, bytes paymasterAndData, bytes signature)[] ops, address beneficiary) external',
   'function getNonce(address sender, uint192 key) external view returns (uint256)',
 ]
 
 const SESSION_KEY_PLUGIN_ABI = [
   'function isSessionKeyOf(address account, address sessionKey) external view returns (bool)',
+  'function findPredecessor(address account, address sessionKey) external view returns (bytes32)',
+  'function getKeyTimeRange(address account, address sessionKey) external view returns (uint48 validAfter, uint48 validUntil)',
+]
+
+// Session key plugin execution functions, called on the account itself (owner-validated)
+const SESSION_KEY_MANAGEMENT_ABI = [
+  'function addSessionKey(address sessionKey, bytes32 tag, bytes[] permissionUpdates) external',
+  'function removeSessionKey(address sessionKey, bytes32 predecessor) external',
+  'function rotateSessionKey(address oldSessionKey, bytes32 predecessor, address newSessionKey) external',
+  'function updateKeyPermissions(address sessionKey, bytes[] permissionUpdates) external',
+]
+
+const ACCOUNT_LOUPE_ABI = [
+  'function getInstalledPlugins() external view returns (address[])',
 ]
 
 const ERC20_ABI = [
@@ -74,19 +81,24 @@ const COMET_ABI = [
   'function isAllowed(address owner, address manager) view returns (bool)',
 ]
 
-const SWITCHER_ABI = [
-  'function switchCollateral(address user, address sourceComet, address targetComet, address collateralAsset, uint256 collateralAmount, uint256 borrowAmount, uint256 minOutputAmount) external',
-  'function authorizedCallers(address) view returns (bool)',
-  'function authorizeCaller(address caller, bool authorized) external',
-  'function owner() view returns (address)',
-]
+// Test token amounts for Tenderly funding (addresses and decimals come from the market registry)
+const FUNDING_AMOUNTS = {
+  WBTC: '1',      // 1 WBTC
+  USDC: '10000',  // 10,000 USDC
+  WETH: '5',      // 5 WETH
+}
 
 // Token config for funding
-const TOKENS = {
-  WBTC: { address: WBTC, decimals: 8, defaultAmount: '1' }, // 1 WBTC
-  USDC: { address: USDC, decimals: 6, defaultAmount: '10000' }, // 10,000 USDC
-  WETH: { address: WETH, decimals: 18, defaultAmount: '5' }, // 5 WETH
-}
+const TOKENS = Object.fromEntries(
+  markets.getTokens()
+    .filter(token => FUNDING_AMOUNTS[token.symbol])
+    .map(token => [token.symbol, { ...token, defaultAmount: FUNDING_AMOUNTS[token.symbol] }])
+)
+
+// Owner-validated execution of several calls from the account (MultiOwnerPlugin)
+const EXECUTE_BATCH_ABI = [
+  'function executeBatch((address target, uint256 value, bytes data)[] calls) external payable returns (bytes[])'
+]
 
 const EXECUTE_WITH_SESSION_KEY_ABI = [
   'function executeWithSessionKey((address target, uint256 value, bytes data)[] calls, address sessionKey) external returns (bytes[])'
@@ -96,6 +108,46 @@ const INSTALL_PLUGIN_ABI = [
   'function installPlugin(address plugin, bytes32 manifestHash, bytes calldata pluginInitData, bytes21[] calldata dependencies) external'
 ]
 
+// Well-formed 65-byte ECDSA signature used while estimating gas: validation
+// reports a signature failure instead of reverting, so the gas used is realistic
+const DUMMY_SIGNATURE = '0xfffffffffffffffffffffffffffffff0000000000000000000000000000000007aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa1c'
+
+// Upper bounds for the estimation pass only - the real limits come from simulation
+const ESTIMATION_GAS_LIMITS = {
+  callGasLimit: 10000000n,
+  verificationGasLimit: 5000000n,
+  preVerificationGas: 1000000n
+}
+
+// The direct submitter can't simulate calls on an account that doesn't exist yet;
+// UserOps carrying initCode pass this as their call gas instead
+const UNDEPLOYED_CALL_GAS_LIMIT = 3000000n
+
+/**
+ * Pad an estimated gas limit by the configured safety margin
+ */
+function applyGasMargin(gas) {
+  return (BigInt(gas) * (10000n + BigInt(config.userOps.gasMarginBps))) / 10000n
+}
+
+/**
+ * Stringify a prepared UserOp for the frontend / storage until the owner's signature comes back
+ */
+function serializeUserOp(userOp) {
+  return {
+    sender: userOp.sender,
+    nonce: userOp.nonce.toString(),
+    initCode: userOp.initCode,
+    callData: userOp.callData,
+    callGasLimit: userOp.callGasLimit.toString(),
+    verificationGasLimit: userOp.verificationGasLimit.toString(),
+    preVerificationGas: userOp.preVerificationGas.toString(),
+    maxFeePerGas: userOp.maxFeePerGas.toString(),
+    maxPriorityFeePerGas: userOp.maxPriorityFeePerGas.toString(),
+    paymasterAndData: userOp.paymasterAndData,
+  }
+}
+
 /**
  * Compute UserOp hash for v0.6.0
  */
@@ -134,6 +186,74 @@ class ERC4337Service {
     if (process.env.DEPLOYER_PRIVATE_KEY) {
       this.executorWallet = new ethers.Wallet(process.env.DEPLOYER_PRIVATE_KEY, this.provider)
     }
+
+    // Gets signed UserOps on-chain: direct handleOps or an ERC-4337 bundler (config.userOps)
+    this.submitter = createSubmitter({
+      provider: this.provider,
+      entryPointAddress: ENTRYPOINT_V06,
+      executorWallet: this.executorWallet
+    })
+  }
+
+  /**
+   * Chain ID for UserOp hashes, read once from the provider
+   */
+  async getChainId() {
+    if (!this.chainIdPromise) {
+      this.chainIdPromise = this.provider.getNetwork()
+        .then(network => network.chainId)
+        .catch(error => {
+          this.chainIdPromise = null
+          throw error
+        })
+    }
+    return this.chainIdPromise
+  }
+
+  /**
+   * Current UserOp fees: priority fee from the node, max fee from the latest base fee
+   */
+  async getUserOpFees() {
+    const [block, maxPriorityFeePerGas] = await Promise.all([
+      this.provider.getBlock('latest'),
+      this.provider.send('eth_maxPriorityFeePerGas', [])
+        .then(BigInt)
+        .catch(() => config.userOps.fallbackPriorityFeeWei)
+    ])
+
+    const baseFee = block.baseFeePerGas ?? 0n
+    const maxFeePerGas = baseFee * BigInt(config.userOps.baseFeeMultiplier) + maxPriorityFeePerGas
+
+    return { maxFeePerGas, maxPriorityFeePerGas }
+  }
+
+  /**
+   * Fill in fees and gas limits for a UserOp by simulating it
+   * Estimates run with a dummy signature; the returned op must be signed afterwards
+   * @param {Object} userOp - UserOp without fee fields (a callGasLimit, if given, is used as the estimation bound)
+   * @returns {Promise<Object>} UserOp with estimated (and margin-padded) gas fields
+   */
+  async prepareUserOp(userOp) {
+    const fees = await this.getUserOpFees()
+
+    const estimate = await this.submitter.estimateUserOperationGas({
+      ...ESTIMATION_GAS_LIMITS,
+      ...userOp,
+      ...fees,
+      signature: DUMMY_SIGNATURE
+    })
+
+    const prepared = {
+      ...userOp,
+      ...fees,
+      callGasLimit: applyGasMargin(estimate.callGasLimit),
+      verificationGasLimit: applyGasMargin(estimate.verificationGasLimit),
+      preVerificationGas: applyGasMargin(estimate.preVerificationGas)
+    }
+
+    logger.info(`UserOp gas for ${userOp.sender}: call ${prepared.callGasLimit}, verification ${prepared.verificationGasLimit}, preVerification ${prepared.preVerificationGas}, maxFee ${prepared.maxFeePerGas}`)
+
+    return prepared
   }
 
   /**
@@ -166,35 +286,47 @@ class ERC4337Service {
     }
   }
 
+  /**
+   * Check if the session key plugin is installed on a deployed account
+   */
+  async isSessionKeyPluginInstalled(accountAddress) {
+    const account = new ethers.Contract(accountAddress, ACCOUNT_LOUPE_ABI, this.provider)
+    const plugins = await account.getInstalledPlugins()
+    return plugins.some(plugin => plugin.toLowerCase() === SESSION_KEY_PLUGIN.toLowerCase())
+  }
+
   /**
    * Build unsigned UserOp for session key registration
    * User must sign this with their Privy wallet (the owner)
+   * @param {string[]} permissions - User.sessionKey.permissions (selectors + spend limits granted)
    */
-  async buildSessionKeyRegistrationUserOp(accountAddress, ownerAddress, sessionKeyAddress, expiresAt) {
+  async buildSessionKeyRegistrationUserOp(accountAddress, ownerAddress, sessionKeyAddress, expiresAt, permissions) {
     // Check if account is deployed
     const isDeployed = await this.isAccountDeployed(accountAddress)
 
     // Build DeFi permissions for the session key
-    const permissions = new SessionKeyPermissionsBuilder()
-      .setContractAccessControlType(SessionKeyAccessListType.ALLOWLIST)
-      .addContractAddressAccessEntry({ contractAddress: SWITCHER, isOnList: true, checkSelectors: false })
-      .addContractAddressAccessEntry({ contractAddress: USDC_COMET, isOnList: true, checkSelectors: false })
-      .addContractAddressAccessEntry({ contractAddress: WETH_COMET, isOnList: true, checkSelectors: false })
-      .addContractAddressAccessEntry({ contractAddress: WBTC, isOnList: true, checkSelectors: false })
-      .addContractAddressAccessEntry({ contractAddress: USDC, isOnList: true, checkSelectors: false })
-      .addContractAddressAccessEntry({ contractAddress: WETH, isOnList: true, checkSelectors: false })
-      .setTimeRange({
-        validFrom: Math.floor(Date.now() / 1000) - 60,
-        validUntil: Math.floor(new Date(expiresAt).getTime() / 1000)
-      })
-      .encode()
-
+    const permissionUpdates = permissionsService.buildPermissionUpdates(permissions, expiresAt)
     const sessionKeyTag = keccak256(toHex(`session-key-${sessionKeyAddress}`))
 
+    // Plugin already installed (a previous key was revoked) - just add the new key
+    if (isDeployed && await this.isSessionKeyPluginInstalled(accountAddress)) {
+      const managementIface = new ethers.Interface(SESSION_KEY_MANAGEMENT_ABI)
+      const addKeyCalldata = managementIface.encodeFunctionData('addSessionKey', [
+        sessionKeyAddress,
+        sessionKeyTag,
+        permissionUpdates
+      ])
+
+      return {
+        ...await this.buildOwnerUserOp(accountAddress, addKeyCalldata),
+        needsDeploy: false
+      }
+    }
+
     // Build plugin install data
     const pluginInstallData = encodeAbiParameters(
       [{ type: 'address[]' }, { type: 'bytes32[]' }, { type: 'bytes[][]' }],
-      [[sessionKeyAddress], [sessionKeyTag], [permissions]]
+      [[sessionKeyAddress], [sessionKeyTag], [permissionUpdates]]
     )
 
     // Get manifest hash
@@ -233,120 +365,132 @@ class ERC4337Service {
 
     const nonce = await this.entryPoint.getNonce(accountAddress, 0)
 
-    const userOp = {
+    // Estimate gas before the owner signs - the limits are part of the signed hash
+    const preparedOp = await this.prepareUserOp({
       sender: accountAddress,
-      nonce: nonce.toString(),
+      nonce,
       initCode,
       callData: installPluginCalldata,
-      callGasLimit: '3000000',
-      verificationGasLimit: isDeployed ? '500000' : '3000000',
-      preVerificationGas: '150000',
-      maxFeePerGas: '2000000000',
-      maxPriorityFeePerGas: '1000000000',
+      ...(!isDeployed && { callGasLimit: UNDEPLOYED_CALL_GAS_LIMIT }),
       paymasterAndData: PAYMASTER_V06,
-    }
+    })
 
     // Compute the hash that needs to be signed
-    const userOpForHash = {
-      ...userOp,
-      nonce: BigInt(userOp.nonce),
-      callGasLimit: BigInt(userOp.callGasLimit),
-      verificationGasLimit: BigInt(userOp.verificationGasLimit),
-      preVerificationGas: BigInt(userOp.preVerificationGas),
-      maxFeePerGas: BigInt(userOp.maxFeePerGas),
-      maxPriorityFeePerGas: BigInt(userOp.maxPriorityFeePerGas),
-    }
-    const userOpHash = computeUserOpHashV06(userOpForHash, ENTRYPOINT_V06, 1n)
+    const userOpHash = computeUserOpHashV06(preparedOp, ENTRYPOINT_V06, await this.getChainId())
 
     return {
-      userOp,
+      userOp: serializeUserOp(preparedOp),
       userOpHash,
       needsDeploy: !isDeployed
     }
   }
 
   /**
-   * Submit a pre-built UserOp with user's signature
-   * @param {Object} userOp - The UserOp object (stored from buildSessionKeyRegistrationUserOp)
-   * @param {string} signature - The user's signature
+   * Build an unsigned owner UserOp for a deployed account
+   * User must sign the returned hash with their Privy wallet (the owner)
+   * @returns {Promise<{userOp: Object, userOpHash: string}>} userOp is stringified for storage
    */
-  async submitSignedUserOp(userOp, signature) {
-    // Convert string values to BigInt for ethers
-    const signedUserOp = {
-      sender: userOp.sender,
-      nonce: BigInt(userOp.nonce),
-      initCode: userOp.initCode,
-      callData: userOp.callData,
-      callGasLimit: BigInt(userOp.callGasLimit),
-      verificationGasLimit: BigInt(userOp.verificationGasLimit),
-      preVerificationGas: BigInt(userOp.preVerificationGas),
-      maxFeePerGas: BigInt(userOp.maxFeePerGas),
-      maxPriorityFeePerGas: BigInt(userOp.maxPriorityFeePerGas),
-      paymasterAndData: userOp.paymasterAndData,
-      signature
-    }
+  async buildOwnerUserOp(accountAddress, callData) {
+    const nonce = await this.entryPoint.getNonce(accountAddress, 0)
 
-    logger.info(`Submitting signed UserOp for account ${userOp.sender}`)
+    const preparedOp = await this.prepareUserOp({
+      sender: accountAddress,
+      nonce,
+      initCode: '0x',
+      callData,
+      paymasterAndData: PAYMASTER_V06,
+    })
 
-    // Submit to EntryPoint
-    const gas = await this.entryPoint.handleOps.estimateGas([signedUserOp], this.executorWallet.address)
-    const tx = await this.entryPoint.connect(this.executorWallet).handleOps(
-      [signedUserOp],
-      this.executorWallet.address,
-      { gasLimit: gas * 2n }
-    )
-    const receipt = await tx.wait()
+    const userOpHash = computeUserOpHashV06(preparedOp, ENTRYPOINT_V06, await this.getChainId())
 
-    logger.info(`UserOp submitted, tx: ${receipt.hash}`)
+    return { userOp: serializeUserOp(preparedOp), userOpHash }
+  }
 
-    return {
-      success: true,
-      txHash: receipt.hash
-    }
+  /**
+   * Build an unsigned owner UserOp running a batch of calls from a deployed account
+   * (approvals the session key must not be able to grant itself)
+   * @param {Array<{target: string, value?: bigint, data: string}>} calls
+   */
+  async buildOwnerBatchUserOp(accountAddress, calls) {
+    const callData = new ethers.Interface(EXECUTE_BATCH_ABI).encodeFunctionData('executeBatch', [
+      calls.map(call => ({ target: call.target, value: BigInt(call.value || 0), data: call.data }))
+    ])
+
+    return this.buildOwnerUserOp(accountAddress, callData)
   }
 
   /**
-   * Submit signed session key registration UserOp (DEPRECATED - use submitSignedUserOp instead)
+   * Build unsigned owner UserOp that removes a session key from the account
    */
-  async submitSessionKeyRegistration(accountAddress, ownerAddress, sessionKeyAddress, expiresAt, signature) {
-    // Rebuild the UserOp (or we could cache it)
-    const { userOp } = await this.buildSessionKeyRegistrationUserOp(
-      accountAddress,
-      ownerAddress,
+  async buildSessionKeyRemovalUserOp(accountAddress, sessionKeyAddress) {
+    const predecessor = await this.sessionKeyPlugin.findPredecessor(accountAddress, sessionKeyAddress)
+
+    const managementIface = new ethers.Interface(SESSION_KEY_MANAGEMENT_ABI)
+    const callData = managementIface.encodeFunctionData('removeSessionKey', [sessionKeyAddress, predecessor])
+
+    return this.buildOwnerUserOp(accountAddress, callData)
+  }
+
+  /**
+   * Build unsigned owner UserOp that replaces a session key with a new one
+   * The plugin moves the old key's permissions (allowlist, time range) to the new key
+   */
+  async buildSessionKeyRotationUserOp(accountAddress, oldSessionKeyAddress, newSessionKeyAddress) {
+    const predecessor = await this.sessionKeyPlugin.findPredecessor(accountAddress, oldSessionKeyAddress)
+
+    const managementIface = new ethers.Interface(SESSION_KEY_MANAGEMENT_ABI)
+    const callData = managementIface.encodeFunctionData('rotateSessionKey', [
+      oldSessionKeyAddress,
+      predecessor,
+      newSessionKeyAddress
+    ])
+
+    return this.buildOwnerUserOp(accountAddress, callData)
+  }
+
+  /**
+   * Build unsigned owner UserOp that extends a session key's validity window
+   * Only the time range changes - allowlist and spend limits stay as registered
+   */
+  async buildSessionKeyRenewalUserOp(accountAddress, sessionKeyAddress, expiresAt) {
+    const managementIface = new ethers.Interface(SESSION_KEY_MANAGEMENT_ABI)
+    const callData = managementIface.encodeFunctionData('updateKeyPermissions', [
       sessionKeyAddress,
-      expiresAt
-    )
+      permissionsService.buildTimeRangeUpdates(expiresAt)
+    ])
 
-    // Add signature
+    return this.buildOwnerUserOp(accountAddress, callData)
+  }
+
+  /**
+   * Submit a pre-built UserOp with user's signature
+   * @param {Object} userOp - The UserOp object (stored from buildSessionKeyRegistrationUserOp)
+   * @param {string} signature - The user's signature
+   */
+  async submitSignedUserOp(userOp, signature) {
+    // Convert string values to BigInt for ethers
     const signedUserOp = {
-      ...userOp,
+      sender: userOp.sender,
       nonce: BigInt(userOp.nonce),
+      initCode: userOp.initCode,
+      callData: userOp.callData,
       callGasLimit: BigInt(userOp.callGasLimit),
       verificationGasLimit: BigInt(userOp.verificationGasLimit),
       preVerificationGas: BigInt(userOp.preVerificationGas),
       maxFeePerGas: BigInt(userOp.maxFeePerGas),
       maxPriorityFeePerGas: BigInt(userOp.maxPriorityFeePerGas),
+      paymasterAndData: userOp.paymasterAndData,
       signature
     }
 
-    // Submit to EntryPoint
-    const gas = await this.entryPoint.handleOps.estimateGas([signedUserOp], this.executorWallet.address)
-    const tx = await this.entryPoint.connect(this.executorWallet).handleOps(
-      [signedUserOp],
-      this.executorWallet.address,
-      { gasLimit: gas * 2n }
-    )
-    const receipt = await tx.wait()
+    logger.info(`Submitting signed UserOp for account ${userOp.sender}`)
 
-    // Verify installation
-    const isNowRegistered = await this.sessionKeyPlugin.isSessionKeyOf(accountAddress, sessionKeyAddress)
+    const userOpHash = computeUserOpHashV06(signedUserOp, ENTRYPOINT_V06, await this.getChainId())
+    const result = await this.submitter.submit(signedUserOp, userOpHash)
 
-    logger.info(`Session key registration: ${isNowRegistered ? 'SUCCESS' : 'FAILED'}, tx: ${receipt.hash}`)
+    logger.info(`UserOp submitted via ${this.submitter.name}, tx: ${result.txHash}`)
 
-    return {
-      success: isNowRegistered,
-      txHash: receipt.hash
-    }
+    return result
   }
 
   /**
@@ -383,36 +527,25 @@ class ERC4337Service {
       data: '0x'
     })
 
-    const deployOp = {
+    const deployOp = await this.prepareUserOp({
       sender: accountAddress,
       nonce,
       initCode,
       callData: deployCalldata,
-      callGasLimit: 200000n,
-      verificationGasLimit: 3000000n,
-      preVerificationGas: 150000n,
-      maxFeePerGas: 2000000000n,
-      maxPriorityFeePerGas: 1000000000n,
-      paymasterAndData: PAYMASTER_V06,
-      signature: '0x'
-    }
+      callGasLimit: UNDEPLOYED_CALL_GAS_LIMIT,
+      paymasterAndData: PAYMASTER_V06
+    })
 
     // Sign with owner
-    const opHash = computeUserOpHashV06(deployOp, ENTRYPOINT_V06, 1n)
+    const opHash = computeUserOpHashV06(deployOp, ENTRYPOINT_V06, await this.getChainId())
     deployOp.signature = await owner.signMessage({ message: { raw: ethers.getBytes(opHash) } })
 
     // Submit
-    const gas = await this.entryPoint.handleOps.estimateGas([deployOp], this.executorWallet.address)
-    const tx = await this.entryPoint.connect(this.executorWallet).handleOps(
-      [deployOp],
-      this.executorWallet.address,
-      { gasLimit: gas * 2n }
-    )
-    const receipt = await tx.wait()
+    const result = await this.submitter.submit(deployOp, opHash)
 
-    logger.info(`Account deployed: ${accountAddress}, tx: ${receipt.hash}`)
+    logger.info(`Account deployed: ${accountAddress}, tx: ${result.txHash}`)
 
-    return { address: accountAddress, deployed: true, txHash: receipt.hash }
+    return { address: accountAddress, deployed: true, txHash: result.txHash }
   }
 
   /**
@@ -440,20 +573,11 @@ class ERC4337Service {
       owners: [owner.address],
     })
 
-    // Build DeFi permissions - allow all DeFi contracts
-    const permissions = new SessionKeyPermissionsBuilder()
-      .setContractAccessControlType(SessionKeyAccessListType.ALLOWLIST)
-      .addContractAddressAccessEntry({ contractAddress: SWITCHER, isOnList: true, checkSelectors: false })
-      .addContractAddressAccessEntry({ contractAddress: USDC_COMET, isOnList: true, checkSelectors: false })
-      .addContractAddressAccessEntry({ contractAddress: WETH_COMET, isOnList: true, checkSelectors: false })
-      .addContractAddressAccessEntry({ contractAddress: WBTC, isOnList: true, checkSelectors: false })
-      .addContractAddressAccessEntry({ contractAddress: USDC, isOnList: true, checkSelectors: false })
-      .addContractAddressAccessEntry({ contractAddress: WETH, isOnList: true, checkSelectors: false })
-      .setTimeRange({
-        validFrom: Math.floor(Date.now() / 1000) - 60,
-        validUntil: Math.floor(Date.now() / 1000) + 86400 * 30  // 30 days
-      })
-      .encode()
+    // Build DeFi permissions - every action, scoped to its selectors
+    const permissions = permissionsService.buildPermissionUpdates(
+      ['SUPPLY', 'BORROW', 'REPAY', 'WITHDRAW', 'SWITCH_PROTOCOL', 'SWAP', 'AAVE_SUPPLY', 'AAVE_BORROW', 'AAVE_REPAY', 'AAVE_WITHDRAW', 'MIGRATE_PROTOCOL'],
+      new Date(Date.now() + 86400 * 30 * 1000)  // 30 days
+    )
 
     const sessionKeyTag = keccak256(toHex('defi-backend-production'))
 
@@ -484,40 +608,28 @@ class ERC4337Service {
     ])
 
     const nonce = await this.entryPoint.getNonce(accountAddress, 0)
-    const installOp = {
+    const installOp = await this.prepareUserOp({
       sender: accountAddress,
       nonce,
       initCode: '0x',
       callData: installPluginCalldata,
-      callGasLimit: 3000000n,
-      verificationGasLimit: 500000n,
-      preVerificationGas: 100000n,
-      maxFeePerGas: 2000000000n,
-      maxPriorityFeePerGas: 1000000000n,
-      paymasterAndData: PAYMASTER_V06,
-      signature: '0x'
-    }
+      paymasterAndData: PAYMASTER_V06
+    })
 
-    const opHash = computeUserOpHashV06(installOp, ENTRYPOINT_V06, 1n)
+    const opHash = computeUserOpHashV06(installOp, ENTRYPOINT_V06, await this.getChainId())
     installOp.signature = await owner.signMessage({ message: { raw: ethers.getBytes(opHash) } })
 
-    const gas = await this.entryPoint.handleOps.estimateGas([installOp], this.executorWallet.address)
-    const tx = await this.entryPoint.connect(this.executorWallet).handleOps(
-      [installOp],
-      this.executorWallet.address,
-      { gasLimit: gas * 2n }
-    )
-    const receipt = await tx.wait()
+    const result = await this.submitter.submit(installOp, opHash)
 
     // Verify installation
     const isNowRegistered = await this.sessionKeyPlugin.isSessionKeyOf(accountAddress, this.backendSessionKey.address)
 
-    logger.info(`Session key plugin installed: ${isNowRegistered}, tx: ${receipt.hash}`)
+    logger.info(`Session key plugin installed: ${isNowRegistered}, tx: ${result.txHash}`)
 
     return {
       installed: isNowRegistered,
       sessionKeyAddress: this.backendSessionKey.address,
-      txHash: receipt.hash,
+      txHash: result.txHash,
       expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
     }
   }
@@ -541,6 +653,18 @@ class ERC4337Service {
     return await this.sessionKeyPlugin.isSessionKeyOf(accountAddress, sessionKeyAddress)
   }
 
+  /**
+   * On-chain validity window of a session key
+   * @returns {Promise<{validAfter: Date, validUntil: Date|null}>} validUntil is null if the key never expires
+   */
+  async getSessionKeyTimeRange(accountAddress, sessionKeyAddress) {
+    const [validAfter, validUntil] = await this.sessionKeyPlugin.getKeyTimeRange(accountAddress, sessionKeyAddress)
+    return {
+      validAfter: new Date(Number(validAfter) * 1000),
+      validUntil: validUntil > 0n ? new Date(Number(validUntil) * 1000) : null
+    }
+  }
+
   /**
    * Get account status
    */
@@ -576,11 +700,7 @@ class ERC4337Service {
    * Get token balances for an account
    */
   async getBalances(accountAddress) {
-    const tokens = [
-      { address: WBTC, symbol: 'WBTC', decimals: 8 },
-      { address: USDC, symbol: 'USDC', decimals: 6 },
-      { address: WETH, symbol: 'WETH', decimals: 18 },
-    ]
+    const tokens = markets.getTokens()
 
     const balances = {}
 
@@ -632,78 +752,124 @@ class ERC4337Service {
   }
 
   /**
-   * Get Compound V3 positions
+   * Get Compound V3 positions for every market in the registry
    */
   async getPositions(accountAddress) {
-    const positions = {
-      USDC: null,
-      WETH: null
+    const positions = {}
+
+    await Promise.all(markets.getMarkets().map(async (market) => {
+      positions[market.key] = null
+      try {
+        positions[market.key] = await this.getMarketPosition(accountAddress, market)
+      } catch (e) {
+        logger.warn(`Error getting ${market.name} position:`, e.message)
+      }
+    }))
+
+    return positions
+  }
+
+  /**
+   * Read an account's collateral (every asset the Comet lists), debt and Switcher allowance on one Comet
+   * @param {Object} market - Market registry entry
+   */
+  async getMarketPosition(accountAddress, market) {
+    const comet = new ethers.Contract(market.address, COMET_ABI, this.provider)
+    const collateralTokens = market.collaterals.map(symbol => markets.getToken(symbol))
+
+    const [collateralBalances, borrowed, isAllowed] = await Promise.all([
+      Promise.all(collateralTokens.map(token => comet.collateralBalanceOf(accountAddress, token.address))),
+      comet.borrowBalanceOf(accountAddress),
+      comet.isAllowed(accountAddress, SWITCHER)
+    ])
+
+    const [usdValues, risk] = await Promise.all([
+      Promise.all(collateralTokens.map((token, i) => this.getCollateralUsdValue(token, collateralBalances[i]))),
+      this.getPositionRisk(
+        market.key,
+        collateralTokens.map((token, i) => ({ asset: token.address, balance: collateralBalances[i] })),
+        borrowed
+      )
+    ])
+
+    const collaterals = collateralTokens.map((token, i) => ({
+      asset: token.symbol,
+      address: token.address,
+      decimals: token.decimals,
+      balance: collateralBalances[i].toString(),
+      formatted: ethers.formatUnits(collateralBalances[i], token.decimals),
+      usdValue: usdValues[i]
+    }))
+
+    const held = collaterals.filter(collateral => collateral.balance !== '0')
+    const totalUsd = held.every(collateral => collateral.usdValue)
+      ? held.reduce((total, collateral) => total + BigInt(collateral.usdValue.value), 0n)
+      : null
+
+    return {
+      comet: market.address,
+      cometName: market.name,
+      // First asset held (or the market's default collateral) - single-asset view for older clients
+      collateral: held[0] || collaterals[0],
+      collaterals,
+      collateralUsdValue: totalUsd === null ? null : {
+        value: totalUsd.toString(),
+        formatted: Number(ethers.formatUnits(totalUsd, 8)).toFixed(2)
+      },
+      borrowed: {
+        asset: market.baseToken,
+        address: market.baseTokenAddress,
+        decimals: market.decimals,
+        balance: borrowed.toString(),
+        formatted: ethers.formatUnits(borrowed, market.decimals)
+      },
+      switcherAllowed: isAllowed,
+      risk
+    }
+  }
+
+  /**
+   * USD value of a collateral balance (null if empty or the token has no USD price)
+   */
+  async getCollateralUsdValue(token, balance) {
+    if (balance === 0n) {
+      return null
     }
 
-    // USDC Comet position
     try {
-      const usdcComet = new ethers.Contract(USDC_COMET, COMET_ABI, this.provider)
-      const collateral = await usdcComet.collateralBalanceOf(accountAddress, WBTC)
-      const borrowed = await usdcComet.borrowBalanceOf(accountAddress)
-      const isAllowed = await usdcComet.isAllowed(accountAddress, SWITCHER)
-
-      positions.USDC = {
-        comet: USDC_COMET,
-        cometName: 'USDC Comet',
-        collateral: {
-          asset: 'WBTC',
-          address: WBTC,
-          balance: collateral.toString(),
-          formatted: ethers.formatUnits(collateral, 8)
-        },
-        borrowed: {
-          asset: 'USDC',
-          balance: borrowed.toString(),
-          formatted: ethers.formatUnits(borrowed, 6)
-        },
-        switcherAllowed: isAllowed
-      }
+      return await marketService.getUsdValue(token.address, balance)
     } catch (e) {
-      logger.warn('Error getting USDC Comet position:', e.message)
+      logger.warn(`Error pricing ${token.symbol} collateral:`, e.message)
+      return null
+    }
+  }
+
+  /**
+   * Get health factor / liquidation metrics for a position
+   * Returns null if risk data can't be read so balances are still reported
+   * @param {Array<{asset: string, balance: bigint}>} collaterals - Collateral token addresses and amounts
+   */
+  async getPositionRisk(cometKey, collaterals, borrowed) {
+    if (borrowed === 0n && collaterals.every(collateral => collateral.balance === 0n)) {
+      return null
     }
 
-    // WETH Comet position
     try {
-      const wethComet = new ethers.Contract(WETH_COMET, COMET_ABI, this.provider)
-      const collateral = await wethComet.collateralBalanceOf(accountAddress, WBTC)
-      const borrowed = await wethComet.borrowBalanceOf(accountAddress)
-      const isAllowed = await wethComet.isAllowed(accountAddress, SWITCHER)
-
-      positions.WETH = {
-        comet: WETH_COMET,
-        cometName: 'WETH Comet',
-        collateral: {
-          asset: 'WBTC',
-          address: WBTC,
-          balance: collateral.toString(),
-          formatted: ethers.formatUnits(collateral, 8)
-        },
-        borrowed: {
-          asset: 'WETH',
-          balance: borrowed.toString(),
-          formatted: ethers.formatUnits(borrowed, 18)
-        },
-        switcherAllowed: isAllowed
-      }
+      return await marketService.getPositionRisk(cometKey, collaterals, borrowed)
     } catch (e) {
-      logger.warn('Error getting WETH Comet position:', e.message)
+      logger.warn(`Error computing ${cometKey} Comet position risk:`, e.message)
+      return null
     }
-
-    return positions
   }
 
   /**
-   * Execute a transaction using session key
+   * Build and sign a UserOp that executes calls with the session key
    * @param {string} accountAddress - Smart account address
    * @param {Array} calls - Array of {target, value, data} calls
    * @param {string} sessionKeyPrivate - Per-user session key private key (from encrypted DB storage)
+   * @returns {Promise<{userOp: Object, userOpHash: string}>}
    */
-  async executeWithSessionKey(accountAddress, calls, sessionKeyPrivate) {
+  async buildSessionKeyUserOp(accountAddress, calls, sessionKeyPrivate) {
     if (!sessionKeyPrivate) {
       throw new Error('Session key private key is required')
     }
@@ -721,56 +887,61 @@ class ERC4337Service {
     ])
 
     const nonce = await this.entryPoint.getNonce(accountAddress, 0)
-    const userOp = {
+    const userOp = await this.prepareUserOp({
       sender: accountAddress,
       nonce,
       initCode: '0x',
       callData: sessionCalldata,
-      callGasLimit: 5000000n,
-      verificationGasLimit: 500000n,
-      preVerificationGas: 100000n,
-      maxFeePerGas: 2000000000n,
-      maxPriorityFeePerGas: 1000000000n,
-      paymasterAndData: PAYMASTER_V06,
-      signature: '0x'
-    }
+      paymasterAndData: PAYMASTER_V06
+    })
 
-    const opHash = computeUserOpHashV06(userOp, ENTRYPOINT_V06, 1n)
-    userOp.signature = await sessionKey.signMessage({ message: { raw: ethers.getBytes(opHash) } })
+    const userOpHash = computeUserOpHashV06(userOp, ENTRYPOINT_V06, await this.getChainId())
+    userOp.signature = await sessionKey.signMessage({ message: { raw: ethers.getBytes(userOpHash) } })
 
-    const gas = await this.entryPoint.handleOps.estimateGas([userOp], this.executorWallet.address)
-    const tx = await this.entryPoint.connect(this.executorWallet).handleOps(
-      [userOp],
-      this.executorWallet.address,
-      { gasLimit: gas * 2n }
-    )
-    const receipt = await tx.wait()
+    return { userOp, userOpHash }
+  }
 
-    // Check for UserOperationEvent
-    const userOpEventIface = new ethers.Interface([
-      'event UserOperationEvent(bytes32 indexed userOpHash, address indexed sender, address indexed paymaster, uint256 nonce, bool success, uint256 actualGasCost, uint256 actualGasUsed)'
-    ])
+  /**
+   * Submit a session key UserOp without waiting for inclusion
+   * The outcome is picked up later by the transaction watcher (or getUserOperationReceipt)
+   * @returns {Promise<{userOpHash: string}>}
+   */
+  async submitWithSessionKey(accountAddress, calls, sessionKeyPrivate) {
+    const { userOp, userOpHash } = await this.buildSessionKeyUserOp(accountAddress, calls, sessionKeyPrivate)
+    const submittedHash = await this.submitter.sendUserOperation(userOp, userOpHash)
 
-    let success = false
-    let gasUsed = 0n
-    for (const log of receipt.logs) {
-      try {
-        const parsed = userOpEventIface.parseLog({ topics: log.topics, data: log.data })
-        if (parsed?.name === 'UserOperationEvent') {
-          success = parsed.args.success
-          gasUsed = parsed.args.actualGasUsed
-        }
-      } catch (e) {}
-    }
+    logger.info(`Session key UserOp submitted for ${accountAddress}: ${submittedHash}`)
+
+    return { userOpHash: submittedHash }
+  }
+
+  /**
+   * Execute a transaction using session key and wait for it to be included
+   * @param {string} accountAddress - Smart account address
+   * @param {Array} calls - Array of {target, value, data} calls
+   * @param {string} sessionKeyPrivate - Per-user session key private key (from encrypted DB storage)
+   */
+  async executeWithSessionKey(accountAddress, calls, sessionKeyPrivate) {
+    const { userOp, userOpHash } = await this.buildSessionKeyUserOp(accountAddress, calls, sessionKeyPrivate)
+    const result = await this.submitter.submit(userOp, userOpHash)
 
     return {
-      success,
-      txHash: receipt.hash,
-      userOpHash: opHash,
-      gasUsed: gasUsed.toString()
+      success: result.success,
+      txHash: result.txHash,
+      userOpHash: result.userOpHash,
+      gasUsed: result.gasUsed,
+      revertReason: result.revertReason,
+      error: result.error
     }
   }
 
+  /**
+   * Look up the outcome of a submitted UserOp (null while still pending)
+   */
+  async getUserOperationReceipt(userOpHash) {
+    return this.submitter.getUserOperationReceipt(userOpHash)
+  }
+
   /**
    * Check if account is authorized on Switcher
    */
@@ -817,39 +988,136 @@ class ERC4337Service {
   }
 
   /**
-   * Allow Switcher on both Comets via session key
+   * Allow Switcher on a set of Comets via session key
+   * @param {string[]} cometAddresses - Comets the Switcher must manage the account on
+   * @param {Function} authorizeCalls - Session key policy check wrapping each session key UserOp,
+   *   async (calls, action, submit) => submit's result (throws to abort)
    */
-  async allowSwitcherOnComets(accountAddress, sessionKeyPrivate) {
+  async allowSwitcherOnComets(accountAddress, cometAddresses, sessionKeyPrivate, authorizeCalls) {
     const cometIface = new ethers.Interface(COMET_ABI)
 
-    const calls = [
-      {
-        target: USDC_COMET,
-        value: 0n,
-        data: cometIface.encodeFunctionData('allow', [SWITCHER, true])
-      },
-      {
-        target: WETH_COMET,
-        value: 0n,
-        data: cometIface.encodeFunctionData('allow', [SWITCHER, true])
-      }
-    ]
+    const calls = cometAddresses.map(cometAddress => ({
+      target: cometAddress,
+      value: 0n,
+      data: cometIface.encodeFunctionData('allow', [SWITCHER, true])
+    }))
 
-    logger.info(`Allowing Switcher on both Comets for ${accountAddress}`)
-    return await this.executeWithSessionKey(accountAddress, calls, sessionKeyPrivate)
+    return await authorizeCalls(calls, 'SWITCH_SETUP', () => {
+      logger.info(`Allowing Switcher on ${cometAddresses.length} Comet(s) for ${accountAddress}`)
+      return this.executeWithSessionKey(accountAddress, calls, sessionKeyPrivate)
+    })
   }
 
   /**
-   * Execute cross-Comet switch via session key
-   * Includes setup steps: authorize on Switcher + allow on Comets
+   * Submit a cross-Comet switch via session key
+   * Setup steps (authorize on Switcher + allow on Comets) are waited on;
+   * the switch UserOp itself is submitted without waiting for inclusion
+   * @param {string[]} collateralAssets - Collateral tokens moved between the Comets
+   * @param {string[]} collateralAmounts - Amount of each collateral token to move
+   * @param {string} debtAmount - Source debt to repay and move (MaxUint256 moves all of it)
+   * @param {string} minOutputAmount - Minimum source token the swap must return (flash loan + fee)
+   * @param {string} flashPool - Uniswap V3 pool flash-loaning the source base token
+   * @param {string} swapPath - Uniswap-encoded path swapping the target borrow into the source base token (one or more hops)
    * @param {string} sessionKeyPrivate - Per-user session key (from encrypted DB)
+   * @param {Function} authorizeCalls - Session key policy check wrapping each session key UserOp,
+   *   async (calls, action, submit) => submit's result (throws to abort)
+   */
+  async submitCrossSwitch(accountAddress, sourceComet, targetComet, collateralAssets, collateralAmounts, debtAmount, borrowAmount, minOutputAmount, flashPool, swapPath, sessionKeyPrivate, authorizeCalls) {
+    logger.info(`Submitting cross-Comet switch for ${accountAddress}`)
+    logger.info(`  Source: ${sourceComet}`)
+    logger.info(`  Target: ${targetComet}`)
+    logger.info(`  Collateral: ${collateralAssets.map((asset, i) => `${collateralAmounts[i]} ${asset}`).join(', ')}`)
+    logger.info(`  Debt: ${BigInt(debtAmount) === ethers.MaxUint256 ? 'all' : debtAmount}`)
+    logger.info(`  Min swap output: ${minOutputAmount}`)
+    logger.info(`  Flash pool: ${flashPool}, swap path: ${swapPath}`)
+
+    const setup = await this.setupSwitch(accountAddress, sourceComet, targetComet, sessionKeyPrivate, authorizeCalls)
+    if (!setup.success) {
+      return setup
+    }
+
+    // Step 3: Execute the switch
+    const switcherIface = new ethers.Interface(SWITCHER_ABI)
+
+    const switchCalldata = switcherIface.encodeFunctionData('switchCollateral', [
+      accountAddress,
+      sourceComet,
+      targetComet,
+      collateralAssets,
+      collateralAmounts.map(amount => BigInt(amount)),
+      BigInt(debtAmount),
+      BigInt(borrowAmount),
+      BigInt(minOutputAmount),
+      flashPool,
+      swapPath
+    ])
+
+    const switchCalls = [{
+      target: SWITCHER,
+      value: 0n,
+      data: switchCalldata
+    }]
+    const { userOpHash } = await authorizeCalls(switchCalls, 'SWITCH', () =>
+      this.submitWithSessionKey(accountAddress, switchCalls, sessionKeyPrivate)
+    )
+
+    logger.info(`Switch submitted, UserOp: ${userOpHash}`)
+
+    return { success: true, userOpHash }
+  }
+
+  /**
+   * Submit a switch between Comets that share a base token via session key
+   * Same setup as submitCrossSwitch; the Switcher re-borrows the flash loan plus its fee
+   * from the target Comet instead of swapping
+   * @param {string} debtAmount - Source debt to repay and move (MaxUint256 moves all of it)
+   * @param {string} maxBorrowAmount - Most the target Comet may lend (flash loan + fee)
+   * @param {string} flashPool - Uniswap V3 pool flash-loaning the shared base token
    */
-  async executeCrossSwitch(accountAddress, sourceComet, targetComet, collateralAmount, borrowAmount, sessionKeyPrivate) {
-    logger.info(`Executing cross-Comet switch for ${accountAddress}`)
+  async submitSameBaseSwitch(accountAddress, sourceComet, targetComet, collateralAssets, collateralAmounts, debtAmount, maxBorrowAmount, flashPool, sessionKeyPrivate, authorizeCalls) {
+    logger.info(`Submitting same-base-token switch for ${accountAddress}`)
     logger.info(`  Source: ${sourceComet}`)
     logger.info(`  Target: ${targetComet}`)
-    logger.info(`  Collateral: ${collateralAmount}`)
+    logger.info(`  Collateral: ${collateralAssets.map((asset, i) => `${collateralAmounts[i]} ${asset}`).join(', ')}`)
+    logger.info(`  Debt: ${BigInt(debtAmount) === ethers.MaxUint256 ? 'all' : debtAmount}`)
+    logger.info(`  Max borrow: ${maxBorrowAmount}`)
+    logger.info(`  Flash pool: ${flashPool}`)
+
+    const setup = await this.setupSwitch(accountAddress, sourceComet, targetComet, sessionKeyPrivate, authorizeCalls)
+    if (!setup.success) {
+      return setup
+    }
+
+    const switcherIface = new ethers.Interface(SWITCHER_ABI)
+    const switchCalls = [{
+      target: SWITCHER,
+      value: 0n,
+      data: switcherIface.encodeFunctionData('switchCollateralSameBase', [
+        accountAddress,
+        sourceComet,
+        targetComet,
+        collateralAssets,
+        collateralAmounts.map(amount => BigInt(amount)),
+        BigInt(debtAmount),
+        BigInt(maxBorrowAmount),
+        flashPool
+      ])
+    }]
+    const { userOpHash } = await authorizeCalls(switchCalls, 'SWITCH', () =>
+      this.submitWithSessionKey(accountAddress, switchCalls, sessionKeyPrivate)
+    )
 
+    logger.info(`Same-base switch submitted, UserOp: ${userOpHash}`)
+
+    return { success: true, userOpHash }
+  }
+
+  /**
+   * Switch setup steps, waited on before the switch UserOp:
+   * authorize the account on the Switcher, then allow the Switcher on the source and target Comets
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async setupSwitch(accountAddress, sourceComet, targetComet, sessionKeyPrivate, authorizeCalls) {
     if (!sessionKeyPrivate) {
       throw new Error('Session key private key is required')
     }
@@ -863,52 +1131,73 @@ class ERC4337Service {
       logger.info('Account already authorized on Switcher')
     }
 
-    // Step 2: Check and setup Comet allowances
-    const [usdcAllowed, wethAllowed] = await Promise.all([
-      this.isSwitcherAllowedOnComet(accountAddress, USDC_COMET),
-      this.isSwitcherAllowedOnComet(accountAddress, WETH_COMET)
-    ])
+    // Step 2: Check and setup Comet allowances (source and target only)
+    const comets = [sourceComet, targetComet]
+    const allowed = await Promise.all(comets.map(comet => this.isSwitcherAllowedOnComet(accountAddress, comet)))
+    const missing = comets.filter((comet, i) => !allowed[i])
 
-    if (!usdcAllowed || !wethAllowed) {
-      logger.info(`Setting up Comet allowances (USDC: ${usdcAllowed}, WETH: ${wethAllowed})`)
-      const allowResult = await this.allowSwitcherOnComets(accountAddress, sessionKeyPrivate)
+    if (missing.length > 0) {
+      logger.info(`Setting up Comet allowances for ${missing.join(', ')}`)
+      const allowResult = await this.allowSwitcherOnComets(accountAddress, missing, sessionKeyPrivate, authorizeCalls)
       if (!allowResult.success) {
-        logger.error('Failed to allow Switcher on Comets')
-        return { success: false, error: 'Failed to setup Comet allowances' }
+        logger.error(`Failed to allow Switcher on Comets: ${allowResult.error}`)
+        return { success: false, error: `Failed to setup Comet allowances: ${allowResult.error}` }
       }
     } else {
-      logger.info('Switcher already allowed on both Comets')
+      logger.info('Switcher already allowed on source and target Comets')
     }
 
-    // Step 3: Execute the switch
-    const switcherIface = new ethers.Interface(SWITCHER_ABI)
+    return { success: true }
+  }
 
-    const switchCalldata = switcherIface.encodeFunctionData('switchCollateral', [
-      accountAddress,
-      sourceComet,
-      targetComet,
-      WBTC,
-      BigInt(collateralAmount),
-      BigInt(borrowAmount),
-      0n // minOutputAmount
-    ])
+  /**
+   * Submit a Compound <-> Aave migration via session key
+   * Setup steps (authorize on Switcher + allow on the Comet) are waited on like a switch's;
+   * the Aave approvals are owner-signed beforehand (migration.service buildSetupCalls)
+   * @param {string} cometAddress - Comet side of the migration
+   * @param {Array<{target: string, value: bigint, data: string}>} calls - Switcher migrate call (migration.service)
+   * @param {string} sessionKeyPrivate - Per-user session key (from encrypted DB)
+   * @param {Function} authorizeCalls - Session key policy check wrapping each session key UserOp,
+   *   async (calls, action, submit) => submit's result (throws to abort)
+   */
+  async submitMigration(accountAddress, cometAddress, calls, sessionKeyPrivate, authorizeCalls) {
+    logger.info(`Submitting Compound <-> Aave migration for ${accountAddress} (Comet ${cometAddress})`)
 
-    const result = await this.executeWithSessionKey(accountAddress, [{
-      target: SWITCHER,
-      value: 0n,
-      data: switchCalldata
-    }], sessionKeyPrivate)
+    if (!sessionKeyPrivate) {
+      throw new Error('Session key private key is required')
+    }
+
+    // Step 1: Check and setup Switcher authorization
+    if (!await this.isAccountAuthorizedOnSwitcher(accountAddress)) {
+      logger.info('Account not authorized on Switcher, authorizing...')
+      await this.authorizeAccountOnSwitcher(accountAddress)
+    }
 
-    logger.info(`Switch result: ${result.success ? 'SUCCESS' : 'FAILED'}, tx: ${result.txHash}`)
+    // Step 2: Check and setup the Comet allowance
+    if (!await this.isSwitcherAllowedOnComet(accountAddress, cometAddress)) {
+      logger.info(`Setting up Comet allowance for ${cometAddress}`)
+      const allowResult = await this.allowSwitcherOnComets(accountAddress, [cometAddress], sessionKeyPrivate, authorizeCalls)
+      if (!allowResult.success) {
+        logger.error(`Failed to allow Switcher on Comet: ${allowResult.error}`)
+        return { success: false, error: `Failed to setup Comet allowance: ${allowResult.error}` }
+      }
+    }
 
-    return result
+    // Step 3: Migration
+    const { userOpHash } = await authorizeCalls(calls, 'MIGRATE', () =>
+      this.submitWithSessionKey(accountAddress, calls, sessionKeyPrivate)
+    )
+
+    logger.info(`Migration submitted, UserOp: ${userOpHash}`)
+
+    return { success: true, userOpHash }
   }
 
   /**
    * Fund an address with test tokens via Tenderly's setErc20Balance
    * This is only for testing on Tenderly Virtual Testnet
    */
-  async fundWithTenderly(address, tokens = ['WBTC', 'USDC', 'WETH']) {
+  async fundWithTenderly(address, tokens = Object.keys(TOKENS)) {
     const results = {}
 
     logger.info(`Starting Tenderly funding for address: ${address}`)
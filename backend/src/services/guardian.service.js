@@ -0,0 +1,372 @@
+/**
+ * Guardian Service
+ *
+ * Plans protective actions for Comet positions close to liquidation (User.guardian):
+ * - REPAY: repay debt from the smart account's idle base token
+ * - SUPPLY: supply idle collateral the Comet accepts
+ * - DELEVER: withdraw collateral, swap it to the base token on Uniswap and repay - one batch
+ *
+ * Each action is sized to bring the health factor back up to the user's target,
+ * capped by their per-action and rolling 24h USD limits. The liquidation guardian
+ * worker executes the plan with the session key.
+ */
+
+const { ethers } = require('ethers')
+const config = require('../config')
+const markets = require('../config/markets')
+const logger = require('../utils/logger')
+const marketService = require('./market.service')
+const quoteService = require('./quote.service')
+const policyService = require('./policy.service')
+const Transaction = require('../models/Transaction')
+const { QuoteFailedError } = require('../utils/errors')
+const { BPS_DENOMINATOR: BPS, ceilDiv } = require('../utils/sizing')
+
+// Comet price feeds report 8 decimals
+const PRICE_DECIMALS = 8
+const DAY_MS = 24 * 60 * 60 * 1000
+// Comet collateral factors are scaled by 1e18
+const FACTOR_SCALE = 10n ** 18n
+
+// Session key permissions each action's calls need
+const ACTION_PERMISSIONS = {
+  REPAY: ['REPAY'],
+  SUPPLY: ['SUPPLY'],
+  DELEVER: ['WITHDRAW', 'SWAP', 'REPAY']
+}
+
+const erc20Iface = new ethers.Interface([
+  'function approve(address spender, uint256 amount) returns (bool)',
+])
+
+const cometIface = new ethers.Interface([
+  'function supply(address asset, uint256 amount) external',
+  'function withdraw(address asset, uint256 amount) external',
+])
+
+const swapRouterIface = new ethers.Interface([
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountOut)',
+])
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase()
+const minOf = (...values) => values.reduce((min, value) => (value < min ? value : min))
+// Health factors as basis points (1.5 -> 15000)
+const toBps = (healthFactor) => BigInt(Math.round(healthFactor * 10000))
+
+const sessionCall = (target, iface, functionName, args) => ({
+  target,
+  value: 0n,
+  data: iface.encodeFunctionData(functionName, args)
+})
+
+// Approve + Comet supply - repays debt for the base token, adds collateral otherwise
+const supplyCalls = (cometAddress, tokenAddress, amount) => [
+  sessionCall(tokenAddress, erc20Iface, 'approve', [cometAddress, amount]),
+  sessionCall(cometAddress, cometIface, 'supply', [tokenAddress, amount])
+]
+
+class GuardianService {
+  /**
+   * Protective actions the user's session key has the permissions for
+   */
+  getAvailableActions(user) {
+    const permissions = policyService.getEffectivePermissions(user)
+    return Object.keys(ACTION_PERMISSIONS)
+      .filter(action => ACTION_PERMISSIONS[action].every(permission => permissions.includes(permission)))
+  }
+
+  /**
+   * Positions below a health factor, most at risk first
+   * @param {Object} positions - erc4337Service.getPositions() result, keyed by market
+   * @returns {Array<{key: string, position: Object}>}
+   */
+  getPositionsAtRisk(positions, triggerHealthFactor) {
+    return Object.entries(positions)
+      .filter(([, position]) => position?.risk?.healthFactor != null && position.risk.healthFactor < triggerHealthFactor)
+      .sort(([, a], [, b]) => a.risk.healthFactor - b.risk.healthFactor)
+      .map(([key, position]) => ({ key, position }))
+  }
+
+  /**
+   * USD the guardian may still move for a user in one intervention (per-action and rolling 24h limits)
+   */
+  async getActionLimitUsd(user) {
+    const { maxActionUsd, maxDailyUsd } = user.guardian
+
+    const [result] = await Transaction.aggregate([
+      {
+        $match: {
+          user: user._id,
+          type: 'GUARDIAN',
+          status: { $ne: 'FAILED' },
+          createdAt: { $gte: new Date(Date.now() - DAY_MS) }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$metadata.usdValue' } } }
+    ])
+    const usedUsd = result ? result.total : 0
+
+    return Math.max(Math.min(maxActionUsd, maxDailyUsd - usedUsd), 0)
+  }
+
+  /**
+   * USD value of a token amount (registry tokens only)
+   */
+  async toUsd(tokenAddress, amount) {
+    const { value } = await marketService.getUsdValue(tokenAddress, amount)
+    return Number(ethers.formatUnits(BigInt(value), PRICE_DECIMALS))
+  }
+
+  /**
+   * Largest amount of a token worth at most `usd`
+   */
+  async fromUsd(tokenAddress, usd) {
+    const { decimals } = markets.findTokenByAddress(tokenAddress)
+    const price = await marketService.getUsdPrice(tokenAddress)
+    return ethers.parseUnits(usd.toFixed(PRICE_DECIMALS), PRICE_DECIMALS) * 10n ** BigInt(decimals) / price
+  }
+
+  /**
+   * First of the user's protective actions that can improve a position, or null
+   * @param {Object} user - User document (guardian, sessionKey, smartAccountAddress)
+   * @param {string} key - Market registry key of the position
+   * @param {Object} position - erc4337Service.getMarketPosition() result
+   * @param {Object} balances - erc4337Service.getBalances() result (idle smart account tokens)
+   * @param {number} limitUsd - Most the action may move (getActionLimitUsd)
+   * @returns {Promise<Object|null>} { action, asset, amount, calls, usdValue, healthFactorBefore, expectedHealthFactor, ... }
+   */
+  async planAction(user, key, position, balances, limitUsd) {
+    const market = markets.getMarket(key)
+    const available = this.getAvailableActions(user)
+
+    const context = {
+      account: user.smartAccountAddress,
+      market,
+      balances,
+      targetBps: toBps(user.guardian.targetHealthFactor),
+      collaterals: position.collaterals.map(collateral => ({ asset: collateral.address, balance: BigInt(collateral.balance) })),
+      debt: BigInt(position.borrowed.balance),
+      debtValue: BigInt(position.risk.debtValue.value),
+      borrowCapacity: BigInt(position.risk.borrowCapacity.value),
+      liquidationThreshold: BigInt(position.risk.liquidationThreshold.value),
+      liquidationAsset: position.risk.liquidationAsset
+    }
+
+    const planners = {
+      REPAY: () => this.planRepay(context, limitUsd),
+      SUPPLY: () => this.planSupply(context, limitUsd),
+      DELEVER: () => this.planDelever(context, limitUsd)
+    }
+
+    for (const action of user.guardian.actions) {
+      if (!available.includes(action)) {
+        logger.debug(`Guardian ${action} not available for ${user.smartAccountAddress}: session key lacks ${ACTION_PERMISSIONS[action].join('/')}`)
+        continue
+      }
+
+      const plan = await planners[action]()
+      if (!plan) continue
+
+      const risk = await marketService.getPositionRisk(key, plan.collaterals, plan.debt)
+      // Nothing worth signing if the position wouldn't end up healthier
+      if (risk.healthFactor !== null && risk.healthFactor <= position.risk.healthFactor) continue
+
+      return {
+        action,
+        key,
+        comet: market.address,
+        asset: plan.asset,
+        amount: plan.amount,
+        calls: plan.calls,
+        usdValue: await this.toUsd(plan.tokenAddress, plan.amount),
+        details: plan.details || {},
+        healthFactorBefore: position.risk.healthFactor,
+        // null once the debt is fully repaid
+        expectedHealthFactor: risk.healthFactor
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Repay with the smart account's idle base token
+   */
+  async planRepay(context, limitUsd) {
+    const { market, balances, debt, debtValue, liquidationThreshold, targetBps } = context
+
+    const idle = BigInt(balances[market.baseToken]?.balance || 0)
+    if (idle === 0n) return null
+
+    // Debt value above what the target health factor allows
+    const excessValue = debtValue - liquidationThreshold * BPS / targetBps
+    if (excessValue <= 0n) return null
+
+    const basePrice = await marketService.getCometPrice(market, market.baseTokenAddress)
+    const needed = ceilDiv(excessValue * 10n ** BigInt(market.decimals), basePrice)
+    const amount = minOf(idle, needed, debt, await this.fromUsd(market.baseTokenAddress, limitUsd))
+    if (amount === 0n) return null
+
+    return {
+      asset: market.baseToken,
+      tokenAddress: market.baseTokenAddress,
+      amount,
+      calls: supplyCalls(market.address, market.baseTokenAddress, amount),
+      collaterals: context.collaterals,
+      debt: debt - amount
+    }
+  }
+
+  /**
+   * Supply the idle collateral that adds the most liquidation headroom
+   */
+  async planSupply(context, limitUsd) {
+    const { market, balances, debtValue, liquidationThreshold, targetBps } = context
+
+    // Liquidation threshold missing for the target health factor
+    const shortfall = debtValue * targetBps / BPS - liquidationThreshold
+    if (shortfall <= 0n) return null
+
+    let best = null
+    for (const symbol of market.collaterals) {
+      const token = markets.getToken(symbol)
+      const idle = BigInt(balances[symbol]?.balance || 0)
+      if (idle === 0n) continue
+
+      const [info, price] = await Promise.all([
+        marketService.getAssetInfo(market.address, token.address),
+        marketService.getCometPrice(market, token.address)
+      ])
+      const liquidateCF = BigInt(info.liquidateCollateralFactor)
+      const headroom = idle * price * liquidateCF / (BigInt(info.scale) * FACTOR_SCALE)
+
+      if (liquidateCF > 0n && (!best || headroom > best.headroom)) {
+        best = { symbol, token, idle, price, scale: BigInt(info.scale), liquidateCF, headroom }
+      }
+    }
+    if (!best) return null
+
+    const needed = ceilDiv(shortfall * best.scale * FACTOR_SCALE, best.price * best.liquidateCF)
+    const amount = minOf(best.idle, needed, await this.fromUsd(best.token.address, limitUsd))
+    if (amount === 0n) return null
+
+    const collaterals = context.collaterals.map(collateral => sameAddress(collateral.asset, best.token.address)
+      ? { ...collateral, balance: collateral.balance + amount }
+      : collateral)
+
+    return {
+      asset: best.symbol,
+      tokenAddress: best.token.address,
+      amount,
+      calls: supplyCalls(market.address, best.token.address, amount),
+      collaterals,
+      debt: context.debt
+    }
+  }
+
+  /**
+   * Withdraw the largest collateral, swap it to the base token and repay with the swap's minimum output
+   *
+   * Withdrawing X of collateral value and repaying X·s (s = swap efficiency after slippage)
+   * lifts the health factor to T when (LT - X·liquidateCF) = T·(debt - X·s). The withdraw runs
+   * before the repay, so the position must stay borrow-collateralized without it.
+   */
+  async planDelever(context, limitUsd) {
+    const { market, account, debt, debtValue, borrowCapacity, liquidationThreshold, targetBps } = context
+    if (!context.liquidationAsset || borrowCapacity <= debtValue) return null
+
+    const token = markets.getToken(context.liquidationAsset)
+    const held = context.collaterals.find(collateral => sameAddress(collateral.asset, token.address))?.balance || 0n
+    if (held === 0n) return null
+
+    const [info, price] = await Promise.all([
+      marketService.getAssetInfo(market.address, token.address),
+      marketService.getCometPrice(market, token.address)
+    ])
+    const scale = BigInt(info.scale)
+    const liquidateCF = BigInt(info.liquidateCollateralFactor)
+    const borrowCF = BigInt(info.borrowCollateralFactor)
+    const slippageBps = BigInt(config.guardian.deleverSlippageBps)
+    const efficiencyBps = BPS - slippageBps
+
+    // (T·debt - LT) / (T·s - liquidateCF), every term scaled to bps·1e18
+    const numerator = (debtValue * targetBps - liquidationThreshold * BPS) * FACTOR_SCALE
+    const denominator = targetBps * efficiencyBps * FACTOR_SCALE / BPS - liquidateCF * BPS
+    if (denominator <= 0n) return null
+
+    const value = minOf(
+      numerator / denominator,
+      // Withdraw must leave the position borrow-collateralized
+      (borrowCapacity - debtValue) * FACTOR_SCALE / borrowCF,
+      // Don't swap more than the debt needs
+      debtValue * BPS / efficiencyBps
+    )
+    const amount = minOf(value * scale / price, held, await this.fromUsd(token.address, limitUsd))
+    if (amount === 0n) return null
+
+    const quote = await this.quoteBestFeeTier(token.address, market.baseTokenAddress, amount)
+    if (!quote) return null
+
+    const minOutput = quote.amountOut * efficiencyBps / BPS
+    const repayAmount = minOf(minOutput, debt)
+    if (repayAmount === 0n) return null
+
+    const calls = [
+      sessionCall(market.address, cometIface, 'withdraw', [token.address, amount]),
+      sessionCall(token.address, erc20Iface, 'approve', [config.contracts.swapRouter02, amount]),
+      sessionCall(config.contracts.swapRouter02, swapRouterIface, 'exactInputSingle', [{
+        tokenIn: token.address,
+        tokenOut: market.baseTokenAddress,
+        fee: quote.fee,
+        recipient: account,
+        amountIn: amount,
+        amountOutMinimum: minOutput,
+        sqrtPriceLimitX96: 0n
+      }]),
+      ...supplyCalls(market.address, market.baseTokenAddress, repayAmount)
+    ]
+
+    const collaterals = context.collaterals.map(collateral => sameAddress(collateral.asset, token.address)
+      ? { ...collateral, balance: collateral.balance - amount }
+      : collateral)
+
+    return {
+      asset: context.liquidationAsset,
+      tokenAddress: token.address,
+      amount,
+      calls,
+      collaterals,
+      debt: debt - repayAmount,
+      details: {
+        swapFee: Number(quote.fee),
+        expectedOutput: quote.amountOut.toString(),
+        minOutput: minOutput.toString(),
+        repayAmount: repayAmount.toString()
+      }
+    }
+  }
+
+  /**
+   * Exact-input quote on the Uniswap fee tier (switching.feeTiers) that returns the most,
+   * or null if none can fill it
+   */
+  async quoteBestFeeTier(tokenIn, tokenOut, amountIn) {
+    let best = null
+
+    for (const fee of config.switching.feeTiers) {
+      try {
+        const { amountOut } = await quoteService.quoteExactInputSingle({ tokenIn, tokenOut, amountIn, pool: { fee: BigInt(fee) } })
+        if (!best || amountOut > best.amountOut) {
+          best = { fee: BigInt(fee), amountOut }
+        }
+      } catch (error) {
+        // No pool or not enough liquidity on this tier
+        if (!(error instanceof QuoteFailedError)) throw error
+      }
+    }
+
+    return best
+  }
+}
+
+module.exports = new GuardianService()
@@ -0,0 +1,34 @@
+/**
+ * Mailer base
+ *
+ * A mailer delivers one plain-text email. Implementations:
+ * - LogMailer: writes the message to the backend log (nothing leaves the server)
+ * - SmtpMailer: sends it through an SMTP server (mock-smtp.js locally)
+ */
+
+const crypto = require('crypto')
+
+class Mailer {
+  constructor(name) {
+    this.name = name
+  }
+
+  /**
+   * Send a plain-text email
+   * @param {{from: string, to: string, subject: string, text: string}} message
+   * @returns {Promise<{messageId: string}>}
+   */
+  async send() {
+    throw new Error(`${this.name} mailer does not implement send`)
+  }
+
+  /**
+   * RFC 5322 Message-ID for a message sent from `from`
+   */
+  createMessageId(from) {
+    const domain = (from.match(/@([^>\s]+)/) || [])[1] || 'localhost'
+    return `<${crypto.randomUUID()}@${domain}>`
+  }
+}
+
+module.exports = { Mailer }
@@ -0,0 +1,33 @@
+/**
+ * Email transport layer
+ *
+ * Selected by EMAIL_TRANSPORT:
+ * - 'log'  (default): emails are written to the backend log
+ * - 'smtp': sent through EMAIL_SMTP_HOST:EMAIL_SMTP_PORT (npm run mock-smtp locally)
+ */
+
+const config = require('../../config')
+const LogMailer = require('./log.mailer')
+const SmtpMailer = require('./smtp.mailer')
+
+/**
+ * Create the configured mailer
+ */
+function createMailer() {
+  const { transport, smtp } = config.notifications.email
+
+  switch (transport) {
+    case 'log':
+      return new LogMailer()
+    case 'smtp':
+      return new SmtpMailer(smtp)
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT: ${transport} (expected 'log' or 'smtp')`)
+  }
+}
+
+module.exports = {
+  createMailer,
+  LogMailer,
+  SmtpMailer
+}
@@ -0,0 +1,23 @@
+/**
+ * Log mailer
+ *
+ * Writes emails to the backend log instead of sending them - the default
+ * transport, so notifications work without any mail setup.
+ */
+
+const logger = require('../../utils/logger')
+const { Mailer } = require('./base.mailer')
+
+class LogMailer extends Mailer {
+  constructor() {
+    super('log')
+  }
+
+  async send({ from, to, subject, text }) {
+    const messageId = this.createMessageId(from)
+    logger.info(`Email ${messageId} to ${to}: ${subject}\n${text}`)
+    return { messageId }
+  }
+}
+
+module.exports = LogMailer
@@ -0,0 +1,158 @@
+/**
+ * SMTP mailer
+ *
+ * Minimal SMTP client (RFC 5321) for plain-text notification emails:
+ * EHLO, optional AUTH PLAIN, MAIL FROM, RCPT TO, DATA, QUIT.
+ * Connects in plain text, or over implicit TLS when `secure` is set (port 465) -
+ * STARTTLS is not supported.
+ */
+
+const net = require('net')
+const tls = require('tls')
+const os = require('os')
+const { Mailer } = require('./base.mailer')
+
+const COMMAND_TIMEOUT_MS = 30000
+
+// Bare address out of "Name <address>"
+const toAddress = (mailbox) => (mailbox.match(/<([^>]+)>/) || [null, mailbox])[1].trim()
+
+/**
+ * Line-based SMTP conversation over one socket
+ */
+class SmtpConnection {
+  constructor(socket) {
+    this.socket = socket
+    this.buffer = ''
+    this.waiting = null
+
+    socket.setEncoding('utf8')
+    socket.setTimeout(COMMAND_TIMEOUT_MS)
+    socket.on('data', (chunk) => {
+      this.buffer += chunk
+      this.flush()
+    })
+    socket.on('timeout', () => this.fail(new Error('SMTP server timed out')))
+    socket.on('error', (error) => this.fail(error))
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')))
+  }
+
+  fail(error) {
+    if (!this.waiting) return
+    const { reject } = this.waiting
+    this.waiting = null
+    reject(error)
+  }
+
+  /**
+   * Resolve the pending read once a complete (possibly multi-line) reply is buffered
+   * Continuation lines are "250-...", the last line is "250 ..."
+   */
+  flush() {
+    if (!this.waiting) return
+
+    const lines = this.buffer.split('\r\n')
+    const last = lines.findIndex(line => /^\d{3}( |$)/.test(line))
+    if (last === -1) return
+
+    const reply = lines.slice(0, last + 1)
+    this.buffer = lines.slice(last + 1).join('\r\n')
+
+    const { resolve } = this.waiting
+    this.waiting = null
+    resolve({ code: parseInt(reply[last].slice(0, 3)), text: reply.map(line => line.slice(4)).join('\n') })
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject }
+      this.flush()
+    })
+  }
+
+  /**
+   * Send a command (or nothing, for the greeting) and check the reply code
+   */
+  async command(line, expectedCode) {
+    if (line !== null) {
+      this.socket.write(`${line}\r\n`)
+    }
+    const reply = await this.read()
+    if (reply.code !== expectedCode) {
+      const sent = line === null ? 'greeting' : line.split(' ')[0]
+      throw new Error(`SMTP ${sent} failed: ${reply.code} ${reply.text}`)
+    }
+    return reply
+  }
+
+  close() {
+    this.socket.end()
+  }
+}
+
+class SmtpMailer extends Mailer {
+  /**
+   * @param {Object} options
+   * @param {string} options.host
+   * @param {number} options.port
+   * @param {boolean} [options.secure] - Implicit TLS
+   * @param {string} [options.user] - AUTH PLAIN credentials (skipped when unset)
+   * @param {string} [options.pass]
+   */
+  constructor({ host, port, secure = false, user, pass }) {
+    super('smtp')
+    this.host = host
+    this.port = port
+    this.secure = secure
+    this.user = user
+    this.pass = pass
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = this.secure
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host }, () => resolve(socket))
+        : net.connect({ host: this.host, port: this.port }, () => resolve(socket))
+      socket.once('error', reject)
+    })
+  }
+
+  async send({ from, to, subject, text }) {
+    const messageId = this.createMessageId(from)
+    const connection = new SmtpConnection(await this.connect())
+
+    try {
+      await connection.command(null, 220)
+      await connection.command(`EHLO ${os.hostname()}`, 250)
+      if (this.user) {
+        const credentials = Buffer.from(`\0${this.user}\0${this.pass || ''}`).toString('base64')
+        await connection.command(`AUTH PLAIN ${credentials}`, 235)
+      }
+      await connection.command(`MAIL FROM:<${toAddress(from)}>`, 250)
+      await connection.command(`RCPT TO:<${toAddress(to)}>`, 250)
+      await connection.command('DATA', 354)
+
+      const headers = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: ${messageId}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit'
+      ]
+      // Dot-stuffing: a line starting with "." gets another one
+      const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..')
+      await connection.command(`${headers.join('\r\n')}\r\n\r\n${body}\r\n.`, 250)
+
+      await connection.command('QUIT', 221).catch(() => {})
+    } finally {
+      connection.close()
+    }
+
+    return { messageId }
+  }
+}
+
+module.exports = SmtpMailer
@@ -0,0 +1,466 @@
+/**
+ * Market Service
+ *
+ * Reads live Compound V3 market data from each Comet:
+ * - Utilization and per-second supply/borrow rates (converted to APR/APY)
+ * - Per-asset collateral factors
+ * - Position risk across every collateral asset (health factor, borrow capacity, liquidation prices)
+ * - USD prices and values of registry tokens
+ *
+ * Results are cached briefly so dashboard refreshes don't hammer the RPC.
+ */
+
+const { ethers } = require('ethers')
+const config = require('../config')
+const markets = require('../config/markets')
+const logger = require('../utils/logger')
+
+// Compound V3 uses a 365-day year for its rate model
+const SECONDS_PER_YEAR = 31536000n
+const FACTOR_SCALE = 10n ** 18n
+// Comet price feeds report 8 decimals
+const PRICE_DECIMALS = 8
+
+// Health factor bands used for colour-coding positions
+const RISK_BANDS = {
+  SAFE: 1.5,     // HF >= 1.5
+  WARNING: 1.1   // 1.1 <= HF < 1.5, below is DANGER
+}
+
+const COMET_ABI = [
+  'function getUtilization() view returns (uint64)',
+  'function getSupplyRate(uint256 utilization) view returns (uint64)',
+  'function getBorrowRate(uint256 utilization) view returns (uint64)',
+  'function numAssets() view returns (uint8)',
+  'function getAssetInfo(uint8 i) view returns (tuple(uint8 offset, address asset, address priceFeed, uint64 scale, uint64 borrowCollateralFactor, uint64 liquidateCollateralFactor, uint64 liquidationFactor, uint128 supplyCap))',
+  'function getAssetInfoByAddress(address asset) view returns (tuple(uint8 offset, address asset, address priceFeed, uint64 scale, uint64 borrowCollateralFactor, uint64 liquidateCollateralFactor, uint64 liquidationFactor, uint128 supplyCap))',
+  'function getPrice(address priceFeed) view returns (uint256)',
+  'function baseTokenPriceFeed() view returns (address)',
+  'function baseScale() view returns (uint256)',
+]
+
+const ERC20_ABI = [
+  'function symbol() view returns (string)',
+]
+
+/**
+ * Convert an 18-decimal fixed point value to a JS number
+ */
+function fromFactor(value) {
+  return Number(ethers.formatUnits(value, 18))
+}
+
+/**
+ * Format a fraction (0.0482) as a percentage string ("4.82%")
+ */
+function formatPercent(fraction, digits = 2) {
+  return `${(fraction * 100).toFixed(digits)}%`
+}
+
+/**
+ * Convert a Comet per-second rate (18 decimals) to APR and APY fractions
+ * APR is simple (rate * seconds per year), APY compounds every second
+ */
+function annualizeRate(ratePerSecond) {
+  const apr = fromFactor(BigInt(ratePerSecond) * SECONDS_PER_YEAR)
+  const perSecond = fromFactor(BigInt(ratePerSecond))
+  const apy = Math.expm1(Number(SECONDS_PER_YEAR) * Math.log1p(perSecond))
+  return { apr, apy }
+}
+
+/**
+ * Map a health factor to a risk band
+ */
+function getRiskLevel(healthFactor) {
+  if (healthFactor === null) return 'NONE'
+  if (healthFactor >= RISK_BANDS.SAFE) return 'SAFE'
+  if (healthFactor >= RISK_BANDS.WARNING) return 'WARNING'
+  return 'DANGER'
+}
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase()
+
+/**
+ * Registry price feed override for an asset of a Comet (undefined if the Comet's own feed is used)
+ */
+function getPriceFeedOverride(cometAddress, assetAddress) {
+  const market = markets.findMarketByAddress(cometAddress)
+  const token = markets.findTokenByAddress(assetAddress)
+  return market && token ? market.priceFeeds[token.symbol] : undefined
+}
+
+/**
+ * Format a price-denominated (8 decimal) value for display
+ */
+function formatValue(value) {
+  return {
+    value: value.toString(),
+    formatted: Number(ethers.formatUnits(value, PRICE_DECIMALS)).toFixed(2)
+  }
+}
+
+class MarketService {
+  constructor() {
+    this.provider = new ethers.JsonRpcProvider(config.blockchain.rpcUrl)
+    this.cacheTtlMs = config.markets.cacheTtlMs
+    this.cache = new Map()
+  }
+
+  /**
+   * Serve a value from cache, or load it once even if requested concurrently
+   */
+  async cached(key, loader, ttlMs = this.cacheTtlMs) {
+    const entry = this.cache.get(key)
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.promise
+    }
+
+    const promise = loader()
+    this.cache.set(key, { promise, expiresAt: Date.now() + ttlMs })
+
+    // Don't keep failed reads around - next request should retry
+    promise.catch(() => this.cache.delete(key))
+
+    return promise
+  }
+
+  /**
+   * Get the collateral assets a Comet accepts, with their risk parameters
+   * Asset configuration only changes via governance, so it's cached longer than rates
+   */
+  async getCollateralAssets(cometAddress) {
+    return this.cached(`assets:${cometAddress.toLowerCase()}`, async () => {
+      const comet = new ethers.Contract(cometAddress, COMET_ABI, this.provider)
+      const numAssets = Number(await comet.numAssets())
+
+      const infos = await Promise.all(
+        Array.from({ length: numAssets }, (_, i) => comet.getAssetInfo(i))
+      )
+
+      return Promise.all(infos.map(async (info) => {
+        let symbol = info.asset
+        try {
+          symbol = await new ethers.Contract(info.asset, ERC20_ABI, this.provider).symbol()
+        } catch (e) {
+          logger.warn(`Error reading symbol for ${info.asset}:`, e.message)
+        }
+
+        return {
+          symbol,
+          address: info.asset,
+          priceFeed: info.priceFeed,
+          scale: info.scale.toString(),
+          borrowCollateralFactor: info.borrowCollateralFactor.toString(),
+          liquidateCollateralFactor: info.liquidateCollateralFactor.toString(),
+          liquidationFactor: info.liquidationFactor.toString(),
+          supplyCap: info.supplyCap.toString()
+        }
+      }))
+    }, this.cacheTtlMs * 10)
+  }
+
+  /**
+   * Read utilization and rates for a single Comet
+   */
+  async getMarket(key) {
+    const market = markets.getMarket(key)
+
+    return this.cached(`market:${key}`, async () => {
+      const comet = new ethers.Contract(market.address, COMET_ABI, this.provider)
+
+      const utilization = await comet.getUtilization()
+      const [supplyRate, borrowRate, assets] = await Promise.all([
+        comet.getSupplyRate(utilization),
+        comet.getBorrowRate(utilization),
+        this.getCollateralAssets(market.address)
+      ])
+
+      const supply = annualizeRate(supplyRate)
+      const borrow = annualizeRate(borrowRate)
+      const utilizationFraction = fromFactor(utilization)
+
+      const collateral = {}
+      for (const asset of assets) {
+        const borrowCF = fromFactor(asset.borrowCollateralFactor)
+        const liquidateCF = fromFactor(asset.liquidateCollateralFactor)
+        collateral[asset.symbol] = {
+          address: asset.address,
+          borrowCollateralFactor: borrowCF,
+          liquidateCollateralFactor: liquidateCF,
+          liquidationFactor: fromFactor(asset.liquidationFactor),
+          formatted: {
+            borrowCollateralFactor: formatPercent(borrowCF, 0),
+            liquidateCollateralFactor: formatPercent(liquidateCF, 0)
+          }
+        }
+      }
+
+      // The market's default collateral is the headline factor
+      const headlineCollateral = collateral[market.collaterals[0]]
+
+      return {
+        comet: market.address,
+        name: market.name,
+        baseToken: market.baseToken,
+        collaterals: market.collaterals,
+        // Formatted strings (kept for existing consumers)
+        supplyAPY: formatPercent(supply.apy),
+        borrowAPY: formatPercent(borrow.apy),
+        supplyAPR: formatPercent(supply.apr),
+        borrowAPR: formatPercent(borrow.apr),
+        utilization: formatPercent(utilizationFraction),
+        collateralFactor: headlineCollateral ? headlineCollateral.formatted.borrowCollateralFactor : null,
+        // Numeric values as fractions (0.048 = 4.8%)
+        rates: {
+          utilization: utilizationFraction,
+          supplyApr: supply.apr,
+          supplyApy: supply.apy,
+          borrowApr: borrow.apr,
+          borrowApy: borrow.apy,
+          supplyRatePerSecond: supplyRate.toString(),
+          borrowRatePerSecond: borrowRate.toString()
+        },
+        collateral,
+        updatedAt: new Date().toISOString()
+      }
+    })
+  }
+
+  /**
+   * Get a collateral asset's risk parameters on a Comet
+   * The price feed can be overridden per market in the registry
+   */
+  async getAssetInfo(cometAddress, assetAddress) {
+    return this.cached(`assetInfo:${cometAddress.toLowerCase()}:${assetAddress.toLowerCase()}`, async () => {
+      const comet = new ethers.Contract(cometAddress, COMET_ABI, this.provider)
+      const info = await comet.getAssetInfoByAddress(assetAddress)
+      return {
+        priceFeed: getPriceFeedOverride(cometAddress, assetAddress) || info.priceFeed,
+        scale: info.scale,
+        borrowCollateralFactor: info.borrowCollateralFactor,
+        liquidateCollateralFactor: info.liquidateCollateralFactor
+      }
+    }, this.cacheTtlMs * 10)
+  }
+
+  /**
+   * Get the base token price feed and scale of a Comet
+   */
+  async getBaseInfo(cometAddress) {
+    return this.cached(`baseInfo:${cometAddress.toLowerCase()}`, async () => {
+      const comet = new ethers.Contract(cometAddress, COMET_ABI, this.provider)
+      const [priceFeed, scale] = await Promise.all([
+        comet.baseTokenPriceFeed(),
+        comet.baseScale()
+      ])
+      const market = markets.findMarketByAddress(cometAddress)
+      return {
+        priceFeed: (market && getPriceFeedOverride(cometAddress, market.baseTokenAddress)) || priceFeed,
+        scale
+      }
+    }, this.cacheTtlMs * 10)
+  }
+
+  /**
+   * Price of a token from a Comet's price feeds (8 decimals, in the Comet's quote currency)
+   * @returns {Promise<bigint|null>} null if the token is neither the base token nor a collateral of the Comet
+   */
+  async getCometPrice(market, tokenAddress) {
+    let priceFeed
+    try {
+      ({ priceFeed } = sameAddress(tokenAddress, market.baseTokenAddress)
+        ? await this.getBaseInfo(market.address)
+        : await this.getAssetInfo(market.address, tokenAddress))
+    } catch (e) {
+      // Not an asset of this Comet (getAssetInfoByAddress reverts)
+      return null
+    }
+
+    const comet = new ethers.Contract(market.address, COMET_ABI, this.provider)
+    return comet.getPrice(priceFeed)
+  }
+
+  /**
+   * USD price of a token (8 decimals)
+   * Read from a USD-quoted Comet that lists the token; otherwise from another Comet,
+   * converted to USD through that Comet's base token (e.g. wstETH/ETH x ETH/USD)
+   */
+  async getUsdPrice(tokenAddress) {
+    return this.cached(`usdPrice:${tokenAddress.toLowerCase()}`, async () => {
+      const all = markets.getMarkets()
+      const usdMarkets = all.filter(market => market.quoteCurrency === 'USD')
+
+      const getUsdQuotedPrice = async (address) => {
+        for (const market of usdMarkets) {
+          const price = await this.getCometPrice(market, address)
+          if (price !== null) return price
+        }
+        return null
+      }
+
+      const usdPrice = await getUsdQuotedPrice(tokenAddress)
+      if (usdPrice !== null) {
+        return usdPrice
+      }
+
+      for (const market of all.filter(m => m.quoteCurrency !== 'USD')) {
+        const price = await this.getCometPrice(market, tokenAddress)
+        if (price === null) continue
+
+        const [basePrice, baseUsdPrice] = await Promise.all([
+          this.getCometPrice(market, market.baseTokenAddress),
+          getUsdQuotedPrice(market.baseTokenAddress)
+        ])
+        if (baseUsdPrice !== null && basePrice > 0n) {
+          return price * baseUsdPrice / basePrice
+        }
+      }
+
+      throw new Error(`No USD price feed for ${tokenAddress} in the market registry`)
+    })
+  }
+
+  /**
+   * USD value of a token amount
+   * @param {string} tokenAddress - Registry token address
+   * @param {bigint|string} amount - Amount in token units
+   * @returns {Promise<{value: string, formatted: string}>} 8-decimal USD value
+   */
+  async getUsdValue(tokenAddress, amount) {
+    const token = markets.findTokenByAddress(tokenAddress)
+    if (!token) {
+      throw new Error(`Unknown token ${tokenAddress}`)
+    }
+
+    const price = await this.getUsdPrice(tokenAddress)
+    return formatValue(BigInt(amount) * price / 10n ** BigInt(token.decimals))
+  }
+
+  /**
+   * Compute risk metrics for a Comet position across all of its collateral assets
+   * All values are denominated in the Comet's price feed currency (8 decimals)
+   *
+   * The health factor and distance to liquidation cover the whole position. Each
+   * asset's liquidation price assumes the other collateral prices stay put; the
+   * top-level liquidationPrice is that of the largest collateral (liquidationAsset).
+   *
+   * @param {string} key - Market registry key ('USDC', 'WETH', ...)
+   * @param {Array<{asset: string, balance: bigint|string}>} collaterals - Collateral token addresses and amounts
+   * @param {bigint} borrowBalance - Debt amount in base token units
+   */
+  async getPositionRisk(key, collaterals, borrowBalance) {
+    const market = markets.getMarket(key)
+    const held = collaterals.filter(collateral => BigInt(collateral.balance) > 0n)
+
+    const comet = new ethers.Contract(market.address, COMET_ABI, this.provider)
+    const [baseInfo, assetInfos] = await Promise.all([
+      this.getBaseInfo(market.address),
+      Promise.all(held.map(collateral => this.getAssetInfo(market.address, collateral.asset)))
+    ])
+    const [basePrice, ...prices] = await Promise.all([
+      comet.getPrice(baseInfo.priceFeed),
+      ...assetInfos.map(info => comet.getPrice(info.priceFeed))
+    ])
+
+    const assets = held.map((collateral, i) => {
+      const info = assetInfos[i]
+      const balance = BigInt(collateral.balance)
+      const value = balance * prices[i] / BigInt(info.scale)
+      return {
+        address: collateral.asset,
+        symbol: markets.findTokenByAddress(collateral.asset)?.symbol || collateral.asset,
+        balance,
+        price: prices[i],
+        scale: BigInt(info.scale),
+        liquidateCF: BigInt(info.liquidateCollateralFactor),
+        value,
+        borrowCapacity: value * BigInt(info.borrowCollateralFactor) / FACTOR_SCALE,
+        liquidationThreshold: value * BigInt(info.liquidateCollateralFactor) / FACTOR_SCALE
+      }
+    })
+
+    const sum = (field) => assets.reduce((total, asset) => total + asset[field], 0n)
+    const collateralValue = sum('value')
+    const borrowCapacity = sum('borrowCapacity')
+    const liquidationThreshold = sum('liquidationThreshold')
+
+    const debt = BigInt(borrowBalance)
+    const debtValue = debt * basePrice / BigInt(baseInfo.scale)
+
+    // Price of one asset at which the position's liquidationThreshold == debtValue
+    const getLiquidationPrice = (asset) => {
+      if (debt === 0n || asset.balance === 0n || asset.liquidateCF === 0n) return null
+      const covered = debtValue - (liquidationThreshold - asset.liquidationThreshold)
+      // The other collateral covers the debt on its own
+      if (covered <= 0n) return null
+      return covered * asset.scale * FACTOR_SCALE / (asset.balance * asset.liquidateCF)
+    }
+
+    let healthFactor = null
+    let distanceToLiquidation = null
+
+    if (debt > 0n) {
+      healthFactor = debtValue > 0n
+        ? Number(liquidationThreshold * FACTOR_SCALE / debtValue) / 1e18
+        : null
+
+      // Uniform drop in collateral prices that brings liquidationThreshold down to debtValue
+      if (liquidationThreshold > 0n) {
+        distanceToLiquidation = Number((liquidationThreshold - debtValue) * 10000n / liquidationThreshold) / 10000
+      }
+    }
+
+    const headline = assets.reduce((largest, asset) => (!largest || asset.value > largest.value ? asset : largest), null)
+    const liquidationPrice = headline ? getLiquidationPrice(headline) : null
+
+    return {
+      quoteCurrency: market.quoteCurrency,
+      healthFactor,
+      healthFactorFormatted: healthFactor === null ? 'N/A' : healthFactor.toFixed(2),
+      riskLevel: getRiskLevel(healthFactor),
+      liquidationAsset: headline ? headline.symbol : null,
+      collateralPrice: headline ? formatValue(headline.price) : null,
+      collateralValue: formatValue(collateralValue),
+      debtValue: formatValue(debtValue),
+      borrowCapacity: formatValue(borrowCapacity),
+      availableToBorrow: formatValue(borrowCapacity > debtValue ? borrowCapacity - debtValue : 0n),
+      liquidationThreshold: formatValue(liquidationThreshold),
+      liquidationPrice: liquidationPrice === null ? null : formatValue(liquidationPrice),
+      distanceToLiquidation,
+      distanceToLiquidationFormatted: distanceToLiquidation === null ? 'N/A' : formatPercent(distanceToLiquidation),
+      collaterals: assets.map(asset => {
+        const assetLiquidationPrice = getLiquidationPrice(asset)
+        return {
+          asset: asset.symbol,
+          address: asset.address,
+          price: formatValue(asset.price),
+          value: formatValue(asset.value),
+          liquidationPrice: assetLiquidationPrice === null ? null : formatValue(assetLiquidationPrice)
+        }
+      })
+    }
+  }
+
+  /**
+   * Risk band of a health factor (shared with the Aave adapter so both protocols colour-code alike)
+   */
+  getRiskLevel(healthFactor) {
+    return getRiskLevel(healthFactor)
+  }
+
+  /**
+   * Read all known markets
+   */
+  async getMarkets() {
+    const keys = markets.getMarketKeys()
+    const results = await Promise.all(keys.map(key => this.getMarket(key)))
+
+    const markets = {}
+    keys.forEach((key, i) => {
+      markets[key] = results[i]
+    })
+    return markets
+  }
+}
+
+module.exports = new MarketService()
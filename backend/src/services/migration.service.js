@@ -0,0 +1,706 @@
+/**
+ * Migration Service
+ *
+ * Sizes, previews and submits migrations of a debt position between a Comet and Aave V3,
+ * executed atomically by the Switcher inside a Uniswap flash loan:
+ * - COMPOUND_TO_AAVE: repay the Comet debt, move the collateral into Aave and borrow there
+ *   (the Comet base token, or another Aave asset swapped into it)
+ * - AAVE_TO_COMPOUND: repay the Aave variable debt, move the collateral into the Comet and
+ *   borrow its base token (swapped into the Aave debt asset if they differ)
+ * - Moves every collateral asset held on the source side (or one chosen asset); percentage
+ *   moves that share of the collateral and the debt
+ * - Same sizing rules as cross-Comet switches: flash loan pool and swap path chosen per
+ *   migration (route.service), swap quote within the slippage tolerance, and both sides
+ *   left above the minimum health factor
+ *
+ * The Aave side needs approvals the Comet side doesn't: credit delegation on the
+ * variable debt tokens (into Aave) and aToken approvals (out of Aave), both to the Switcher.
+ * The session key can't be bounded on either, so the owner signs them once (migration
+ * setup, buildSetupCalls); the Switcher only ever spends them for the account's own calls.
+ */
+
+const { ethers } = require('ethers')
+const config = require('../config')
+const markets = require('../config/markets')
+const logger = require('../utils/logger')
+const marketService = require('./market.service')
+const aaveService = require('./aave.service')
+const quoteService = require('./quote.service')
+const routeService = require('./route.service')
+const erc4337Service = require('./erc4337.service')
+const policyService = require('./policy.service')
+const realtimeService = require('./realtime.service')
+const Transaction = require('../models/Transaction')
+const { ValidationError, SlippageExceededError, HealthFactorTooLowError } = require('../utils/errors')
+const { decodeRevertReason } = require('../utils/revertDecoder')
+const { SWITCHER_ABI } = require('../utils/switcherAbi')
+const {
+  BPS_DENOMINATOR,
+  ACCRUAL_HEADROOM_BPS,
+  parseSlippageBps,
+  parseShareBps,
+  applySlippageHeadroom
+} = require('../utils/sizing')
+
+const SWITCHER = config.contracts.switcher
+
+const DIRECTIONS = ['COMPOUND_TO_AAVE', 'AAVE_TO_COMPOUND']
+
+const COMET_ABI = [
+  'function borrowBalanceOf(address account) view returns (uint256)',
+  'function collateralBalanceOf(address account, address asset) view returns (uint128)',
+  'function isAllowed(address owner, address manager) view returns (bool)',
+]
+
+const ERC20_ABI = [
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function balanceOf(address account) view returns (uint256)',
+]
+
+const DEBT_TOKEN_ABI = [
+  'function approveDelegation(address delegatee, uint256 amount)',
+  'function borrowAllowance(address fromUser, address toUser) view returns (uint256)',
+  'function balanceOf(address account) view returns (uint256)',
+]
+
+// Owner-signed setup approves the Switcher for good; it is re-signed once borrows have
+// used up half of the delegation
+const SETUP_ALLOWANCE = ethers.MaxUint256
+const isSetUp = (allowance) => BigInt(allowance) >= SETUP_ALLOWANCE / 2n
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase()
+
+/**
+ * Parse the migration direction ('COMPOUND_TO_AAVE' or 'AAVE_TO_COMPOUND')
+ */
+function parseDirection(value) {
+  const direction = value ? String(value).toUpperCase() : null
+  if (!DIRECTIONS.includes(direction)) {
+    throw new ValidationError(`direction must be one of ${DIRECTIONS.join(', ')}`)
+  }
+  return direction
+}
+
+class MigrationService {
+  constructor() {
+    this.provider = new ethers.JsonRpcProvider(config.blockchain.rpcUrl)
+    this.aave = markets.getAaveMarket()
+    this.switcherIface = new ethers.Interface(SWITCHER_ABI)
+    this.erc20Iface = new ethers.Interface(ERC20_ABI)
+    this.debtTokenIface = new ethers.Interface(DEBT_TOKEN_ABI)
+  }
+
+  /**
+   * Switcher contract (deployment-specific, so created on use)
+   */
+  getSwitcher() {
+    if (!SWITCHER) {
+      throw new Error('SWITCHER_ADDRESS not configured')
+    }
+    return new ethers.Contract(SWITCHER, SWITCHER_ABI, this.provider)
+  }
+
+  /**
+   * Size a migration from the account's current position on the source side
+   *
+   * By default the whole position moves: every collateral asset held and all of the
+   * debt. `collateralSymbol` moves only that asset, `percentage` moves that share of
+   * the collateral and of the debt.
+   *
+   * @param {string} accountAddress - Smart account address
+   * @param {Object} options
+   * @param {string} options.direction - 'COMPOUND_TO_AAVE' or 'AAVE_TO_COMPOUND'
+   * @param {string} options.comet - Market registry key of the Comet side ('USDC', 'WETH', ...)
+   * @param {string} [options.debtAsset] - Aave debt asset (defaults to the Comet's base token)
+   * @param {string} [options.collateralSymbol] - Move only this collateral asset
+   * @param {string|number} [options.percentage] - Share of the position to move (0-100)
+   * @param {string|number} [options.slippageBps] - Slippage tolerance in basis points
+   * @throws {ValidationError} If a collateral asset held isn't accepted on the target side
+   * @throws {SlippageExceededError} If the quoted swap output falls outside the tolerance
+   * @throws {QuoteFailedError} If the swap can't be quoted (the migration must not proceed)
+   * @throws {HealthFactorTooLowError} If either side would be left below the minimum health factor
+   */
+  async planMigration(accountAddress, { direction, comet, debtAsset, collateralSymbol, percentage, slippageBps } = {}) {
+    const resolvedDirection = parseDirection(direction)
+    const market = markets.getMarket(comet)
+    const cometDebtToken = markets.getToken(market.baseToken)
+    const aaveDebtToken = markets.getAaveBorrowAsset(debtAsset || market.baseToken)
+    const slippage = parseSlippageBps(slippageBps)
+    const shareBps = parseShareBps(percentage)
+    const toAave = resolvedDirection === 'COMPOUND_TO_AAVE'
+
+    const compoundSide = { protocol: 'COMPOUND', name: market.name, collaterals: market.collaterals, debtToken: cometDebtToken }
+    const aaveSide = { protocol: 'AAVE', name: this.aave.name, collaterals: this.aave.collaterals, debtToken: aaveDebtToken }
+    const source = toAave ? compoundSide : aaveSide
+    const target = toAave ? aaveSide : compoundSide
+
+    const chosen = collateralSymbol ? markets.getToken(collateralSymbol) : null
+    if (chosen && !source.collaterals.includes(chosen.symbol)) {
+      throw new ValidationError(`${chosen.symbol} is not supported as collateral on ${source.name}. Supported: ${source.collaterals.join(', ')}`)
+    }
+
+    const { held, debt } = toAave
+      ? await this.getCometPosition(accountAddress, market)
+      : await this.getAavePosition(accountAddress, aaveDebtToken)
+    const moving = chosen ? held.filter(token => token.symbol === chosen.symbol) : held
+
+    if (moving.length === 0) {
+      throw new ValidationError(chosen ? `No ${chosen.symbol} collateral on ${source.name}` : `No collateral on ${source.name}`)
+    }
+
+    if (debt === 0n) {
+      throw new ValidationError(`No ${source.debtToken.symbol} debt to migrate on ${source.name}`)
+    }
+
+    // Every asset that moves must be accepted on the target side
+    const unsupported = moving.filter(token => !target.collaterals.includes(token.symbol))
+    if (unsupported.length > 0) {
+      throw new ValidationError(
+        `${target.name} does not accept ${unsupported.map(token => token.symbol).join(', ')} as collateral`,
+        { unsupported: unsupported.map(token => token.symbol), accepted: target.collaterals }
+      )
+    }
+
+    const collaterals = moving
+      .map(token => ({ ...token, amount: token.balance * shareBps / BPS_DENOMINATOR }))
+      .filter(collateral => collateral.amount > 0n)
+
+    if (collaterals.length === 0) {
+      throw new ValidationError('The migration would move no collateral - increase the percentage')
+    }
+
+    // Debt moves in the same proportion as the collateral
+    const fullDebt = shareBps === BPS_DENOMINATOR
+    const repayAmount = debt * shareBps / BPS_DENOMINATOR
+    if (repayAmount === 0n) {
+      throw new ValidationError('The migration would move no debt - increase the percentage')
+    }
+
+    // The target borrow (after the swap, if the debt asset changes) must return the flash loan plus its fee
+    const swap = !sameAddress(source.debtToken.address, target.debtToken.address)
+    const route = await routeService.selectRoute({
+      flashToken: source.debtToken,
+      flashAmount: repayAmount,
+      swapTokenIn: swap ? target.debtToken : null
+    })
+    const { swapPath, flashFee, minOutputAmount } = route
+
+    // A full migration borrows a little extra for accrued interest (the surplus is refunded)
+    let minimalBorrow = route.minimalBorrow
+    let borrowAmount = fullDebt ? applySlippageHeadroom(minOutputAmount, ACCRUAL_HEADROOM_BPS) : minOutputAmount
+    let expectedOutput = borrowAmount
+    let priceImpactBps = 0n
+
+    if (swap) {
+      // Minimal borrow: the exact-output quote along the chosen swap path
+      priceImpactBps = swapPath.priceImpactBps
+
+      if (priceImpactBps > slippage) {
+        throw new SlippageExceededError(
+          `Swap price impact of ${priceImpactBps} bps exceeds the ${slippage} bps slippage tolerance`,
+          {
+            slippageBps: Number(slippage),
+            priceImpactBps: Number(priceImpactBps),
+            minimalBorrow: minimalBorrow.toString(),
+            minOutputAmount: minOutputAmount.toString()
+          }
+        )
+      }
+
+      borrowAmount = applySlippageHeadroom(minimalBorrow, slippage)
+      expectedOutput = await quoteService.quoteExactInputPath(swapPath.hops, borrowAmount)
+    }
+
+    logger.info(`Migration sizing (${resolvedDirection}): ${ethers.formatUnits(minOutputAmount, source.debtToken.decimals)} ${source.debtToken.symbol} required -> borrowing ${ethers.formatUnits(borrowAmount, target.debtToken.decimals)} ${target.debtToken.symbol} on ${target.name}${swap ? ` via ${routeService.describePath(swapPath)} (impact ${priceImpactBps} bps, tolerance ${slippage} bps)` : ''}`)
+
+    const plan = {
+      direction: resolvedDirection,
+      comet: market,
+      source,
+      target,
+      // [{symbol, address, decimals, balance}] - every collateral held on the source side
+      held,
+      // [{symbol, address, decimals, balance, amount}] - moved together in one migration call
+      collaterals,
+      debt,
+      shareBps,
+      repayAmount,
+      fullDebt,
+      flashPool: route.flash,
+      // Quoted swap path (null when the debt asset doesn't change)
+      swapPath,
+      routeCandidates: route.candidates,
+      swap,
+      flashFee,
+      minimalBorrow,
+      borrowAmount,
+      expectedOutput,
+      minOutputAmount,
+      slippageBps: slippage,
+      priceImpactBps
+    }
+
+    await this.assertAaveTokens(plan)
+    plan.postMigration = await this.getPostMigrationPositions(accountAddress, plan)
+    this.assertHealthy(plan)
+
+    return plan
+  }
+
+  /**
+   * Collateral held in a Comet and its debt
+   */
+  async getCometPosition(accountAddress, market) {
+    const tokens = market.collaterals.map(symbol => markets.getToken(symbol))
+    const comet = new ethers.Contract(market.address, COMET_ABI, this.provider)
+    const [balances, debt] = await Promise.all([
+      Promise.all(tokens.map(token => comet.collateralBalanceOf(accountAddress, token.address))),
+      comet.borrowBalanceOf(accountAddress)
+    ])
+
+    return {
+      held: tokens
+        .map((token, i) => ({ ...token, balance: BigInt(balances[i]) }))
+        .filter(token => token.balance > 0n),
+      debt: BigInt(debt)
+    }
+  }
+
+  /**
+   * Collateral held on Aave and the variable debt of one asset
+   */
+  async getAavePosition(accountAddress, debtToken) {
+    const position = await aaveService.getPosition(accountAddress)
+
+    return {
+      held: position.collaterals
+        .map(collateral => ({ ...markets.getToken(collateral.asset), balance: BigInt(collateral.balance) }))
+        .filter(token => token.balance > 0n),
+      debt: BigInt(position.borrowed.find(borrowed => borrowed.asset === debtToken.symbol)?.balance || 0)
+    }
+  }
+
+  /**
+   * The registry's aToken / variable debt token addresses must match the Pool's reserves -
+   * they are the targets of the owner-signed setup approvals the migration relies on
+   * @throws {Error} If the registry is out of date
+   */
+  async assertAaveTokens(plan) {
+    const expected = plan.direction === 'COMPOUND_TO_AAVE'
+      ? [{ token: plan.target.debtToken, field: 'variableDebtToken', address: this.aave.variableDebtTokens[plan.target.debtToken.symbol] }]
+      : plan.collaterals.map(token => ({ token, field: 'aToken', address: this.aave.aTokens[token.symbol] }))
+
+    const reserves = await Promise.all(expected.map(({ token }) => aaveService.getReserve(token)))
+    expected.forEach(({ token, field, address }, i) => {
+      if (!sameAddress(address, reserves[i][field])) {
+        throw new Error(`Market registry ${field} for ${token.symbol} does not match the Aave Pool (${reserves[i][field]})`)
+      }
+    })
+  }
+
+  /**
+   * Source and target positions as they would be after the migration
+   * @returns {Promise<{source: Object, target: Object}>} Each side as { debt, risk } (debt in its debt token)
+   */
+  async getPostMigrationPositions(accountAddress, plan) {
+    const movedAmount = (token) => plan.collaterals.find(collateral => sameAddress(collateral.address, token.address))?.amount || 0n
+    const moved = plan.collaterals.map(collateral => ({ token: collateral, amount: collateral.amount }))
+    const comet = new ethers.Contract(plan.comet.address, COMET_ABI, this.provider)
+
+    if (plan.direction === 'COMPOUND_TO_AAVE') {
+      // Comet: whatever the migration leaves behind; Aave: existing position plus what moves
+      const cometCollateral = plan.held.map(token => ({ asset: token.address, balance: token.balance - movedAmount(token) }))
+      const cometDebt = plan.debt - plan.repayAmount
+      const debtToken = new ethers.Contract(this.aave.variableDebtTokens[plan.target.debtToken.symbol], DEBT_TOKEN_ABI, this.provider)
+
+      const [cometRisk, aaveRisk, aaveDebt] = await Promise.all([
+        marketService.getPositionRisk(plan.comet.key, cometCollateral, cometDebt),
+        aaveService.getProjectedRisk(accountAddress, {
+          collaterals: moved,
+          debts: [{ token: plan.target.debtToken, amount: plan.borrowAmount }]
+        }),
+        debtToken.balanceOf(accountAddress)
+      ])
+
+      return {
+        source: { debt: cometDebt, risk: cometRisk },
+        target: { debt: BigInt(aaveDebt) + plan.borrowAmount, risk: aaveRisk }
+      }
+    }
+
+    // Aave: collateral and debt removed; Comet: existing balances of every collateral plus what moves
+    const cometTokens = plan.comet.collaterals.map(symbol => markets.getToken(symbol))
+    const [cometCollateral, cometDebt, aaveRisk] = await Promise.all([
+      Promise.all(cometTokens.map(token => comet.collateralBalanceOf(accountAddress, token.address))),
+      comet.borrowBalanceOf(accountAddress),
+      aaveService.getProjectedRisk(accountAddress, {
+        collaterals: moved.map(change => ({ ...change, amount: -change.amount })),
+        debts: [{ token: plan.source.debtToken, amount: -plan.repayAmount }]
+      })
+    ])
+    const postCollateral = cometTokens.map((token, i) => ({ asset: token.address, balance: BigInt(cometCollateral[i]) + movedAmount(token) }))
+    const postDebt = BigInt(cometDebt) + plan.borrowAmount
+
+    return {
+      source: { debt: plan.debt - plan.repayAmount, risk: aaveRisk },
+      target: { debt: postDebt, risk: await marketService.getPositionRisk(plan.comet.key, postCollateral, postDebt) }
+    }
+  }
+
+  /**
+   * Both sides must stay borrow-collateralized and above the minimum health factor
+   * (Aave may carry debt in other assets, so a side is only skipped when it has no debt at all)
+   * @throws {HealthFactorTooLowError}
+   */
+  assertHealthy(plan) {
+    const minHealthFactor = config.switching.minHealthFactor
+
+    for (const side of ['source', 'target']) {
+      const { risk } = plan.postMigration[side]
+      const debtValue = BigInt(risk.debtValue.value)
+      if (debtValue === 0n) continue
+
+      const undercollateralized = debtValue > BigInt(risk.borrowCapacity.value)
+      const belowMinimum = risk.healthFactor !== null && risk.healthFactor < minHealthFactor
+      if (!undercollateralized && !belowMinimum) continue
+
+      const reason = undercollateralized
+        ? `more debt than its collateral can borrow against (health factor ${risk.healthFactorFormatted})`
+        : `a health factor of ${risk.healthFactorFormatted}, below the ${minHealthFactor} minimum`
+      throw new HealthFactorTooLowError(
+        `The migration would leave the ${plan[side].name} position with ${reason}`,
+        risk.healthFactor,
+        {
+          side,
+          protocol: plan[side].protocol,
+          minHealthFactor,
+          debtValue: risk.debtValue.formatted,
+          borrowCapacity: risk.borrowCapacity.formatted
+        }
+      )
+    }
+  }
+
+  /**
+   * Encode the Switcher migration call for a plan
+   */
+  encodeMigrationCall(accountAddress, plan) {
+    const assets = plan.collaterals.map(collateral => collateral.address)
+    const amounts = plan.collaterals.map(collateral => collateral.amount)
+    // A full migration repays whatever the debt has accrued to when it executes
+    const debtAmount = plan.fullDebt ? ethers.MaxUint256 : plan.repayAmount
+
+    if (plan.direction === 'COMPOUND_TO_AAVE') {
+      return this.switcherIface.encodeFunctionData('migrateCometToAave', [
+        accountAddress,
+        plan.comet.address,
+        this.aave.pool,
+        assets,
+        amounts,
+        plan.target.debtToken.address,
+        debtAmount,
+        plan.borrowAmount,
+        plan.minOutputAmount,
+        plan.flashPool.address,
+        plan.swapPath?.encoded || '0x'
+      ])
+    }
+
+    return this.switcherIface.encodeFunctionData('migrateAaveToComet', [
+      accountAddress,
+      this.aave.pool,
+      plan.source.debtToken.address,
+      plan.comet.address,
+      assets,
+      amounts,
+      debtAmount,
+      plan.borrowAmount,
+      plan.minOutputAmount,
+      plan.flashPool.address,
+      // No swap when the debt asset doesn't change
+      plan.swapPath?.encoded || '0x'
+    ])
+  }
+
+  /**
+   * Owner calls approving the Switcher on every Aave variable debt token (credit
+   * delegation) and aToken that isn't approved yet - empty once setup is done
+   * @returns {Promise<Array<{target: string, value: bigint, data: string}>>}
+   */
+  async buildSetupCalls(accountAddress) {
+    const debtTokens = Object.values(this.aave.variableDebtTokens)
+    const aTokens = Object.values(this.aave.aTokens)
+
+    const [delegated, approved] = await Promise.all([
+      Promise.all(debtTokens.map(address =>
+        new ethers.Contract(address, DEBT_TOKEN_ABI, this.provider).borrowAllowance(accountAddress, SWITCHER)
+      )),
+      Promise.all(aTokens.map(address =>
+        new ethers.Contract(address, ERC20_ABI, this.provider).allowance(accountAddress, SWITCHER)
+      ))
+    ])
+
+    return [
+      ...debtTokens.filter((address, i) => !isSetUp(delegated[i])).map(address => ({
+        target: address,
+        value: 0n,
+        data: this.debtTokenIface.encodeFunctionData('approveDelegation', [SWITCHER, SETUP_ALLOWANCE])
+      })),
+      ...aTokens.filter((address, i) => !isSetUp(approved[i])).map(address => ({
+        target: address,
+        value: 0n,
+        data: this.erc20Iface.encodeFunctionData('approve', [SWITCHER, SETUP_ALLOWANCE])
+      }))
+    ]
+  }
+
+  /**
+   * Whether the owner-signed Aave approval a plan needs covers it: credit delegation
+   * of the borrow (into Aave) or an approve of each aToken moved (out of Aave)
+   */
+  async isAaveApproved(accountAddress, plan) {
+    if (plan.direction === 'COMPOUND_TO_AAVE') {
+      const allowance = await new ethers.Contract(this.aave.variableDebtTokens[plan.target.debtToken.symbol], DEBT_TOKEN_ABI, this.provider)
+        .borrowAllowance(accountAddress, SWITCHER)
+      return BigInt(allowance) >= plan.borrowAmount
+    }
+
+    const approved = await Promise.all(plan.collaterals.map(collateral =>
+      new ethers.Contract(this.aave.aTokens[collateral.symbol], ERC20_ABI, this.provider)
+        .allowance(accountAddress, SWITCHER)
+        .then(allowance => BigInt(allowance) >= collateral.amount)
+    ))
+    return approved.every(Boolean)
+  }
+
+  /**
+   * Session key calls of a migration: the Switcher call (the Aave approvals are owner-signed)
+   */
+  buildMigrationCalls(accountAddress, plan) {
+    return [{ target: SWITCHER, value: 0n, data: this.encodeMigrationCall(accountAddress, plan) }]
+  }
+
+  /**
+   * Submit a planned migration with the user's session key and record it as a PENDING MIGRATE transaction
+   * Every session key call passes the policy first; the transaction watcher settles the record
+   * @param {Object} user - User document
+   * @param {Object} plan - From planMigration
+   * @param {string} sessionKeyPrivate - Decrypted session key
+   * @returns {Promise<{success: boolean, error?: string, transaction?: Object}>}
+   * @throws {ValidationError} If the owner hasn't signed the migration setup (Aave approvals) yet
+   */
+  async executeMigration(user, plan, sessionKeyPrivate) {
+    const { collaterals, repayAmount, borrowAmount, source, target } = plan
+
+    if (!await this.isAaveApproved(user.smartAccountAddress, plan)) {
+      throw new ValidationError(
+        'The Switcher is not approved on Aave for this migration - sign the migration setup first (GET /api/defi/migrate/setup-data)',
+        { direction: plan.direction }
+      )
+    }
+
+    const percentage = Number(plan.shareBps) / 100
+    const movedCollateral = collaterals.map(collateral => ({
+      asset: collateral.symbol,
+      amount: ethers.formatUnits(collateral.amount, collateral.decimals)
+    }))
+
+    logger.info(`Migrating ${percentage}% of position from ${source.name} to ${target.name}`)
+    logger.info(`  Collateral: ${movedCollateral.map(collateral => `${collateral.amount} ${collateral.asset}`).join(', ')}`)
+    logger.info(`  Debt moved: ${ethers.formatUnits(repayAmount, source.debtToken.decimals)} of ${ethers.formatUnits(plan.debt, source.debtToken.decimals)} ${source.debtToken.symbol}`)
+    logger.info(`  Borrow amount: ${ethers.formatUnits(borrowAmount, target.debtToken.decimals)} ${target.debtToken.symbol}`)
+
+    const result = await erc4337Service.submitMigration(
+      user.smartAccountAddress,
+      plan.comet.address,
+      this.buildMigrationCalls(user.smartAccountAddress, plan),
+      sessionKeyPrivate,
+      (calls, action, submit) => policyService.authorizeAndRun(user, calls, action, submit)
+    )
+
+    if (!result.success) {
+      return { success: false, error: result.error || 'Failed to submit migration' }
+    }
+
+    const transaction = await Transaction.create({
+      user: user._id,
+      smartAccountAddress: user.smartAccountAddress,
+      type: 'MIGRATE',
+      // Recorded under the protocol the position moves to
+      protocol: target.protocol === 'AAVE' ? this.aave.protocol : plan.comet.protocol,
+      // A single amount only makes sense for one asset - every asset moved is in metadata.collaterals
+      asset: movedCollateral.map(collateral => collateral.asset).join(', '),
+      amount: movedCollateral.length === 1 ? movedCollateral[0].amount : undefined,
+      userOpHash: result.userOpHash,
+      status: 'PENDING',
+      metadata: {
+        direction: plan.direction,
+        comet: plan.comet.key,
+        collaterals: movedCollateral,
+        percentage,
+        debtMoved: ethers.formatUnits(repayAmount, source.debtToken.decimals),
+        debtAsset: source.debtToken.symbol,
+        borrowAsset: target.debtToken.symbol,
+        flashPool: plan.flashPool.address,
+        ...(plan.swapPath && { swapRoute: routeService.describePath(plan.swapPath) }),
+        slippageBps: Number(plan.slippageBps)
+      }
+    })
+
+    realtimeService.publishTransaction(transaction)
+
+    return { success: true, transaction }
+  }
+
+  /**
+   * Simulate the exact migration call the account would make
+   * Uses eth_call / eth_estimateGas from the smart account against current state
+   */
+  async simulateMigration(accountAddress, plan) {
+    const toAave = plan.direction === 'COMPOUND_TO_AAVE'
+    const [authorized, cometAllowed, aaveApproved] = await Promise.all([
+      this.getSwitcher().authorizedCallers(accountAddress),
+      new ethers.Contract(plan.comet.address, COMET_ABI, this.provider).isAllowed(accountAddress, SWITCHER),
+      this.isAaveApproved(accountAddress, plan)
+    ])
+
+    const setup = {
+      switcherAuthorized: authorized,
+      cometAllowed,
+      [toAave ? 'creditDelegated' : 'aTokensApproved']: aaveApproved
+    }
+
+    // Setup steps run before the migration, so it can't be simulated until they're done
+    if (!authorized || !cometAllowed || !aaveApproved) {
+      return {
+        simulated: false,
+        success: null,
+        setup,
+        reason: aaveApproved
+          ? 'Switcher setup (authorization / Comet allowance) will run before the migration'
+          : 'The owner must sign the migration setup (Aave approvals for the Switcher) first - GET /api/defi/migrate/setup-data'
+      }
+    }
+
+    const tx = {
+      from: accountAddress,
+      to: SWITCHER,
+      data: this.encodeMigrationCall(accountAddress, plan)
+    }
+
+    try {
+      await this.provider.call(tx)
+      const gasEstimate = await this.provider.estimateGas(tx)
+      return { simulated: true, success: true, setup, gasEstimate: gasEstimate.toString() }
+    } catch (error) {
+      const reason = error.data && error.data !== '0x'
+        ? decodeRevertReason(error.data).message
+        : error.reason || error.shortMessage || error.message
+      logger.warn(`Migration simulation reverted for ${accountAddress}: ${reason}`)
+      return { simulated: true, success: false, setup, reason }
+    }
+  }
+
+  /**
+   * Preview the outcome of a migration without executing it
+   */
+  async previewMigration(accountAddress, plan) {
+    const { flashPool, swapPath, flashFee, expectedOutput, minOutputAmount, source, target } = plan
+    const excessRefund = expectedOutput > minOutputAmount ? expectedOutput - minOutputAmount : 0n
+
+    const simulation = await this.simulateMigration(accountAddress, plan)
+
+    const formatSource = (value) => ethers.formatUnits(value, source.debtToken.decimals)
+    const formatTarget = (value) => ethers.formatUnits(value, target.debtToken.decimals)
+    const describePosition = (side, format) => {
+      const { debt, risk } = plan.postMigration[side]
+      return {
+        protocol: plan[side].protocol,
+        name: plan[side].name,
+        debt: debt.toString(),
+        debtFormatted: format(debt),
+        debtAsset: plan[side].debtToken.symbol,
+        healthFactor: risk.healthFactor,
+        healthFactorFormatted: risk.healthFactorFormatted,
+        riskLevel: risk.riskLevel
+      }
+    }
+
+    return {
+      direction: plan.direction,
+      comet: plan.comet.key,
+      percentage: Number(plan.shareBps) / 100,
+      collaterals: plan.collaterals.map(collateral => ({
+        asset: collateral.symbol,
+        amount: collateral.amount.toString(),
+        formatted: ethers.formatUnits(collateral.amount, collateral.decimals),
+        remainingInSource: ethers.formatUnits(collateral.balance - collateral.amount, collateral.decimals)
+      })),
+      debt: {
+        asset: source.debtToken.symbol,
+        amount: plan.repayAmount.toString(),
+        formatted: formatSource(plan.repayAmount),
+        remainingInSource: formatSource(plan.debt - plan.repayAmount)
+      },
+      borrow: {
+        asset: target.debtToken.symbol,
+        amount: plan.borrowAmount.toString(),
+        formatted: formatTarget(plan.borrowAmount),
+        minimalAmount: plan.minimalBorrow.toString(),
+        minimalFormatted: formatTarget(plan.minimalBorrow)
+      },
+      flashLoan: {
+        pool: flashPool.address,
+        feeTier: Number(flashPool.fee),
+        fee: flashFee.toString(),
+        feeFormatted: formatSource(flashFee),
+        totalRepayment: formatSource(minOutputAmount),
+        // Every pool able to lend the debt, cheapest first
+        candidates: plan.routeCandidates.flash.map(pool => ({
+          pool: pool.address,
+          feeTier: Number(pool.fee),
+          available: formatSource(pool.available)
+        }))
+      },
+      // Only when the debt asset changes - otherwise the borrow repays the flash loan directly
+      swap: plan.swap
+        ? {
+          route: routeService.describePath(swapPath),
+          // One entry per pool the swap goes through, with the exact-output quote of that hop
+          path: routeService.formatPath(swapPath),
+          amountIn: plan.borrowAmount.toString(),
+          amountInFormatted: formatTarget(plan.borrowAmount),
+          tokenIn: target.debtToken.symbol,
+          expectedOutput: expectedOutput.toString(),
+          expectedOutputFormatted: formatSource(expectedOutput),
+          minOutput: minOutputAmount.toString(),
+          minOutputFormatted: formatSource(minOutputAmount),
+          tokenOut: source.debtToken.symbol,
+          slippageBps: Number(plan.slippageBps),
+          priceImpactBps: Number(plan.priceImpactBps),
+          // Every path that can fill the swap (direct fee tiers, routing token hops), by the input it needs
+          candidates: plan.routeCandidates.swap.map(candidate => ({
+            route: candidate.route,
+            minimalAmountIn: formatTarget(candidate.amountIn),
+            priceImpactBps: Number(candidate.priceImpactBps)
+          }))
+        }
+        : null,
+      excessRefund: {
+        asset: source.debtToken.symbol,
+        amount: excessRefund.toString(),
+        formatted: formatSource(excessRefund)
+      },
+      postMigration: {
+        minHealthFactor: config.switching.minHealthFactor,
+        source: describePosition('source', formatSource),
+        target: describePosition('target', formatTarget)
+      },
+      simulation,
+      gasEstimate: simulation.gasEstimate || null
+    }
+  }
+}
+
+module.exports = new MigrationService()
@@ -0,0 +1,378 @@
+/**
+ * Notification Service
+ *
+ * Turns position events into deliveries for each user's channels:
+ * - Webhooks: HTTPS POST of the JSON event, signed with the webhook's secret
+ *   (X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">)
+ * - Email: plain-text message to User.email through the configured mailer
+ *
+ * Events are queued as NotificationDelivery records; the notification dispatcher
+ * worker sends them and retries failures with exponential backoff.
+ */
+
+const crypto = require('crypto')
+const dns = require('dns')
+const http = require('http')
+const https = require('https')
+const net = require('net')
+const config = require('../config')
+const logger = require('../utils/logger')
+const { ValidationError } = require('../utils/errors')
+const { createMailer } = require('./mailers')
+const User = require('../models/User')
+const Webhook = require('../models/Webhook')
+const NotificationDelivery = require('../models/NotificationDelivery')
+const { encrypt, decrypt } = require('../utils/encryption')
+
+const EVENTS = {
+  TRANSACTION_CONFIRMED: 'transaction.confirmed',
+  TRANSACTION_FAILED: 'transaction.failed',
+  SWITCH_EXECUTED: 'switch.executed',
+  HEALTH_FACTOR_THRESHOLD_CROSSED: 'health_factor.threshold_crossed',
+  SESSION_KEY_EXPIRING: 'session_key.expiring',
+  // Sent on demand to check a webhook endpoint - never queued for email
+  PING: 'ping'
+}
+
+const SUBSCRIBABLE_EVENTS = Object.values(EVENTS).filter(event => event !== EVENTS.PING)
+
+// Webhooks may not reach the server's own network: loopback, private, link-local (cloud
+// metadata), carrier-grade NAT, multicast and reserved ranges. IPv4-mapped IPv6 addresses
+// are checked against the IPv4 ranges
+const BLOCKED_ADDRESSES = new net.BlockList()
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4')
+}
+for (const [address, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6')
+}
+
+const isBlockedAddress = (address) => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4')
+
+/**
+ * dns.lookup for webhook requests: fails if the host resolves to a blocked address, so
+ * the address connected to is the one checked (no re-resolution in between)
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error)
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address))
+    if (blocked) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a non-public address (${blocked.address})`))
+    }
+
+    if (options.all) return callback(null, addresses)
+    callback(null, addresses[0].address, addresses[0].family)
+  })
+}
+
+/**
+ * HMAC-SHA256 signature header for a webhook body
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+  return `t=${timestamp},v1=${signature}`
+}
+
+/**
+ * Subject and text of the email for an event
+ */
+function renderEmail(payload) {
+  const { event, data } = payload
+
+  switch (event) {
+    case EVENTS.TRANSACTION_CONFIRMED:
+      return {
+        subject: `Transaction confirmed: ${data.type}`,
+        text: `Your ${data.type} transaction${data.asset ? ` (${data.amount} ${data.asset})` : ''} was confirmed.\n\nTransaction: ${data.txHash}`
+      }
+    case EVENTS.TRANSACTION_FAILED:
+      return {
+        subject: `Transaction failed: ${data.type}`,
+        text: `Your ${data.type} transaction${data.asset ? ` (${data.amount} ${data.asset})` : ''} failed.\n\nReason: ${data.error || 'unknown'}`
+      }
+    case EVENTS.SWITCH_EXECUTED:
+      return {
+        subject: `Position switched: ${data.sourceComet} -> ${data.targetComet}`,
+        text: `Your position was switched from the ${data.sourceComet} Comet to the ${data.targetComet} Comet${data.trigger ? ` (${data.trigger})` : ''}.\n\nTransaction: ${data.txHash}`
+      }
+    case EVENTS.HEALTH_FACTOR_THRESHOLD_CROSSED:
+      return data.direction === 'BELOW'
+        ? {
+            subject: `Health factor below ${data.threshold} on the ${data.comet} Comet`,
+            text: `Your ${data.comet} Comet position's health factor dropped to ${data.healthFactor}, below your alert threshold of ${data.threshold} (risk: ${data.riskLevel}).\n\nRepay debt or add collateral to avoid liquidation.`
+          }
+        : {
+            subject: `Health factor back above ${data.threshold} on the ${data.comet} Comet`,
+            text: `Your ${data.comet} Comet position's health factor recovered to ${data.healthFactor ?? 'N/A (no debt)'}, above your alert threshold of ${data.threshold}.`
+          }
+    case EVENTS.SESSION_KEY_EXPIRING:
+      return {
+        subject: `Session key expires in ${data.daysRemaining} day${data.daysRemaining === 1 ? '' : 's'}`,
+        text: `The session key the app uses to act for your smart account expires on ${data.expiresAt}.\n\nRenew it from the dashboard to keep automated actions running.`
+      }
+    default:
+      return { subject: `Notification: ${event}`, text: JSON.stringify(data, null, 2) }
+  }
+}
+
+class NotificationService {
+  constructor() {
+    this.EVENTS = EVENTS
+    // Webhook receivers verify X-Webhook-Signature with the same scheme
+    this.signPayload = signPayload
+    this.mailer = createMailer()
+  }
+
+  getEvents() {
+    return SUBSCRIBABLE_EVENTS
+  }
+
+  /**
+   * Reject webhook URLs whose host is, or resolves to, a loopback, private or link-local
+   * address (skipped with WEBHOOK_ALLOW_INSECURE, for local receivers)
+   * Deliveries check the address they connect to again - DNS can change after registration
+   * @throws {ValidationError}
+   */
+  async checkWebhookTarget(url) {
+    if (config.notifications.allowInsecureWebhooks) return
+
+    const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1')
+    let addresses
+    if (net.isIP(hostname)) {
+      addresses = [hostname]
+    } else {
+      try {
+        addresses = (await dns.promises.lookup(hostname, { all: true })).map(({ address }) => address)
+      } catch (error) {
+        throw new ValidationError(`Webhook url host ${hostname} could not be resolved`)
+      }
+    }
+
+    if (addresses.some(isBlockedAddress)) {
+      throw new ValidationError('Webhook url must not point to a loopback, private or link-local address')
+    }
+  }
+
+  /**
+   * Create a webhook with a fresh signing secret
+   * @returns {Promise<{webhook: Object, secret: string}>} The secret is only ever returned here
+   */
+  async createWebhook(user, { url, events, description }) {
+    const secret = `whsec_${crypto.randomBytes(32).toString('hex')}`
+    const webhook = await Webhook.create({
+      user: user._id,
+      url,
+      encryptedSecret: encrypt(secret),
+      events,
+      description
+    })
+    return { webhook, secret }
+  }
+
+  /**
+   * Queue a ping to one webhook (endpoint check), whatever events it subscribes to
+   */
+  async pingWebhook(user, webhook) {
+    return NotificationDelivery.create({
+      user: user._id,
+      event: EVENTS.PING,
+      channel: 'WEBHOOK',
+      webhook: webhook._id,
+      target: webhook.url,
+      payload: {
+        id: crypto.randomUUID(),
+        event: EVENTS.PING,
+        createdAt: new Date().toISOString(),
+        account: user.smartAccountAddress,
+        data: { webhookId: webhook._id.toString() }
+      }
+    })
+  }
+
+  /**
+   * Queue an event for every channel of a user subscribed to it
+   * Never throws - a notification problem must not fail the operation that caused it
+   * @param {Object} user - User document (or anything with _id, email, smartAccountAddress, notifications)
+   * @param {string} event - One of EVENTS
+   * @param {Object} data - Event-specific body
+   */
+  async notify(user, event, data) {
+    try {
+      const payload = {
+        id: crypto.randomUUID(),
+        event,
+        createdAt: new Date().toISOString(),
+        account: user.smartAccountAddress,
+        data
+      }
+
+      const webhooks = await Webhook.find({ user: user._id, active: true, events: event })
+      const deliveries = webhooks.map(webhook => ({
+        user: user._id,
+        event,
+        channel: 'WEBHOOK',
+        webhook: webhook._id,
+        target: webhook.url,
+        payload
+      }))
+
+      const email = user.notifications?.email
+      if (email?.enabled && email.events.includes(event)) {
+        deliveries.push({ user: user._id, event, channel: 'EMAIL', target: user.email, payload })
+      }
+
+      if (deliveries.length > 0) {
+        await NotificationDelivery.insertMany(deliveries)
+        logger.debug(`Queued ${event} for ${user.smartAccountAddress} (${deliveries.length} deliveries)`)
+      }
+    } catch (error) {
+      logger.error(`Failed to queue ${event} notification for ${user.smartAccountAddress}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Notify a transaction's owner that it settled (and, for switches, that the position moved)
+   * @param {Object} tx - Transaction document with a final status
+   */
+  async notifyTransaction(tx) {
+    let user
+    try {
+      user = await User.findById(tx.user)
+    } catch (error) {
+      logger.error(`Failed to load the owner of transaction ${tx._id} for notifications: ${error.message}`)
+      return
+    }
+    if (!user) return
+
+    const data = {
+      transactionId: tx._id.toString(),
+      type: tx.type,
+      status: tx.status,
+      protocol: tx.protocol,
+      asset: tx.asset,
+      amount: tx.amount,
+      txHash: tx.txHash || null,
+      userOpHash: tx.userOpHash || null,
+      error: tx.error || null,
+      metadata: tx.metadata
+    }
+
+    await this.notify(user, tx.status === 'SUCCESS' ? EVENTS.TRANSACTION_CONFIRMED : EVENTS.TRANSACTION_FAILED, data)
+
+    if (tx.type === 'SWITCH' && tx.status === 'SUCCESS') {
+      await this.notify(user, EVENTS.SWITCH_EXECUTED, {
+        transactionId: data.transactionId,
+        txHash: data.txHash,
+        sourceComet: tx.metadata?.sourceComet,
+        targetComet: tx.metadata?.targetComet,
+        percentage: tx.metadata?.percentage,
+        trigger: tx.metadata?.trigger || null
+      })
+    }
+  }
+
+  /**
+   * Attempt one delivery; on failure schedule the next attempt (or give up)
+   * @param {Object} delivery - NotificationDelivery document
+   */
+  async deliver(delivery) {
+    delivery.attempts += 1
+
+    try {
+      if (delivery.channel === 'WEBHOOK') {
+        await this.sendWebhook(delivery)
+      } else {
+        await this.sendEmail(delivery)
+      }
+
+      delivery.status = 'DELIVERED'
+      delivery.deliveredAt = new Date()
+      delivery.lastError = undefined
+    } catch (error) {
+      delivery.lastError = error.message
+
+      if (delivery.attempts >= config.notifications.maxAttempts) {
+        delivery.status = 'FAILED'
+        logger.warn(`Notification ${delivery._id} (${delivery.event} via ${delivery.channel}) failed after ${delivery.attempts} attempts: ${error.message}`)
+      } else {
+        const delayMs = config.notifications.retryBaseMs * 2 ** (delivery.attempts - 1)
+        delivery.nextAttemptAt = new Date(Date.now() + delayMs)
+        logger.info(`Notification ${delivery._id} (${delivery.event} via ${delivery.channel}) attempt ${delivery.attempts} failed, retrying in ${Math.round(delayMs / 1000)}s: ${error.message}`)
+      }
+    }
+
+    await delivery.save()
+  }
+
+  /**
+   * POST the signed event to the webhook URL
+   * @throws {Error} On network errors, timeouts and non-2xx responses
+   */
+  async sendWebhook(delivery) {
+    const webhook = await Webhook.findById(delivery.webhook)
+    if (!webhook || !webhook.active) {
+      throw new Error('Webhook was deleted or disabled')
+    }
+
+    // IP literals never go through the lookup
+    await this.checkWebhookTarget(webhook.url)
+
+    const body = JSON.stringify(delivery.payload)
+    const status = await this.postWebhook(webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'defi-borrowing-app-webhooks',
+      'X-Webhook-Id': webhook._id.toString(),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery._id.toString(),
+      'X-Webhook-Signature': signPayload(decrypt(webhook.encryptedSecret), body)
+    }, body)
+
+    delivery.responseStatus = status
+    if (status < 200 || status >= 300) {
+      throw new Error(`Webhook responded with HTTP ${status}`)
+    }
+
+    webhook.lastDeliveryAt = new Date()
+    await webhook.save()
+  }
+
+  /**
+   * POST a body to a webhook URL, connecting only to public addresses (redirects are not followed)
+   * @returns {Promise<number>} HTTP status
+   */
+  postWebhook(url, headers, body) {
+    const target = new URL(url)
+    const client = target.protocol === 'https:' ? https : http
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        signal: AbortSignal.timeout(config.notifications.webhookTimeoutMs),
+        ...(!config.notifications.allowInsecureWebhooks && { lookup: lookupPublicAddress })
+      }, (response) => {
+        response.resume()
+        resolve(response.statusCode)
+      })
+      request.on('error', reject)
+      request.end(body)
+    })
+  }
+
+  async sendEmail(delivery) {
+    const { subject, text } = renderEmail(delivery.payload)
+    await this.mailer.send({
+      from: config.notifications.email.from,
+      to: delivery.target,
+      subject,
+      text: `${text}\n\nSmart account: ${delivery.payload.account}\n`
+    })
+  }
+}
+
+module.exports = new NotificationService()
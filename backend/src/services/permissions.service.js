@@ -0,0 +1,387 @@
+/**
+ * Session Key Permissions Service
+ *
+ * Translates User.sessionKey.permissions into on-chain session key plugin rules:
+ * - Contract allowlist with per-function selectors (no blanket contract access)
+ * - ERC-20 spend limits with refresh windows for every token the key may approve
+ * - Validity window (time range) matching the key's expiry, moved on renewal
+ *
+ * The same rules, plus checks on decoded arguments, back the off-chain policy
+ * (policy.service) applied before anything is signed with a session key.
+ */
+
+const { ethers } = require('ethers')
+const {
+  SessionKeyPermissionsBuilder,
+  SessionKeyAccessListType,
+} = require('@alchemy/aa-accounts')
+const config = require('../config')
+const markets = require('../config/markets')
+const { SWITCHER_ABI } = require('../utils/switcherAbi')
+
+const MARKETS = markets.getMarkets()
+const COMETS = MARKETS.map(market => market.address)
+const AAVE = markets.getAaveMarket()
+
+// Tokens the key may approve: collaterals (supply) and base tokens (repay)
+const COLLATERAL_TOKENS = [...new Set(MARKETS.flatMap(market => market.collaterals))].map(markets.getToken)
+const BASE_TOKENS = [...new Set(MARKETS.map(market => market.baseToken))].map(markets.getToken)
+const AAVE_COLLATERAL_TOKENS = AAVE.collaterals.map(markets.getToken)
+const AAVE_BORROW_TOKENS = AAVE.borrowAssets.map(markets.getToken)
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase()
+const isComet = (address) => COMETS.some(comet => sameAddress(comet, address))
+const isToken = (tokens, address) => tokens.some(token => sameAddress(token.address, address))
+
+const erc20Iface = new ethers.Interface([
+  'function approve(address spender, uint256 amount) returns (bool)',
+])
+
+const cometIface = new ethers.Interface([
+  'function supply(address asset, uint256 amount) external',
+  'function withdraw(address asset, uint256 amount) external',
+  'function allow(address manager, bool isAllowed) external',
+])
+
+const aavePoolIface = new ethers.Interface([
+  'function supply(address asset, uint256 amount, address onBehalfOf, uint16 referralCode)',
+  'function withdraw(address asset, uint256 amount, address to) returns (uint256)',
+  'function borrow(address asset, uint256 amount, uint256 interestRateMode, uint16 referralCode, address onBehalfOf)',
+  'function repay(address asset, uint256 amount, uint256 interestRateMode, address onBehalfOf) returns (uint256)',
+])
+
+const swapRouterIface = new ethers.Interface([
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountOut)',
+])
+
+const switcherIface = new ethers.Interface(SWITCHER_ABI)
+
+/**
+ * @param {Function} [validate] - (args, target, context) => violation message, or null if the arguments are allowed
+ */
+const call = (target, iface, functionName, validate = null) => ({
+  target,
+  functionName,
+  selector: iface.getFunction(functionName).selector,
+  iface,
+  validate
+})
+
+// Argument rules shared by several permissions
+const approveCometOnly = (args) =>
+  isComet(args.spender) ? null : `approve spender ${args.spender} is not a Comet`
+
+const collateralOnly = (args, target) =>
+  markets.isCollateralOf(target, args.asset) ? null : `asset ${args.asset} is not supported collateral on ${target}`
+
+const baseTokenOnly = (args, target) =>
+  sameAddress(args.asset, markets.findMarketByAddress(target)?.baseTokenAddress) ? null : `asset ${args.asset} is not the Comet's base token`
+
+const approveAavePoolOnly = (args) =>
+  sameAddress(args.spender, AAVE.pool) ? null : `approve spender ${args.spender} is not the Aave Pool`
+
+const aaveCollateralOnly = (args) =>
+  isToken(AAVE_COLLATERAL_TOKENS, args.asset) ? null : `asset ${args.asset} is not supported collateral on Aave`
+
+const aaveBorrowAssetOnly = (args) =>
+  isToken(AAVE_BORROW_TOKENS, args.asset) ? null : `asset ${args.asset} cannot be borrowed on Aave`
+
+// Aave positions opened or paid down by the key must be the smart account's own
+const onBehalfOfAccount = (args, target, context) =>
+  sameAddress(args.onBehalfOf, context.account) ? null : `onBehalfOf ${args.onBehalfOf} is not the smart account`
+
+const variableRateOnly = (args) =>
+  args.interestRateMode === 2n ? null : 'only variable rate borrowing is allowed'
+
+const switcherOnly = (field) => (args) =>
+  sameAddress(args[field], config.contracts.switcher) ? null : `${field} ${args[field]} is not the Switcher`
+
+// Cross-Comet switch: the account's own position, registry Comets and collateral both accept
+const switchOnly = (args, target, context) => {
+  if (!sameAddress(args.user, context.account)) return `switch user ${args.user} is not the smart account`
+  if (!isComet(args.sourceComet) || !isComet(args.targetComet)) return 'switch Comets are not supported markets'
+  if (args.collateralAssets.length === 0 || args.collateralAssets.length !== args.collateralAmounts.length) {
+    return 'switch collateral assets and amounts do not match'
+  }
+  for (const asset of args.collateralAssets) {
+    const violation = collateralOnly({ asset }, args.sourceComet) || collateralOnly({ asset }, args.targetComet)
+    if (violation) return violation
+  }
+  return null
+}
+
+// Compound <-> Aave migration: the account's own position, registry Comet and Pool,
+// and collateral both sides accept
+const migrationOnly = (args, target, context) => {
+  if (!sameAddress(args.user, context.account)) return `migration user ${args.user} is not the smart account`
+  if (!isComet(args.comet)) return `migration Comet ${args.comet} is not a supported market`
+  if (!sameAddress(args.aavePool, AAVE.pool)) return `migration pool ${args.aavePool} is not the Aave Pool`
+  if (args.collateralAssets.length === 0 || args.collateralAssets.length !== args.collateralAmounts.length) {
+    return 'migration collateral assets and amounts do not match'
+  }
+  for (const asset of args.collateralAssets) {
+    const violation = collateralOnly({ asset }, args.comet) || aaveCollateralOnly({ asset })
+    if (violation) return violation
+  }
+  return null
+}
+
+/**
+ * Session key time range, valid from just before now until expiresAt
+ */
+const validityWindow = (expiresAt) => ({
+  validFrom: Math.floor(Date.now() / 1000) - 60,
+  validUntil: Math.floor(new Date(expiresAt).getTime() / 1000)
+})
+
+/**
+ * Calls each permission grants, as { target, functionName, selector, iface, validate }
+ */
+const PERMISSION_CALLS = {
+  // Supply collateral: approve the Comet, then supply
+  SUPPLY: [
+    ...COLLATERAL_TOKENS.map(token => call(token.address, erc20Iface, 'approve', approveCometOnly)),
+    ...COMETS.map(comet => call(comet, cometIface, 'supply', collateralOnly))
+  ],
+  // Borrowing the base token is a Comet withdraw
+  BORROW: COMETS.map(comet => call(comet, cometIface, 'withdraw', baseTokenOnly)),
+  // Repaying is a base token approve + Comet supply
+  REPAY: [
+    ...BASE_TOKENS.map(token => call(token.address, erc20Iface, 'approve', approveCometOnly)),
+    ...COMETS.map(comet => call(comet, cometIface, 'supply', baseTokenOnly))
+  ],
+  // Withdraw collateral
+  WITHDRAW: COMETS.map(comet => call(comet, cometIface, 'withdraw', collateralOnly)),
+  // Cross-Comet switch: allow the Switcher as manager, then switchCollateral
+  // (switchCollateralSameBase between Comets that share a base token)
+  SWITCH_PROTOCOL: [
+    ...COMETS.map(comet => call(comet, cometIface, 'allow', switcherOnly('manager'))),
+    ...(config.contracts.switcher ? [
+      call(config.contracts.switcher, switcherIface, 'switchCollateral', switchOnly),
+      call(config.contracts.switcher, switcherIface, 'switchCollateralSameBase', switchOnly)
+    ] : [])
+  ],
+  // Compound <-> Aave migration: allow the Switcher on the Comet, then migrate through it
+  // The Aave side (credit delegation, aToken approvals) is never granted to the key - the
+  // plugin can't bound approveDelegation, so the owner signs it once (migration setup)
+  MIGRATE_PROTOCOL: [
+    ...COMETS.map(comet => call(comet, cometIface, 'allow', switcherOnly('manager'))),
+    ...(config.contracts.switcher ? [
+      call(config.contracts.switcher, switcherIface, 'migrateCometToAave', (args, target, context) =>
+        migrationOnly(args, target, context) || aaveBorrowAssetOnly({ asset: args.targetDebtToken })
+      ),
+      call(config.contracts.switcher, switcherIface, 'migrateAaveToComet', (args, target, context) =>
+        migrationOnly(args, target, context) || aaveBorrowAssetOnly({ asset: args.sourceDebtToken })
+      )
+    ] : [])
+  ],
+  // Swap collateral into a base token on Uniswap (deleveraging): approve the router, then
+  // an exact-input swap paid back to the smart account with a non-zero minimum output
+  SWAP: [
+    ...COLLATERAL_TOKENS.map(token => call(token.address, erc20Iface, 'approve', (args) =>
+      sameAddress(args.spender, config.contracts.swapRouter02) ? null : `approve spender ${args.spender} is not the swap router`
+    )),
+    call(config.contracts.swapRouter02, swapRouterIface, 'exactInputSingle', ({ params }, target, context) => {
+      if (!sameAddress(params.recipient, context.account)) return `swap recipient ${params.recipient} is not the smart account`
+      if (!isToken(COLLATERAL_TOKENS, params.tokenIn)) return `swap input ${params.tokenIn} is not a collateral token`
+      if (!isToken(BASE_TOKENS, params.tokenOut)) return `swap output ${params.tokenOut} is not a base token`
+      if (params.amountOutMinimum === 0n) return 'swap has no minimum output'
+      return null
+    })
+  ],
+  // Aave V3: approve the Pool, then supply collateral to the smart account's position
+  AAVE_SUPPLY: [
+    ...AAVE_COLLATERAL_TOKENS.map(token => call(token.address, erc20Iface, 'approve', approveAavePoolOnly)),
+    call(AAVE.pool, aavePoolIface, 'supply', (args, target, context) =>
+      aaveCollateralOnly(args) || onBehalfOfAccount(args, target, context)
+    )
+  ],
+  // Variable rate borrow against the smart account's own collateral
+  AAVE_BORROW: [
+    call(AAVE.pool, aavePoolIface, 'borrow', (args, target, context) =>
+      aaveBorrowAssetOnly(args) || variableRateOnly(args) || onBehalfOfAccount(args, target, context)
+    )
+  ],
+  // Approve the Pool, then repay the smart account's variable debt
+  AAVE_REPAY: [
+    ...AAVE_BORROW_TOKENS.map(token => call(token.address, erc20Iface, 'approve', approveAavePoolOnly)),
+    call(AAVE.pool, aavePoolIface, 'repay', (args, target, context) =>
+      aaveBorrowAssetOnly(args) || variableRateOnly(args) || onBehalfOfAccount(args, target, context)
+    )
+  ],
+  // Withdraw collateral back to the smart account
+  AAVE_WITHDRAW: [
+    call(AAVE.pool, aavePoolIface, 'withdraw', (args, target, context) =>
+      aaveCollateralOnly(args) || (sameAddress(args.to, context.account) ? null : `withdrawal recipient ${args.to} is not the smart account`)
+    )
+  ]
+}
+
+// Permissions every newly registered session key is granted
+const SESSION_KEY_PERMISSIONS = [
+  'SUPPLY', 'BORROW', 'REPAY', 'WITHDRAW', 'SWITCH_PROTOCOL', 'SWAP',
+  'AAVE_SUPPLY', 'AAVE_BORROW', 'AAVE_REPAY', 'AAVE_WITHDRAW', 'MIGRATE_PROTOCOL'
+]
+
+// Permissions whose PERMISSION_CALLS changed, by rules version. A key keeps the on-chain rules
+// it was registered with (User.sessionKey.permissionsVersion, 1 when unset) until it is re-granted
+const PERMISSION_RULE_CHANGES = {
+  // Migrations no longer allowlist Aave approveDelegation - the owner signs the Aave side
+  2: ['MIGRATE_PROTOCOL']
+}
+const PERMISSIONS_VERSION = Math.max(...Object.keys(PERMISSION_RULE_CHANGES).map(Number))
+
+class PermissionsService {
+  constructor() {
+    this.SESSION_KEY_PERMISSIONS = SESSION_KEY_PERMISSIONS
+    this.PERMISSIONS_VERSION = PERMISSIONS_VERSION
+  }
+
+  /**
+   * Permissions a key granted with `permissions` under rules `version` has outdated on-chain rules for
+   * @param {string[]} permissions - User.sessionKey.permissions
+   * @param {number} [version] - User.sessionKey.permissionsVersion
+   * @returns {string[]}
+   */
+  getOutdatedPermissions(permissions = [], version = 1) {
+    return permissions.filter(permission =>
+      Object.entries(PERMISSION_RULE_CHANGES).some(([changedIn, changed]) => Number(changedIn) > version && changed.includes(permission))
+    )
+  }
+
+  /**
+   * Calls allowed by a set of permissions (deduplicated by target + selector)
+   * @param {string[]} permissions - User.sessionKey.permissions
+   * @returns {Array<{target: string, functionName: string, selector: string}>}
+   */
+  getAllowedCalls(permissions = []) {
+    const allowed = new Map()
+
+    for (const permission of permissions) {
+      for (const entry of PERMISSION_CALLS[permission] || []) {
+        allowed.set(`${entry.target.toLowerCase()}:${entry.selector}`, entry)
+      }
+    }
+
+    return [...allowed.values()]
+  }
+
+  /**
+   * Check one call against a set of permissions: target, selector, then decoded arguments
+   * @param {string[]} permissions - User.sessionKey.permissions
+   * @param {{target: string, value?: bigint, data: string}} sessionCall
+   * @param {{account: string}} context - Smart account the call runs from
+   * @returns {{allowed: boolean, permission?: string, functionName?: string, args?: Object, reason?: string}}
+   */
+  checkCall(permissions = [], sessionCall, context) {
+    const selector = ethers.dataSlice(sessionCall.data, 0, 4).toLowerCase()
+
+    const candidates = permissions.flatMap(permission =>
+      (PERMISSION_CALLS[permission] || [])
+        .filter(entry => sameAddress(entry.target, sessionCall.target) && entry.selector === selector)
+        .map(entry => ({ permission, entry }))
+    )
+
+    if (candidates.length === 0) {
+      return { allowed: false, reason: `call ${selector} on ${sessionCall.target} is not granted to the session key` }
+    }
+
+    let violation = null
+    for (const { permission, entry } of candidates) {
+      let args
+      try {
+        args = entry.iface.decodeFunctionData(entry.functionName, sessionCall.data).toObject()
+      } catch (e) {
+        violation = violation || { functionName: entry.functionName, reason: `${entry.functionName}: arguments could not be decoded` }
+        continue
+      }
+
+      const reason = entry.validate ? entry.validate(args, sessionCall.target, context) : null
+      if (!reason) {
+        return { allowed: true, permission, functionName: entry.functionName, args }
+      }
+      violation = violation || { functionName: entry.functionName, args, reason: `${entry.functionName}: ${reason}` }
+    }
+
+    return { allowed: false, ...violation }
+  }
+
+  /**
+   * Spend limits for the tokens a set of permissions can approve
+   * @returns {Array<{symbol: string, tokenAddress: string, spendLimit: bigint, refreshInterval: number}>}
+   */
+  getSpendLimits(permissions = []) {
+    const approvedTokens = [...new Set(
+      this.getAllowedCalls(permissions)
+        .filter(entry => entry.functionName === 'approve')
+        .map(entry => entry.target.toLowerCase())
+    )]
+
+    return approvedTokens
+      .map(address => {
+        const token = markets.findTokenByAddress(address)
+        const limit = token && config.sessionKeys.spendLimits[token.symbol]
+        // Every approvable token needs a limit - without one it would be unlimited on-chain
+        if (!limit) {
+          throw new Error(`No session key spend limit configured for ${token ? token.symbol : address}`)
+        }
+        return {
+          symbol: token.symbol,
+          tokenAddress: token.address,
+          spendLimit: ethers.parseUnits(limit.amount, token.decimals),
+          refreshInterval: limit.refreshIntervalSeconds
+        }
+      })
+  }
+
+  /**
+   * Encoded permission updates for the session key plugin
+   * (used by addSessionKey / installPlugin / updateKeyPermissions)
+   * @param {string[]} permissions - User.sessionKey.permissions
+   * @param {Date|string} expiresAt - Key expiry (end of the validity window)
+   * @returns {string[]} Hex-encoded permission updates
+   */
+  buildPermissionUpdates(permissions, expiresAt) {
+    const builder = new SessionKeyPermissionsBuilder()
+      .setContractAccessControlType(SessionKeyAccessListType.ALLOWLIST)
+
+    const allowedCalls = this.getAllowedCalls(permissions)
+
+    const targets = new Set(allowedCalls.map(entry => entry.target))
+    for (const contractAddress of targets) {
+      builder.addContractAddressAccessEntry({ contractAddress, isOnList: true, checkSelectors: true })
+    }
+
+    for (const entry of allowedCalls) {
+      builder.addContractFunctionAccessEntry({
+        contractAddress: entry.target,
+        methodSelector: entry.selector,
+        isOnList: true
+      })
+    }
+
+    for (const limit of this.getSpendLimits(permissions)) {
+      builder.addErc20TokenSpendLimit({
+        tokenAddress: limit.tokenAddress,
+        spendLimit: limit.spendLimit,
+        refreshInterval: limit.refreshInterval
+      })
+    }
+
+    return builder.setTimeRange(validityWindow(expiresAt)).encode()
+  }
+
+  /**
+   * Encoded update that only moves a registered key's validity window (renewal)
+   * @param {Date|string} expiresAt - New key expiry
+   * @returns {string[]} Hex-encoded permission updates
+   */
+  buildTimeRangeUpdates(expiresAt) {
+    return new SessionKeyPermissionsBuilder()
+      .setContractAccessControlType(SessionKeyAccessListType.ALLOWLIST)
+      .setTimeRange(validityWindow(expiresAt))
+      .encode()
+  }
+}
+
+module.exports = new PermissionsService()
@@ -0,0 +1,315 @@
+/**
+ * Session Key Policy Service
+ *
+ * Checked before the backend signs anything with a user's session key:
+ * - Key is granted and not expired
+ * - Every call's target, selector and decoded arguments are covered by
+ *   User.sessionKey.permissions (see permissions.service)
+ * - Every token moved can be priced, and the operation's USD notional fits the user's
+ *   rolling 24h cap (checked and reserved in one NotionalUsage update, so concurrent
+ *   operations can't overshoot it)
+ *
+ * Every decision is written to the SessionKeyAudit trail; violations throw a 403.
+ * Calls only a newer key would be granted fail as "re-grant required" (getRegrantStatus).
+ * A reservation is released again if the operation never reaches the bundler
+ * (authorizeAndRun) - only signed and submitted operations count against the cap.
+ */
+
+const { ethers } = require('ethers')
+const mongoose = require('mongoose')
+const config = require('../config')
+const markets = require('../config/markets')
+const logger = require('../utils/logger')
+const permissionsService = require('./permissions.service')
+const marketService = require('./market.service')
+const SessionKeyAudit = require('../models/SessionKeyAudit')
+const NotionalUsage = require('../models/NotionalUsage')
+const { PolicyViolationError, SessionKeyExpiredError } = require('../utils/errors')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const KEY_EXPIRED = 'session key has expired'
+// Comet price feeds report 8 decimals
+const PRICE_DECIMALS = 8
+
+/**
+ * Token amounts an allowed call moves that count towards the notional cap
+ * Approvals, allow() and credit delegation don't - the supply/switch/migration they enable is counted instead
+ * @returns {Array<{token: string, amount: bigint}>}
+ */
+function getCallAmounts(check) {
+  switch (check.functionName) {
+    case 'supply':
+    case 'withdraw':
+    // Aave Pool borrow / repay (Comet uses withdraw / supply for both)
+    case 'borrow':
+    case 'repay':
+      return [{ token: check.args.asset, amount: check.args.amount }]
+    case 'switchCollateral':
+    case 'switchCollateralSameBase':
+    case 'migrateCometToAave':
+    case 'migrateAaveToComet':
+      return check.args.collateralAssets.map((token, i) => ({ token, amount: check.args.collateralAmounts[i] }))
+    case 'exactInputSingle':
+      return [{ token: check.args.params.tokenIn, amount: check.args.params.amountIn }]
+    default:
+      return []
+  }
+}
+
+/**
+ * Make decoded call arguments storable (bigints -> strings)
+ */
+function serializeArgs(args = {}) {
+  const serialize = (value) => {
+    if (typeof value === 'bigint') return value.toString()
+    if (Array.isArray(value)) return Array.from(value, serialize)
+    return value
+  }
+  return Object.fromEntries(Object.entries(args).map(([key, value]) => [key, serialize(value)]))
+}
+
+class PolicyService {
+  /**
+   * Permissions to enforce for a user
+   * Keys granted before WITHDRAW existed withdrew collateral under BORROW (same Comet selector)
+   */
+  getEffectivePermissions(user) {
+    const permissions = user.sessionKey?.permissions || []
+    if (permissions.includes('BORROW') && !permissions.includes('WITHDRAW')) {
+      return [...permissions, 'WITHDRAW']
+    }
+    return permissions
+  }
+
+  /**
+   * Whether the user's key must be revoked and registered again to match what new keys get:
+   * permissions it was never granted, and granted ones whose on-chain rules have since changed
+   * (rotation and renewal keep the key's rules)
+   * @returns {{missingPermissions: string[], outdatedPermissions: string[], regrantRequired: boolean}}
+   */
+  getRegrantStatus(user) {
+    const permissions = this.getEffectivePermissions(user)
+    const missingPermissions = permissionsService.SESSION_KEY_PERMISSIONS.filter(permission => !permissions.includes(permission))
+    const outdatedPermissions = permissionsService.getOutdatedPermissions(user.sessionKey?.permissions, user.sessionKey?.permissionsVersion)
+
+    return {
+      missingPermissions,
+      outdatedPermissions,
+      regrantRequired: missingPermissions.length > 0 || outdatedPermissions.length > 0
+    }
+  }
+
+  /**
+   * Authorize a batch of session key calls for a user
+   * @param {Object} user - User document (sessionKey, smartAccountAddress)
+   * @param {Array<{target: string, value?: bigint, data: string}>} calls
+   * @param {string} action - Operation being performed (for the audit trail)
+   * @returns {Promise<{notionalUsd: number, reservationId: ObjectId}>} reservationId releases the notional (releaseNotional)
+   * @throws {PolicyViolationError} If any check fails (SessionKeyExpiredError once the key has expired)
+   */
+  async authorize(user, calls, action) {
+    const permissions = this.getEffectivePermissions(user)
+    const context = { account: user.smartAccountAddress }
+    const checks = []
+    let violation = this.checkKey(user)
+    let missingPermission = null
+
+    if (!violation) {
+      for (const sessionCall of calls) {
+        const sendsEth = BigInt(sessionCall.value || 0) > 0n
+        const check = sendsEth
+          ? { allowed: false, reason: `call to ${sessionCall.target} sends ETH` }
+          : permissionsService.checkCall(permissions, sessionCall, context)
+
+        checks.push({ sessionCall, check })
+        if (!check.allowed) {
+          // A call new keys may make: the key predates the permission and has to be granted again
+          const granted = sendsEth ? null : permissionsService.checkCall(permissionsService.SESSION_KEY_PERMISSIONS, sessionCall, context)
+          missingPermission = granted?.allowed ? granted.permission : null
+          violation = missingPermission
+            ? `${missingPermission} is not granted to this session key - revoke it and register a new key to grant it`
+            : check.reason
+          break
+        }
+      }
+    }
+
+    if (!violation) {
+      violation = this.checkPriced(checks.map(({ check }) => check))
+    }
+
+    let notionalUsd = 0
+    const reservationId = new mongoose.Types.ObjectId()
+    if (!violation) {
+      notionalUsd = await this.getNotionalUsd(checks.map(({ check }) => check))
+      violation = await this.reserveNotional(user._id, notionalUsd, reservationId)
+    }
+
+    try {
+      await this.record(user, action, checks, violation, violation ? 0 : notionalUsd)
+    } catch (error) {
+      await this.releaseNotional(user._id, reservationId)
+      throw error
+    }
+
+    if (violation) {
+      logger.warn(`Session key policy denied ${action} for ${user.smartAccountAddress}: ${violation}`)
+      if (violation === KEY_EXPIRED) {
+        throw new SessionKeyExpiredError(undefined, { action, reason: violation, expiresAt: user.sessionKey.expiresAt })
+      }
+      if (missingPermission) {
+        throw new PolicyViolationError(`Session key re-grant required: ${violation}`, {
+          action,
+          reason: violation,
+          regrantRequired: true,
+          missingPermissions: [missingPermission]
+        })
+      }
+      throw new PolicyViolationError(`Session key policy violation: ${violation}`, { action, reason: violation })
+    }
+
+    return { notionalUsd, reservationId }
+  }
+
+  /**
+   * Authorize a batch of session key calls, then run the step that signs and submits them
+   * The reserved notional is released if that step throws before the UserOp reaches the
+   * bundler (estimation, signing or submission failed) - errors carrying a userOpHash were submitted
+   * @param {Function} run - async () => result
+   * @returns {Promise<*>} run's result
+   */
+  async authorizeAndRun(user, calls, action, run) {
+    const { reservationId } = await this.authorize(user, calls, action)
+
+    try {
+      return await run()
+    } catch (error) {
+      if (!error.userOpHash) await this.releaseNotional(user._id, reservationId)
+      throw error
+    }
+  }
+
+  /**
+   * Key-level checks (granted, not expired)
+   * @returns {string|null} Violation message
+   */
+  checkKey(user) {
+    if (!user.sessionKey?.isGranted) {
+      return 'session key is not granted'
+    }
+    if (!user.sessionKey.expiresAt || new Date(user.sessionKey.expiresAt) <= new Date()) {
+      return KEY_EXPIRED
+    }
+    return null
+  }
+
+  /**
+   * Every token an allowed call moves must be in the registry, or its notional can't be counted
+   * @returns {string|null} Violation message
+   */
+  checkPriced(checks) {
+    const unpriced = checks.flatMap(getCallAmounts).find(moved => !markets.findTokenByAddress(moved.token))
+    return unpriced ? `token ${unpriced.token} has no USD price` : null
+  }
+
+  /**
+   * USD value of the token amounts moved by a set of allowed calls (checkPriced first)
+   */
+  async getNotionalUsd(checks) {
+    let total = 0
+
+    for (const moved of checks.flatMap(getCallAmounts)) {
+      const { decimals } = markets.findTokenByAddress(moved.token)
+      const price = await marketService.getUsdPrice(moved.token)
+      const value = BigInt(moved.amount) * price / 10n ** BigInt(decimals)
+
+      total += Number(ethers.formatUnits(value, PRICE_DECIMALS))
+    }
+
+    return total
+  }
+
+  /**
+   * Count notionalUsd against the user's rolling 24h cap if it fits
+   * The check and the reservation are a single conditional update on the user's
+   * NotionalUsage document - two concurrent operations can't both fit in the same headroom
+   * @param {ObjectId} reservationId - Id the reservation is stored under (releaseNotional)
+   * @returns {Promise<string|null>} Violation message
+   */
+  async reserveNotional(userId, notionalUsd, reservationId) {
+    const capUsd = config.policy.dailyNotionalCapUsd
+    const now = new Date()
+    const inWindow = {
+      $filter: {
+        input: { $ifNull: ['$reservations', []] },
+        cond: { $gte: ['$$this.createdAt', new Date(now.getTime() - DAY_MS)] }
+      }
+    }
+    const usedUsd = { $sum: { $map: { input: inWindow, in: '$$this.notionalUsd' } } }
+
+    if (notionalUsd <= capUsd) {
+      await NotionalUsage.updateOne({ user: userId }, { $setOnInsert: { user: userId } }, { upsert: true })
+
+      // Reservations that left the window are pruned in the same update
+      const reserved = await NotionalUsage.findOneAndUpdate(
+        { user: userId, $expr: { $lte: [{ $add: [usedUsd, notionalUsd] }, capUsd] } },
+        [{ $set: { reservations: { $concatArrays: [inWindow, [{ _id: reservationId, notionalUsd, createdAt: now }]] } } }]
+      )
+      if (reserved) return null
+    }
+
+    const total = await this.getNotionalUsedToday(userId) + notionalUsd
+    return `daily notional cap exceeded: $${total.toFixed(2)} of $${capUsd} in the last 24h`
+  }
+
+  /**
+   * Give back a reservation whose operation was never submitted
+   * Failing to release only over-counts the cap, so it is logged rather than thrown
+   */
+  async releaseNotional(userId, reservationId) {
+    try {
+      await NotionalUsage.updateOne({ user: userId }, { $pull: { reservations: { _id: reservationId } } })
+    } catch (error) {
+      logger.error(`Failed to release notional reservation ${reservationId}:`, error.message)
+    }
+  }
+
+  /**
+   * USD notional already allowed for a user in the rolling 24h window
+   */
+  async getNotionalUsedToday(userId) {
+    const usage = await NotionalUsage.findOne({ user: userId }).lean()
+    const since = Date.now() - DAY_MS
+    return (usage?.reservations || [])
+      .filter(reservation => reservation.createdAt.getTime() >= since)
+      .reduce((total, reservation) => total + reservation.notionalUsd, 0)
+  }
+
+  async record(user, action, checks, violation, notionalUsd) {
+    try {
+      await SessionKeyAudit.create({
+        user: user._id,
+        smartAccountAddress: user.smartAccountAddress,
+        sessionKeyAddress: user.sessionKey?.address,
+        action,
+        decision: violation ? 'DENIED' : 'ALLOWED',
+        reason: violation || undefined,
+        calls: checks.map(({ sessionCall, check }) => ({
+          target: sessionCall.target,
+          selector: ethers.dataSlice(sessionCall.data, 0, 4),
+          functionName: check.functionName,
+          permission: check.permission,
+          args: serializeArgs(check.args)
+        })),
+        notionalUsd
+      })
+    } catch (error) {
+      // An allowed operation must be audited - don't sign without its record
+      // (authorize releases its reservation)
+      if (!violation) throw error
+      logger.error('Failed to record session key policy denial:', error.message)
+    }
+  }
+}
+
+module.exports = new PolicyService()
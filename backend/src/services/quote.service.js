@@ -0,0 +1,230 @@
+/**
+ * Quote Service
+ *
+ * Simulates Uniswap V3 swaps with QuoterV2 (eth_call against the live pool):
+ * - Exact-output quotes: minimal input for a required output
+ * - Exact-input quotes: expected output for a given input
+ * - Multi-hop paths: the same quotes chained pool by pool, with the price impact of each hop
+ * - Pool state and price impact relative to the pool's spot price
+ *
+ * There is deliberately no fallback price - if a quote can't be obtained the
+ * caller must abort rather than size a transaction on a guess.
+ */
+
+const { ethers } = require('ethers')
+const config = require('../config')
+const logger = require('../utils/logger')
+const { QuoteFailedError } = require('../utils/errors')
+const { FEE_DENOMINATOR, BPS_DENOMINATOR, ceilDiv } = require('../utils/sizing')
+
+const Q192 = 2n ** 192n
+
+const UNISWAP_POOL_ABI = [
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function fee() view returns (uint24)',
+]
+
+const QUOTER_V2_ABI = [
+  'function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
+  'function quoteExactOutputSingle((address tokenIn, address tokenOut, uint256 amount, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountIn, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
+]
+
+/**
+ * Input needed for an output at the spot price, ignoring fees and price impact
+ * Uniswap prices are token1 per token0: sqrtPriceX96^2 / 2^192
+ */
+function spotAmountIn(amountOut, sqrtPriceX96, tokenInIsToken0) {
+  const priceX192 = sqrtPriceX96 * sqrtPriceX96
+  return tokenInIsToken0
+    ? ceilDiv(amountOut * Q192, priceX192)
+    : ceilDiv(amountOut * priceX192, Q192)
+}
+
+class QuoteService {
+  constructor() {
+    this.provider = new ethers.JsonRpcProvider(config.blockchain.rpcUrl)
+    this.quoter = new ethers.Contract(config.contracts.quoterV2, QUOTER_V2_ABI, this.provider)
+  }
+
+  /**
+   * Read a pool's fee tier, tokens and current spot price
+   * @param {string} poolAddress - Uniswap V3 pool
+   * @returns {Promise<{address: string, fee: bigint, token0: string, token1: string, sqrtPriceX96: bigint}>}
+   */
+  async getPoolState(poolAddress) {
+    const pool = new ethers.Contract(poolAddress, UNISWAP_POOL_ABI, this.provider)
+
+    try {
+      const [fee, token0, token1, slot0] = await Promise.all([
+        pool.fee(),
+        pool.token0(),
+        pool.token1(),
+        pool.slot0()
+      ])
+
+      return {
+        address: poolAddress,
+        fee: BigInt(fee),
+        token0,
+        token1,
+        sqrtPriceX96: BigInt(slot0.sqrtPriceX96)
+      }
+    } catch (error) {
+      logger.error(`Failed to read pool ${poolAddress}:`, error.message)
+      throw new QuoteFailedError(`Failed to read Uniswap pool ${poolAddress}`, { pool: poolAddress })
+    }
+  }
+
+  /**
+   * Minimal input that makes the pool return exactly `amountOut`
+   * @param {object} params - { tokenIn, tokenOut, amountOut, pool } where pool comes from getPoolState()
+   * @returns {Promise<{amountIn: bigint, sqrtPriceX96After: bigint, gasEstimate: bigint}>}
+   * @throws {QuoteFailedError} If the quoter reverts (e.g. not enough liquidity)
+   */
+  async quoteExactOutputSingle({ tokenIn, tokenOut, amountOut, pool }) {
+    try {
+      const [amountIn, sqrtPriceX96After, , gasEstimate] = await this.quoter.quoteExactOutputSingle.staticCall({
+        tokenIn,
+        tokenOut,
+        amount: amountOut,
+        fee: pool.fee,
+        sqrtPriceLimitX96: 0n
+      })
+      return { amountIn, sqrtPriceX96After, gasEstimate }
+    } catch (error) {
+      const reason = error.reason || error.shortMessage || error.message
+      logger.error(`Exact-output quote failed on ${pool.address}: ${reason}`)
+      throw new QuoteFailedError('Unable to quote the swap for this switch', {
+        pool: pool.address,
+        amountOut: amountOut.toString(),
+        reason
+      })
+    }
+  }
+
+  /**
+   * Output the pool returns for exactly `amountIn`
+   * @param {object} params - { tokenIn, tokenOut, amountIn, pool } where pool comes from getPoolState()
+   * @returns {Promise<{amountOut: bigint, sqrtPriceX96After: bigint, gasEstimate: bigint}>}
+   * @throws {QuoteFailedError} If the quoter reverts
+   */
+  async quoteExactInputSingle({ tokenIn, tokenOut, amountIn, pool }) {
+    try {
+      const [amountOut, sqrtPriceX96After, , gasEstimate] = await this.quoter.quoteExactInputSingle.staticCall({
+        tokenIn,
+        tokenOut,
+        amountIn,
+        fee: pool.fee,
+        sqrtPriceLimitX96: 0n
+      })
+      return { amountOut, sqrtPriceX96After, gasEstimate }
+    } catch (error) {
+      const reason = error.reason || error.shortMessage || error.message
+      logger.error(`Exact-input quote failed on ${pool.address || `the ${pool.fee} fee tier`}: ${reason}`)
+      throw new QuoteFailedError('Unable to quote the swap for this switch', {
+        pool: pool.address,
+        amountIn: amountIn.toString(),
+        reason
+      })
+    }
+  }
+
+  /**
+   * Price impact of a quoted fill, in basis points
+   * Compares the quoted input with a fee-inclusive fill at the pool's spot price
+   * @param {object} pool - From getPoolState()
+   * @param {string} tokenIn - Token being sold
+   * @param {bigint} amountIn - Quoted input
+   * @param {bigint} amountOut - Output the input buys
+   * @returns {bigint}
+   */
+  getPriceImpactBps(pool, tokenIn, amountIn, amountOut) {
+    const tokenInIsToken0 = tokenIn.toLowerCase() === pool.token0.toLowerCase()
+    const atSpot = spotAmountIn(amountOut, pool.sqrtPriceX96, tokenInIsToken0)
+    const idealIn = ceilDiv(atSpot * FEE_DENOMINATOR, FEE_DENOMINATOR - pool.fee)
+
+    if (amountIn <= idealIn) {
+      return 0n
+    }
+    return ceilDiv((amountIn - idealIn) * BPS_DENOMINATOR, idealIn)
+  }
+
+  /**
+   * Minimal input that makes a multi-hop path return exactly `amountOut`
+   * Quotes the hops backwards, each for exactly what the next one needs (what the
+   * Switcher receives swapping the same amounts forwards)
+   * @param {Array<{tokenIn: Object, tokenOut: Object, pool: Object}>} hops - In swap order; tokens
+   *   are registry tokens ({symbol, address, decimals}) and pools come from getPoolState()
+   * @param {bigint} amountOut - Output required from the last hop
+   * @returns {Promise<{hops: Array, amountIn: bigint, amountOut: bigint, priceImpactBps: bigint}>}
+   *   Each hop gains amountIn, amountOut and priceImpactBps
+   * @throws {QuoteFailedError} If any hop can't be quoted
+   */
+  async quoteExactOutputPath(hops, amountOut) {
+    const quoted = []
+    let required = amountOut
+    for (const hop of [...hops].reverse()) {
+      const { amountIn } = await this.quoteExactOutputSingle({
+        tokenIn: hop.tokenIn.address,
+        tokenOut: hop.tokenOut.address,
+        amountOut: required,
+        pool: hop.pool
+      })
+      quoted.unshift({
+        ...hop,
+        amountIn,
+        amountOut: required,
+        priceImpactBps: this.getPriceImpactBps(hop.pool, hop.tokenIn.address, amountIn, required)
+      })
+      required = amountIn
+    }
+
+    return { hops: quoted, amountIn: required, amountOut, priceImpactBps: this.getPathPriceImpactBps(quoted) }
+  }
+
+  /**
+   * Output a multi-hop path returns for exactly `amountIn` (each hop swaps everything the previous one returned)
+   * @param {Array<{tokenIn: Object, tokenOut: Object, pool: Object}>} hops - In swap order
+   * @param {bigint} amountIn - Input to the first hop
+   * @returns {Promise<bigint>}
+   * @throws {QuoteFailedError} If any hop can't be quoted
+   */
+  async quoteExactInputPath(hops, amountIn) {
+    let amount = amountIn
+    for (const hop of hops) {
+      ;({ amountOut: amount } = await this.quoteExactInputSingle({
+        tokenIn: hop.tokenIn.address,
+        tokenOut: hop.tokenOut.address,
+        amountIn: amount,
+        pool: hop.pool
+      }))
+    }
+    return amount
+  }
+
+  /**
+   * Price impact of a whole path from the impact of each hop, in basis points
+   * (the extra input compounds: a 1% hop feeding a 1% hop costs 2.01%)
+   */
+  getPathPriceImpactBps(hops) {
+    const ratio = hops.reduce((acc, hop) => ceilDiv(acc * (BPS_DENOMINATOR + hop.priceImpactBps), BPS_DENOMINATOR), BPS_DENOMINATOR)
+    return ratio - BPS_DENOMINATOR
+  }
+
+  /**
+   * Uniswap path encoding of the hops, as the Switcher takes it: tokenIn, fee, token, fee, ..., tokenOut
+   */
+  encodePath(hops) {
+    const types = ['address']
+    const values = [hops[0].tokenIn.address]
+    for (const hop of hops) {
+      types.push('uint24', 'address')
+      values.push(hop.pool.fee, hop.tokenOut.address)
+    }
+    return ethers.solidityPacked(types, values)
+  }
+}
+
+module.exports = new QuoteService()
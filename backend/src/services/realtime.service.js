@@ -0,0 +1,153 @@
+/**
+ * Realtime Service
+ *
+ * Server-sent event streams for connected dashboards (GET /api/stream):
+ * - transaction: a transaction was recorded or changed status
+ * - positions / balances: the account's state after a new block (only when it changed)
+ * - markets: live Comet rates (only when they changed)
+ *
+ * Each event's data has the same shape as the matching REST response's `data`.
+ * The realtime publisher worker drives block-based updates; transactions are
+ * published wherever they are saved.
+ */
+
+const logger = require('../utils/logger')
+const erc4337Service = require('./erc4337.service')
+
+/**
+ * Rates only - market reads also carry a timestamp that changes on every refresh
+ */
+function serializeRates(markets) {
+  return JSON.stringify(Object.entries(markets).map(([key, market]) => [key, market.rates]))
+}
+
+class RealtimeService {
+  constructor() {
+    // userId -> Set of open SSE responses
+    this.clients = new Map()
+    // userId -> { positions, balances } as last published (serialized)
+    this.snapshots = new Map()
+    this.lastRates = null
+  }
+
+  hasClients() {
+    return this.clients.size > 0
+  }
+
+  getConnectedUserIds() {
+    return [...this.clients.keys()]
+  }
+
+  getConnectionCount(userId) {
+    return this.clients.get(userId.toString())?.size || 0
+  }
+
+  /**
+   * Register an open stream for a user
+   * @returns {Function} Removes the stream again (call when the connection closes)
+   */
+  addClient(userId, res) {
+    const key = userId.toString()
+    if (!this.clients.has(key)) {
+      this.clients.set(key, new Set())
+    }
+    this.clients.get(key).add(res)
+
+    return () => {
+      const streams = this.clients.get(key)
+      if (!streams) return
+
+      streams.delete(res)
+      if (streams.size === 0) {
+        this.clients.delete(key)
+        this.snapshots.delete(key)
+      }
+    }
+  }
+
+  /**
+   * End every open stream (server shutdown)
+   */
+  closeAll() {
+    for (const streams of this.clients.values()) {
+      for (const res of streams) res.end()
+    }
+    this.clients.clear()
+    this.snapshots.clear()
+  }
+
+  send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+
+  publish(userId, event, data) {
+    const streams = this.clients.get(userId.toString())
+    if (!streams) return
+
+    for (const res of streams) this.send(res, event, data)
+  }
+
+  broadcast(event, data) {
+    for (const streams of this.clients.values()) {
+      for (const res of streams) this.send(res, event, data)
+    }
+  }
+
+  /**
+   * Positions and balances of an account, shaped like GET /defi/position and GET /account/balances
+   */
+  async getAccountState(address) {
+    const [positions, balances] = await Promise.all([
+      erc4337Service.getPositions(address),
+      erc4337Service.getBalances(address)
+    ])
+
+    return {
+      positions: { address, positions },
+      balances: { address, ...balances }
+    }
+  }
+
+  /**
+   * Send a user's positions / balances to their streams if they changed since last published
+   */
+  publishAccountState(userId, state) {
+    const key = userId.toString()
+    const previous = this.snapshots.get(key) || {}
+    const next = {
+      positions: JSON.stringify(state.positions),
+      balances: JSON.stringify(state.balances)
+    }
+
+    if (next.positions !== previous.positions) this.publish(key, 'positions', state.positions)
+    if (next.balances !== previous.balances) this.publish(key, 'balances', state.balances)
+
+    this.snapshots.set(key, next)
+  }
+
+  /**
+   * Send market rates to every stream if they changed since last published
+   * @param {Object} markets - marketService.getMarkets() result
+   */
+  publishMarkets(markets) {
+    const rates = serializeRates(markets)
+    if (rates === this.lastRates) return
+
+    this.lastRates = rates
+    this.broadcast('markets', { markets })
+  }
+
+  /**
+   * Send a transaction to its owner's streams (shaped like GET /defi/transactions/:id)
+   * Never throws - streaming must not fail the operation that saved the transaction
+   */
+  publishTransaction(transaction) {
+    try {
+      this.publish(transaction.user, 'transaction', { transaction })
+    } catch (error) {
+      logger.warn(`Failed to stream transaction ${transaction._id}: ${error.message}`)
+    }
+  }
+}
+
+module.exports = new RealtimeService()
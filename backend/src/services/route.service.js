@@ -0,0 +1,263 @@
+/**
+ * Route Service
+ *
+ * Picks the Uniswap V3 pools a switch or migration runs through, per call:
+ * - Flash loan pool: any pool pairing the flash-loaned token with a registry debt token
+ *   or routing token, on any configured fee tier, that holds enough of the token - the
+ *   lowest fee wins (deepest pool on a tie)
+ * - Swap path: direct, or through one routing token (e.g. USDT -> USDC -> WETH) when the
+ *   pair has no deep direct pool - whichever needs the least input, each hop on its
+ *   cheapest fee tier
+ * - No swap hop may go through the flash loan pool (a pool is locked during its own flash loan)
+ *
+ * Pools are discovered through the Uniswap V3 factory, the same check the Switcher
+ * applies to the pools it is given.
+ */
+
+const { ethers } = require('ethers')
+const config = require('../config')
+const markets = require('../config/markets')
+const logger = require('../utils/logger')
+const quoteService = require('./quote.service')
+const { QuoteFailedError } = require('../utils/errors')
+const { FEE_DENOMINATOR, ceilDiv } = require('../utils/sizing')
+
+const FACTORY_ABI = [
+  'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)',
+]
+
+const ERC20_ABI = [
+  'function balanceOf(address account) view returns (uint256)',
+]
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase()
+
+const byAmountIn = (a, b) => (a.amountIn < b.amountIn ? -1 : a.amountIn > b.amountIn ? 1 : 0)
+
+class RouteService {
+  constructor() {
+    this.provider = new ethers.JsonRpcProvider(config.blockchain.rpcUrl)
+    this.factory = new ethers.Contract(config.contracts.uniswapV3Factory, FACTORY_ABI, this.provider)
+    // Factory pool addresses never change once deployed
+    this.poolAddresses = new Map()
+  }
+
+  /**
+   * Pool address for a pair and fee tier, or null if the factory has none
+   */
+  async getPoolAddress(tokenA, tokenB, fee) {
+    const key = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort().join(':') + `:${fee}`
+    if (!this.poolAddresses.has(key)) {
+      const address = await this.factory.getPool(tokenA, tokenB, fee)
+      if (address === ethers.ZeroAddress) return null
+      this.poolAddresses.set(key, address)
+    }
+    return this.poolAddresses.get(key)
+  }
+
+  /**
+   * State of every pool the factory has for a pair, across the configured fee tiers
+   * @returns {Promise<Array<{address, fee, token0, token1, sqrtPriceX96}>>}
+   */
+  async getPairPools(tokenA, tokenB) {
+    const addresses = await Promise.all(config.switching.feeTiers.map(fee => this.getPoolAddress(tokenA, tokenB, fee)))
+    return Promise.all(addresses.filter(Boolean).map(address => quoteService.getPoolState(address)))
+  }
+
+  /**
+   * Pools able to flash-loan `amount` of `token`, cheapest first
+   * Candidates pair the token with the registry debt tokens (Comet base tokens, Aave
+   * borrow assets) and the routing tokens
+   * @returns {Promise<Array<{address, fee, token0, token1, sqrtPriceX96, available: bigint}>>}
+   */
+  async getFlashCandidates(token, amount) {
+    const pairTokens = [
+      ...markets.getMarkets().map(market => market.baseTokenAddress),
+      ...markets.getAaveMarket().borrowAssets.map(symbol => markets.getToken(symbol).address),
+      ...markets.getRoutingTokens().map(routingToken => routingToken.address)
+    ].filter((address, i, all) => !sameAddress(address, token) && all.findIndex(other => sameAddress(other, address)) === i)
+
+    const pools = (await Promise.all(pairTokens.map(pairToken => this.getPairPools(token, pairToken)))).flat()
+    const erc20 = new ethers.Contract(token, ERC20_ABI, this.provider)
+    const balances = await Promise.all(pools.map(pool => erc20.balanceOf(pool.address)))
+
+    return pools
+      .map((pool, i) => ({ ...pool, available: BigInt(balances[i]) }))
+      .filter(pool => pool.available >= amount)
+      .sort((a, b) => (a.fee === b.fee ? (b.available > a.available ? 1 : -1) : (a.fee < b.fee ? -1 : 1)))
+  }
+
+  /**
+   * Exact-output quote of one hop on every fee tier of the pair, cheapest first
+   * (tiers that can't fill it, and excludePool, are dropped)
+   * @returns {Promise<Array<{tokenIn, tokenOut, pool, amountIn, amountOut, priceImpactBps}>>}
+   */
+  async quoteHop(tokenIn, tokenOut, amountOut, excludePool = null) {
+    const pools = (await this.getPairPools(tokenIn.address, tokenOut.address))
+      .filter(pool => !sameAddress(pool.address, excludePool))
+
+    const quotes = await Promise.all(pools.map(async (pool) => {
+      try {
+        const { hops: [hop] } = await quoteService.quoteExactOutputPath([{ tokenIn, tokenOut, pool }], amountOut)
+        return hop
+      } catch (error) {
+        // Not enough liquidity on this tier
+        if (!(error instanceof QuoteFailedError)) throw error
+        return null
+      }
+    }))
+
+    return quotes.filter(Boolean).sort(byAmountIn)
+  }
+
+  /**
+   * Swap paths from tokenIn to exactly `amountOut` of tokenOut, cheapest first:
+   * the direct pair on each fee tier, and the cheapest path through each routing token
+   * @param {Object} tokenIn - Registry token swapped from
+   * @param {Object} tokenOut - Registry token swapped to
+   * @param {bigint} amountOut - Output required from the last hop
+   * @param {string} [excludePool] - Pool no hop may use (the flash loan pool)
+   * @returns {Promise<Array<{hops: Array, amountIn: bigint, amountOut: bigint, priceImpactBps: bigint}>>}
+   */
+  async findSwapPaths(tokenIn, tokenOut, amountOut, excludePool = null) {
+    const toPath = (hops) => ({
+      hops,
+      amountIn: hops[0].amountIn,
+      amountOut,
+      priceImpactBps: quoteService.getPathPriceImpactBps(hops)
+    })
+
+    const intermediates = markets.getRoutingTokens()
+      .filter(token => !sameAddress(token.address, tokenIn.address) && !sameAddress(token.address, tokenOut.address))
+
+    const [direct, ...viaIntermediates] = await Promise.all([
+      this.quoteHop(tokenIn, tokenOut, amountOut, excludePool),
+      ...intermediates.map(async (intermediate) => {
+        // Cheapest last hop first: the first hop then only has to buy what it needs
+        const [last] = await this.quoteHop(intermediate, tokenOut, amountOut, excludePool)
+        if (!last) return null
+        const [first] = await this.quoteHop(tokenIn, intermediate, last.amountIn, excludePool)
+        return first ? toPath([first, last]) : null
+      })
+    ])
+
+    return [...direct.map(hop => toPath([hop])), ...viaIntermediates.filter(Boolean)].sort(byAmountIn)
+  }
+
+  /**
+   * Readable form of a swap path, e.g. "WETH -(0.3%)-> DAI -(0.01%)-> USDC"
+   */
+  describePath(path) {
+    return path.hops.reduce(
+      (route, hop) => `${route} -(${Number(hop.pool.fee) / 10000}%)-> ${hop.tokenOut.symbol}`,
+      path.hops[0].tokenIn.symbol
+    )
+  }
+
+  /**
+   * Hops of a quoted path as shown in previews, with the price impact of each hop
+   */
+  formatPath(path) {
+    return path.hops.map(hop => ({
+      tokenIn: hop.tokenIn.symbol,
+      tokenOut: hop.tokenOut.symbol,
+      pool: hop.pool.address,
+      feeTier: Number(hop.pool.fee),
+      amountIn: hop.amountIn.toString(),
+      amountInFormatted: ethers.formatUnits(hop.amountIn, hop.tokenIn.decimals),
+      amountOut: hop.amountOut.toString(),
+      amountOutFormatted: ethers.formatUnits(hop.amountOut, hop.tokenOut.decimals),
+      priceImpactBps: Number(hop.priceImpactBps)
+    }))
+  }
+
+  /**
+   * Choose the flash loan pool (and the swap path, when the borrow is swapped into the flash-loaned token)
+   *
+   * The swap has to return the flash loan plus its fee, so paths are quoted against the
+   * cheapest flash loan first; if the best path goes through that pool, the flash loan
+   * moves to the next cheapest pool (or, failing that, the path avoids the pool) and the
+   * path is re-quoted for the new fee.
+   *
+   * @param {Object} params
+   * @param {Object} params.flashToken - Registry token flash-loaned to repay the source debt
+   * @param {bigint} params.flashAmount - Amount flash-loaned
+   * @param {Object} [params.swapTokenIn] - Registry token borrowed and swapped into flashToken (none for a same-token borrow)
+   * @returns {Promise<{flash: Object, swapPath: Object|null, flashFee: bigint, minOutputAmount: bigint, minimalBorrow: bigint, candidates: Object}>}
+   *   minOutputAmount is the flash loan plus its fee; minimalBorrow the swap input that returns it;
+   *   swapPath is a quoted path (see findSwapPaths) plus its Uniswap encoding (encoded)
+   * @throws {QuoteFailedError} If no pool can lend the amount, or no path can fill the swap
+   */
+  async selectRoute({ flashToken, flashAmount, swapTokenIn = null }) {
+    const flashCandidates = await this.getFlashCandidates(flashToken.address, flashAmount)
+    if (flashCandidates.length === 0) {
+      throw new QuoteFailedError(`No Uniswap V3 pool holds enough ${flashToken.symbol} to flash-loan ${ethers.formatUnits(flashAmount, flashToken.decimals)}`, {
+        token: flashToken.symbol,
+        amount: flashAmount.toString()
+      })
+    }
+
+    const flashFeeOn = (pool) => ceilDiv(flashAmount * pool.fee, FEE_DENOMINATOR)
+    const describeFlash = flashCandidates.map(pool => ({ address: pool.address, fee: pool.fee, available: pool.available }))
+
+    if (!swapTokenIn) {
+      const flash = flashCandidates[0]
+      const flashFee = flashFeeOn(flash)
+      return {
+        flash,
+        swapPath: null,
+        flashFee,
+        minOutputAmount: flashAmount + flashFee,
+        minimalBorrow: flashAmount + flashFee,
+        candidates: { flash: describeFlash, swap: [] }
+      }
+    }
+
+    let required = flashAmount + flashFeeOn(flashCandidates[0])
+    const paths = await this.findSwapPaths(swapTokenIn, flashToken, required)
+    if (paths.length === 0) {
+      throw new QuoteFailedError(`No Uniswap V3 path can swap ${swapTokenIn.symbol} into ${ethers.formatUnits(required, flashToken.decimals)} ${flashToken.symbol}`, {
+        tokenIn: swapTokenIn.symbol,
+        tokenOut: flashToken.symbol,
+        amountOut: required.toString()
+      })
+    }
+
+    const usesPool = (path, pool) => path.hops.some(hop => sameAddress(hop.pool.address, pool.address))
+    let [best] = paths
+    let flash = flashCandidates.find(pool => !usesPool(best, pool))
+    if (!flash) {
+      // Every pool that can lend the amount is on the best path - route the swap around one
+      flash = flashCandidates[0]
+      ;[best] = await this.findSwapPaths(swapTokenIn, flashToken, required, flash.address)
+      if (!best) {
+        throw new QuoteFailedError(`No Uniswap V3 path avoiding the flash loan pool can swap ${swapTokenIn.symbol} into ${flashToken.symbol}`, {
+          flashPool: flash.address
+        })
+      }
+    }
+
+    const flashFee = flashFeeOn(flash)
+    if (flashAmount + flashFee !== required) {
+      required = flashAmount + flashFee
+      best = await quoteService.quoteExactOutputPath(best.hops, required)
+    }
+    const swapPath = { ...best, encoded: quoteService.encodePath(best.hops) }
+
+    logger.info(`Route: flash ${flashToken.symbol} from ${flash.address} (${flash.fee} fee tier), swap ${this.describePath(swapPath)}`)
+
+    return {
+      flash,
+      swapPath,
+      flashFee,
+      minOutputAmount: required,
+      minimalBorrow: swapPath.amountIn,
+      candidates: {
+        flash: describeFlash,
+        swap: paths.map(path => ({ route: this.describePath(path), amountIn: path.amountIn, priceImpactBps: path.priceImpactBps }))
+      }
+    }
+  }
+}
+
+module.exports = new RouteService()
@@ -0,0 +1,149 @@
+/**
+ * UserOp Submitter base
+ *
+ * A submitter gets a signed v0.6 UserOperation on-chain and reports its outcome.
+ * Implementations:
+ * - DirectSubmitter: calls EntryPoint.handleOps from the executor wallet (forks)
+ * - BundlerSubmitter: talks to an ERC-4337 bundler over JSON-RPC
+ *
+ * Receipts are normalized to:
+ *   { userOpHash, success, txHash, blockNumber, actualGasUsed, actualGasCost, revertReason, logs }
+ */
+
+const { ethers } = require('ethers')
+const config = require('../../config')
+const { describeRevertReason } = require('../../utils/revertDecoder')
+
+const USER_OPERATION_EVENTS_ABI = [
+  'event UserOperationEvent(bytes32 indexed userOpHash, address indexed sender, address indexed paymaster, uint256 nonce, bool success, uint256 actualGasCost, uint256 actualGasUsed)',
+  'event UserOperationRevertReason(bytes32 indexed userOpHash, address indexed sender, uint256 nonce, bytes revertReason)',
+]
+
+const userOpEventsIface = new ethers.Interface(USER_OPERATION_EVENTS_ABI)
+
+/**
+ * Serialize a UserOp for JSON-RPC (hex quantities, as bundlers expect)
+ */
+function toRpcUserOp(userOp) {
+  return {
+    sender: userOp.sender,
+    nonce: ethers.toQuantity(userOp.nonce),
+    initCode: userOp.initCode || '0x',
+    callData: userOp.callData,
+    callGasLimit: ethers.toQuantity(userOp.callGasLimit),
+    verificationGasLimit: ethers.toQuantity(userOp.verificationGasLimit),
+    preVerificationGas: ethers.toQuantity(userOp.preVerificationGas),
+    maxFeePerGas: ethers.toQuantity(userOp.maxFeePerGas),
+    maxPriorityFeePerGas: ethers.toQuantity(userOp.maxPriorityFeePerGas),
+    paymasterAndData: userOp.paymasterAndData || '0x',
+    signature: userOp.signature || '0x'
+  }
+}
+
+/**
+ * Parse a JSON-RPC UserOp (hex quantities) back into bigints
+ */
+function fromRpcUserOp(rpcUserOp) {
+  return {
+    ...rpcUserOp,
+    nonce: BigInt(rpcUserOp.nonce),
+    callGasLimit: BigInt(rpcUserOp.callGasLimit),
+    verificationGasLimit: BigInt(rpcUserOp.verificationGasLimit),
+    preVerificationGas: BigInt(rpcUserOp.preVerificationGas),
+    maxFeePerGas: BigInt(rpcUserOp.maxFeePerGas),
+    maxPriorityFeePerGas: BigInt(rpcUserOp.maxPriorityFeePerGas)
+  }
+}
+
+/**
+ * Find the UserOperationEvent (and revert reason, if any) for a UserOp in a set of logs
+ */
+function parseUserOperationLogs(logs, userOpHash) {
+  let event = null
+  let revertReason = null
+
+  for (const log of logs) {
+    let parsed
+    try {
+      parsed = userOpEventsIface.parseLog({ topics: log.topics, data: log.data })
+    } catch (e) {
+      continue
+    }
+    if (!parsed || parsed.args.userOpHash.toLowerCase() !== userOpHash.toLowerCase()) continue
+
+    if (parsed.name === 'UserOperationEvent') {
+      event = parsed.args
+    } else if (parsed.name === 'UserOperationRevertReason') {
+      revertReason = parsed.args.revertReason
+    }
+  }
+
+  return { event, revertReason }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+class UserOpSubmitter {
+  constructor(name) {
+    this.name = name
+  }
+
+  /**
+   * Submit a signed UserOp and wait for it to be included
+   * @param {Object} userOp - Signed UserOp (bigint fields)
+   * @param {string} userOpHash - Hash the UserOp was signed over
+   * @returns {Promise<{success: boolean, txHash: string, userOpHash: string, gasUsed: string, revertReason: string|null, error?: string}>}
+   */
+  async submit(userOp, userOpHash) {
+    const submittedHash = await this.sendUserOperation(userOp, userOpHash)
+    const receipt = await this.waitForUserOperationReceipt(submittedHash)
+
+    return {
+      success: receipt.success,
+      txHash: receipt.txHash,
+      userOpHash: submittedHash,
+      gasUsed: receipt.actualGasUsed.toString(),
+      revertReason: receipt.revertReason,
+      error: receipt.success ? undefined : describeRevertReason(receipt.revertReason)
+    }
+  }
+
+  /**
+   * Poll for a UserOp receipt until it's available or the timeout passes
+   */
+  async waitForUserOperationReceipt(userOpHash, {
+    timeoutMs = config.userOps.receiptTimeoutMs,
+    pollIntervalMs = config.userOps.receiptPollIntervalMs
+  } = {}) {
+    const deadline = Date.now() + timeoutMs
+
+    while (Date.now() < deadline) {
+      const receipt = await this.getUserOperationReceipt(userOpHash)
+      if (receipt) return receipt
+      await sleep(pollIntervalMs)
+    }
+
+    // userOpHash marks the UserOp as submitted - it may still be included
+    throw Object.assign(new Error(`Timed out waiting for UserOp ${userOpHash} after ${timeoutMs}ms`), { userOpHash })
+  }
+
+  async estimateUserOperationGas() {
+    throw new Error(`${this.name} submitter does not implement estimateUserOperationGas`)
+  }
+
+  async sendUserOperation() {
+    throw new Error(`${this.name} submitter does not implement sendUserOperation`)
+  }
+
+  async getUserOperationReceipt() {
+    throw new Error(`${this.name} submitter does not implement getUserOperationReceipt`)
+  }
+}
+
+module.exports = {
+  UserOpSubmitter,
+  USER_OPERATION_EVENTS_ABI,
+  toRpcUserOp,
+  fromRpcUserOp,
+  parseUserOperationLogs
+}
@@ -0,0 +1,96 @@
+/**
+ * Bundler UserOp submission
+ *
+ * Sends UserOps to an ERC-4337 bundler over JSON-RPC:
+ * - eth_estimateUserOperationGas
+ * - eth_sendUserOperation
+ * - eth_getUserOperationReceipt
+ * The bundler pays for inclusion, so no executor key is needed.
+ */
+
+const logger = require('../../utils/logger')
+const { BlockchainError } = require('../../utils/errors')
+const { UserOpSubmitter, toRpcUserOp } = require('./base.submitter')
+
+class BundlerSubmitter extends UserOpSubmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Bundler JSON-RPC endpoint
+   * @param {string} options.entryPointAddress
+   */
+  constructor({ url, entryPointAddress }) {
+    super('bundler')
+    this.url = url
+    this.entryPointAddress = entryPointAddress
+    this.requestId = 0
+  }
+
+  /**
+   * Make a JSON-RPC call to the bundler
+   * @throws {BlockchainError} With the bundler's error code/data in details
+   */
+  async rpc(method, params) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params })
+    })
+
+    if (!response.ok) {
+      throw new BlockchainError(`Bundler ${method} failed: HTTP ${response.status}`)
+    }
+
+    const body = await response.json()
+    if (body.error) {
+      logger.error(`Bundler ${method} error: ${body.error.message}`)
+      throw new BlockchainError(`Bundler ${method} failed: ${body.error.message}`, {
+        code: body.error.code,
+        data: body.error.data
+      })
+    }
+
+    return body.result
+  }
+
+  /**
+   * Gas limits for a UserOp (the signature may be a dummy of the right shape)
+   */
+  async estimateUserOperationGas(userOp) {
+    const result = await this.rpc('eth_estimateUserOperationGas', [toRpcUserOp(userOp), this.entryPointAddress])
+
+    return {
+      callGasLimit: BigInt(result.callGasLimit),
+      verificationGasLimit: BigInt(result.verificationGasLimit ?? result.verificationGas),
+      preVerificationGas: BigInt(result.preVerificationGas)
+    }
+  }
+
+  async sendUserOperation(userOp, userOpHash) {
+    const bundlerHash = await this.rpc('eth_sendUserOperation', [toRpcUserOp(userOp), this.entryPointAddress])
+
+    if (userOpHash && bundlerHash.toLowerCase() !== userOpHash.toLowerCase()) {
+      logger.warn(`Bundler returned UserOp hash ${bundlerHash}, expected ${userOpHash}`)
+    }
+    logger.info(`UserOp ${bundlerHash} sent to bundler`)
+
+    return bundlerHash
+  }
+
+  async getUserOperationReceipt(userOpHash) {
+    const result = await this.rpc('eth_getUserOperationReceipt', [userOpHash])
+    if (!result) return null
+
+    return {
+      userOpHash,
+      success: result.success,
+      txHash: result.receipt.transactionHash,
+      blockNumber: Number(result.receipt.blockNumber),
+      actualGasUsed: BigInt(result.actualGasUsed),
+      actualGasCost: BigInt(result.actualGasCost),
+      revertReason: result.reason && result.reason !== '0x' ? result.reason : null,
+      logs: result.logs || []
+    }
+  }
+}
+
+module.exports = BundlerSubmitter
@@ -0,0 +1,184 @@
+/**
+ * Direct UserOp submission
+ *
+ * Calls EntryPoint.handleOps from the executor wallet (DEPLOYER_PRIVATE_KEY).
+ * The executor is NOT an owner - it only pays for the on-chain transaction.
+ * Works on forks (Tenderly) where we control a funded key; use a bundler elsewhere.
+ */
+
+const { ethers } = require('ethers')
+const logger = require('../../utils/logger')
+const { UserOpSubmitter, USER_OPERATION_EVENTS_ABI, parseUserOperationLogs } = require('./base.submitter')
+
+const USER_OP_TUPLE = '(address sender, uint256 nonce, bytes initCode, bytes callData, uint256 callGasLimit, uint256 verificationGasLimit, uint256 preVerificationGas, uint256 maxFeePerGas, uint256 maxPriorityFeePerGas, bytes paymasterAndData, bytes signature)'
+
+const ENTRYPOINT_ABI = [
+  `function handleOps(${USER_OP_TUPLE}[] ops, address beneficiary) external`,
+  `function simulateValidation(${USER_OP_TUPLE} userOp) external`,
+  'error ValidationResult((uint256 preOpGas, uint256 prefund, bool sigFailed, uint48 validAfter, uint48 validUntil, bytes paymasterContext) returnInfo, (uint256 stake, uint256 unstakeDelaySec) senderInfo, (uint256 stake, uint256 unstakeDelaySec) factoryInfo, (uint256 stake, uint256 unstakeDelaySec) paymasterInfo)',
+  'error FailedOp(uint256 opIndex, string reason)',
+  ...USER_OPERATION_EVENTS_ABI,
+]
+
+// How far back to search for UserOperationEvents we didn't submit ourselves
+const RECEIPT_LOOKBACK_BLOCKS = 1000
+
+// Calldata pricing used for preVerificationGas (same constants as the reference bundler)
+const PRE_VERIFICATION_OVERHEAD = {
+  fixed: 21000n,     // transaction base cost, for a bundle of one
+  perUserOp: 18300n, // EntryPoint bookkeeping per UserOp
+  perUserOpWord: 4n,
+  zeroByte: 4n,
+  nonZeroByte: 16n
+}
+
+/**
+ * Gas the bundler spends getting the UserOp's calldata on-chain (not metered by the EntryPoint)
+ */
+function calcPreVerificationGas(userOp) {
+  const encoded = ethers.getBytes(ethers.AbiCoder.defaultAbiCoder().encode([USER_OP_TUPLE], [userOp]))
+  const callDataCost = encoded.reduce(
+    (sum, byte) => sum + (byte === 0 ? PRE_VERIFICATION_OVERHEAD.zeroByte : PRE_VERIFICATION_OVERHEAD.nonZeroByte),
+    0n
+  )
+  const words = BigInt(Math.ceil(encoded.length / 32))
+
+  return callDataCost +
+    PRE_VERIFICATION_OVERHEAD.fixed +
+    PRE_VERIFICATION_OVERHEAD.perUserOp +
+    PRE_VERIFICATION_OVERHEAD.perUserOpWord * words
+}
+
+class DirectSubmitter extends UserOpSubmitter {
+  /**
+   * @param {Object} options
+   * @param {ethers.Provider} options.provider
+   * @param {string} options.entryPointAddress
+   * @param {ethers.Wallet} [options.executorWallet] - Pays for handleOps (required to send)
+   */
+  constructor({ provider, entryPointAddress, executorWallet }) {
+    super('direct')
+    this.provider = provider
+    this.entryPointAddress = entryPointAddress
+    this.executorWallet = executorWallet
+    this.entryPoint = new ethers.Contract(entryPointAddress, ENTRYPOINT_ABI, provider)
+    // userOpHash -> handleOps transaction we sent
+    this.sent = new Map()
+  }
+
+  getExecutor() {
+    if (!this.executorWallet) {
+      throw new Error('DEPLOYER_PRIVATE_KEY not configured - required for direct UserOp submission')
+    }
+    return this.executorWallet
+  }
+
+  /**
+   * Estimate gas the way bundlers do:
+   * - preVerificationGas from the UserOp's calldata cost
+   * - verificationGasLimit from EntryPoint.simulateValidation (preOpGas)
+   * - callGasLimit from eth_estimateGas of the callData sent by the EntryPoint
+   * The UserOp's own gas fields are used as upper bounds for the simulation.
+   */
+  async estimateUserOperationGas(userOp) {
+    const preVerificationGas = calcPreVerificationGas(userOp)
+
+    let validationResult
+    try {
+      await this.entryPoint.simulateValidation.staticCall({ ...userOp, preVerificationGas })
+      throw new Error('simulateValidation did not revert')
+    } catch (error) {
+      const revertData = error.data || error.info?.error?.data
+      const parsed = revertData ? this.entryPoint.interface.parseError(revertData) : null
+      if (parsed?.name === 'FailedOp') {
+        throw new Error(`UserOp validation failed: ${parsed.args.reason}`)
+      }
+      if (parsed?.name !== 'ValidationResult') {
+        throw error
+      }
+      validationResult = parsed.args.returnInfo
+    }
+
+    // preOpGas covers validation (account, factory, paymaster) plus preVerificationGas
+    const verificationGasLimit = validationResult.preOpGas - preVerificationGas
+
+    // An undeployed account can't be called yet - keep the caller's limit
+    const callGasLimit = userOp.initCode && userOp.initCode !== '0x'
+      ? BigInt(userOp.callGasLimit)
+      : await this.provider.estimateGas({
+        from: this.entryPointAddress,
+        to: userOp.sender,
+        data: userOp.callData
+      })
+
+    return { callGasLimit, verificationGasLimit, preVerificationGas }
+  }
+
+  async sendUserOperation(userOp, userOpHash) {
+    const executor = this.getExecutor()
+
+    const gas = await this.entryPoint.handleOps.estimateGas([userOp], executor.address)
+    const tx = await this.entryPoint.connect(executor).handleOps(
+      [userOp],
+      executor.address,
+      { gasLimit: gas * 2n }
+    )
+
+    logger.info(`handleOps sent for UserOp ${userOpHash}, tx: ${tx.hash}`)
+    this.sent.set(userOpHash, tx)
+
+    return userOpHash
+  }
+
+  async getUserOperationReceipt(userOpHash) {
+    const tx = this.sent.get(userOpHash)
+    let receipt = null
+
+    if (tx) {
+      receipt = await this.provider.getTransactionReceipt(tx.hash)
+      if (!receipt) return null
+    } else {
+      const latest = await this.provider.getBlockNumber()
+      const logs = await this.entryPoint.queryFilter(
+        this.entryPoint.filters.UserOperationEvent(userOpHash),
+        Math.max(0, latest - RECEIPT_LOOKBACK_BLOCKS),
+        latest
+      )
+      if (logs.length === 0) return null
+      receipt = await this.provider.getTransactionReceipt(logs[0].transactionHash)
+    }
+
+    return this.toUserOpReceipt(userOpHash, receipt)
+  }
+
+  /**
+   * Wait on our own handleOps transaction rather than polling
+   */
+  async waitForUserOperationReceipt(userOpHash, options) {
+    const tx = this.sent.get(userOpHash)
+    if (!tx) {
+      return super.waitForUserOperationReceipt(userOpHash, options)
+    }
+
+    const receipt = await tx.wait()
+    return this.toUserOpReceipt(userOpHash, receipt)
+  }
+
+  toUserOpReceipt(userOpHash, receipt) {
+    const { event, revertReason } = parseUserOperationLogs(receipt.logs, userOpHash)
+    this.sent.delete(userOpHash)
+
+    return {
+      userOpHash,
+      success: event ? event.success : false,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      actualGasUsed: event ? event.actualGasUsed : 0n,
+      actualGasCost: event ? event.actualGasCost : 0n,
+      revertReason,
+      logs: receipt.logs
+    }
+  }
+}
+
+module.exports = DirectSubmitter
@@ -0,0 +1,40 @@
+/**
+ * UserOp submission layer
+ *
+ * Selected by USEROP_SUBMITTER:
+ * - 'direct'  (default): EntryPoint.handleOps from the executor wallet
+ * - 'bundler': ERC-4337 bundler JSON-RPC at BUNDLER_URL
+ */
+
+const config = require('../../config')
+const DirectSubmitter = require('./direct.submitter')
+const BundlerSubmitter = require('./bundler.submitter')
+
+/**
+ * Create the configured submitter
+ * @param {Object} options
+ * @param {ethers.Provider} options.provider
+ * @param {string} options.entryPointAddress
+ * @param {ethers.Wallet} [options.executorWallet] - Only used by the direct submitter
+ */
+function createSubmitter({ provider, entryPointAddress, executorWallet }) {
+  const { submitter, bundlerUrl } = config.userOps
+
+  switch (submitter) {
+    case 'direct':
+      return new DirectSubmitter({ provider, entryPointAddress, executorWallet })
+    case 'bundler':
+      if (!bundlerUrl) {
+        throw new Error('BUNDLER_URL is required when USEROP_SUBMITTER=bundler')
+      }
+      return new BundlerSubmitter({ url: bundlerUrl, entryPointAddress })
+    default:
+      throw new Error(`Unknown USEROP_SUBMITTER: ${submitter} (expected 'direct' or 'bundler')`)
+  }
+}
+
+module.exports = {
+  createSubmitter,
+  DirectSubmitter,
+  BundlerSubmitter
+}
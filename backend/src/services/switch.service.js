@@ -0,0 +1,606 @@
+/**
+ * Switch Service
+ *
+ * Sizes and previews cross-Comet switches:
+ * - Moves every collateral asset of the source position (or one chosen asset) in a single switch
+ * - Partial switches move a percentage of the position: collateral and debt in the same proportion
+ * - Computes the target-token borrow needed to cover the source debt being moved
+ * - Picks the flash loan pool and swap path per switch across Uniswap fee tiers, hopping
+ *   through a routing token when that is cheaper (see route.service)
+ * - Quotes the flash loan fee and swap (exact-output simulation, see quote.service)
+ * - Enforces the caller's slippage tolerance via minOutputAmount
+ * - Comets sharing a base token switch without a swap: the target borrow is the flash loan plus its fee
+ * - Rejects switches that would leave either Comet below the minimum health factor
+ * - Simulates the exact switchCollateral call against current chain state
+ * - Submits planned switches with the user's session key (API and auto-switch worker)
+ */
+
+const { ethers } = require('ethers')
+const config = require('../config')
+const markets = require('../config/markets')
+const logger = require('../utils/logger')
+const marketService = require('./market.service')
+const quoteService = require('./quote.service')
+const routeService = require('./route.service')
+const erc4337Service = require('./erc4337.service')
+const policyService = require('./policy.service')
+const realtimeService = require('./realtime.service')
+const Transaction = require('../models/Transaction')
+const { ValidationError, SlippageExceededError, HealthFactorTooLowError } = require('../utils/errors')
+const { decodeRevertReason } = require('../utils/revertDecoder')
+const { SWITCHER_ABI } = require('../utils/switcherAbi')
+const {
+  BPS_DENOMINATOR,
+  ACCRUAL_HEADROOM_BPS,
+  isSet,
+  parseSlippageBps,
+  parseShareBps,
+  applySlippageHeadroom
+} = require('../utils/sizing')
+
+const SWITCHER = config.contracts.switcher
+
+const COMET_ABI = [
+  'function borrowBalanceOf(address account) view returns (uint256)',
+  'function collateralBalanceOf(address account, address asset) view returns (uint128)',
+  'function isAllowed(address owner, address manager) view returns (bool)',
+]
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase()
+
+class SwitchService {
+  constructor() {
+    this.provider = new ethers.JsonRpcProvider(config.blockchain.rpcUrl)
+    this.switcherIface = new ethers.Interface(SWITCHER_ABI)
+  }
+
+  /**
+   * Switcher contract (deployment-specific, so created on use)
+   */
+  getSwitcher() {
+    if (!SWITCHER) {
+      throw new Error('SWITCHER_ADDRESS not configured')
+    }
+    return new ethers.Contract(SWITCHER, SWITCHER_ABI, this.provider)
+  }
+
+  /**
+   * Size a switch from the account's current source position
+   *
+   * By default the whole position moves. `percentage` moves that share of every
+   * collateral asset and of the debt; `amount` moves part of one collateralSymbol
+   * together with all of the debt. Either way both Comets must stay healthy.
+   *
+   * Comets with the same base token (sameBaseToken) re-borrow the debt as is -
+   * no swap, so no quote and no slippage; otherwise the target borrow is sized
+   * from the swap quote.
+   *
+   * @param {string} accountAddress - Smart account address
+   * @param {string} sourceKey - Source market registry key ('USDC', 'WETH', ...)
+   * @param {string} targetKey - Target market registry key
+   * @param {Object} [options]
+   * @param {string} [options.collateralSymbol] - Move only this collateral asset (defaults to every asset held in the source Comet)
+   * @param {string|number} [options.amount] - Amount of collateralSymbol to move (defaults to all of it)
+   * @param {string|number} [options.percentage] - Share of the position to move, collateral and debt alike (0-100)
+   * @param {string|number} [options.slippageBps] - Slippage tolerance in basis points
+   * @throws {ValidationError} If a collateral asset held in the source isn't accepted by the target
+   * @throws {SlippageExceededError} If the quoted swap output falls outside the tolerance
+   * @throws {QuoteFailedError} If the swap can't be quoted (the switch must not proceed)
+   * @throws {HealthFactorTooLowError} If either Comet would be left below the minimum health factor
+   */
+  async planSwitch(accountAddress, sourceKey, targetKey, { collateralSymbol, amount, percentage, slippageBps } = {}) {
+    const source = markets.getMarket(sourceKey)
+    const target = markets.getMarket(targetKey)
+    const slippage = parseSlippageBps(slippageBps)
+    const shareBps = parseShareBps(percentage)
+
+    if (source.address === target.address) {
+      throw new ValidationError('Source and target Comet must be different')
+    }
+
+    if (isSet(amount) && !collateralSymbol) {
+      throw new ValidationError('amount applies to a single collateral asset - set collateralAsset as well')
+    }
+
+    if (isSet(amount) && isSet(percentage)) {
+      throw new ValidationError('Set either amount or percentage, not both')
+    }
+
+    const chosen = collateralSymbol ? markets.getCollateral(sourceKey, collateralSymbol) : null
+
+    // Every collateral the source Comet lists - what isn't moved stays behind in the source position
+    const sourceTokens = source.collaterals.map(symbol => markets.getToken(symbol))
+    const sourceComet = new ethers.Contract(source.address, COMET_ABI, this.provider)
+    const [balances, debt] = await Promise.all([
+      Promise.all(sourceTokens.map(token => sourceComet.collateralBalanceOf(accountAddress, token.address))),
+      sourceComet.borrowBalanceOf(accountAddress)
+    ])
+
+    const held = sourceTokens
+      .map((token, i) => ({ ...token, balance: BigInt(balances[i]) }))
+      .filter(token => token.balance > 0n)
+    const moving = chosen ? held.filter(token => token.symbol === chosen.symbol) : held
+
+    if (moving.length === 0) {
+      throw new ValidationError(chosen ? `No ${chosen.symbol} collateral in source Comet` : 'No collateral in source Comet')
+    }
+
+    if (debt === 0n) {
+      throw new ValidationError('No debt to switch. Supply collateral and borrow first.')
+    }
+
+    // Every asset that moves must be accepted on the target side of the switch
+    const unsupported = moving.filter(token => !target.collaterals.includes(token.symbol))
+    if (unsupported.length > 0) {
+      throw new ValidationError(
+        `The ${target.name} does not accept ${unsupported.map(token => token.symbol).join(', ')} as collateral`,
+        { unsupported: unsupported.map(token => token.symbol), accepted: target.collaterals }
+      )
+    }
+
+    const collaterals = moving
+      .map(token => ({
+        ...token,
+        amount: isSet(amount) ? ethers.parseUnits(amount.toString(), token.decimals) : token.balance * shareBps / BPS_DENOMINATOR
+      }))
+      .filter(collateral => collateral.amount > 0n)
+
+    if (collaterals.length === 0) {
+      throw new ValidationError('The switch would move no collateral - increase the amount or percentage')
+    }
+
+    if (collaterals.some(collateral => collateral.amount > collateral.balance)) {
+      throw new ValidationError('Collateral amount exceeds source Comet balance')
+    }
+
+    // Debt moves in the same proportion as the collateral (all of it unless percentage is set)
+    const fullDebt = shareBps === BPS_DENOMINATOR
+    const repayAmount = debt * shareBps / BPS_DENOMINATOR
+    if (repayAmount === 0n) {
+      throw new ValidationError('The switch would move no debt - increase the percentage')
+    }
+
+    const sameBaseToken = markets.sharesBaseToken(sourceKey, targetKey)
+    const sizing = sameBaseToken
+      ? await this.sizeSameBaseSwitch(source, repayAmount, fullDebt)
+      : await this.sizeSwapSwitch(source, target, repayAmount, slippage)
+
+    const plan = {
+      sourceKey,
+      targetKey,
+      source,
+      target,
+      // [{symbol, address, decimals, balance}] - every collateral held in the source Comet
+      held,
+      // [{symbol, address, decimals, balance, amount}] - moved together in one switchCollateral call
+      collaterals,
+      debt,
+      shareBps,
+      repayAmount,
+      fullDebt,
+      sameBaseToken,
+      // flashPool, swapPath, routeCandidates, flashFee, minimalBorrow, borrowAmount, expectedOutput, minOutputAmount, priceImpactBps
+      ...sizing,
+      slippageBps: slippage
+    }
+
+    plan.postSwitch = await this.getPostSwitchPositions(accountAddress, plan)
+    this.assertHealthy(plan)
+
+    return plan
+  }
+
+  /**
+   * Size a switch between Comets with different base tokens: the target borrow is
+   * swapped into the source base token to repay the flash loan
+   * @throws {SlippageExceededError} If the quoted swap output falls outside the tolerance
+   * @throws {QuoteFailedError} If no pool can lend the debt or fill the swap
+   */
+  async sizeSwapSwitch(source, target, repayAmount, slippage) {
+    // The swap must return at least the flash loan plus its fee (Uniswap rounds the fee up);
+    // the minimal borrow is the exact-output quote along the cheapest swap path
+    const route = await routeService.selectRoute({
+      flashToken: markets.getToken(source.baseToken),
+      flashAmount: repayAmount,
+      swapTokenIn: markets.getToken(target.baseToken)
+    })
+    const { swapPath, flashFee, minOutputAmount, minimalBorrow } = route
+    const { priceImpactBps } = swapPath
+
+    if (priceImpactBps > slippage) {
+      throw new SlippageExceededError(
+        `Swap price impact of ${priceImpactBps} bps exceeds the ${slippage} bps slippage tolerance`,
+        {
+          slippageBps: Number(slippage),
+          priceImpactBps: Number(priceImpactBps),
+          minimalBorrow: minimalBorrow.toString(),
+          minOutputAmount: minOutputAmount.toString()
+        }
+      )
+    }
+
+    const borrowAmount = applySlippageHeadroom(minimalBorrow, slippage)
+    const expectedOutput = await quoteService.quoteExactInputPath(swapPath.hops, borrowAmount)
+
+    logger.info(`Switch sizing: ${ethers.formatUnits(minOutputAmount, source.decimals)} ${source.baseToken} required -> minimal borrow ${ethers.formatUnits(minimalBorrow, target.decimals)} ${target.baseToken}, borrowing ${ethers.formatUnits(borrowAmount, target.decimals)} via ${routeService.describePath(swapPath)} (impact ${priceImpactBps} bps, tolerance ${slippage} bps)`)
+
+    return {
+      flashPool: route.flash,
+      swapPath,
+      routeCandidates: route.candidates,
+      flashFee,
+      minimalBorrow,
+      borrowAmount,
+      expectedOutput,
+      minOutputAmount,
+      priceImpactBps
+    }
+  }
+
+  /**
+   * Size a switch between Comets that share a base token: the Switcher borrows exactly
+   * the flash loan plus its fee from the target Comet, up to borrowAmount
+   */
+  async sizeSameBaseSwitch(source, repayAmount, fullDebt) {
+    const route = await routeService.selectRoute({ flashToken: markets.getToken(source.baseToken), flashAmount: repayAmount })
+    const { flashFee, minOutputAmount } = route
+
+    // A full switch repays the debt accrued by the time it lands - allow the borrow to follow it
+    const borrowAmount = fullDebt ? applySlippageHeadroom(minOutputAmount, ACCRUAL_HEADROOM_BPS) : minOutputAmount
+
+    logger.info(`Switch sizing (same base token): ${ethers.formatUnits(minOutputAmount, source.decimals)} ${source.baseToken} flash loan repayment, borrowing up to ${ethers.formatUnits(borrowAmount, source.decimals)} ${source.baseToken}`)
+
+    return {
+      flashPool: route.flash,
+      swapPath: null,
+      routeCandidates: route.candidates,
+      flashFee,
+      minimalBorrow: minOutputAmount,
+      borrowAmount,
+      // Nothing is swapped or refunded - the target debt is the flash loan repayment
+      expectedOutput: minOutputAmount,
+      minOutputAmount,
+      priceImpactBps: 0n
+    }
+  }
+
+  /**
+   * Source and target positions as they would be after the switch
+   * @returns {Promise<{source: Object, target: Object}>} Each side as { debt, risk }
+   */
+  async getPostSwitchPositions(accountAddress, plan) {
+    const movedAmount = (token) => plan.collaterals.find(collateral => sameAddress(collateral.address, token.address))?.amount || 0n
+
+    // Source: whatever the switch leaves behind
+    const sourceCollateral = plan.held.map(token => ({ asset: token.address, balance: token.balance - movedAmount(token) }))
+    const sourceDebt = plan.debt - plan.repayAmount
+
+    // Target: existing balances of every target collateral plus what the switch moves
+    const targetComet = new ethers.Contract(plan.target.address, COMET_ABI, this.provider)
+    const targetTokens = plan.target.collaterals.map(symbol => markets.getToken(symbol))
+    const [targetCollateral, targetDebt] = await Promise.all([
+      Promise.all(targetTokens.map(token => targetComet.collateralBalanceOf(accountAddress, token.address))),
+      targetComet.borrowBalanceOf(accountAddress)
+    ])
+    const postCollateral = targetTokens.map((token, i) => ({ asset: token.address, balance: BigInt(targetCollateral[i]) + movedAmount(token) }))
+    const postDebt = BigInt(targetDebt) + plan.borrowAmount
+
+    const [sourceRisk, targetRisk] = await Promise.all([
+      marketService.getPositionRisk(plan.sourceKey, sourceCollateral, sourceDebt),
+      marketService.getPositionRisk(plan.targetKey, postCollateral, postDebt)
+    ])
+
+    return {
+      source: { debt: sourceDebt, risk: sourceRisk },
+      target: { debt: postDebt, risk: targetRisk }
+    }
+  }
+
+  /**
+   * Both Comets must stay borrow-collateralized and above the minimum health factor
+   * (a full switch leaves no source debt, so only the target is constrained)
+   * @throws {HealthFactorTooLowError}
+   */
+  assertHealthy(plan) {
+    const minHealthFactor = config.switching.minHealthFactor
+
+    for (const side of ['source', 'target']) {
+      const market = plan[side]
+      const { debt, risk } = plan.postSwitch[side]
+      if (debt === 0n) continue
+
+      const undercollateralized = BigInt(risk.debtValue.value) > BigInt(risk.borrowCapacity.value)
+      const belowMinimum = risk.healthFactor !== null && risk.healthFactor < minHealthFactor
+      if (!undercollateralized && !belowMinimum) continue
+
+      const reason = undercollateralized
+        ? `more debt than its collateral can borrow against (health factor ${risk.healthFactorFormatted})`
+        : `a health factor of ${risk.healthFactorFormatted}, below the ${minHealthFactor} minimum`
+      throw new HealthFactorTooLowError(
+        `The switch would leave the ${market.name} position with ${reason}`,
+        risk.healthFactor,
+        {
+          side,
+          comet: market.key,
+          minHealthFactor,
+          debtValue: risk.debtValue.formatted,
+          borrowCapacity: risk.borrowCapacity.formatted
+        }
+      )
+    }
+  }
+
+  /**
+   * Encode the switchCollateral call for a plan
+   */
+  encodeSwitchCall(accountAddress, plan) {
+    if (plan.sameBaseToken) {
+      return this.switcherIface.encodeFunctionData('switchCollateralSameBase', [
+        accountAddress,
+        plan.source.address,
+        plan.target.address,
+        plan.collaterals.map(collateral => collateral.address),
+        plan.collaterals.map(collateral => collateral.amount),
+        plan.fullDebt ? ethers.MaxUint256 : plan.repayAmount,
+        plan.borrowAmount,
+        plan.flashPool.address
+      ])
+    }
+
+    return this.switcherIface.encodeFunctionData('switchCollateral', [
+      accountAddress,
+      plan.source.address,
+      plan.target.address,
+      plan.collaterals.map(collateral => collateral.address),
+      plan.collaterals.map(collateral => collateral.amount),
+      // A full switch repays whatever the debt has accrued to when it executes
+      plan.fullDebt ? ethers.MaxUint256 : plan.repayAmount,
+      plan.borrowAmount,
+      plan.minOutputAmount,
+      plan.flashPool.address,
+      plan.swapPath.encoded
+    ])
+  }
+
+  /**
+   * Submit a planned switch with the user's session key and record it as a PENDING SWITCH transaction
+   * Every session key call passes the policy first; the transaction watcher settles the record
+   * @param {Object} user - User document
+   * @param {Object} plan - From planSwitch
+   * @param {string} sessionKeyPrivate - Decrypted session key
+   * @param {Object} [metadata] - Extra Transaction.metadata (e.g. what triggered the switch)
+   * @returns {Promise<{success: boolean, error?: string, transaction?: Object}>}
+   */
+  async executeCrossSwitch(user, plan, sessionKeyPrivate, metadata = {}) {
+    const { collaterals, repayAmount, borrowAmount, minOutputAmount } = plan
+    const percentage = Number(plan.shareBps) / 100
+    const movedCollateral = collaterals.map(collateral => ({
+      asset: collateral.symbol,
+      amount: ethers.formatUnits(collateral.amount, collateral.decimals)
+    }))
+
+    logger.info(`Switching ${percentage}% of position from ${plan.sourceKey} to ${plan.targetKey}`)
+    logger.info(`  Collateral: ${movedCollateral.map(collateral => `${collateral.amount} ${collateral.asset}`).join(', ')}`)
+    logger.info(`  Debt moved: ${ethers.formatUnits(repayAmount, plan.source.decimals)} of ${ethers.formatUnits(plan.debt, plan.source.decimals)} ${plan.source.baseToken}`)
+    logger.info(`  Borrow amount: ${ethers.formatUnits(borrowAmount, plan.target.decimals)} ${plan.target.baseToken}`)
+
+    const collateralAssets = collaterals.map(collateral => collateral.address)
+    const collateralAmounts = collaterals.map(collateral => collateral.amount.toString())
+    const debtAmount = (plan.fullDebt ? ethers.MaxUint256 : repayAmount).toString()
+    const authorizeCalls = (calls, action, submit) => policyService.authorizeAndRun(user, calls, action, submit)
+
+    let result
+    if (plan.sameBaseToken) {
+      logger.info(`  Same base token: no swap, re-borrowing the flash loan + ${ethers.formatUnits(plan.flashFee, plan.source.decimals)} ${plan.source.baseToken} fee`)
+      result = await erc4337Service.submitSameBaseSwitch(
+        user.smartAccountAddress,
+        plan.source.address,
+        plan.target.address,
+        collateralAssets,
+        collateralAmounts,
+        debtAmount,
+        borrowAmount.toString(),
+        plan.flashPool.address,
+        sessionKeyPrivate,
+        authorizeCalls
+      )
+    } else {
+      logger.info(`  Min swap output: ${ethers.formatUnits(minOutputAmount, plan.source.decimals)} ${plan.source.baseToken} (slippage ${plan.slippageBps} bps)`)
+      result = await erc4337Service.submitCrossSwitch(
+        user.smartAccountAddress,
+        plan.source.address,
+        plan.target.address,
+        collateralAssets,
+        collateralAmounts,
+        debtAmount,
+        borrowAmount.toString(),
+        minOutputAmount.toString(),
+        plan.flashPool.address,
+        plan.swapPath.encoded,
+        sessionKeyPrivate,
+        authorizeCalls
+      )
+    }
+
+    if (!result.success) {
+      return { success: false, error: result.error || 'Failed to submit switch' }
+    }
+
+    const transaction = await Transaction.create({
+      user: user._id,
+      smartAccountAddress: user.smartAccountAddress,
+      type: 'SWITCH',
+      protocol: 'COMPOUND',
+      // A single amount only makes sense for one asset - every asset moved is in metadata.collaterals
+      asset: movedCollateral.map(collateral => collateral.asset).join(', '),
+      amount: movedCollateral.length === 1 ? movedCollateral[0].amount : undefined,
+      userOpHash: result.userOpHash,
+      status: 'PENDING',
+      metadata: {
+        sourceComet: plan.sourceKey,
+        targetComet: plan.targetKey,
+        collaterals: movedCollateral,
+        percentage,
+        debtMoved: ethers.formatUnits(repayAmount, plan.source.decimals),
+        flashPool: plan.flashPool.address,
+        ...(plan.swapPath && { swapRoute: routeService.describePath(plan.swapPath) }),
+        // Same-base switches borrow the flash loan + fee (no swap, so no slippage)
+        ...(plan.sameBaseToken
+          ? { sameBaseToken: true, flashFee: ethers.formatUnits(plan.flashFee, plan.source.decimals) }
+          : { slippageBps: Number(plan.slippageBps) }),
+        ...metadata
+      }
+    })
+
+    realtimeService.publishTransaction(transaction)
+
+    return { success: true, transaction }
+  }
+
+  /**
+   * Simulate the exact switchCollateral (or switchCollateralSameBase) call the account would make
+   * Uses eth_call / eth_estimateGas from the smart account against current state
+   */
+  async simulateSwitch(accountAddress, plan) {
+    const [authorized, sourceAllowed, targetAllowed] = await Promise.all([
+      this.getSwitcher().authorizedCallers(accountAddress),
+      new ethers.Contract(plan.source.address, COMET_ABI, this.provider).isAllowed(accountAddress, SWITCHER),
+      new ethers.Contract(plan.target.address, COMET_ABI, this.provider).isAllowed(accountAddress, SWITCHER)
+    ])
+
+    const setup = {
+      switcherAuthorized: authorized,
+      sourceCometAllowed: sourceAllowed,
+      targetCometAllowed: targetAllowed
+    }
+
+    // The switch executes setup steps first, so the call can't be simulated until they're done
+    if (!authorized || !sourceAllowed || !targetAllowed) {
+      return {
+        simulated: false,
+        success: null,
+        setup,
+        reason: 'Switcher setup (authorization / Comet allowances) will run before the switch'
+      }
+    }
+
+    const tx = {
+      from: accountAddress,
+      to: SWITCHER,
+      data: this.encodeSwitchCall(accountAddress, plan)
+    }
+
+    try {
+      await this.provider.call(tx)
+      const gasEstimate = await this.provider.estimateGas(tx)
+      return { simulated: true, success: true, setup, gasEstimate: gasEstimate.toString() }
+    } catch (error) {
+      const reason = error.data && error.data !== '0x'
+        ? decodeRevertReason(error.data).message
+        : error.reason || error.shortMessage || error.message
+      logger.warn(`Switch simulation reverted for ${accountAddress}: ${reason}`)
+      return { simulated: true, success: false, setup, reason }
+    }
+  }
+
+  /**
+   * Preview the outcome of a switch without executing it
+   */
+  async previewSwitch(accountAddress, plan) {
+    const { flashPool, swapPath, flashFee, expectedOutput, minOutputAmount } = plan
+    const excessRefund = expectedOutput > minOutputAmount ? expectedOutput - minOutputAmount : 0n
+
+    const simulation = await this.simulateSwitch(accountAddress, plan)
+
+    const formatSource = (value) => ethers.formatUnits(value, plan.source.decimals)
+    const formatTarget = (value) => ethers.formatUnits(value, plan.target.decimals)
+    const describePosition = (side, format) => {
+      const { debt, risk } = plan.postSwitch[side]
+      return {
+        debt: debt.toString(),
+        debtFormatted: format(debt),
+        debtAsset: plan[side].baseToken,
+        healthFactor: risk.healthFactor,
+        healthFactorFormatted: risk.healthFactorFormatted,
+        riskLevel: risk.riskLevel
+      }
+    }
+
+    return {
+      sourceComet: plan.sourceKey,
+      targetComet: plan.targetKey,
+      percentage: Number(plan.shareBps) / 100,
+      sameBaseToken: plan.sameBaseToken,
+      collaterals: plan.collaterals.map(collateral => ({
+        asset: collateral.symbol,
+        amount: collateral.amount.toString(),
+        formatted: ethers.formatUnits(collateral.amount, collateral.decimals),
+        remainingInSource: ethers.formatUnits(collateral.balance - collateral.amount, collateral.decimals)
+      })),
+      debt: {
+        asset: plan.source.baseToken,
+        amount: plan.repayAmount.toString(),
+        formatted: formatSource(plan.repayAmount),
+        remainingInSource: formatSource(plan.debt - plan.repayAmount)
+      },
+      flashLoan: {
+        pool: flashPool.address,
+        feeTier: Number(flashPool.fee),
+        fee: flashFee.toString(),
+        feeFormatted: formatSource(flashFee),
+        totalRepayment: formatSource(minOutputAmount),
+        // Every pool able to lend the debt, cheapest first
+        candidates: plan.routeCandidates.flash.map(pool => ({
+          pool: pool.address,
+          feeTier: Number(pool.fee),
+          available: formatSource(pool.available)
+        }))
+      },
+      borrow: {
+        asset: plan.target.baseToken,
+        amount: plan.borrowAmount.toString(),
+        formatted: formatTarget(plan.borrowAmount),
+        minimalAmount: plan.minimalBorrow.toString(),
+        minimalFormatted: formatTarget(plan.minimalBorrow)
+      },
+      // Same-base switches don't swap
+      swap: plan.sameBaseToken ? null : {
+        route: routeService.describePath(swapPath),
+        // One entry per pool the swap goes through, with the exact-output quote of that hop
+        path: routeService.formatPath(swapPath),
+        amountIn: plan.borrowAmount.toString(),
+        amountInFormatted: formatTarget(plan.borrowAmount),
+        minimalAmountIn: plan.minimalBorrow.toString(),
+        minimalAmountInFormatted: formatTarget(plan.minimalBorrow),
+        tokenIn: plan.target.baseToken,
+        expectedOutput: expectedOutput.toString(),
+        expectedOutputFormatted: formatSource(expectedOutput),
+        minOutput: minOutputAmount.toString(),
+        minOutputFormatted: formatSource(minOutputAmount),
+        tokenOut: plan.source.baseToken,
+        slippageBps: Number(plan.slippageBps),
+        priceImpactBps: Number(plan.priceImpactBps),
+        // Every path that can fill the swap (direct fee tiers, routing token hops), by the input it needs
+        candidates: plan.routeCandidates.swap.map(candidate => ({
+          route: candidate.route,
+          minimalAmountIn: formatTarget(candidate.amountIn),
+          priceImpactBps: Number(candidate.priceImpactBps)
+        }))
+      },
+      excessRefund: {
+        asset: plan.source.baseToken,
+        amount: excessRefund.toString(),
+        formatted: formatSource(excessRefund)
+      },
+      postSwitch: {
+        minHealthFactor: config.switching.minHealthFactor,
+        source: describePosition('source', formatSource),
+        target: describePosition('target', formatTarget)
+      },
+      simulation,
+      gasEstimate: simulation.gasEstimate || null
+    }
+  }
+}
+
+module.exports = new SwitchService()
@@ -52,9 +52,42 @@ class InsufficientLiquidityError extends AppError {
 }
 
 class HealthFactorTooLowError extends AppError {
-  constructor(message = 'Health factor too low', currentHealthFactor = null) {
-    super(message, 400, { currentHealthFactor });
+  constructor(message = 'Health factor too low', currentHealthFactor = null, details = null) {
+    super(message, 400, { currentHealthFactor, ...details });
     this.name = 'HealthFactorTooLowError';
+    this.errorCode = 'HEALTH_FACTOR_TOO_LOW';
+  }
+}
+
+class SlippageExceededError extends AppError {
+  constructor(message = 'Swap quote is outside the slippage tolerance', details = null) {
+    super(message, 400, details);
+    this.name = 'SlippageExceededError';
+    this.errorCode = 'SLIPPAGE_EXCEEDED';
+  }
+}
+
+class QuoteFailedError extends AppError {
+  constructor(message = 'Unable to quote swap', details = null) {
+    super(message, 502, details);
+    this.name = 'QuoteFailedError';
+    this.errorCode = 'QUOTE_FAILED';
+  }
+}
+
+class PolicyViolationError extends AppError {
+  constructor(message = 'Session key policy violation', details = null) {
+    super(message, 403, details);
+    this.name = 'PolicyViolationError';
+    this.errorCode = 'SESSION_KEY_POLICY_VIOLATION';
+  }
+}
+
+class SessionKeyExpiredError extends PolicyViolationError {
+  constructor(message = 'Session key has expired. Renew it to continue.', details = null) {
+    super(message, details);
+    this.name = 'SessionKeyExpiredError';
+    this.errorCode = 'SESSION_KEY_EXPIRED';
   }
 }
 
@@ -66,5 +99,9 @@ module.exports = {
   NotFoundError,
   BlockchainError,
   InsufficientLiquidityError,
-  HealthFactorTooLowError
+  HealthFactorTooLowError,
+  SlippageExceededError,
+  QuoteFailedError,
+  PolicyViolationError,
+  SessionKeyExpiredError
 };
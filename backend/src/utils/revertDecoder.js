@@ -0,0 +1,286 @@
+const { ethers } = require('ethers');
+const { SessionKeyPluginAbi, UpgradeableModularAccountAbi } = require('@alchemy/aa-accounts');
+
+/**
+ * Decodes revert data from UserOperations into readable messages.
+ *
+ * Known sources, tried in order:
+ * - Error(string) / Panic(uint256) (Switcher requires, legacy ERC20s)
+ * - EntryPoint v0.6 (FailedOp)
+ * - Compound V3 Comet custom errors
+ * - ERC20 custom errors (OpenZeppelin v5 / ERC-6093)
+ * - Session Key Plugin and Modular Account errors (wrapped reverts are decoded recursively)
+ */
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// Guard against pathological nesting of wrapped revert reasons
+const MAX_DEPTH = 4;
+
+const customErrors = (abi) => abi.filter(item => item.type === 'error');
+
+const SOURCES = [
+  {
+    source: 'EntryPoint',
+    iface: new ethers.Interface([
+      'error FailedOp(uint256 opIndex, string reason)',
+      'error SignatureValidationFailed(address aggregator)'
+    ])
+  },
+  {
+    source: 'Comet',
+    iface: new ethers.Interface([
+      'error Absurd()',
+      'error AlreadyInitialized()',
+      'error BadAmount()',
+      'error BadAsset()',
+      'error BadDecimals()',
+      'error BadDiscount()',
+      'error BadMinimum()',
+      'error BadNonce()',
+      'error BadPrice()',
+      'error BadSignatory()',
+      'error BorrowCFTooLarge()',
+      'error BorrowTooSmall()',
+      'error InsufficientReserves()',
+      'error InvalidInt104()',
+      'error InvalidInt256()',
+      'error InvalidUInt104()',
+      'error InvalidUInt128()',
+      'error InvalidUInt64()',
+      'error LiquidateCFTooLarge()',
+      'error NegativeNumber()',
+      'error NoSelfTransfer()',
+      'error NotCollateralized()',
+      'error NotForSale()',
+      'error NotLiquidatable()',
+      'error Paused()',
+      'error SignatureExpired()',
+      'error SupplyCapExceeded()',
+      'error TimestampTooLarge()',
+      'error TooManyAssets()',
+      'error TooMuchSlippage()',
+      'error TransferInFailed()',
+      'error TransferOutFailed()',
+      'error Unauthorized()'
+    ])
+  },
+  {
+    source: 'ERC20',
+    iface: new ethers.Interface([
+      'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+      'error ERC20InvalidSender(address sender)',
+      'error ERC20InvalidReceiver(address receiver)',
+      'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+      'error ERC20InvalidApprover(address approver)',
+      'error ERC20InvalidSpender(address spender)',
+      // SafeERC20 in the Switcher: the token call reverted or returned false
+      'error SafeERC20FailedOperation(address token)'
+    ])
+  },
+  {
+    source: 'Session key plugin',
+    iface: new ethers.Interface(customErrors(SessionKeyPluginAbi))
+  },
+  {
+    source: 'Smart account',
+    iface: new ethers.Interface(customErrors(UpgradeableModularAccountAbi))
+  }
+];
+
+// Extra context for require() messages from CompoundV3CrossCometSwitcher
+const SWITCHER_REASONS = {
+  'Insufficient swap output': 'the swap returned less than the flash loan repayment',
+  'Slippage too high': 'the swap output was below the minimum allowed by the slippage tolerance',
+  'Not authorized': 'the account is not an authorized caller of the Switcher',
+  'Caller must be the position owner': 'the Switcher only moves the position of the account calling it',
+  'No debt to repay': 'there is no debt on the source Comet',
+  'No debt amount': 'the switch moves no debt',
+  'Debt amount exceeds debt': 'the switch moves more debt than the source Comet holds',
+  'Same Comet': 'source and target Comet are the same',
+  'No collateral': 'no collateral assets were given to move',
+  'Collateral length mismatch': 'collateral assets and amounts have different lengths',
+  'Same base token - use switchCollateralSameBase': 'source and target Comet share a base token - the switch must not swap',
+  'Base tokens differ - use switchCollateral': 'source and target Comet have different base tokens - the switch needs a swap',
+  'Flash loan fee exceeds max borrow': 'the flash loan plus its fee is more than the switch may borrow from the target Comet',
+  'Flash pool does not lend token': 'the chosen flash loan pool does not lend the debt token',
+  'Not a Uniswap V3 pool': 'a flash loan pool or swap path hop given to the Switcher is not a Uniswap V3 factory pool',
+  'Flash and swap pool must differ': 'a swap path hop goes through the flash loan pool',
+  'No swap path': 'the switch needs a swap but no swap path was given',
+  'Invalid swap path': 'the swap path is not a Uniswap-encoded path (token, fee, token, ...)',
+  'Swap path mismatch': 'the swap path does not start at the borrowed token and end at the flash-loaned token'
+};
+
+// Readable descriptions for custom errors (falls back to Name(args))
+const ERROR_DESCRIPTIONS = {
+  FailedOp: (args) => `EntryPoint rejected the UserOperation: ${args.reason}`,
+
+  NotCollateralized: () => 'Comet: position would be undercollateralized',
+  BorrowTooSmall: () => 'Comet: borrow is below the market minimum',
+  InsufficientReserves: () => 'Comet: not enough reserves in the market',
+  SupplyCapExceeded: () => 'Comet: collateral supply cap reached',
+  Paused: () => 'Comet: this action is paused',
+  Unauthorized: () => 'Comet: caller is not allowed to manage this account',
+  BadAsset: () => 'Comet: asset is not supported by this market',
+  TransferInFailed: () => 'Comet: token transfer into the market failed',
+  TransferOutFailed: () => 'Comet: token transfer out of the market failed',
+
+  ERC20InsufficientBalance: (args) => `ERC20: insufficient balance (${args.balance} < ${args.needed})`,
+  ERC20InsufficientAllowance: (args) => `ERC20: insufficient allowance (${args.allowance} < ${args.needed})`,
+  SafeERC20FailedOperation: (args) => `ERC20: transfer or approval of token ${args.token} failed`,
+
+  ERC20SpendLimitExceeded: (args) => `Session key permission denied: spend limit exceeded for token ${args.token}`,
+  NativeTokenSpendLimitExceeded: () => 'Session key permission denied: native token spend limit exceeded',
+  InvalidSessionKey: (args) => `Session key permission denied: ${args.sessionKey} is not a valid session key`,
+  SessionKeyNotFound: (args) => `Session key permission denied: ${args.sessionKey} is not registered on this account`,
+  InvalidSignature: (args) => `Session key permission denied: invalid signature from ${args.sessionKey}`,
+  InvalidToken: (args) => `Session key permission denied: token ${args.token} is not allowed`,
+
+  ExecFromPluginExternalNotPermitted: (args) => `Smart account: plugin is not permitted to call ${args.target}`,
+  PluginNotInstalled: (args) => `Smart account: plugin ${args.plugin} is not installed`
+};
+
+// Custom errors that wrap another revert in a `revertReason` bytes argument
+const WRAPPED_ERRORS = {
+  PreExecHookReverted: 'Pre-execution hook reverted',
+  PostExecHookReverted: 'Post-execution hook reverted',
+  PreRuntimeValidationHookFailed: 'Pre-runtime validation hook failed',
+  RuntimeValidationFunctionReverted: 'Runtime validation reverted',
+  PluginInstallCallbackFailed: 'Plugin install callback failed',
+  PluginUninstallCallbackFailed: 'Plugin uninstall callback failed'
+};
+
+const PANIC_CODES = {
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division by zero',
+  0x21: 'invalid enum value',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory'
+};
+
+function formatValue(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(', ')}]`;
+  return String(value);
+}
+
+function toNamedArgs(fragment, result) {
+  const args = {};
+  fragment.inputs.forEach((input, i) => {
+    args[input.name || i] = result[i];
+  });
+  return args;
+}
+
+function decodeString(data) {
+  const [reason] = ethers.AbiCoder.defaultAbiCoder().decode(['string'], ethers.dataSlice(data, 4));
+  return reason;
+}
+
+/**
+ * Decode revert data into { source, name, args, message }
+ * @param {string} data - Hex revert data (e.g. UserOperationRevertReason.revertReason)
+ * @returns {{source: string|null, name: string|null, args: Object, message: string}}
+ */
+function decodeRevertReason(data, depth = 0) {
+  if (!data || data === '0x') {
+    return { source: null, name: null, args: {}, message: 'reverted without a reason' };
+  }
+
+  if (!ethers.isHexString(data) || ethers.dataLength(data) < 4) {
+    return { source: null, name: null, args: {}, message: `reverted: ${data}` };
+  }
+
+  const selector = ethers.dataSlice(data, 0, 4);
+
+  if (selector === ERROR_STRING_SELECTOR) {
+    try {
+      const reason = decodeString(data);
+      const hint = SWITCHER_REASONS[reason];
+      return {
+        source: hint ? 'Switcher' : null,
+        name: 'Error',
+        args: { reason },
+        message: hint ? `${reason}: ${hint}` : reason
+      };
+    } catch (e) {}
+  }
+
+  if (selector === PANIC_SELECTOR) {
+    try {
+      const [code] = ethers.AbiCoder.defaultAbiCoder().decode(['uint256'], ethers.dataSlice(data, 4));
+      const description = PANIC_CODES[Number(code)] || 'unknown panic';
+      return {
+        source: null,
+        name: 'Panic',
+        args: { code },
+        message: `Panic 0x${code.toString(16)}: ${description}`
+      };
+    } catch (e) {}
+  }
+
+  for (const { source, iface } of SOURCES) {
+    let parsed = null;
+    try {
+      parsed = iface.parseError(data);
+    } catch (e) {}
+    if (!parsed) continue;
+
+    const args = toNamedArgs(parsed.fragment, parsed.args);
+
+    if (WRAPPED_ERRORS[parsed.name] && depth < MAX_DEPTH) {
+      const inner = decodeRevertReason(args.revertReason, depth + 1);
+      return {
+        source: inner.source || source,
+        name: inner.name || parsed.name,
+        args: inner.name ? inner.args : args,
+        message: `${WRAPPED_ERRORS[parsed.name]}: ${inner.message}`
+      };
+    }
+
+    const describe = ERROR_DESCRIPTIONS[parsed.name];
+    const message = describe
+      ? describe(args)
+      : `${source}: ${parsed.name}(${parsed.args.map(formatValue).join(', ')})`;
+
+    return { source, name: parsed.name, args, message };
+  }
+
+  return { source: null, name: null, args: {}, message: `reverted with unknown error ${selector}` };
+}
+
+/**
+ * Human-readable message for a UserOperationRevertReason payload
+ */
+function describeRevertReason(data) {
+  return `UserOperation failed: ${decodeRevertReason(data).message}`;
+}
+
+/**
+ * Pull the EntryPoint FailedOp reason (e.g. "AA21 didn't pay prefund") out of
+ * an ethers call exception, a bundler error or a plain message
+ * @returns {string|null}
+ */
+function getFailedOpReason(err) {
+  if (err?.revert?.name === 'FailedOp') {
+    return err.revert.args[1];
+  }
+
+  const revertData = [err?.data, err?.info?.error?.data, err?.error?.data]
+    .find(data => typeof data === 'string' && ethers.isHexString(data));
+  if (revertData) {
+    const decoded = decodeRevertReason(revertData);
+    if (decoded.name === 'FailedOp') return decoded.args.reason;
+  }
+
+  const match = err?.message?.match(/\bAA\d{2}\b[^"\n)]*/);
+  return match ? match[0].trim() : null;
+}
+
+module.exports = {
+  decodeRevertReason,
+  describeRevertReason,
+  getFailedOpReason
+};
@@ -0,0 +1,78 @@
+const config = require('../config');
+const { ValidationError } = require('./errors');
+
+/**
+ * Sizing helpers shared by flash-loan operations (cross-Comet switches and
+ * Compound <-> Aave migrations): request parsing and bigint arithmetic. The
+ * constants and ceilDiv are also used by quoting and guardian planning.
+ */
+
+// Uniswap fee tiers are expressed in hundredths of a bip (500 = 0.05%)
+const FEE_DENOMINATOR = 1000000n;
+const BPS_DENOMINATOR = 10000n;
+
+// Without a swap the borrow only covers the flash loan; moving all of the debt adds this
+// much for interest accrued until the UserOp lands
+const ACCRUAL_HEADROOM_BPS = 1n;
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+function ceilDiv(a, b) {
+  return (a + b - 1n) / b;
+}
+
+/**
+ * Parse a slippage tolerance in basis points (50 = 0.5%), falling back to the configured default
+ * @param {string|number|undefined} value - slippageBps from the request
+ * @returns {bigint}
+ */
+function parseSlippageBps(value) {
+  if (!isSet(value)) {
+    return BigInt(config.switching.defaultSlippageBps);
+  }
+
+  const bps = Number(value);
+  const max = config.switching.maxSlippageBps;
+  if (!Number.isInteger(bps) || bps < 0 || bps > max) {
+    throw new ValidationError(`slippageBps must be an integer between 0 and ${max}`);
+  }
+  return BigInt(bps);
+}
+
+/**
+ * Parse the share of the position to move (0 < percentage <= 100, at most two decimals)
+ * @param {string|number|undefined} value - percentage from the request (defaults to the whole position)
+ * @returns {bigint} Share in basis points (10000 = the whole position)
+ */
+function parseShareBps(value) {
+  if (!isSet(value)) {
+    return BPS_DENOMINATOR;
+  }
+
+  const percentage = Number(value);
+  const bps = Math.round(percentage * 100);
+  if (!Number.isFinite(percentage) || bps <= 0 || bps > 10000 || Math.abs(bps - percentage * 100) > 1e-6) {
+    throw new ValidationError('percentage must be greater than 0 and at most 100, with up to two decimals');
+  }
+  return BigInt(bps);
+}
+
+/**
+ * Add the slippage headroom on top of the minimal borrow
+ * If the price moves against us before the UserOp lands the swap still covers the
+ * flash loan; otherwise the surplus is refunded to the user by the Switcher
+ */
+function applySlippageHeadroom(amount, slippageBps) {
+  return ceilDiv(amount * (BPS_DENOMINATOR + slippageBps), BPS_DENOMINATOR);
+}
+
+module.exports = {
+  FEE_DENOMINATOR,
+  BPS_DENOMINATOR,
+  ACCRUAL_HEADROOM_BPS,
+  isSet,
+  ceilDiv,
+  parseSlippageBps,
+  parseShareBps,
+  applySlippageHeadroom
+};
@@ -0,0 +1,15 @@
+/**
+ * ABI of the CompoundV3CrossCometSwitcher contract (contracts/src) - the calls the
+ * backend encodes (switches, migrations) and reads (caller authorization)
+ */
+const SWITCHER_ABI = [
+  'function switchCollateral(address user, address sourceComet, address targetComet, address[] collateralAssets, uint256[] collateralAmounts, uint256 debtAmount, uint256 borrowAmount, uint256 minOutputAmount, address flashPool, bytes swapPath) external',
+  'function switchCollateralSameBase(address user, address sourceComet, address targetComet, address[] collateralAssets, uint256[] collateralAmounts, uint256 debtAmount, uint256 maxBorrowAmount, address flashPool) external',
+  'function migrateCometToAave(address user, address comet, address aavePool, address[] collateralAssets, uint256[] collateralAmounts, address targetDebtToken, uint256 debtAmount, uint256 borrowAmount, uint256 minOutputAmount, address flashPool, bytes swapPath) external',
+  'function migrateAaveToComet(address user, address aavePool, address sourceDebtToken, address comet, address[] collateralAssets, uint256[] collateralAmounts, uint256 debtAmount, uint256 borrowAmount, uint256 minOutputAmount, address flashPool, bytes swapPath) external',
+  'function authorizedCallers(address) view returns (bool)',
+  'function authorizeCaller(address caller, bool authorized) external',
+  'function owner() view returns (address)'
+];
+
+module.exports = { SWITCHER_ABI };
@@ -0,0 +1,145 @@
+/**
+ * Auto-Switcher
+ *
+ * Background loop for opt-in rate-arbitrage switching:
+ * - Picks users with auto-switch enabled, a granted SWITCH_PROTOCOL session key
+ *   and no switch attempt within the cooldown
+ * - Moves the position to a cheaper Comet when the projected savings over the
+ *   user's horizon, net of switch costs, exceed their threshold
+ * - Dry runs (per user, or forced by AUTO_SWITCH_DRY_RUN) log the decision only
+ *
+ * Every switch decision is written to the AutoSwitchLog.
+ */
+
+const config = require('../config')
+const logger = require('../utils/logger')
+const autoSwitchService = require('../services/autoSwitch.service')
+const switchService = require('../services/switch.service')
+const User = require('../models/User')
+const Transaction = require('../models/Transaction')
+const AutoSwitchLog = require('../models/AutoSwitchLog')
+const { decrypt } = require('../utils/encryption')
+
+const HOUR_MS = 60 * 60 * 1000
+
+class AutoSwitcher {
+  constructor() {
+    this.timer = null
+    this.running = false
+  }
+
+  start(intervalMs = config.autoSwitch.intervalMs) {
+    if (this.timer) return
+
+    this.timer = setInterval(() => this.tick(), intervalMs)
+    logger.info(`Auto-switcher started (every ${intervalMs}ms${config.autoSwitch.dryRun ? ', dry run' : ''})`)
+  }
+
+  stop() {
+    if (!this.timer) return
+
+    clearInterval(this.timer)
+    this.timer = null
+    logger.info('Auto-switcher stopped')
+  }
+
+  async tick() {
+    // Skip if the previous pass is still quoting switches
+    if (this.running) return
+
+    this.running = true
+    try {
+      await this.checkUsers()
+    } catch (error) {
+      logger.error('Auto-switcher error:', error.message)
+    } finally {
+      this.running = false
+    }
+  }
+
+  async checkUsers() {
+    const cooldownStart = new Date(Date.now() - config.autoSwitch.cooldownHours * HOUR_MS)
+
+    const users = User.find({
+      'autoSwitch.enabled': true,
+      smartAccountAddress: { $exists: true, $ne: null },
+      'sessionKey.isGranted': true,
+      'sessionKey.expiresAt': { $gt: new Date() },
+      'sessionKey.permissions': 'SWITCH_PROTOCOL',
+      $or: [
+        { 'autoSwitch.lastTriggeredAt': null },
+        { 'autoSwitch.lastTriggeredAt': { $lte: cooldownStart } }
+      ]
+    }).cursor()
+
+    for await (const user of users) {
+      try {
+        await this.checkUser(user)
+      } catch (error) {
+        logger.warn(`Auto-switch check failed for ${user.smartAccountAddress}: ${error.message}`)
+      }
+    }
+  }
+
+  /**
+   * Switch one user's position if a cheaper Comet clears their savings threshold
+   */
+  async checkUser(user) {
+    // Don't stack a switch on one that hasn't settled yet
+    if (await Transaction.exists({ user: user._id, type: 'SWITCH', status: 'PENDING' })) return
+
+    const opportunity = await autoSwitchService.findOpportunity(user)
+    if (!opportunity) return
+
+    const { plan, evaluation } = opportunity
+    const { minSavingsUsd, dryRun } = user.autoSwitch
+
+    if (evaluation.netSavingsUsd < minSavingsUsd) {
+      logger.debug(`Auto-switch ${plan.sourceKey} -> ${plan.targetKey} for ${user.smartAccountAddress}: net savings $${evaluation.netSavingsUsd} below $${minSavingsUsd}`)
+      return
+    }
+
+    const entry = {
+      user: user._id,
+      smartAccountAddress: user.smartAccountAddress,
+      sourceComet: plan.sourceKey,
+      targetComet: plan.targetKey,
+      ...evaluation,
+      minSavingsUsd
+    }
+
+    if (dryRun || config.autoSwitch.dryRun) {
+      logger.info(`Auto-switch dry run for ${user.smartAccountAddress}: ${plan.sourceKey} -> ${plan.targetKey}, net savings $${evaluation.netSavingsUsd} over ${evaluation.horizonDays} days`)
+      await this.record({ ...entry, decision: 'DRY_RUN' })
+      return
+    }
+
+    try {
+      const sessionKeyPrivate = decrypt(user.sessionKey.encryptedPrivateKey)
+      const result = await switchService.executeCrossSwitch(user, plan, sessionKeyPrivate, { trigger: 'AUTO_SWITCH' })
+
+      if (result.success) {
+        logger.info(`Auto-switch submitted for ${user.smartAccountAddress}: ${plan.sourceKey} -> ${plan.targetKey}, transaction ${result.transaction._id}`)
+        await this.record({ ...entry, decision: 'EXECUTED', transaction: result.transaction._id })
+      } else {
+        await this.record({ ...entry, decision: 'FAILED', error: result.error })
+      }
+    } catch (error) {
+      logger.warn(`Auto-switch failed for ${user.smartAccountAddress}: ${error.message}`)
+      await this.record({ ...entry, decision: 'FAILED', error: error.message })
+    }
+  }
+
+  /**
+   * Log a decision and start the user's cooldown for switch attempts (failures too, so a broken
+   * switch isn't retried every pass) - dry runs submit nothing and leave the cooldown alone
+   */
+  async record(entry) {
+    await AutoSwitchLog.create(entry)
+    if (entry.decision === 'DRY_RUN') return
+
+    await User.updateOne({ _id: entry.user }, { $set: { 'autoSwitch.lastTriggeredAt': new Date() } })
+  }
+}
+
+module.exports = new AutoSwitcher()
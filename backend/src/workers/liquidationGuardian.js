@@ -0,0 +1,174 @@
+/**
+ * Liquidation Guardian
+ *
+ * Background loop protecting opted-in positions from liquidation:
+ * - Reads each user's Comet positions and flags those below their trigger health factor
+ * - Takes the first of the user's protective actions that helps (repay from idle base
+ *   token, supply idle collateral, deleverage), sized towards their target health factor
+ * - Never moves more than the user's per-action and rolling 24h USD limits
+ *
+ * Interventions run through the session key policy and are recorded as GUARDIAN
+ * transactions (metadata.action says what was done).
+ */
+
+const config = require('../config')
+const markets = require('../config/markets')
+const logger = require('../utils/logger')
+const erc4337Service = require('../services/erc4337.service')
+const guardianService = require('../services/guardian.service')
+const policyService = require('../services/policy.service')
+const notificationService = require('../services/notification.service')
+const realtimeService = require('../services/realtime.service')
+const User = require('../models/User')
+const Transaction = require('../models/Transaction')
+const { decrypt } = require('../utils/encryption')
+const { decodeRevertReason, describeRevertReason } = require('../utils/revertDecoder')
+
+class LiquidationGuardian {
+  constructor() {
+    this.timer = null
+    this.running = false
+  }
+
+  start(intervalMs = config.guardian.intervalMs) {
+    if (this.timer) return
+
+    this.timer = setInterval(() => this.tick(), intervalMs)
+    logger.info(`Liquidation guardian started (every ${intervalMs}ms)`)
+  }
+
+  stop() {
+    if (!this.timer) return
+
+    clearInterval(this.timer)
+    this.timer = null
+    logger.info('Liquidation guardian stopped')
+  }
+
+  async tick() {
+    // Skip if the previous pass is still waiting on an intervention
+    if (this.running) return
+
+    this.running = true
+    try {
+      await this.checkUsers()
+    } catch (error) {
+      logger.error('Liquidation guardian error:', error.message)
+    } finally {
+      this.running = false
+    }
+  }
+
+  async checkUsers() {
+    const users = User.find({
+      'guardian.enabled': true,
+      smartAccountAddress: { $exists: true, $ne: null },
+      'sessionKey.isGranted': true,
+      'sessionKey.expiresAt': { $gt: new Date() }
+    }).cursor()
+
+    for await (const user of users) {
+      try {
+        await this.checkUser(user)
+      } catch (error) {
+        logger.warn(`Guardian check failed for ${user.smartAccountAddress}: ${error.message}`)
+      }
+    }
+  }
+
+  /**
+   * Protect the user's most at-risk position, one intervention per pass
+   * (the next pass re-reads positions, so a partial fix is picked up again)
+   */
+  async checkUser(user) {
+    const positions = await erc4337Service.getPositions(user.smartAccountAddress)
+    const atRisk = guardianService.getPositionsAtRisk(positions, user.guardian.triggerHealthFactor)
+    if (atRisk.length === 0) return
+
+    const limitUsd = await guardianService.getActionLimitUsd(user)
+    if (limitUsd <= 0) {
+      logger.warn(`Guardian for ${user.smartAccountAddress}: ${atRisk[0].key} health factor ${atRisk[0].position.risk.healthFactorFormatted}, but the daily limit of $${user.guardian.maxDailyUsd} is used up`)
+      return
+    }
+
+    const balances = await erc4337Service.getBalances(user.smartAccountAddress)
+
+    for (const { key, position } of atRisk) {
+      const plan = await guardianService.planAction(user, key, position, balances, limitUsd)
+      if (plan) {
+        await this.intervene(user, plan)
+        return
+      }
+
+      logger.warn(`Guardian for ${user.smartAccountAddress}: ${key} health factor ${position.risk.healthFactorFormatted} below ${user.guardian.triggerHealthFactor}, no protective action available`)
+    }
+  }
+
+  /**
+   * Execute a planned action with the session key and record it as a GUARDIAN transaction
+   */
+  async intervene(user, plan) {
+    const record = {
+      user: user._id,
+      smartAccountAddress: user.smartAccountAddress,
+      type: 'GUARDIAN',
+      protocol: markets.getMarket(plan.key).protocol,
+      asset: plan.asset,
+      amount: plan.amount.toString(),
+      metadata: {
+        action: plan.action,
+        comet: plan.key,
+        usdValue: plan.usdValue,
+        healthFactorBefore: plan.healthFactorBefore,
+        expectedHealthFactor: plan.expectedHealthFactor,
+        triggerHealthFactor: user.guardian.triggerHealthFactor,
+        targetHealthFactor: user.guardian.targetHealthFactor,
+        ...plan.details
+      }
+    }
+
+    const { reservationId } = await policyService.authorize(user, plan.calls, `GUARDIAN_${plan.action}`)
+
+    logger.info(`Guardian ${plan.action} on ${plan.key} for ${user.smartAccountAddress}: ${plan.amount} ${plan.asset} ($${plan.usdValue.toFixed(2)}), health factor ${plan.healthFactorBefore.toFixed(2)} -> ${plan.expectedHealthFactor === null ? 'no debt' : plan.expectedHealthFactor.toFixed(2)}`)
+
+    let result
+    try {
+      const sessionKeyPrivate = decrypt(user.sessionKey.encryptedPrivateKey)
+      result = await erc4337Service.executeWithSessionKey(user.smartAccountAddress, plan.calls, sessionKeyPrivate)
+    } catch (error) {
+      // Give the notional back unless the UserOp reached the bundler (receipt timeout)
+      if (!error.userOpHash) await policyService.releaseNotional(user._id, reservationId)
+      const failed = await Transaction.create({ ...record, status: 'FAILED', error: error.message })
+      realtimeService.publishTransaction(failed)
+      await notificationService.notifyTransaction(failed)
+      throw error
+    }
+
+    const transaction = new Transaction({
+      ...record,
+      status: result.success ? 'SUCCESS' : 'FAILED',
+      txHash: result.txHash,
+      userOpHash: result.userOpHash,
+      gasUsed: result.gasUsed?.toString(),
+      confirmedAt: new Date()
+    })
+    if (!result.success) {
+      if (result.revertReason) {
+        const revert = decodeRevertReason(result.revertReason)
+        transaction.error = describeRevertReason(result.revertReason)
+        transaction.metadata = { ...record.metadata, revert: { source: revert.source, name: revert.name, data: result.revertReason } }
+      } else {
+        transaction.error = result.error
+      }
+    }
+    await transaction.save()
+    realtimeService.publishTransaction(transaction)
+
+    await User.updateOne({ _id: user._id }, { $set: { 'guardian.lastActionAt': new Date() } })
+
+    logger.info(`Guardian ${plan.action} for ${user.smartAccountAddress} ${transaction.status}, tx: ${transaction.txHash || 'none'}${transaction.error ? `, reason: ${transaction.error}` : ''}`)
+    await notificationService.notifyTransaction(transaction)
+  }
+}
+
+module.exports = new LiquidationGuardian()
@@ -0,0 +1,69 @@
+/**
+ * Notification Dispatcher
+ *
+ * Background loop that sends queued notifications:
+ * - Picks PENDING deliveries whose next attempt is due (oldest first)
+ * - Posts signed webhooks / sends emails through notification.service
+ * - Failed attempts are rescheduled with exponential backoff until
+ *   NOTIFICATION_MAX_ATTEMPTS, then marked FAILED
+ */
+
+const config = require('../config')
+const logger = require('../utils/logger')
+const notificationService = require('../services/notification.service')
+const NotificationDelivery = require('../models/NotificationDelivery')
+
+// Deliveries attempted per pass
+const BATCH_SIZE = 50
+
+class NotificationDispatcher {
+  constructor() {
+    this.timer = null
+    this.running = false
+  }
+
+  start(intervalMs = config.notifications.dispatchIntervalMs) {
+    if (this.timer) return
+
+    this.timer = setInterval(() => this.tick(), intervalMs)
+    logger.info(`Notification dispatcher started (every ${intervalMs}ms, email via ${notificationService.mailer.name})`)
+  }
+
+  stop() {
+    if (!this.timer) return
+
+    clearInterval(this.timer)
+    this.timer = null
+    logger.info('Notification dispatcher stopped')
+  }
+
+  async tick() {
+    // Skip if the previous pass is still waiting on slow endpoints
+    if (this.running) return
+
+    this.running = true
+    try {
+      await this.dispatchDue()
+    } catch (error) {
+      logger.error('Notification dispatcher error:', error.message)
+    } finally {
+      this.running = false
+    }
+  }
+
+  async dispatchDue() {
+    const due = await NotificationDelivery.find({ status: 'PENDING', nextAttemptAt: { $lte: new Date() } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(BATCH_SIZE)
+
+    for (const delivery of due) {
+      try {
+        await notificationService.deliver(delivery)
+      } catch (error) {
+        logger.warn(`Failed to dispatch notification ${delivery._id}: ${error.message}`)
+      }
+    }
+  }
+}
+
+module.exports = new NotificationDispatcher()
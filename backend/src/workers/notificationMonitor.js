@@ -0,0 +1,138 @@
+/**
+ * Notification Monitor
+ *
+ * Background loop raising alerts that aren't tied to a transaction, for users
+ * with at least one notification channel (active webhook or email):
+ * - health_factor.threshold_crossed when a Comet position crosses the user's
+ *   threshold, in either direction (once per crossing)
+ * - session_key.expiring once per key validity window, from
+ *   SESSION_KEY_EXPIRY_WARNING_DAYS before expiry
+ */
+
+const config = require('../config')
+const logger = require('../utils/logger')
+const erc4337Service = require('../services/erc4337.service')
+const notificationService = require('../services/notification.service')
+const User = require('../models/User')
+const Webhook = require('../models/Webhook')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const { EVENTS } = notificationService
+
+class NotificationMonitor {
+  constructor() {
+    this.timer = null
+    this.running = false
+  }
+
+  start(intervalMs = config.notifications.monitorIntervalMs) {
+    if (this.timer) return
+
+    this.timer = setInterval(() => this.tick(), intervalMs)
+    logger.info(`Notification monitor started (every ${intervalMs}ms)`)
+  }
+
+  stop() {
+    if (!this.timer) return
+
+    clearInterval(this.timer)
+    this.timer = null
+    logger.info('Notification monitor stopped')
+  }
+
+  async tick() {
+    // Skip if the previous pass is still reading positions
+    if (this.running) return
+
+    this.running = true
+    try {
+      await this.checkUsers()
+    } catch (error) {
+      logger.error('Notification monitor error:', error.message)
+    } finally {
+      this.running = false
+    }
+  }
+
+  async checkUsers() {
+    const webhookUsers = await Webhook.distinct('user', { active: true })
+
+    const users = User.find({
+      smartAccountAddress: { $exists: true, $ne: null },
+      $or: [
+        { 'notifications.email.enabled': true },
+        { _id: { $in: webhookUsers } }
+      ]
+    }).cursor()
+
+    for await (const user of users) {
+      try {
+        await this.checkSessionKey(user)
+        await this.checkHealthFactors(user)
+      } catch (error) {
+        logger.warn(`Notification check failed for ${user.smartAccountAddress}: ${error.message}`)
+      }
+    }
+  }
+
+  /**
+   * Warn once when the granted key enters its expiry warning window
+   */
+  async checkSessionKey(user) {
+    const { sessionKey, notifications } = user
+    if (!sessionKey?.isGranted || !sessionKey.expiresAt) return
+
+    const remainingMs = sessionKey.expiresAt.getTime() - Date.now()
+    if (remainingMs <= 0 || remainingMs > config.sessionKeys.expiryWarningDays * DAY_MS) return
+
+    // Already warned for this expiry (a renewal moves expiresAt and re-arms the warning)
+    if (notifications.sessionKeyExpiryNotifiedFor?.getTime() === sessionKey.expiresAt.getTime()) return
+
+    await notificationService.notify(user, EVENTS.SESSION_KEY_EXPIRING, {
+      sessionKeyAddress: sessionKey.address,
+      expiresAt: sessionKey.expiresAt.toISOString(),
+      daysRemaining: Math.ceil(remainingMs / DAY_MS)
+    })
+
+    await User.updateOne({ _id: user._id }, { $set: { 'notifications.sessionKeyExpiryNotifiedFor': sessionKey.expiresAt } })
+  }
+
+  /**
+   * Alert on every market whose position crossed the threshold since the last pass
+   */
+  async checkHealthFactors(user) {
+    const threshold = user.notifications.healthFactorThreshold
+    const wasBelow = new Set(user.notifications.healthFactorBelow)
+    const positions = await erc4337Service.getPositions(user.smartAccountAddress)
+
+    const below = new Set()
+    for (const [key, position] of Object.entries(positions)) {
+      // Unreadable this pass - keep the previous state rather than alerting on a gap
+      if (!position) {
+        if (wasBelow.has(key)) below.add(key)
+        continue
+      }
+
+      const { healthFactor, healthFactorFormatted, riskLevel } = position.risk
+      const isBelow = healthFactor !== null && healthFactor < threshold
+      if (isBelow) below.add(key)
+      if (isBelow === wasBelow.has(key)) continue
+
+      await notificationService.notify(user, EVENTS.HEALTH_FACTOR_THRESHOLD_CROSSED, {
+        comet: key,
+        direction: isBelow ? 'BELOW' : 'ABOVE',
+        // No debt left counts as recovered
+        healthFactor: healthFactor === null ? null : healthFactorFormatted,
+        riskLevel,
+        threshold
+      })
+    }
+
+    const changed = below.size !== wasBelow.size || [...below].some(key => !wasBelow.has(key))
+    if (changed) {
+      await User.updateOne({ _id: user._id }, { $set: { 'notifications.healthFactorBelow': [...below] } })
+    }
+  }
+}
+
+module.exports = new NotificationMonitor()
@@ -0,0 +1,82 @@
+/**
+ * Realtime Publisher
+ *
+ * Background loop feeding the server-sent event streams:
+ * - Watches the chain head; on each new block re-reads positions and balances
+ *   of every user with an open stream and publishes what changed
+ * - Publishes Comet market rates when they change
+ *
+ * Does nothing while no stream is open.
+ */
+
+const config = require('../config')
+const logger = require('../utils/logger')
+const erc4337Service = require('../services/erc4337.service')
+const marketService = require('../services/market.service')
+const realtimeService = require('../services/realtime.service')
+const User = require('../models/User')
+
+class RealtimePublisher {
+  constructor() {
+    this.timer = null
+    this.running = false
+    this.lastBlockNumber = null
+  }
+
+  start(intervalMs = config.realtime.blockPollMs) {
+    if (this.timer) return
+
+    this.timer = setInterval(() => this.tick(), intervalMs)
+    logger.info(`Realtime publisher started (every ${intervalMs}ms)`)
+  }
+
+  stop() {
+    if (!this.timer) return
+
+    clearInterval(this.timer)
+    this.timer = null
+    logger.info('Realtime publisher stopped')
+  }
+
+  async tick() {
+    // Skip if the previous pass is still reading the chain
+    if (this.running || !realtimeService.hasClients()) return
+
+    this.running = true
+    try {
+      await this.checkBlock()
+    } catch (error) {
+      logger.error('Realtime publisher error:', error.message)
+    } finally {
+      this.running = false
+    }
+  }
+
+  async checkBlock() {
+    const blockNumber = await erc4337Service.provider.getBlockNumber()
+    if (blockNumber === this.lastBlockNumber) return
+    this.lastBlockNumber = blockNumber
+
+    try {
+      realtimeService.publishMarkets(await marketService.getMarkets())
+    } catch (error) {
+      logger.warn(`Failed to read market rates for streaming: ${error.message}`)
+    }
+
+    const users = await User.find({
+      _id: { $in: realtimeService.getConnectedUserIds() },
+      smartAccountAddress: { $exists: true, $ne: null }
+    }).select('smartAccountAddress')
+
+    for (const user of users) {
+      try {
+        const state = await realtimeService.getAccountState(user.smartAccountAddress)
+        realtimeService.publishAccountState(user._id, state)
+      } catch (error) {
+        logger.warn(`Failed to stream block ${blockNumber} state for ${user.smartAccountAddress}: ${error.message}`)
+      }
+    }
+  }
+}
+
+module.exports = new RealtimePublisher()
@@ -0,0 +1,109 @@
+/**
+ * Transaction Watcher
+ *
+ * Background loop that settles PENDING transactions:
+ * - Looks up each UserOp's receipt through the configured submitter
+ * - Records txHash, block, gas used/cost and confirmation time
+ * - Marks failures with the decoded UserOperationRevertReason (or a timeout)
+ * - Notifies the owner (transaction.confirmed / transaction.failed / switch.executed)
+ *   and pushes the update to their open event streams
+ */
+
+const config = require('../config')
+const logger = require('../utils/logger')
+const erc4337Service = require('../services/erc4337.service')
+const notificationService = require('../services/notification.service')
+const realtimeService = require('../services/realtime.service')
+const Transaction = require('../models/Transaction')
+const { decodeRevertReason, describeRevertReason } = require('../utils/revertDecoder')
+
+// Pending records checked per pass (oldest first)
+const BATCH_SIZE = 50
+
+class TransactionWatcher {
+  constructor() {
+    this.timer = null
+    this.running = false
+  }
+
+  start(intervalMs = config.transactions.watchIntervalMs) {
+    if (this.timer) return
+
+    this.timer = setInterval(() => this.tick(), intervalMs)
+    logger.info(`Transaction watcher started (every ${intervalMs}ms)`)
+  }
+
+  stop() {
+    if (!this.timer) return
+
+    clearInterval(this.timer)
+    this.timer = null
+    logger.info('Transaction watcher stopped')
+  }
+
+  async tick() {
+    // Skip if the previous pass is still waiting on the RPC
+    if (this.running) return
+
+    this.running = true
+    try {
+      await this.checkPending()
+    } catch (error) {
+      logger.error('Transaction watcher error:', error.message)
+    } finally {
+      this.running = false
+    }
+  }
+
+  async checkPending() {
+    const pending = await Transaction.find({ status: 'PENDING', userOpHash: { $exists: true, $ne: null } })
+      .sort({ createdAt: 1 })
+      .limit(BATCH_SIZE)
+
+    for (const tx of pending) {
+      try {
+        await this.checkTransaction(tx)
+      } catch (error) {
+        logger.warn(`Failed to check transaction ${tx._id}: ${error.message}`)
+      }
+    }
+  }
+
+  /**
+   * Settle one PENDING transaction if its UserOp has been included (or has timed out)
+   */
+  async checkTransaction(tx) {
+    const receipt = await erc4337Service.getUserOperationReceipt(tx.userOpHash)
+
+    if (!receipt) {
+      if (Date.now() - tx.createdAt.getTime() > config.transactions.pendingTimeoutMs) {
+        tx.status = 'FAILED'
+        tx.error = 'Timed out waiting for the UserOperation to be included'
+        await tx.save()
+        logger.warn(`Transaction ${tx._id} (${tx.type}) timed out, UserOp: ${tx.userOpHash}`)
+        realtimeService.publishTransaction(tx)
+        await notificationService.notifyTransaction(tx)
+      }
+      return
+    }
+
+    tx.status = receipt.success ? 'SUCCESS' : 'FAILED'
+    tx.txHash = receipt.txHash
+    tx.blockNumber = receipt.blockNumber
+    tx.gasUsed = receipt.actualGasUsed.toString()
+    tx.gasCost = receipt.actualGasCost.toString()
+    tx.confirmedAt = new Date()
+    if (!receipt.success) {
+      const revert = decodeRevertReason(receipt.revertReason)
+      tx.error = describeRevertReason(receipt.revertReason)
+      tx.metadata = { ...tx.metadata, revert: { source: revert.source, name: revert.name, data: receipt.revertReason } }
+    }
+    await tx.save()
+
+    logger.info(`Transaction ${tx._id} (${tx.type}) ${tx.status}, tx: ${tx.txHash}${tx.error ? `, reason: ${tx.error}` : ''}`)
+    realtimeService.publishTransaction(tx)
+    await notificationService.notifyTransaction(tx)
+  }
+}
+
+module.exports = new TransactionWatcher()
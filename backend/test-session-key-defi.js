@@ -51,6 +51,10 @@ const USDC_COMET = '0xc3d688B66703497DAA19211EEdff47f25384cdc3'
 const WETH_COMET = '0xA17581A9E3356d9A858b789D68B4d866e593aE94'
 const WBTC = '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599'
 const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2'
+// Uniswap V3 USDC/WETH 0.05% pool - flash loan from it, swap through the 0.3% tier
+const FLASH_POOL = '0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640'
+const SWAP_PATH = ethers.solidityPacked(['address', 'uint24', 'address'], [WETH, 3000, USDC])
 
 // ABIs
 const ENTRYPOINT_V06_ABI = [
@@ -76,7 +80,7 @@ const COMET_ABI = [
 ]
 
 const SWITCHER_ABI = [
-  'function switchCollateral(address user, address sourceComet, address targetComet, address collateralAsset, uint256 collateralAmount, uint256 borrowAmount, uint256 minOutputAmount) external',
+  'function switchCollateral(address user, address sourceComet, address targetComet, address[] collateralAssets, uint256[] collateralAmounts, uint256 debtAmount, uint256 borrowAmount, uint256 minOutputAmount, address flashPool, bytes swapPath) external',
 ]
 
 // v0.6.0 UserOp hash computation
@@ -425,7 +429,7 @@ async function testSessionKeyDeFi() {
   const switcherIface = new ethers.Interface(SWITCHER_ABI)
 
   // Build the switch call
-  // switchCollateral(user, sourceComet, targetComet, collateral, amount, borrowAmount, minOutputAmount)
+  // switchCollateral(user, sourceComet, targetComet, collaterals[], amounts[], debtAmount, borrowAmount, minOutputAmount, flashPool, swapPath)
   // borrowAmount needs to cover debt + flash loan fee when swapped to USDC
   // 500 USDC debt + ~0.5% fee = ~502.5 USDC
   // At ~$3000/ETH, that's ~0.17 ETH. Use 0.25 ETH with buffer.
@@ -433,10 +437,13 @@ async function testSessionKeyDeFi() {
     accountAddress,                // user - the account whose position to switch
     USDC_COMET,                    // source
     WETH_COMET,                    // target
-    WBTC,                          // collateral
-    collateralBefore,              // amount
+    [WBTC],                        // collateral assets
+    [collateralBefore],            // amounts
+    ethers.MaxUint256,             // debtAmount - move all of the debt
     ethers.parseEther('0.25'),     // borrow 0.25 ETH to swap to USDC for debt repayment
-    0n                             // minOutputAmount - set to 0 for test
+    0n,                            // minOutputAmount - set to 0 for test
+    FLASH_POOL,                    // flash loan USDC from the 0.05% pool
+    SWAP_PATH                      // swap WETH -> USDC on the 0.3% pool
   ])
 
   // Build executeWithSessionKey calldata
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose')
+const autoSwitcher = require('../src/workers/autoSwitcher')
+const autoSwitchService = require('../src/services/autoSwitch.service')
+const switchService = require('../src/services/switch.service')
+const User = require('../src/models/User')
+const Transaction = require('../src/models/Transaction')
+const AutoSwitchLog = require('../src/models/AutoSwitchLog')
+const { encrypt } = require('../src/utils/encryption')
+
+const makeUser = (dryRun) => ({
+  _id: new mongoose.Types.ObjectId(),
+  smartAccountAddress: '0x1111111111111111111111111111111111111111',
+  sessionKey: { encryptedPrivateKey: encrypt('0x' + '11'.repeat(32)) },
+  autoSwitch: { enabled: true, dryRun, minSavingsUsd: 50 }
+})
+
+// WETH Comet borrowing is $120 cheaper over the horizon, net of costs
+const opportunity = {
+  plan: { sourceKey: 'USDC', targetKey: 'WETH' },
+  evaluation: { netSavingsUsd: 120, horizonDays: 30 }
+}
+
+describe('AutoSwitcher cooldown', () => {
+  beforeEach(() => {
+    jest.spyOn(Transaction, 'exists').mockResolvedValue(null)
+    jest.spyOn(autoSwitchService, 'findOpportunity').mockResolvedValue(opportunity)
+    jest.spyOn(AutoSwitchLog, 'create').mockResolvedValue({})
+    jest.spyOn(User, 'updateOne').mockResolvedValue({})
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it('logs a dry run without starting the cooldown', async () => {
+    const executeCrossSwitch = jest.spyOn(switchService, 'executeCrossSwitch')
+    const user = makeUser(true)
+
+    await autoSwitcher.checkUser(user)
+
+    expect(AutoSwitchLog.create).toHaveBeenCalledWith(expect.objectContaining({ user: user._id, decision: 'DRY_RUN', netSavingsUsd: 120 }))
+    expect(executeCrossSwitch).not.toHaveBeenCalled()
+    expect(User.updateOne).not.toHaveBeenCalled()
+  })
+
+  it.each([
+    ['an executed switch', { success: true, transaction: { _id: 'transaction' } }, 'EXECUTED'],
+    ['a failed switch', { success: false, error: 'UserOp reverted' }, 'FAILED']
+  ])('starts the cooldown after %s', async (description, result, decision) => {
+    jest.spyOn(switchService, 'executeCrossSwitch').mockResolvedValue(result)
+    const user = makeUser(false)
+
+    await autoSwitcher.checkUser(user)
+
+    expect(AutoSwitchLog.create).toHaveBeenCalledWith(expect.objectContaining({ decision }))
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: user._id }, { $set: { 'autoSwitch.lastTriggeredAt': expect.any(Date) } })
+  })
+})
@@ -0,0 +1,149 @@
+const { ethers } = require('ethers')
+const mongoose = require('mongoose')
+const config = require('../src/config')
+const markets = require('../src/config/markets')
+const guardianService = require('../src/services/guardian.service')
+const marketService = require('../src/services/market.service')
+const quoteService = require('../src/services/quote.service')
+const Transaction = require('../src/models/Transaction')
+const { QuoteFailedError } = require('../src/utils/errors')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const USD = 10n ** 8n
+const E18 = 10n ** 18n
+const MARKET = markets.getMarket('USDC')
+const USDC = markets.getToken('USDC')
+const WBTC = markets.getToken('WBTC')
+const WETH = markets.getToken('WETH')
+
+const cometIface = new ethers.Interface(['function withdraw(address asset, uint256 amount)', 'function supply(address asset, uint256 amount)'])
+const swapRouterIface = new ethers.Interface([
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountOut)'
+])
+
+const makeUser = (actions, permissions) => ({
+  _id: new mongoose.Types.ObjectId(),
+  smartAccountAddress: '0x1111111111111111111111111111111111111111',
+  sessionKey: { isGranted: true, permissions },
+  guardian: { actions, targetHealthFactor: 1.5, maxActionUsd: 1000, maxDailyUsd: 2500 }
+})
+
+// $1000 of debt against a $1200 liquidation threshold (health factor 1.2), $1100 borrow capacity
+const position = {
+  collaterals: [{ address: WBTC.address, balance: '0' }, { address: WETH.address, balance: E18.toString() }],
+  borrowed: { balance: (1000n * 10n ** 6n).toString() },
+  risk: {
+    healthFactor: 1.2,
+    debtValue: { value: (1000n * USD).toString() },
+    borrowCapacity: { value: (1100n * USD).toString() },
+    liquidationThreshold: { value: (1200n * USD).toString() },
+    liquidationAsset: 'WETH'
+  }
+}
+
+const PRICES = {
+  [USDC.address]: USD,
+  [WBTC.address]: 60000n * USD,
+  [WETH.address]: 3000n * USD
+}
+
+describe('getActionLimitUsd', () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it('caps an intervention at the per-action limit and what is left of the daily limit', async () => {
+    const user = makeUser(['REPAY'], ['REPAY'])
+    const aggregate = jest.spyOn(Transaction, 'aggregate').mockResolvedValue([{ _id: null, total: 2000 }])
+
+    await expect(guardianService.getActionLimitUsd(user)).resolves.toBe(500)
+
+    const [[{ $match }]] = aggregate.mock.calls[0]
+    expect($match).toMatchObject({ user: user._id, type: 'GUARDIAN', status: { $ne: 'FAILED' } })
+    expect(Date.now() - $match.createdAt.$gte.getTime()).toBeGreaterThanOrEqual(DAY_MS)
+  })
+
+  it('allows the per-action limit when nothing was moved today, and never goes negative', async () => {
+    const user = makeUser(['REPAY'], ['REPAY'])
+
+    jest.spyOn(Transaction, 'aggregate').mockResolvedValueOnce([])
+    await expect(guardianService.getActionLimitUsd(user)).resolves.toBe(1000)
+
+    jest.spyOn(Transaction, 'aggregate').mockResolvedValueOnce([{ _id: null, total: 3000 }])
+    await expect(guardianService.getActionLimitUsd(user)).resolves.toBe(0)
+  })
+})
+
+describe('planAction', () => {
+  beforeEach(() => {
+    jest.spyOn(marketService, 'getUsdPrice').mockImplementation(async (token) => PRICES[token])
+    jest.spyOn(marketService, 'getCometPrice').mockImplementation(async (market, token) => PRICES[token])
+    jest.spyOn(marketService, 'getUsdValue').mockImplementation(async (token, amount) => ({
+      value: (BigInt(amount) * PRICES[token] / 10n ** BigInt(markets.findTokenByAddress(token).decimals)).toString()
+    }))
+    jest.spyOn(marketService, 'getAssetInfo')
+    jest.spyOn(marketService, 'getPositionRisk').mockResolvedValue({ healthFactor: 1.35 })
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it('repays with idle base token up to the USD limit', async () => {
+    const user = makeUser(['REPAY', 'SUPPLY'], ['REPAY', 'SUPPLY'])
+    const balances = { USDC: { balance: (500n * 10n ** 6n).toString() } }
+
+    const plan = await guardianService.planAction(user, 'USDC', position, balances, 100)
+
+    // $200 repay would reach 1.5, capped at the $100 limit
+    expect(plan).toMatchObject({ action: 'REPAY', asset: 'USDC', amount: 100n * 10n ** 6n, usdValue: 100, healthFactorBefore: 1.2, expectedHealthFactor: 1.35 })
+    expect(plan.calls.map(call => call.target)).toEqual([USDC.address, MARKET.address])
+    expect(marketService.getPositionRisk).toHaveBeenCalledWith('USDC', expect.any(Array), 900n * 10n ** 6n)
+  })
+
+  it("skips actions the session key can't sign and supplies idle collateral instead", async () => {
+    const user = makeUser(['REPAY', 'SUPPLY'], ['SUPPLY'])
+    marketService.getAssetInfo.mockResolvedValue({ scale: 10n ** BigInt(WBTC.decimals), liquidateCollateralFactor: 9n * E18 / 10n })
+    const balances = { USDC: { balance: (500n * 10n ** 6n).toString() }, WBTC: { balance: USD.toString() } }
+
+    const plan = await guardianService.planAction(user, 'USDC', position, balances, 1000)
+
+    // $300 of liquidation threshold missing for 1.5, at a 0.9 factor on $60,000 WBTC
+    expect(plan).toMatchObject({ action: 'SUPPLY', asset: 'WBTC', amount: 555556n })
+    const [, collaterals] = marketService.getPositionRisk.mock.calls[0]
+    expect(collaterals.find(collateral => collateral.asset === WBTC.address).balance).toBe(555556n)
+  })
+
+  it('returns nothing when the action would not improve the health factor', async () => {
+    const user = makeUser(['REPAY'], ['REPAY'])
+    marketService.getPositionRisk.mockResolvedValue({ healthFactor: 1.2 })
+
+    await expect(guardianService.planAction(user, 'USDC', position, { USDC: { balance: '500000000' } }, 100)).resolves.toBeNull()
+  })
+
+  it('delevers through the best fee tier with a slippage-bounded swap', async () => {
+    const user = makeUser(['DELEVER'], ['WITHDRAW', 'SWAP', 'REPAY'])
+    marketService.getAssetInfo.mockResolvedValue({ scale: E18, liquidateCollateralFactor: 9n * E18 / 10n, borrowCollateralFactor: 85n * E18 / 100n })
+    jest.spyOn(quoteService, 'quoteExactInputSingle').mockImplementation(async ({ amountIn, pool }) => {
+      if (pool.fee === 100n) throw new QuoteFailedError('Unable to quote the swap for this switch')
+      // The 0.05% tier returns the most
+      const outPerEth = pool.fee === 500n ? 2990n : 2950n
+      return { amountOut: amountIn * outPerEth * 10n ** 6n / E18 }
+    })
+
+    const plan = await guardianService.planAction(user, 'USDC', position, {}, 1000)
+
+    // The withdraw must leave the position borrow-collateralized: $100 of headroom at 0.85
+    const value = 100n * USD * E18 / (85n * E18 / 100n)
+    const amount = value * E18 / PRICES[WETH.address]
+    const expectedOutput = amount * 2990n * 10n ** 6n / E18
+    const minOutput = expectedOutput * (10000n - BigInt(config.guardian.deleverSlippageBps)) / 10000n
+
+    expect(plan).toMatchObject({ action: 'DELEVER', asset: 'WETH', amount })
+    expect(plan.details).toEqual({ swapFee: 500, expectedOutput: expectedOutput.toString(), minOutput: minOutput.toString(), repayAmount: minOutput.toString() })
+
+    const [withdraw, , swap, , repay] = plan.calls
+    expect(cometIface.decodeFunctionData('withdraw', withdraw.data)).toEqual([WETH.address, amount])
+    const [params] = swapRouterIface.decodeFunctionData('exactInputSingle', swap.data)
+    expect(params.recipient).toBe(user.smartAccountAddress)
+    expect(params.fee).toBe(500n)
+    expect(params.amountOutMinimum).toBe(minOutput)
+    expect(cometIface.decodeFunctionData('supply', repay.data)).toEqual([USDC.address, minOutput])
+  })
+})
@@ -0,0 +1,185 @@
+/**
+ * In-memory stand-in for a chain with the v0.6 EntryPoint deployed
+ *
+ * Implements the provider methods the submitters and the mock bundler use, and an
+ * executor whose handleOps transactions are "mined" immediately: each UserOp emits
+ * UserOperationEvent (and UserOperationRevertReason when it fails) like the EntryPoint.
+ *
+ * Knobs for a test:
+ * - preOpGas / validationFailure: what simulateValidation reports
+ * - callGas: eth_estimateGas of the account call
+ * - nextOutcome: { success, revertReason } of the next UserOp executed
+ */
+
+const { ethers } = require('ethers')
+const { USER_OPERATION_EVENTS_ABI } = require('../../src/services/submitters/base.submitter')
+
+const ENTRYPOINT_V06 = '0x5FF137D4b0FDCD49DcA30c7CF57E578a026d2789'
+
+const USER_OP_TUPLE = '(address sender, uint256 nonce, bytes initCode, bytes callData, uint256 callGasLimit, uint256 verificationGasLimit, uint256 preVerificationGas, uint256 maxFeePerGas, uint256 maxPriorityFeePerGas, bytes paymasterAndData, bytes signature)'
+
+const entryPointIface = new ethers.Interface([
+  `function handleOps(${USER_OP_TUPLE}[] ops, address beneficiary) external`,
+  `function simulateValidation(${USER_OP_TUPLE} userOp) external`,
+  `function getUserOpHash(${USER_OP_TUPLE} userOp) view returns (bytes32)`,
+  'error ValidationResult((uint256 preOpGas, uint256 prefund, bool sigFailed, uint48 validAfter, uint48 validUntil, bytes paymasterContext) returnInfo, (uint256 stake, uint256 unstakeDelaySec) senderInfo, (uint256 stake, uint256 unstakeDelaySec) factoryInfo, (uint256 stake, uint256 unstakeDelaySec) paymasterInfo)',
+  'error FailedOp(uint256 opIndex, string reason)',
+  ...USER_OPERATION_EVENTS_ABI,
+])
+
+/**
+ * v0.6 UserOp hash (same as EntryPoint.getUserOpHash)
+ */
+function getUserOpHash(userOp, chainId) {
+  const coder = ethers.AbiCoder.defaultAbiCoder()
+  const packed = coder.encode(
+    ['address', 'uint256', 'bytes32', 'bytes32', 'uint256', 'uint256', 'uint256', 'uint256', 'uint256', 'bytes32'],
+    [
+      userOp.sender,
+      userOp.nonce,
+      ethers.keccak256(userOp.initCode || '0x'),
+      ethers.keccak256(userOp.callData),
+      userOp.callGasLimit,
+      userOp.verificationGasLimit,
+      userOp.preVerificationGas,
+      userOp.maxFeePerGas,
+      userOp.maxPriorityFeePerGas,
+      ethers.keccak256(userOp.paymasterAndData || '0x')
+    ]
+  )
+  return ethers.keccak256(coder.encode(['bytes32', 'address', 'uint256'], [ethers.keccak256(packed), ENTRYPOINT_V06, chainId]))
+}
+
+const revert = (data) => ethers.makeError('execution reverted', 'CALL_EXCEPTION', { data })
+
+class EntryPointChain {
+  constructor({ chainId = 1n } = {}) {
+    this.chainId = chainId
+    this.blockNumber = 100
+    this.receipts = new Map()
+    this.logs = []
+
+    this.preOpGas = 150000n
+    this.validationFailure = null
+    this.callGas = 80000n
+    this.nextOutcome = { success: true, revertReason: null }
+
+    this.executor = {
+      address: ethers.Wallet.createRandom().address,
+      provider: this,
+      sendTransaction: (tx) => this.mine(tx)
+    }
+  }
+
+  // ethers looks up a contract runner's provider through this
+  get provider() {
+    return this
+  }
+
+  async getNetwork() {
+    return new ethers.Network('entry-point-chain', this.chainId)
+  }
+
+  async getBlockNumber() {
+    return this.blockNumber
+  }
+
+  async call(tx) {
+    const { name, args } = entryPointIface.parseTransaction({ data: tx.data })
+
+    if (name === 'getUserOpHash') {
+      return entryPointIface.encodeFunctionResult('getUserOpHash', [getUserOpHash(args.userOp, this.chainId)])
+    }
+
+    // simulateValidation always reverts: with the validation result, or why validation failed
+    if (this.validationFailure) {
+      throw revert(entryPointIface.encodeErrorResult('FailedOp', [0, this.validationFailure]))
+    }
+    throw revert(entryPointIface.encodeErrorResult('ValidationResult', [
+      [this.preOpGas, 0n, false, 0n, 0n, '0x'],
+      [0n, 0n],
+      [0n, 0n],
+      [0n, 0n]
+    ]))
+  }
+
+  async estimateGas(tx) {
+    return tx.to.toLowerCase() === ENTRYPOINT_V06.toLowerCase() ? 400000n : this.callGas
+  }
+
+  async getTransactionReceipt(hash) {
+    return this.receipts.get(hash) || null
+  }
+
+  async getLogs(filter) {
+    const fromBlock = filter.fromBlock ?? 0
+    const toBlock = filter.toBlock ?? this.blockNumber
+    return this.logs.filter(log =>
+      log.blockNumber >= fromBlock && log.blockNumber <= toBlock &&
+      (filter.topics || []).every((topic, i) => topic == null || topic.toLowerCase() === log.topics[i].toLowerCase())
+    )
+  }
+
+  /**
+   * Execute a handleOps transaction in a new block
+   */
+  async mine(tx) {
+    const { args } = entryPointIface.parseTransaction({ data: tx.data })
+    const hash = ethers.hexlify(ethers.randomBytes(32))
+    const blockNumber = ++this.blockNumber
+    const blockHash = ethers.hexlify(ethers.randomBytes(32))
+
+    const logs = []
+    const emit = (name, values) => {
+      const { topics, data } = entryPointIface.encodeEventLog(name, values)
+      logs.push(new ethers.Log({
+        transactionHash: hash,
+        blockHash,
+        blockNumber,
+        removed: false,
+        address: ENTRYPOINT_V06,
+        data,
+        topics,
+        index: logs.length,
+        transactionIndex: 0
+      }, this))
+    }
+
+    for (const op of args.ops) {
+      const userOpHash = getUserOpHash(op, this.chainId)
+      const { success, revertReason } = this.nextOutcome
+      if (!success) {
+        emit('UserOperationRevertReason', [userOpHash, op.sender, op.nonce, revertReason || '0x'])
+      }
+      emit('UserOperationEvent', [userOpHash, op.sender, ethers.ZeroAddress, op.nonce, success, 21000n * op.maxFeePerGas, 21000n])
+    }
+    this.nextOutcome = { success: true, revertReason: null }
+
+    this.logs.push(...logs)
+    this.receipts.set(hash, new ethers.TransactionReceipt({
+      to: ENTRYPOINT_V06,
+      from: this.executor.address,
+      contractAddress: null,
+      hash,
+      index: 0,
+      blockHash,
+      blockNumber,
+      logsBloom: '0x',
+      gasUsed: 300000n,
+      cumulativeGasUsed: 300000n,
+      gasPrice: 1n,
+      type: 2,
+      status: 1,
+      root: null,
+      logs
+    }, this))
+
+    return { ...tx, hash, from: this.executor.address, nonce: 0, chainId: this.chainId }
+  }
+}
+
+module.exports = {
+  ENTRYPOINT_V06,
+  EntryPointChain,
+  getUserOpHash
+}
@@ -0,0 +1,98 @@
+const ACCOUNT = '0x1111111111111111111111111111111111111111'
+const SWITCHER = '0x5555555555555555555555555555555555555555'
+const USDC2_COMET = '0x2222222222222222222222222222222222222222'
+
+const USDC2 = {
+  name: 'USDC Comet 2',
+  address: USDC2_COMET,
+  baseToken: 'USDC',
+  quoteCurrency: 'USD',
+  collaterals: ['WBTC', 'WETH'],
+  protocol: 'COMPOUND_USDC2'
+}
+
+// Load the registry (and anything built from it) as the backend would start with these variables
+function load(env, modules) {
+  const saved = { ...process.env }
+  Object.assign(process.env, env)
+  try {
+    let loaded
+    jest.isolateModules(() => {
+      loaded = modules.map(path => require(path))
+    })
+    return loaded
+  } finally {
+    process.env = saved
+  }
+}
+
+describe('EXTRA_COMETS', () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it('adds a Comet sharing a base token with a built-in one', () => {
+    const [markets] = load({ EXTRA_COMETS: JSON.stringify({ USDC2 }) }, ['../src/config/markets'])
+
+    expect(markets.getMarket('USDC2')).toMatchObject({
+      address: USDC2_COMET,
+      baseTokenAddress: markets.getToken('USDC').address,
+      decimals: 6,
+      priceFeeds: {}
+    })
+    expect(markets.sharesBaseToken('USDC', 'USDC2')).toBe(true)
+    expect(markets.sharesBaseToken('WETH', 'USDC2')).toBe(false)
+    expect(markets.getSwitchTargets('USDC')).toEqual(['WETH', 'USDC2'])
+    expect(markets.describe().markets.map(market => market.key)).toContain('USDC2')
+  })
+
+  it('sizes, encodes and authorizes a same-base switch to the extra Comet', async () => {
+    const [markets, switchService, routeService, permissionsService] = load(
+      { EXTRA_COMETS: JSON.stringify({ USDC2 }), SWITCHER_ADDRESS: SWITCHER },
+      ['../src/config/markets', '../src/services/switch.service', '../src/services/route.service', '../src/services/permissions.service']
+    )
+    const source = markets.getMarket('USDC')
+    const target = markets.getMarket('USDC2')
+    const WBTC = markets.getToken('WBTC')
+    const repayAmount = 1000n * 10n ** 6n
+    jest.spyOn(routeService, 'selectRoute').mockResolvedValue({
+      flash: { address: '0x0000000000000000000000000000000000000f1a', fee: 100n },
+      swapPath: null,
+      flashFee: 100000n,
+      minOutputAmount: repayAmount + 100000n,
+      minimalBorrow: repayAmount + 100000n,
+      candidates: { flash: [], swap: [] }
+    })
+
+    const sizing = await switchService.sizeSameBaseSwitch(source, repayAmount, false)
+    const plan = {
+      source,
+      target,
+      sameBaseToken: markets.sharesBaseToken('USDC', 'USDC2'),
+      collaterals: [{ ...WBTC, amount: 10n ** 8n }],
+      fullDebt: false,
+      repayAmount,
+      ...sizing
+    }
+    const data = switchService.encodeSwitchCall(ACCOUNT, plan)
+
+    const check = permissionsService.checkCall(['SWITCH_PROTOCOL'], { target: SWITCHER, data }, { account: ACCOUNT })
+    expect(check).toMatchObject({ allowed: true, functionName: 'switchCollateralSameBase' })
+    expect(check.args).toMatchObject({ sourceComet: source.address, targetComet: USDC2_COMET, maxBorrowAmount: repayAmount + 100000n })
+
+    // The extra Comet's own calls are granted like a built-in one's
+    const allow = permissionsService.getAllowedCalls(['SWITCH_PROTOCOL'])
+      .find(entry => entry.target === USDC2_COMET && entry.functionName === 'allow')
+    expect(allow).toBeDefined()
+  })
+
+  it.each([
+    ['invalid JSON', '{', 'EXTRA_COMETS is not valid JSON'],
+    ['a Comet already in the registry', { USDC2: { ...USDC2, address: '0xc3d688B66703497DAA19211EEdff47f25384cdc3' } }, 'is already in the registry'],
+    ['a built-in key', { USDC: USDC2 }, 'the key is already in the registry'],
+    ['an unknown base token', { USDC2: { ...USDC2, baseToken: 'USDT' } }, 'base token USDT is not in TOKENS'],
+    ['unknown collateral', { USDC2: { ...USDC2, collaterals: ['WBTC', 'ARB'] } }, 'collaterals must be TOKENS keys'],
+    ['missing fields', { USDC2: { address: USDC2_COMET } }, 'missing name, baseToken, quoteCurrency, collaterals, protocol']
+  ])('refuses to start with %s', (description, comets, message) => {
+    const EXTRA_COMETS = typeof comets === 'string' ? comets : JSON.stringify(comets)
+    expect(() => load({ EXTRA_COMETS }, ['../src/config/markets'])).toThrow(message)
+  })
+})
@@ -0,0 +1,122 @@
+const markets = require('../src/config/markets')
+const migrationService = require('../src/services/migration.service')
+const routeService = require('../src/services/route.service')
+const quoteService = require('../src/services/quote.service')
+const { ValidationError, SlippageExceededError } = require('../src/utils/errors')
+
+const ACCOUNT = '0x1111111111111111111111111111111111111111'
+const USDC = markets.getToken('USDC')
+const WETH = markets.getToken('WETH')
+const WBTC = markets.getToken('WBTC')
+const COMP = markets.getToken('COMP')
+
+const flash = { address: '0x00000000000000000000000000000000000F1a54', fee: 500n, available: 10n ** 15n }
+const hop = { tokenIn: WETH, tokenOut: USDC, pool: { address: '0x0000000000000000000000000000000000005a9e', fee: 3000n } }
+const debt = 1000n * 10n ** 6n
+
+// Exact fee on `amount` at the flash pool's 0.05% tier, as route.service quotes it
+const withFlashFee = (amount) => amount + (amount * 500n + 999999n) / 1000000n
+
+describe('planMigration sizing', () => {
+  beforeEach(() => {
+    jest.spyOn(migrationService, 'assertAaveTokens').mockResolvedValue()
+    jest.spyOn(migrationService, 'getPostMigrationPositions').mockResolvedValue({})
+    jest.spyOn(migrationService, 'assertHealthy').mockReturnValue()
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  const cometPosition = (held) => jest.spyOn(migrationService, 'getCometPosition').mockResolvedValue({ held, debt })
+  const sameAssetRoute = () => jest.spyOn(routeService, 'selectRoute').mockImplementation(async ({ flashAmount }) => ({
+    flash,
+    swapPath: null,
+    flashFee: withFlashFee(flashAmount) - flashAmount,
+    minOutputAmount: withFlashFee(flashAmount),
+    minimalBorrow: withFlashFee(flashAmount),
+    candidates: { flash: [], swap: [] }
+  }))
+
+  it('moves a share of every collateral and of the debt, re-borrowed as is on Aave', async () => {
+    cometPosition([{ ...WBTC, balance: 3n * 10n ** 8n }, { ...WETH, balance: 10n ** 18n }])
+    sameAssetRoute()
+
+    const plan = await migrationService.planMigration(ACCOUNT, { direction: 'compound_to_aave', comet: 'USDC', percentage: 50 })
+
+    expect(routeService.selectRoute).toHaveBeenCalledWith({ flashToken: USDC, flashAmount: debt / 2n, swapTokenIn: null })
+    expect(plan.collaterals.map(collateral => collateral.amount)).toEqual([15n * 10n ** 7n, 5n * 10n ** 17n])
+    expect(plan).toMatchObject({
+      direction: 'COMPOUND_TO_AAVE',
+      repayAmount: debt / 2n,
+      fullDebt: false,
+      swap: false,
+      // A partial migration borrows exactly the flash loan plus its fee
+      borrowAmount: withFlashFee(debt / 2n),
+      expectedOutput: withFlashFee(debt / 2n),
+      priceImpactBps: 0n
+    })
+  })
+
+  it('borrows for accrued interest when the whole debt moves', async () => {
+    cometPosition([{ ...WBTC, balance: 10n ** 8n }])
+    sameAssetRoute()
+
+    const plan = await migrationService.planMigration(ACCOUNT, { direction: 'COMPOUND_TO_AAVE', comet: 'USDC' })
+
+    const minOutput = withFlashFee(debt)
+    expect(plan.fullDebt).toBe(true)
+    expect(plan.minOutputAmount).toBe(minOutput)
+    // 1 bp of headroom, rounded up
+    expect(plan.borrowAmount).toBe((minOutput * 10001n + 9999n) / 10000n)
+  })
+
+  it('sizes the swap into the source debt asset with the slippage headroom', async () => {
+    jest.spyOn(migrationService, 'getAavePosition').mockResolvedValue({ held: [{ ...WETH, balance: 10n ** 18n }], debt: 3n * 10n ** 17n })
+    jest.spyOn(routeService, 'selectRoute').mockResolvedValue({
+      flash,
+      swapPath: { hops: [hop], amountIn: 333333333n, amountOut: 300150000000000000n, priceImpactBps: 12n, encoded: '0x' },
+      flashFee: 150000000000000n,
+      minOutputAmount: 300150000000000000n,
+      minimalBorrow: 333333333n,
+      candidates: { flash: [], swap: [] }
+    })
+    const quote = jest.spyOn(quoteService, 'quoteExactInputPath').mockResolvedValue(301000000000000000n)
+
+    const plan = await migrationService.planMigration(ACCOUNT, {
+      direction: 'AAVE_TO_COMPOUND',
+      comet: 'USDC',
+      debtAsset: 'WETH',
+      slippageBps: 100
+    })
+
+    expect(routeService.selectRoute).toHaveBeenCalledWith({ flashToken: WETH, flashAmount: 3n * 10n ** 17n, swapTokenIn: USDC })
+    // 1% on top of the minimal borrow, rounded up
+    expect(quote).toHaveBeenCalledWith([hop], 336666667n)
+    expect(plan).toMatchObject({ swap: true, borrowAmount: 336666667n, expectedOutput: 301000000000000000n, priceImpactBps: 12n, slippageBps: 100n })
+  })
+
+  it('refuses a swap whose price impact exceeds the tolerance', async () => {
+    jest.spyOn(migrationService, 'getAavePosition').mockResolvedValue({ held: [{ ...WETH, balance: 10n ** 18n }], debt: 3n * 10n ** 17n })
+    jest.spyOn(routeService, 'selectRoute').mockResolvedValue({
+      flash,
+      swapPath: { hops: [hop], priceImpactBps: 101n },
+      flashFee: 0n,
+      minOutputAmount: 3n * 10n ** 17n,
+      minimalBorrow: 333333333n,
+      candidates: { flash: [], swap: [] }
+    })
+
+    await expect(migrationService.planMigration(ACCOUNT, { direction: 'AAVE_TO_COMPOUND', comet: 'USDC', debtAsset: 'WETH', slippageBps: 100 }))
+      .rejects.toThrow(SlippageExceededError)
+  })
+
+  it('refuses collateral the target side does not accept', async () => {
+    cometPosition([{ ...WBTC, balance: 10n ** 8n }, { ...COMP, balance: 10n ** 18n }])
+    const selectRoute = jest.spyOn(routeService, 'selectRoute')
+
+    const plan = migrationService.planMigration(ACCOUNT, { direction: 'COMPOUND_TO_AAVE', comet: 'USDC' })
+
+    await expect(plan).rejects.toThrow(ValidationError)
+    await expect(plan).rejects.toMatchObject({ details: { unsupported: ['COMP'] } })
+    expect(selectRoute).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,286 @@
+const crypto = require('crypto')
+const dns = require('dns')
+const http = require('http')
+const mongoose = require('mongoose')
+const config = require('../src/config')
+const notificationService = require('../src/services/notification.service')
+const { SmtpMailer } = require('../src/services/mailers')
+const NotificationDelivery = require('../src/models/NotificationDelivery')
+const Webhook = require('../src/models/Webhook')
+const { encrypt } = require('../src/utils/encryption')
+const { createMockSmtp } = require('../mock-smtp')
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)))
+const close = (server) => new Promise(resolve => server.close(resolve))
+
+// Queued delivery as the notification service creates it (never written to MongoDB here)
+const queuedDelivery = (fields) => {
+  const delivery = new NotificationDelivery({
+    user: new mongoose.Types.ObjectId(),
+    event: notificationService.EVENTS.TRANSACTION_CONFIRMED,
+    payload: {
+      id: crypto.randomUUID(),
+      event: notificationService.EVENTS.TRANSACTION_CONFIRMED,
+      createdAt: new Date().toISOString(),
+      account: '0x1111111111111111111111111111111111111111',
+      data: { type: 'SUPPLY', asset: 'WBTC', amount: '0.5', txHash: '0xabc' }
+    },
+    ...fields
+  })
+  jest.spyOn(delivery, 'save').mockResolvedValue(delivery)
+  return delivery
+}
+
+describe('signPayload', () => {
+  it('signs "<t>.<body>" with HMAC-SHA256 as t=<seconds>,v1=<hex>', () => {
+    const body = JSON.stringify({ event: 'ping' })
+    const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex')
+
+    expect(notificationService.signPayload('whsec_test', body, 1700000000)).toBe(`t=1700000000,v1=${expected}`)
+  })
+
+  it('defaults to the current unix time', () => {
+    const now = Math.floor(Date.now() / 1000)
+    const [, t, v1] = notificationService.signPayload('whsec_test', '{}').match(/^t=(\d+),v1=([0-9a-f]+)$/)
+
+    expect(Math.abs(Number(t) - now)).toBeLessThanOrEqual(1)
+    expect(v1).toHaveLength(64)
+  })
+})
+
+describe('deliver', () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it('retries failures after retryBaseMs * 2^(attempts-1), then gives up at maxAttempts', async () => {
+    const { retryBaseMs, maxAttempts } = config.notifications
+    const now = Date.now()
+    jest.spyOn(Date, 'now').mockReturnValue(now)
+    jest.spyOn(notificationService, 'sendWebhook').mockRejectedValue(new Error('Webhook responded with HTTP 503'))
+
+    const delivery = queuedDelivery({ channel: 'WEBHOOK', webhook: new mongoose.Types.ObjectId() })
+
+    for (let attempt = 1; attempt < maxAttempts; attempt++) {
+      await notificationService.deliver(delivery)
+
+      expect(delivery.attempts).toBe(attempt)
+      expect(delivery.status).toBe('PENDING')
+      expect(delivery.lastError).toBe('Webhook responded with HTTP 503')
+      expect(delivery.nextAttemptAt.getTime()).toBe(now + retryBaseMs * 2 ** (attempt - 1))
+    }
+
+    const lastScheduled = delivery.nextAttemptAt
+    await notificationService.deliver(delivery)
+
+    expect(delivery.attempts).toBe(maxAttempts)
+    expect(delivery.status).toBe('FAILED')
+    expect(delivery.nextAttemptAt).toBe(lastScheduled)
+    expect(delivery.save).toHaveBeenCalledTimes(maxAttempts)
+  })
+
+  it('marks a delivery DELIVERED and clears the last error once it goes through', async () => {
+    const send = jest.spyOn(notificationService, 'sendWebhook')
+      .mockRejectedValueOnce(new Error('connect ECONNREFUSED'))
+      .mockResolvedValueOnce()
+
+    const delivery = queuedDelivery({ channel: 'WEBHOOK', webhook: new mongoose.Types.ObjectId() })
+    await notificationService.deliver(delivery)
+    await notificationService.deliver(delivery)
+
+    expect(send).toHaveBeenCalledTimes(2)
+    expect(delivery.status).toBe('DELIVERED')
+    expect(delivery.deliveredAt).toBeInstanceOf(Date)
+    expect(delivery.lastError).toBeUndefined()
+  })
+})
+
+describe('webhook delivery', () => {
+  const secret = 'whsec_receiver'
+  let server
+  let received
+  let webhook
+
+  beforeEach(async () => {
+    // The receiver listens on loopback
+    config.notifications.allowInsecureWebhooks = true
+
+    received = []
+    server = http.createServer((req, res) => {
+      let body = ''
+      req.on('data', chunk => { body += chunk })
+      req.on('end', () => {
+        received.push({ headers: req.headers, body })
+        res.writeHead(received.length === 1 ? 500 : 204)
+        res.end()
+      })
+    })
+    const port = await listen(server)
+
+    webhook = new Webhook({
+      user: new mongoose.Types.ObjectId(),
+      url: `http://127.0.0.1:${port}/hooks`,
+      encryptedSecret: encrypt(secret),
+      events: [notificationService.EVENTS.TRANSACTION_CONFIRMED]
+    })
+    jest.spyOn(webhook, 'save').mockResolvedValue(webhook)
+    jest.spyOn(Webhook, 'findById').mockResolvedValue(webhook)
+  })
+
+  afterEach(async () => {
+    config.notifications.allowInsecureWebhooks = false
+    jest.restoreAllMocks()
+    await close(server)
+  })
+
+  it('posts the event with a signature the receiver can verify, retrying a non-2xx response', async () => {
+    const delivery = queuedDelivery({ channel: 'WEBHOOK', webhook: webhook._id, target: webhook.url })
+
+    await notificationService.deliver(delivery)
+    expect(delivery.status).toBe('PENDING')
+    expect(delivery.responseStatus).toBe(500)
+
+    await notificationService.deliver(delivery)
+    expect(delivery.status).toBe('DELIVERED')
+    expect(delivery.responseStatus).toBe(204)
+
+    const { headers, body } = received[1]
+    const [, t] = headers['x-webhook-signature'].match(/^t=(\d+),/)
+    expect(headers['x-webhook-signature']).toBe(notificationService.signPayload(secret, body, Number(t)))
+    expect(headers['x-webhook-event']).toBe(delivery.event)
+    expect(JSON.parse(body)).toEqual(delivery.payload)
+  })
+})
+
+describe('webhook targets', () => {
+  afterEach(() => {
+    config.notifications.allowInsecureWebhooks = false
+    jest.restoreAllMocks()
+  })
+
+  it.each([
+    'https://localhost/hooks',
+    'https://127.0.0.1/hooks',
+    'https://2130706433/hooks',
+    'https://10.0.0.5/hooks',
+    'https://172.20.1.1/hooks',
+    'https://192.168.1.10/hooks',
+    'https://169.254.169.254/latest/meta-data',
+    'https://100.64.0.1/hooks',
+    'https://0.0.0.0/hooks',
+    'https://[::1]/hooks',
+    'https://[::ffff:127.0.0.1]/hooks',
+    'https://[fe80::1]/hooks',
+    'https://[fd00::1]/hooks'
+  ])('rejects %s', async (url) => {
+    await expect(notificationService.checkWebhookTarget(url)).rejects.toThrow('must not point to a loopback, private or link-local address')
+  })
+
+  it('accepts public addresses', async () => {
+    await expect(notificationService.checkWebhookTarget('https://93.184.216.34/hooks')).resolves.toBeUndefined()
+    await expect(notificationService.checkWebhookTarget('https://[2606:4700::1111]/hooks')).resolves.toBeUndefined()
+  })
+
+  it('checks every address a host name resolves to', async () => {
+    const lookup = jest.spyOn(dns.promises, 'lookup')
+
+    lookup.mockResolvedValueOnce([{ address: '93.184.216.34', family: 4 }])
+    await expect(notificationService.checkWebhookTarget('https://hooks.example.com/a')).resolves.toBeUndefined()
+
+    lookup.mockResolvedValueOnce([{ address: '93.184.216.34', family: 4 }, { address: '10.1.2.3', family: 4 }])
+    await expect(notificationService.checkWebhookTarget('https://hooks.example.com/a')).rejects.toThrow('private')
+
+    lookup.mockRejectedValueOnce(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }))
+    await expect(notificationService.checkWebhookTarget('https://nowhere.example.com/a')).rejects.toThrow('could not be resolved')
+  })
+
+  it('allows local receivers with WEBHOOK_ALLOW_INSECURE', async () => {
+    config.notifications.allowInsecureWebhooks = true
+    await expect(notificationService.checkWebhookTarget('http://localhost:4000/hooks')).resolves.toBeUndefined()
+  })
+
+  it('refuses to deliver to a host that resolves to a private address after registration', async () => {
+    let received = 0
+    const server = http.createServer((req, res) => {
+      received++
+      res.writeHead(204)
+      res.end()
+    })
+    const port = await listen(server)
+
+    // Public when registered, loopback (where the receiver really is) when delivered
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }])
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]))
+
+    const webhook = new Webhook({
+      user: new mongoose.Types.ObjectId(),
+      url: `http://rebind.example.com:${port}/hooks`,
+      encryptedSecret: encrypt('whsec_rebind'),
+      events: [notificationService.EVENTS.TRANSACTION_CONFIRMED]
+    })
+    jest.spyOn(Webhook, 'findById').mockResolvedValue(webhook)
+
+    const delivery = queuedDelivery({ channel: 'WEBHOOK', webhook: webhook._id, target: webhook.url })
+    await notificationService.deliver(delivery)
+    await close(server)
+
+    expect(delivery.status).toBe('PENDING')
+    expect(delivery.lastError).toContain('resolves to a non-public address (127.0.0.1)')
+    expect(received).toBe(0)
+  })
+})
+
+describe('SMTP mailer against the mock SMTP server', () => {
+  const originalMailer = notificationService.mailer
+  let smtp
+  let port
+
+  beforeEach(async () => {
+    smtp = createMockSmtp({ quiet: true })
+    port = await listen(smtp.server)
+  })
+
+  afterEach(async () => {
+    notificationService.mailer = originalMailer
+    jest.restoreAllMocks()
+    await close(smtp.server)
+  })
+
+  it('sends a plain-text message, dot-stuffing lines that start with "."', async () => {
+    const mailer = new SmtpMailer({ host: '127.0.0.1', port, user: 'app', pass: 'secret' })
+
+    const { messageId } = await mailer.send({
+      from: 'DeFi Borrowing App <notifications@example.com>',
+      to: 'user@example.com',
+      subject: 'Test',
+      text: 'First line\n.hidden line\nLast line'
+    })
+
+    const [message] = smtp.messages
+    expect(message.from).toBe('<notifications@example.com>')
+    expect(message.to).toEqual(['<user@example.com>'])
+    expect(message.subject).toBe('Test')
+    expect(message.headers['message-id']).toBe(messageId)
+    expect(message.body).toBe('First line\r\n.hidden line\r\nLast line\r\n')
+  })
+
+  it('fails when the server is not there', async () => {
+    await close(smtp.server)
+    const mailer = new SmtpMailer({ host: '127.0.0.1', port })
+
+    await expect(mailer.send({ from: 'a@example.com', to: 'b@example.com', subject: 'x', text: 'y' })).rejects.toThrow(/ECONNREFUSED/)
+    smtp.server.listen(port, '127.0.0.1')
+  })
+
+  it('delivers queued email notifications rendered for the event', async () => {
+    notificationService.mailer = new SmtpMailer({ host: '127.0.0.1', port })
+    const delivery = queuedDelivery({ channel: 'EMAIL', target: 'user@example.com' })
+
+    await notificationService.deliver(delivery)
+
+    expect(delivery.status).toBe('DELIVERED')
+    const [message] = smtp.messages
+    expect(message.to).toEqual(['<user@example.com>'])
+    expect(message.subject).toBe('Transaction confirmed: SUPPLY')
+    expect(message.body).toContain('Your SUPPLY transaction (0.5 WBTC) was confirmed.')
+    expect(message.body).toContain(`Smart account: ${delivery.payload.account}`)
+  })
+})
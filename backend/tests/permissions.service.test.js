@@ -0,0 +1,66 @@
+const SWITCHER = '0x5555555555555555555555555555555555555555'
+process.env.SWITCHER_ADDRESS = SWITCHER
+
+const { ethers } = require('ethers')
+const config = require('../src/config')
+const markets = require('../src/config/markets')
+const permissionsService = require('../src/services/permissions.service')
+
+const ACCOUNT = '0x1111111111111111111111111111111111111111'
+const AAVE = markets.getAaveMarket()
+
+const erc20Iface = new ethers.Interface(['function approve(address spender, uint256 amount) returns (bool)'])
+const debtTokenIface = new ethers.Interface(['function approveDelegation(address delegatee, uint256 amount)'])
+
+describe('MIGRATE_PROTOCOL', () => {
+  it('never lets the session key delegate credit or approve aTokens', () => {
+    const delegation = {
+      target: AAVE.variableDebtTokens.USDC,
+      data: debtTokenIface.encodeFunctionData('approveDelegation', [SWITCHER, ethers.MaxUint256])
+    }
+    const aTokenApproval = {
+      target: AAVE.aTokens.WBTC,
+      data: erc20Iface.encodeFunctionData('approve', [SWITCHER, 1n])
+    }
+
+    for (const sessionCall of [delegation, aTokenApproval]) {
+      const check = permissionsService.checkCall(['MIGRATE_PROTOCOL'], sessionCall, { account: ACCOUNT })
+      expect(check.allowed).toBe(false)
+      expect(check.reason).toContain('is not granted to the session key')
+    }
+
+    const targets = permissionsService.getAllowedCalls(['MIGRATE_PROTOCOL']).map(entry => entry.target.toLowerCase())
+    for (const address of [...Object.values(AAVE.aTokens), ...Object.values(AAVE.variableDebtTokens)]) {
+      expect(targets).not.toContain(address.toLowerCase())
+    }
+  })
+})
+
+describe('getSpendLimits', () => {
+  const ALL_PERMISSIONS = ['SUPPLY', 'BORROW', 'REPAY', 'WITHDRAW', 'SWITCH_PROTOCOL', 'SWAP',
+    'AAVE_SUPPLY', 'AAVE_BORROW', 'AAVE_REPAY', 'AAVE_WITHDRAW', 'MIGRATE_PROTOCOL']
+
+  it('limits every token the permissions can approve', () => {
+    const approvable = new Set(
+      permissionsService.getAllowedCalls(ALL_PERMISSIONS)
+        .filter(entry => entry.functionName === 'approve')
+        .map(entry => entry.target.toLowerCase())
+    )
+    const limits = permissionsService.getSpendLimits(ALL_PERMISSIONS)
+
+    expect(new Set(limits.map(limit => limit.tokenAddress.toLowerCase()))).toEqual(approvable)
+    expect(limits.find(limit => limit.symbol === 'USDC').spendLimit)
+      .toBe(ethers.parseUnits(config.sessionKeys.spendLimits.USDC.amount, 6))
+  })
+
+  it('refuses to build permissions when an approvable token has no limit', () => {
+    const { WBTC } = config.sessionKeys.spendLimits
+    delete config.sessionKeys.spendLimits.WBTC
+    try {
+      expect(() => permissionsService.getSpendLimits(['SUPPLY'])).toThrow('No session key spend limit configured for WBTC')
+      expect(() => permissionsService.buildPermissionUpdates(['SUPPLY'], new Date(Date.now() + 60000))).toThrow('WBTC')
+    } finally {
+      config.sessionKeys.spendLimits.WBTC = WBTC
+    }
+  })
+})
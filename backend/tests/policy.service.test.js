@@ -0,0 +1,267 @@
+const { ethers } = require('ethers')
+const mongoose = require('mongoose')
+const config = require('../src/config')
+const markets = require('../src/config/markets')
+const policyService = require('../src/services/policy.service')
+const permissionsService = require('../src/services/permissions.service')
+const marketService = require('../src/services/market.service')
+const NotionalUsage = require('../src/models/NotionalUsage')
+const SessionKeyAudit = require('../src/models/SessionKeyAudit')
+const { PolicyViolationError } = require('../src/utils/errors')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const USDC = markets.getToken('USDC')
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  smartAccountAddress: '0x1111111111111111111111111111111111111111',
+  sessionKey: {
+    isGranted: true,
+    address: '0x2222222222222222222222222222222222222222',
+    expiresAt: new Date(Date.now() + DAY_MS),
+    permissions: ['SUPPLY']
+  }
+}
+
+// One allowed supply of `usd` USDC (priced at $1)
+const supplyCall = (usd) => {
+  const call = { target: '0xc3d688B66703497DAA19211EEdff47f25384cdc3', data: '0xf2b9fdb8' }
+  jest.spyOn(permissionsService, 'checkCall').mockReturnValue({
+    allowed: true,
+    functionName: 'supply',
+    permission: 'SUPPLY',
+    args: { asset: USDC.address, amount: ethers.parseUnits(String(usd), USDC.decimals) }
+  })
+  return call
+}
+
+describe('daily notional cap', () => {
+  const capUsd = config.policy.dailyNotionalCapUsd
+  let audits
+
+  beforeEach(() => {
+    audits = []
+    jest.spyOn(marketService, 'getUsdPrice').mockResolvedValue(10n ** 8n)
+    jest.spyOn(SessionKeyAudit, 'create').mockImplementation(async (audit) => audits.push(audit))
+    jest.spyOn(NotionalUsage, 'updateOne').mockResolvedValue({})
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it('checks the cap and reserves the notional in one conditional update', async () => {
+    const reserve = jest.spyOn(NotionalUsage, 'findOneAndUpdate').mockResolvedValue({ user: user._id })
+
+    const { notionalUsd, reservationId } = await policyService.authorize(user, [supplyCall(1500)], 'SUPPLY')
+    expect(notionalUsd).toBe(1500)
+
+    expect(NotionalUsage.updateOne).toHaveBeenCalledWith({ user: user._id }, { $setOnInsert: { user: user._id } }, { upsert: true })
+    const [filter, [{ $set }]] = reserve.mock.calls[0]
+    expect(filter.user).toBe(user._id)
+    expect(filter.$expr.$lte[1]).toBe(capUsd)
+    expect(filter.$expr.$lte[0].$add[1]).toBe(1500)
+    expect($set.reservations.$concatArrays[1]).toEqual([{ _id: reservationId, notionalUsd: 1500, createdAt: expect.any(Date) }])
+    expect(audits).toEqual([expect.objectContaining({ decision: 'ALLOWED', notionalUsd: 1500 })])
+  })
+
+  it('denies the operation when the reservation does not fit', async () => {
+    jest.spyOn(NotionalUsage, 'findOneAndUpdate').mockResolvedValue(null)
+    jest.spyOn(NotionalUsage, 'findOne').mockReturnValue({
+      lean: async () => ({
+        reservations: [
+          { notionalUsd: capUsd - 1000, createdAt: new Date(Date.now() - 60 * 1000) },
+          // Outside the window
+          { notionalUsd: capUsd, createdAt: new Date(Date.now() - DAY_MS - 60 * 1000) }
+        ]
+      })
+    })
+
+    const denied = policyService.authorize(user, [supplyCall(1500)], 'SUPPLY')
+
+    await expect(denied).rejects.toThrow(PolicyViolationError)
+    await expect(denied).rejects.toThrow(`daily notional cap exceeded: $${(capUsd + 500).toFixed(2)} of $${capUsd}`)
+    expect(audits).toEqual([expect.objectContaining({ decision: 'DENIED', notionalUsd: 0 })])
+  })
+
+  it('denies a single operation above the cap without reserving', async () => {
+    const reserve = jest.spyOn(NotionalUsage, 'findOneAndUpdate')
+    jest.spyOn(NotionalUsage, 'findOne').mockReturnValue({ lean: async () => null })
+
+    await expect(policyService.authorize(user, [supplyCall(capUsd + 1)], 'SUPPLY')).rejects.toThrow('daily notional cap exceeded')
+    expect(reserve).not.toHaveBeenCalled()
+  })
+
+  it('releases the reservation when the audit record cannot be written', async () => {
+    jest.spyOn(NotionalUsage, 'findOneAndUpdate').mockResolvedValue({ user: user._id })
+    SessionKeyAudit.create.mockRejectedValue(new Error('audit write failed'))
+
+    await expect(policyService.authorize(user, [supplyCall(1500)], 'SUPPLY')).rejects.toThrow('audit write failed')
+
+    const [[, [{ $set }]]] = NotionalUsage.findOneAndUpdate.mock.calls
+    const [reservation] = $set.reservations.$concatArrays[1]
+    expect(NotionalUsage.updateOne).toHaveBeenLastCalledWith({ user: user._id }, { $pull: { reservations: { _id: reservation._id } } })
+  })
+})
+
+describe('authorizeAndRun', () => {
+  beforeEach(() => {
+    jest.spyOn(policyService, 'authorize').mockResolvedValue({ notionalUsd: 1500, reservationId: 'reservation' })
+    jest.spyOn(NotionalUsage, 'updateOne').mockResolvedValue({})
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it("returns the submission's result and keeps the reservation", async () => {
+    await expect(policyService.authorizeAndRun(user, [], 'SUPPLY', async () => ({ userOpHash: '0x01' })))
+      .resolves.toEqual({ userOpHash: '0x01' })
+    expect(NotionalUsage.updateOne).not.toHaveBeenCalled()
+  })
+
+  it('releases the reservation when the UserOp never reaches the bundler', async () => {
+    const run = jest.fn().mockRejectedValue(new Error('gas estimation failed'))
+
+    await expect(policyService.authorizeAndRun(user, [], 'SUPPLY', run)).rejects.toThrow('gas estimation failed')
+    expect(NotionalUsage.updateOne).toHaveBeenCalledWith({ user: user._id }, { $pull: { reservations: { _id: 'reservation' } } })
+  })
+
+  it('keeps the reservation of a submitted UserOp whose receipt timed out', async () => {
+    const timedOut = Object.assign(new Error('Timed out waiting for UserOp'), { userOpHash: '0x01' })
+
+    await expect(policyService.authorizeAndRun(user, [], 'SUPPLY', async () => { throw timedOut })).rejects.toBe(timedOut)
+    expect(NotionalUsage.updateOne).not.toHaveBeenCalled()
+  })
+})
+
+describe('authorize with encoded calls', () => {
+  const OTHER = '0x3333333333333333333333333333333333333333'
+  const WBTC = markets.getToken('WBTC')
+  const COMET = markets.getMarket('USDC').address
+  const AAVE_POOL = markets.getAaveMarket().pool
+  const erc20Iface = new ethers.Interface(['function approve(address spender, uint256 amount) returns (bool)'])
+  const cometIface = new ethers.Interface(['function supply(address asset, uint256 amount)'])
+  const aavePoolIface = new ethers.Interface(['function supply(address asset, uint256 amount, address onBehalfOf, uint16 referralCode)'])
+  const swapRouterIface = new ethers.Interface([
+    'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable returns (uint256 amountOut)'
+  ])
+  const amount = ethers.parseUnits('0.5', WBTC.decimals)
+  const trader = { ...user, sessionKey: { ...user.sessionKey, permissions: ['SUPPLY', 'SWAP', 'AAVE_SUPPLY'] } }
+
+  const approve = (spender) => ({ target: WBTC.address, data: erc20Iface.encodeFunctionData('approve', [spender, amount]) })
+  let audits
+
+  beforeEach(() => {
+    audits = []
+    // $60,000 per WBTC
+    jest.spyOn(marketService, 'getUsdPrice').mockResolvedValue(60000n * 10n ** 8n)
+    jest.spyOn(SessionKeyAudit, 'create').mockImplementation(async (audit) => audits.push(audit))
+    jest.spyOn(NotionalUsage, 'updateOne').mockResolvedValue({})
+    jest.spyOn(NotionalUsage, 'findOneAndUpdate').mockResolvedValue({ user: user._id })
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it('allows an approve of the Comet followed by a supply and counts the supplied collateral', async () => {
+    const calls = [approve(COMET), { target: COMET, data: cometIface.encodeFunctionData('supply', [WBTC.address, amount]) }]
+
+    await expect(policyService.authorize(trader, calls, 'SUPPLY')).resolves.toMatchObject({ notionalUsd: 30000 })
+    expect(audits[0].decision).toBe('ALLOWED')
+    expect(audits[0].calls).toEqual([
+      expect.objectContaining({ functionName: 'approve', permission: 'SUPPLY', args: { spender: COMET, amount: amount.toString() } }),
+      expect.objectContaining({ functionName: 'supply', permission: 'SUPPLY', args: { asset: WBTC.address, amount: amount.toString() } })
+    ])
+  })
+
+  it('allows an Aave supply on behalf of the smart account', async () => {
+    const calls = [
+      approve(AAVE_POOL),
+      { target: AAVE_POOL, data: aavePoolIface.encodeFunctionData('supply', [WBTC.address, amount, user.smartAccountAddress, 0]) }
+    ]
+
+    await expect(policyService.authorize(trader, calls, 'SUPPLY')).resolves.toMatchObject({ notionalUsd: 30000 })
+  })
+
+  it('denies an approve to a spender that is not a Comet', async () => {
+    await expect(policyService.authorize(trader, [approve(OTHER)], 'SUPPLY'))
+      .rejects.toThrow(`approve spender ${OTHER} is not`)
+    expect(audits).toEqual([expect.objectContaining({ decision: 'DENIED' })])
+    expect(NotionalUsage.findOneAndUpdate).not.toHaveBeenCalled()
+  })
+
+  it('denies a swap paid out to another recipient', async () => {
+    const swap = {
+      target: config.contracts.swapRouter02,
+      data: swapRouterIface.encodeFunctionData('exactInputSingle', [{
+        tokenIn: WBTC.address,
+        tokenOut: USDC.address,
+        fee: 3000,
+        recipient: OTHER,
+        amountIn: amount,
+        amountOutMinimum: 1n,
+        sqrtPriceLimitX96: 0n
+      }])
+    }
+
+    await expect(policyService.authorize(trader, [swap], 'SWAP')).rejects.toThrow(`swap recipient ${OTHER} is not the smart account`)
+  })
+
+  it('denies an Aave supply on behalf of another account', async () => {
+    const supply = { target: AAVE_POOL, data: aavePoolIface.encodeFunctionData('supply', [WBTC.address, amount, OTHER, 0]) }
+
+    await expect(policyService.authorize(trader, [supply], 'SUPPLY')).rejects.toThrow(`onBehalfOf ${OTHER} is not the smart account`)
+  })
+
+  it('asks for a re-grant when the key predates a permission the call needs', async () => {
+    const supply = { target: AAVE_POOL, data: aavePoolIface.encodeFunctionData('supply', [WBTC.address, amount, user.smartAccountAddress, 0]) }
+    const compoundOnly = { ...user, sessionKey: { ...user.sessionKey, permissions: ['SUPPLY', 'SWAP'] } }
+
+    const denied = policyService.authorize(compoundOnly, [approve(AAVE_POOL), supply], 'SUPPLY')
+
+    await expect(denied).rejects.toThrow('Session key re-grant required: AAVE_SUPPLY is not granted to this session key')
+    await expect(denied).rejects.toMatchObject({ statusCode: 403, details: { regrantRequired: true, missingPermissions: ['AAVE_SUPPLY'] } })
+    expect(audits).toEqual([expect.objectContaining({ decision: 'DENIED' })])
+  })
+})
+
+describe('getRegrantStatus', () => {
+  const withKey = (sessionKey) => ({ ...user, sessionKey: { ...user.sessionKey, ...sessionKey } })
+
+  it('reports nothing for a key registered with the current permissions', () => {
+    const current = withKey({ permissions: permissionsService.SESSION_KEY_PERMISSIONS, permissionsVersion: permissionsService.PERMISSIONS_VERSION })
+
+    expect(policyService.getRegrantStatus(current)).toEqual({ missingPermissions: [], outdatedPermissions: [], regrantRequired: false })
+  })
+
+  it('lists permissions an older key lacks and the ones granted under since-changed rules', () => {
+    // Registered before the Aave permissions and the current migration rules (BORROW covers WITHDRAW)
+    const legacy = withKey({ permissions: ['SUPPLY', 'BORROW', 'REPAY', 'SWITCH_PROTOCOL', 'SWAP', 'MIGRATE_PROTOCOL'] })
+
+    expect(policyService.getRegrantStatus(legacy)).toEqual({
+      missingPermissions: ['AAVE_SUPPLY', 'AAVE_BORROW', 'AAVE_REPAY', 'AAVE_WITHDRAW'],
+      outdatedPermissions: ['MIGRATE_PROTOCOL'],
+      regrantRequired: true
+    })
+  })
+})
+
+describe('unpriced tokens', () => {
+  beforeEach(() => jest.spyOn(SessionKeyAudit, 'create').mockResolvedValue({}))
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it('denies a call moving a token the registry cannot price', async () => {
+    const unknown = '0x4444444444444444444444444444444444444444'
+    const reserve = jest.spyOn(NotionalUsage, 'findOneAndUpdate')
+    jest.spyOn(permissionsService, 'checkCall').mockReturnValue({
+      allowed: true,
+      functionName: 'supply',
+      permission: 'SUPPLY',
+      args: { asset: unknown, amount: 1n }
+    })
+
+    const denied = policyService.authorize(user, [{ target: USDC.address, data: '0xf2b9fdb8' }], 'SUPPLY')
+
+    await expect(denied).rejects.toThrow(PolicyViolationError)
+    await expect(denied).rejects.toThrow(`token ${unknown} has no USD price`)
+    expect(SessionKeyAudit.create).toHaveBeenCalledWith(expect.objectContaining({ decision: 'DENIED' }))
+    expect(reserve).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,110 @@
+const { ethers } = require('ethers')
+const markets = require('../src/config/markets')
+const quoteService = require('../src/services/quote.service')
+const { QuoteFailedError } = require('../src/utils/errors')
+
+const WETH = markets.getToken('WETH')
+const USDC = markets.getToken('USDC')
+const USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+
+// Price 1 (sqrtPriceX96 = 2^96): at spot one unit in buys one unit out
+const pool = (address, fee, token0, token1) => ({ address, fee, token0, token1, sqrtPriceX96: 2n ** 96n })
+// Input a price-1 pool needs for `amountOut` with its fee and no price impact
+const idealIn = (amountOut, fee) => (amountOut * 1000000n + (1000000n - fee) - 1n) / (1000000n - fee)
+
+describe('getPriceImpactBps', () => {
+  const usdcPool = pool('0x0000000000000000000000000000000000000001', 500n, USDC.address, USDT)
+
+  it('reports no impact for a fill at the fee-inclusive spot price', () => {
+    const amountOut = 1000000n
+    expect(quoteService.getPriceImpactBps(usdcPool, USDC.address, idealIn(amountOut, 500n), amountOut)).toBe(0n)
+  })
+
+  it('reports the extra input over the spot fill, rounding up', () => {
+    const amountOut = 1000000n
+    const ideal = idealIn(amountOut, 500n)
+
+    expect(quoteService.getPriceImpactBps(usdcPool, USDC.address, ideal * 101n / 100n, amountOut)).toBe(100n)
+    expect(quoteService.getPriceImpactBps(usdcPool, USDC.address, ideal + 1n, amountOut)).toBe(1n)
+  })
+})
+
+describe('quoteExactOutputPath', () => {
+  const first = { tokenIn: WETH, tokenOut: { address: USDT, symbol: 'USDT', decimals: 6 }, pool: pool('0x0000000000000000000000000000000000000002', 3000n, WETH.address, USDT) }
+  const last = { tokenIn: first.tokenOut, tokenOut: USDC, pool: pool('0x0000000000000000000000000000000000000003', 100n, USDC.address, USDT) }
+  let quoter
+
+  beforeEach(() => {
+    quoter = {
+      // Every hop costs 1% over its ideal fill
+      quoteExactOutputSingle: { staticCall: jest.fn(async ({ amount, fee }) => [idealIn(amount, fee) * 101n / 100n, 0n, 0, 90000n]) },
+      quoteExactInputSingle: { staticCall: jest.fn() }
+    }
+    jest.replaceProperty(quoteService, 'quoter', quoter)
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it('quotes the hops backwards, each for what the next one needs', async () => {
+    const amountOut = 1000n * 10n ** 6n
+
+    const quoted = await quoteService.quoteExactOutputPath([first, last], amountOut)
+
+    const [[lastQuote], [firstQuote]] = quoter.quoteExactOutputSingle.staticCall.mock.calls
+    expect(lastQuote).toEqual({ tokenIn: USDT, tokenOut: USDC.address, amount: amountOut, fee: 100n, sqrtPriceLimitX96: 0n })
+    expect(firstQuote).toMatchObject({ tokenIn: WETH.address, tokenOut: USDT, amount: quoted.hops[1].amountIn, fee: 3000n })
+
+    expect(quoted.hops.map(hop => hop.amountOut)).toEqual([quoted.hops[1].amountIn, amountOut])
+    expect(quoted.amountIn).toBe(quoted.hops[0].amountIn)
+    expect(quoted.amountOut).toBe(amountOut)
+  })
+
+  it('compounds the price impact of each hop', async () => {
+    const quoted = await quoteService.quoteExactOutputPath([first, last], 1000n * 10n ** 6n)
+
+    expect(quoted.hops.map(hop => hop.priceImpactBps)).toEqual([100n, 100n])
+    // 1.01 * 1.01
+    expect(quoted.priceImpactBps).toBe(201n)
+  })
+
+  it('fails the path when a hop cannot be quoted', async () => {
+    quoter.quoteExactOutputSingle.staticCall.mockRejectedValueOnce(Object.assign(new Error('execution reverted'), { reason: 'SPL' }))
+
+    const quoted = quoteService.quoteExactOutputPath([first, last], 10n ** 6n)
+
+    await expect(quoted).rejects.toThrow(QuoteFailedError)
+    await expect(quoted).rejects.toMatchObject({ details: { pool: last.pool.address, reason: 'SPL' } })
+  })
+})
+
+describe('quoteExactInputPath', () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it('swaps everything each hop returns into the next', async () => {
+    const staticCall = jest.fn()
+      .mockResolvedValueOnce([2000n, 0n, 0, 0n])
+      .mockResolvedValueOnce([1990n, 0n, 0, 0n])
+    jest.replaceProperty(quoteService, 'quoter', { quoteExactInputSingle: { staticCall } })
+    const hops = [
+      { tokenIn: WETH, tokenOut: { address: USDT }, pool: { fee: 3000n } },
+      { tokenIn: { address: USDT }, tokenOut: USDC, pool: { fee: 100n } }
+    ]
+
+    await expect(quoteService.quoteExactInputPath(hops, 1n)).resolves.toBe(1990n)
+    expect(staticCall.mock.calls.map(([params]) => params.amountIn)).toEqual([1n, 2000n])
+  })
+})
+
+describe('encodePath', () => {
+  it('packs tokenIn, fee, token, fee, tokenOut', () => {
+    const hops = [
+      { tokenIn: WETH, tokenOut: { address: USDT }, pool: { fee: 3000n } },
+      { tokenIn: { address: USDT }, tokenOut: USDC, pool: { fee: 100n } }
+    ]
+
+    expect(quoteService.encodePath(hops)).toBe(ethers.solidityPacked(
+      ['address', 'uint24', 'address', 'uint24', 'address'],
+      [WETH.address, 3000, USDT, 100, USDC.address]
+    ))
+  })
+})
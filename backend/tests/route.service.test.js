@@ -0,0 +1,127 @@
+const markets = require('../src/config/markets')
+const routeService = require('../src/services/route.service')
+const quoteService = require('../src/services/quote.service')
+const { QuoteFailedError } = require('../src/utils/errors')
+
+const USDC = markets.getToken('USDC')
+const WETH = markets.getToken('WETH')
+const flashAmount = 1000n * 10n ** 6n
+
+const pool = (n, fee) => ({ address: `0x${n.toString(16).padStart(40, '0')}`, fee, available: 10n ** 15n })
+const CHEAP = pool(1, 100n)
+const NEXT = pool(2, 500n)
+const OTHER = pool(3, 3000n)
+
+// A one-hop WETH -> USDC path through `through`
+const path = (through, amountIn, amountOut) => ({
+  hops: [{ tokenIn: WETH, tokenOut: USDC, pool: through, amountIn, amountOut, priceImpactBps: 5n }],
+  amountIn,
+  amountOut,
+  priceImpactBps: 5n
+})
+
+describe('selectRoute', () => {
+  beforeEach(() => {
+    jest.spyOn(quoteService, 'encodePath').mockReturnValue('0xpath')
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it('flash-loans from the cheapest pool when nothing is swapped', async () => {
+    jest.spyOn(routeService, 'getFlashCandidates').mockResolvedValue([CHEAP, NEXT])
+
+    const route = await routeService.selectRoute({ flashToken: USDC, flashAmount })
+
+    expect(route.flash).toBe(CHEAP)
+    expect(route.swapPath).toBeNull()
+    // 0.01% of the loan
+    expect(route.flashFee).toBe(100000n)
+    expect(route.minOutputAmount).toBe(flashAmount + 100000n)
+    expect(route.minimalBorrow).toBe(flashAmount + 100000n)
+  })
+
+  it('keeps the cheapest flash pool when the best path avoids it', async () => {
+    const required = flashAmount + 100000n
+    jest.spyOn(routeService, 'getFlashCandidates').mockResolvedValue([CHEAP, NEXT])
+    const findSwapPaths = jest.spyOn(routeService, 'findSwapPaths').mockResolvedValue([path(OTHER, 400n, required)])
+    const requote = jest.spyOn(quoteService, 'quoteExactOutputPath')
+
+    const route = await routeService.selectRoute({ flashToken: USDC, flashAmount, swapTokenIn: WETH })
+
+    expect(findSwapPaths).toHaveBeenCalledWith(WETH, USDC, required)
+    expect(route.flash).toBe(CHEAP)
+    expect(route.minOutputAmount).toBe(required)
+    expect(route.minimalBorrow).toBe(400n)
+    expect(route.swapPath.encoded).toBe('0xpath')
+    expect(requote).not.toHaveBeenCalled()
+  })
+
+  it('moves the flash loan off the best swap path and re-quotes for its fee', async () => {
+    jest.spyOn(routeService, 'getFlashCandidates').mockResolvedValue([CHEAP, NEXT])
+    jest.spyOn(routeService, 'findSwapPaths').mockResolvedValue([path(CHEAP, 400n, flashAmount + 100000n), path(OTHER, 410n, flashAmount + 100000n)])
+    const requoted = path(CHEAP, 402n, flashAmount + 500000n)
+    const requote = jest.spyOn(quoteService, 'quoteExactOutputPath').mockResolvedValue(requoted)
+
+    const route = await routeService.selectRoute({ flashToken: USDC, flashAmount, swapTokenIn: WETH })
+
+    expect(route.flash).toBe(NEXT)
+    expect(route.flashFee).toBe(500000n)
+    // The swap must now return the loan plus the 0.05% fee
+    expect(requote).toHaveBeenCalledWith(expect.any(Array), flashAmount + 500000n)
+    expect(route.minOutputAmount).toBe(flashAmount + 500000n)
+    expect(route.minimalBorrow).toBe(402n)
+    expect(route.swapPath.hops[0].pool).toBe(CHEAP)
+    expect(route.swapPath.hops.some(hop => hop.pool.address === route.flash.address)).toBe(false)
+  })
+
+  it('routes the swap around the flash pool when every lender is on the best path', async () => {
+    const required = flashAmount + 100000n
+    jest.spyOn(routeService, 'getFlashCandidates').mockResolvedValue([CHEAP])
+    const findSwapPaths = jest.spyOn(routeService, 'findSwapPaths')
+      .mockResolvedValueOnce([path(CHEAP, 400n, required)])
+      .mockResolvedValueOnce([path(OTHER, 420n, required)])
+
+    const route = await routeService.selectRoute({ flashToken: USDC, flashAmount, swapTokenIn: WETH })
+
+    expect(findSwapPaths).toHaveBeenLastCalledWith(WETH, USDC, required, CHEAP.address)
+    expect(route.flash).toBe(CHEAP)
+    expect(route.swapPath.hops[0].pool).toBe(OTHER)
+    expect(route.minimalBorrow).toBe(420n)
+  })
+
+  it('fails when no path avoids the only flash pool', async () => {
+    jest.spyOn(routeService, 'getFlashCandidates').mockResolvedValue([CHEAP])
+    jest.spyOn(routeService, 'findSwapPaths')
+      .mockResolvedValueOnce([path(CHEAP, 400n, flashAmount + 100000n)])
+      .mockResolvedValueOnce([])
+
+    await expect(routeService.selectRoute({ flashToken: USDC, flashAmount, swapTokenIn: WETH }))
+      .rejects.toThrow('No Uniswap V3 path avoiding the flash loan pool')
+  })
+
+  it('fails when no pool can lend the amount', async () => {
+    jest.spyOn(routeService, 'getFlashCandidates').mockResolvedValue([])
+
+    const route = routeService.selectRoute({ flashToken: USDC, flashAmount })
+
+    await expect(route).rejects.toThrow(QuoteFailedError)
+    await expect(route).rejects.toThrow('No Uniswap V3 pool holds enough USDC')
+  })
+})
+
+describe('quoteHop', () => {
+  afterEach(() => jest.restoreAllMocks())
+
+  it('never quotes the excluded pool and drops tiers that cannot fill the swap', async () => {
+    jest.spyOn(routeService, 'getPairPools').mockResolvedValue([CHEAP, NEXT, OTHER])
+    const quote = jest.spyOn(quoteService, 'quoteExactOutputPath').mockImplementation(async ([hop], amountOut) => {
+      if (hop.pool === NEXT) throw new QuoteFailedError('Unable to quote the swap for this switch')
+      return path(hop.pool, hop.pool === OTHER ? 400n : 390n, amountOut)
+    })
+
+    const hops = await routeService.quoteHop(WETH, USDC, 1000n, CHEAP.address)
+
+    expect(quote.mock.calls.map(([[hop]]) => hop.pool)).toEqual([NEXT, OTHER])
+    expect(hops.map(hop => hop.pool)).toEqual([OTHER])
+  })
+})
@@ -0,0 +1,2 @@
+// Keep test output to failures - services log every UserOp and delivery at info level
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error'
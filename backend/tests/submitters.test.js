@@ -0,0 +1,205 @@
+const { ethers } = require('ethers')
+const config = require('../src/config')
+const { createMockBundler, RPC_ERRORS } = require('../mock-bundler')
+const { createSubmitter, DirectSubmitter, BundlerSubmitter } = require('../src/services/submitters')
+const { toRpcUserOp, fromRpcUserOp } = require('../src/services/submitters/base.submitter')
+const { BlockchainError } = require('../src/utils/errors')
+const { ENTRYPOINT_V06, EntryPointChain, getUserOpHash } = require('./helpers/entryPointChain')
+
+const buildUserOp = (overrides = {}) => ({
+  sender: '0x1111111111111111111111111111111111111111',
+  nonce: 7n,
+  initCode: '0x',
+  callData: '0xb61d27f6',
+  callGasLimit: 1000000n,
+  verificationGasLimit: 500000n,
+  preVerificationGas: 60000n,
+  maxFeePerGas: 30000000000n,
+  maxPriorityFeePerGas: 1000000000n,
+  paymasterAndData: '0x',
+  signature: '0x' + '11'.repeat(65),
+  ...overrides
+})
+
+const switcherRevert = (reason) => new ethers.Interface(['error Error(string)']).encodeErrorResult('Error', [reason])
+
+describe('UserOp JSON-RPC encoding', () => {
+  it('round-trips a UserOp through hex quantities', () => {
+    const userOp = buildUserOp()
+    const rpcUserOp = toRpcUserOp(userOp)
+
+    expect(rpcUserOp.nonce).toBe('0x7')
+    expect(rpcUserOp.maxFeePerGas).toBe(ethers.toQuantity(userOp.maxFeePerGas))
+    expect(fromRpcUserOp(rpcUserOp)).toEqual(userOp)
+  })
+})
+
+describe('DirectSubmitter', () => {
+  let chain
+  let submitter
+
+  beforeEach(() => {
+    chain = new EntryPointChain()
+    submitter = new DirectSubmitter({ provider: chain, entryPointAddress: ENTRYPOINT_V06, executorWallet: chain.executor })
+  })
+
+  it('estimates gas from calldata cost, simulateValidation and the account call', async () => {
+    const gas = await submitter.estimateUserOperationGas(buildUserOp())
+
+    // Bundle base cost + per-UserOp overhead, plus the calldata bytes
+    expect(gas.preVerificationGas).toBeGreaterThan(21000n + 18300n)
+    // preOpGas includes preVerificationGas
+    expect(gas.verificationGasLimit).toBe(chain.preOpGas - gas.preVerificationGas)
+    expect(gas.callGasLimit).toBe(chain.callGas)
+  })
+
+  it('keeps the caller\'s call gas for an undeployed account', async () => {
+    const gas = await submitter.estimateUserOperationGas(buildUserOp({ initCode: '0x' + '22'.repeat(40), callGasLimit: 3000000n }))
+    expect(gas.callGasLimit).toBe(3000000n)
+  })
+
+  it('reports the EntryPoint reason when validation fails', async () => {
+    chain.validationFailure = 'AA23 reverted (or OOG)'
+    await expect(submitter.estimateUserOperationGas(buildUserOp()))
+      .rejects.toThrow('UserOp validation failed: AA23 reverted (or OOG)')
+  })
+
+  it('submits through handleOps and reads the UserOperationEvent', async () => {
+    const userOp = buildUserOp()
+    const userOpHash = getUserOpHash(userOp, chain.chainId)
+
+    const result = await submitter.submit(userOp, userOpHash)
+
+    expect(result).toMatchObject({ success: true, userOpHash, gasUsed: '21000', revertReason: null, error: undefined })
+    expect(chain.receipts.has(result.txHash)).toBe(true)
+  })
+
+  it('reports a reverted UserOp with its decoded reason', async () => {
+    const userOp = buildUserOp()
+    chain.nextOutcome = { success: false, revertReason: switcherRevert('Insufficient swap output') }
+
+    const result = await submitter.submit(userOp, getUserOpHash(userOp, chain.chainId))
+
+    expect(result.success).toBe(false)
+    expect(result.revertReason).toBe(switcherRevert('Insufficient swap output'))
+    expect(result.error).toContain('Insufficient swap output')
+  })
+
+  it('finds receipts of UserOps it did not send in the EntryPoint logs', async () => {
+    const userOp = buildUserOp()
+    const userOpHash = getUserOpHash(userOp, chain.chainId)
+    await submitter.submit(userOp, userOpHash)
+
+    const other = new DirectSubmitter({ provider: chain, entryPointAddress: ENTRYPOINT_V06 })
+    const receipt = await other.getUserOperationReceipt(userOpHash)
+
+    expect(receipt).toMatchObject({ userOpHash, success: true, actualGasUsed: 21000n })
+    expect(await other.getUserOperationReceipt(ethers.ZeroHash)).toBeNull()
+  })
+
+  it('needs an executor to send', async () => {
+    const readOnly = new DirectSubmitter({ provider: chain, entryPointAddress: ENTRYPOINT_V06 })
+    await expect(readOnly.sendUserOperation(buildUserOp(), ethers.ZeroHash)).rejects.toThrow('DEPLOYER_PRIVATE_KEY not configured')
+  })
+})
+
+describe('BundlerSubmitter against the mock bundler', () => {
+  let chain
+  let server
+  let url
+
+  beforeEach(async () => {
+    chain = new EntryPointChain()
+    const submitter = new DirectSubmitter({ provider: chain, entryPointAddress: ENTRYPOINT_V06, executorWallet: chain.executor })
+    server = createMockBundler({ provider: chain, submitter, quiet: true })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    url = `http://127.0.0.1:${server.address().port}`
+  })
+
+  afterEach(() => new Promise(resolve => server.close(resolve)))
+
+  it('estimates gas over eth_estimateUserOperationGas', async () => {
+    const bundler = new BundlerSubmitter({ url, entryPointAddress: ENTRYPOINT_V06 })
+    const direct = new DirectSubmitter({ provider: chain, entryPointAddress: ENTRYPOINT_V06 })
+    const userOp = buildUserOp()
+
+    expect(await bundler.estimateUserOperationGas(userOp)).toEqual(await direct.estimateUserOperationGas(userOp))
+  })
+
+  it('surfaces a validation failure as a BlockchainError with the bundler error code', async () => {
+    chain.validationFailure = 'AA21 didn\'t pay prefund'
+    const bundler = new BundlerSubmitter({ url, entryPointAddress: ENTRYPOINT_V06 })
+
+    const error = await bundler.estimateUserOperationGas(buildUserOp()).catch(e => e)
+
+    expect(error).toBeInstanceOf(BlockchainError)
+    expect(error.message).toContain('AA21 didn\'t pay prefund')
+    expect(error.details.code).toBe(RPC_ERRORS.EXECUTION_REVERTED)
+  })
+
+  it('submits over eth_sendUserOperation and polls eth_getUserOperationReceipt', async () => {
+    const bundler = new BundlerSubmitter({ url, entryPointAddress: ENTRYPOINT_V06 })
+    const userOp = buildUserOp()
+    const userOpHash = getUserOpHash(userOp, chain.chainId)
+
+    const result = await bundler.submit(userOp, userOpHash)
+
+    expect(result).toMatchObject({ success: true, userOpHash, gasUsed: '21000', revertReason: null })
+    expect(chain.receipts.has(result.txHash)).toBe(true)
+  })
+
+  it('passes the revert reason of a failed UserOp through the receipt', async () => {
+    const bundler = new BundlerSubmitter({ url, entryPointAddress: ENTRYPOINT_V06 })
+    const userOp = buildUserOp()
+    chain.nextOutcome = { success: false, revertReason: switcherRevert('Slippage too high') }
+
+    const result = await bundler.submit(userOp, getUserOpHash(userOp, chain.chainId))
+
+    expect(result.success).toBe(false)
+    expect(result.error).toContain('Slippage too high')
+  })
+
+  it('rejects UserOps for another EntryPoint', async () => {
+    const bundler = new BundlerSubmitter({ url, entryPointAddress: '0x0000000071727De22E5E9d8BAf0edAc6f37da032' })
+
+    const error = await bundler.sendUserOperation(buildUserOp()).catch(e => e)
+
+    expect(error).toBeInstanceOf(BlockchainError)
+    expect(error.details.code).toBe(RPC_ERRORS.INVALID_PARAMS)
+  })
+
+  it('times out waiting for a receipt that never arrives', async () => {
+    const bundler = new BundlerSubmitter({ url, entryPointAddress: ENTRYPOINT_V06 })
+
+    expect(await bundler.getUserOperationReceipt(ethers.ZeroHash)).toBeNull()
+    await expect(bundler.waitForUserOperationReceipt(ethers.ZeroHash, { timeoutMs: 50, pollIntervalMs: 10 }))
+      .rejects.toThrow(`Timed out waiting for UserOp ${ethers.ZeroHash}`)
+  })
+})
+
+describe('createSubmitter', () => {
+  const { userOps } = config
+  const original = { ...userOps }
+
+  afterEach(() => Object.assign(userOps, original))
+
+  it('selects the submitter from USEROP_SUBMITTER', () => {
+    const chain = new EntryPointChain()
+
+    userOps.submitter = 'direct'
+    expect(createSubmitter({ provider: chain, entryPointAddress: ENTRYPOINT_V06 })).toBeInstanceOf(DirectSubmitter)
+
+    userOps.submitter = 'bundler'
+    userOps.bundlerUrl = 'http://localhost:4337'
+    expect(createSubmitter({ provider: chain, entryPointAddress: ENTRYPOINT_V06 })).toBeInstanceOf(BundlerSubmitter)
+  })
+
+  it('rejects a bundler without BUNDLER_URL and unknown submitters', () => {
+    userOps.submitter = 'bundler'
+    userOps.bundlerUrl = undefined
+    expect(() => createSubmitter({ entryPointAddress: ENTRYPOINT_V06 })).toThrow('BUNDLER_URL is required')
+
+    userOps.submitter = 'relayer'
+    expect(() => createSubmitter({ entryPointAddress: ENTRYPOINT_V06 })).toThrow('Unknown USEROP_SUBMITTER: relayer')
+  })
+})
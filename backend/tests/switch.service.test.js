@@ -0,0 +1,107 @@
+const markets = require('../src/config/markets')
+const switchService = require('../src/services/switch.service')
+const routeService = require('../src/services/route.service')
+const quoteService = require('../src/services/quote.service')
+const { SlippageExceededError } = require('../src/utils/errors')
+const { applySlippageHeadroom } = require('../src/utils/sizing')
+
+const USDC_COMET = markets.getMarket('USDC')
+const WETH_COMET = markets.getMarket('WETH')
+const USDC = markets.getToken('USDC')
+const WETH = markets.getToken('WETH')
+
+const flash = { address: '0x00000000000000000000000000000000000F1a54', fee: 500n, available: 10n ** 15n }
+const hop = { tokenIn: WETH, tokenOut: USDC, pool: { address: '0x0000000000000000000000000000000000005a9e', fee: 3000n } }
+
+describe('applySlippageHeadroom', () => {
+  it('adds the tolerance on top of the amount, rounding up', () => {
+    expect(applySlippageHeadroom(10000n, 50n)).toBe(10050n)
+    expect(applySlippageHeadroom(333333333333333333n, 50n)).toBe(335000000000000000n)
+    expect(applySlippageHeadroom(1000n, 0n)).toBe(1000n)
+  })
+})
+
+describe('sizeSwapSwitch', () => {
+  const repayAmount = 1000n * 10n ** 6n
+  const route = (priceImpactBps) => ({
+    flash,
+    swapPath: { hops: [hop], amountIn: 333333333333333333n, amountOut: 1000500000n, priceImpactBps, encoded: '0x' },
+    flashFee: 500000n,
+    minOutputAmount: 1000500000n,
+    minimalBorrow: 333333333333333333n,
+    candidates: { flash: [], swap: [] }
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it('borrows the minimal swap input plus the slippage headroom', async () => {
+    jest.spyOn(routeService, 'selectRoute').mockResolvedValue(route(20n))
+    const quoteExactInputPath = jest.spyOn(quoteService, 'quoteExactInputPath').mockResolvedValue(1005000000n)
+
+    const sizing = await switchService.sizeSwapSwitch(USDC_COMET, WETH_COMET, repayAmount, 50n)
+
+    expect(routeService.selectRoute).toHaveBeenCalledWith({ flashToken: USDC, flashAmount: repayAmount, swapTokenIn: WETH })
+    expect(sizing.borrowAmount).toBe(335000000000000000n)
+    // The expected output is quoted for what is actually borrowed
+    expect(quoteExactInputPath).toHaveBeenCalledWith([hop], 335000000000000000n)
+    expect(sizing).toMatchObject({
+      flashPool: flash,
+      flashFee: 500000n,
+      minimalBorrow: 333333333333333333n,
+      minOutputAmount: 1000500000n,
+      expectedOutput: 1005000000n,
+      priceImpactBps: 20n
+    })
+  })
+
+  it('refuses a swap whose price impact exceeds the tolerance', async () => {
+    jest.spyOn(routeService, 'selectRoute').mockResolvedValue(route(51n))
+    const quoteExactInputPath = jest.spyOn(quoteService, 'quoteExactInputPath')
+
+    const sizing = switchService.sizeSwapSwitch(USDC_COMET, WETH_COMET, repayAmount, 50n)
+
+    await expect(sizing).rejects.toThrow(SlippageExceededError)
+    await expect(sizing).rejects.toMatchObject({
+      details: { slippageBps: 50, priceImpactBps: 51, minimalBorrow: '333333333333333333', minOutputAmount: '1000500000' }
+    })
+    expect(quoteExactInputPath).not.toHaveBeenCalled()
+  })
+})
+
+describe('sizeSameBaseSwitch', () => {
+  const repayAmount = 1000n * 10n ** 6n
+
+  beforeEach(() => {
+    jest.spyOn(routeService, 'selectRoute').mockResolvedValue({
+      flash,
+      swapPath: null,
+      flashFee: 500000n,
+      minOutputAmount: 1000500000n,
+      minimalBorrow: 1000500000n,
+      candidates: { flash: [], swap: [] }
+    })
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it('re-borrows the flash loan plus its fee without a swap', async () => {
+    const sizing = await switchService.sizeSameBaseSwitch(USDC_COMET, repayAmount, false)
+
+    expect(routeService.selectRoute).toHaveBeenCalledWith({ flashToken: USDC, flashAmount: repayAmount })
+    expect(sizing).toMatchObject({
+      flashPool: flash,
+      swapPath: null,
+      borrowAmount: 1000500000n,
+      expectedOutput: 1000500000n,
+      priceImpactBps: 0n
+    })
+  })
+
+  it('lets a full switch borrow for the interest accrued until it lands', async () => {
+    const sizing = await switchService.sizeSameBaseSwitch(USDC_COMET, repayAmount, true)
+
+    // 1 bp of headroom, rounded up
+    expect(sizing.borrowAmount).toBe(1000600050n)
+    expect(sizing.minimalBorrow).toBe(1000500000n)
+  })
+})
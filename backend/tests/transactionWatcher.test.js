@@ -0,0 +1,135 @@
+const { ethers } = require('ethers')
+const mongoose = require('mongoose')
+const config = require('../src/config')
+const erc4337Service = require('../src/services/erc4337.service')
+const notificationService = require('../src/services/notification.service')
+const realtimeService = require('../src/services/realtime.service')
+const Transaction = require('../src/models/Transaction')
+const transactionWatcher = require('../src/workers/transactionWatcher')
+const { DirectSubmitter } = require('../src/services/submitters')
+const { ENTRYPOINT_V06, EntryPointChain, getUserOpHash } = require('./helpers/entryPointChain')
+
+const buildUserOp = (nonce) => ({
+  sender: '0x1111111111111111111111111111111111111111',
+  nonce,
+  initCode: '0x',
+  callData: '0xb61d27f6',
+  callGasLimit: 1000000n,
+  verificationGasLimit: 500000n,
+  preVerificationGas: 60000n,
+  maxFeePerGas: 30000000000n,
+  maxPriorityFeePerGas: 1000000000n,
+  paymasterAndData: '0x',
+  signature: '0x' + '11'.repeat(65)
+})
+
+// PENDING record as the controllers persist it right after submission (never written to MongoDB here)
+const pendingTransaction = (userOpHash, fields = {}) => {
+  const tx = new Transaction({ user: new mongoose.Types.ObjectId(), type: 'SWITCH', userOpHash, ...fields })
+  jest.spyOn(tx, 'save').mockResolvedValue(tx)
+  return tx
+}
+
+describe('TransactionWatcher', () => {
+  const originalSubmitter = erc4337Service.submitter
+  let chain
+  let submitter
+
+  beforeEach(() => {
+    chain = new EntryPointChain()
+    submitter = new DirectSubmitter({ provider: chain, entryPointAddress: ENTRYPOINT_V06, executorWallet: chain.executor })
+    erc4337Service.submitter = submitter
+
+    jest.spyOn(notificationService, 'notifyTransaction').mockResolvedValue()
+    jest.spyOn(realtimeService, 'publishTransaction').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    erc4337Service.submitter = originalSubmitter
+    jest.restoreAllMocks()
+  })
+
+  // Send a UserOp and return its hash, without waiting on the receipt (like the bundler path)
+  const send = async (nonce, outcome) => {
+    const userOp = buildUserOp(nonce)
+    const userOpHash = getUserOpHash(userOp, chain.chainId)
+    if (outcome) chain.nextOutcome = outcome
+    await submitter.sendUserOperation(userOp, userOpHash)
+    return userOpHash
+  }
+
+  it('settles a successful UserOp from its receipt', async () => {
+    const tx = pendingTransaction(await send(1n))
+
+    await transactionWatcher.checkTransaction(tx)
+
+    expect(tx.status).toBe('SUCCESS')
+    expect(tx.txHash).toMatch(/^0x[0-9a-f]{64}$/)
+    expect(tx.blockNumber).toBe(chain.blockNumber)
+    expect(tx.gasUsed).toBe('21000')
+    expect(tx.gasCost).toBe((21000n * 30000000000n).toString())
+    expect(tx.confirmedAt).toBeInstanceOf(Date)
+    expect(tx.error).toBeUndefined()
+    expect(tx.save).toHaveBeenCalled()
+    expect(realtimeService.publishTransaction).toHaveBeenCalledWith(tx)
+    expect(notificationService.notifyTransaction).toHaveBeenCalledWith(tx)
+  })
+
+  it('records the decoded revert reason of a failed UserOp', async () => {
+    const revertReason = new ethers.Interface(['error Error(string)']).encodeErrorResult('Error', ['Insufficient swap output'])
+    const tx = pendingTransaction(await send(2n, { success: false, revertReason }))
+
+    await transactionWatcher.checkTransaction(tx)
+
+    expect(tx.status).toBe('FAILED')
+    expect(tx.error).toContain('Insufficient swap output')
+    expect(tx.metadata.revert.data).toBe(revertReason)
+    expect(tx.confirmedAt).toBeInstanceOf(Date)
+    expect(notificationService.notifyTransaction).toHaveBeenCalledWith(tx)
+  })
+
+  it('leaves a UserOp without a receipt PENDING until it times out', async () => {
+    const recent = pendingTransaction(ethers.ZeroHash)
+    await transactionWatcher.checkTransaction(recent)
+
+    expect(recent.status).toBe('PENDING')
+    expect(recent.save).not.toHaveBeenCalled()
+    expect(notificationService.notifyTransaction).not.toHaveBeenCalled()
+
+    const stale = pendingTransaction(ethers.ZeroHash, { createdAt: new Date(Date.now() - config.transactions.pendingTimeoutMs - 1000) })
+    await transactionWatcher.checkTransaction(stale)
+
+    expect(stale.status).toBe('FAILED')
+    expect(stale.error).toMatch(/Timed out/)
+    expect(stale.save).toHaveBeenCalled()
+    expect(notificationService.notifyTransaction).toHaveBeenCalledWith(stale)
+  })
+
+  it('checks every PENDING record of a pass, even after one fails', async () => {
+    const broken = pendingTransaction(ethers.ZeroHash)
+    const settled = pendingTransaction(await send(3n))
+    jest.spyOn(submitter, 'getUserOperationReceipt').mockRejectedValueOnce(new Error('rpc down'))
+
+    const limit = jest.fn().mockResolvedValue([broken, settled])
+    jest.spyOn(Transaction, 'find').mockReturnValue({ sort: () => ({ limit }) })
+
+    await transactionWatcher.tick()
+
+    expect(Transaction.find).toHaveBeenCalledWith({ status: 'PENDING', userOpHash: { $exists: true, $ne: null } })
+    expect(broken.status).toBe('PENDING')
+    expect(settled.status).toBe('SUCCESS')
+  })
+
+  it('skips a pass while the previous one is still running', async () => {
+    let release
+    const limit = jest.fn(() => new Promise(resolve => { release = resolve }))
+    jest.spyOn(Transaction, 'find').mockReturnValue({ sort: () => ({ limit }) })
+
+    const first = transactionWatcher.tick()
+    await transactionWatcher.tick()
+    release([])
+    await first
+
+    expect(Transaction.find).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,115 @@
+// Owner UserOps are sponsored by the deployment's paymaster
+process.env.PAYMASTER_V06_ADDRESS = '0x2222222222222222222222222222222222222222'
+
+const { ethers } = require('ethers')
+const config = require('../src/config')
+const erc4337Service = require('../src/services/erc4337.service')
+const { DirectSubmitter } = require('../src/services/submitters')
+const { ENTRYPOINT_V06, EntryPointChain, getUserOpHash } = require('./helpers/entryPointChain')
+
+const ACCOUNT = '0x1111111111111111111111111111111111111111'
+const BASE_FEE = ethers.parseUnits('10', 'gwei')
+const PRIORITY_FEE = ethers.parseUnits('2', 'gwei')
+
+// Estimated limit plus the configured safety margin
+const withMargin = (gas) => (gas * (10000n + BigInt(config.userOps.gasMarginBps))) / 10000n
+
+describe('UserOp gas and fee estimation', () => {
+  const original = {
+    provider: erc4337Service.provider,
+    entryPoint: erc4337Service.entryPoint,
+    submitter: erc4337Service.submitter
+  }
+  let chain
+
+  beforeEach(() => {
+    // Not mainnet - the UserOp hash must use the provider's chain ID
+    chain = new EntryPointChain({ chainId: 8453n })
+    chain.getBlock = jest.fn(async () => ({ baseFeePerGas: BASE_FEE }))
+    chain.send = jest.fn(async (method) => {
+      if (method === 'eth_maxPriorityFeePerGas') return ethers.toQuantity(PRIORITY_FEE)
+      throw new Error(`unexpected ${method}`)
+    })
+
+    erc4337Service.provider = chain
+    erc4337Service.entryPoint = { getNonce: jest.fn(async () => 3n) }
+    erc4337Service.submitter = new DirectSubmitter({ provider: chain, entryPointAddress: ENTRYPOINT_V06 })
+    erc4337Service.chainIdPromise = null
+  })
+
+  afterEach(() => {
+    Object.assign(erc4337Service, original)
+    erc4337Service.chainIdPromise = null
+  })
+
+  it('derives fees from the latest base fee and the node\'s priority fee', async () => {
+    expect(await erc4337Service.getUserOpFees()).toEqual({
+      maxFeePerGas: BASE_FEE * BigInt(config.userOps.baseFeeMultiplier) + PRIORITY_FEE,
+      maxPriorityFeePerGas: PRIORITY_FEE
+    })
+  })
+
+  it('falls back to the configured priority fee when the node has no eth_maxPriorityFeePerGas', async () => {
+    chain.send.mockRejectedValue(new Error('method not found'))
+
+    const fees = await erc4337Service.getUserOpFees()
+
+    expect(fees.maxPriorityFeePerGas).toBe(config.userOps.fallbackPriorityFeeWei)
+    expect(fees.maxFeePerGas).toBe(BASE_FEE * BigInt(config.userOps.baseFeeMultiplier) + config.userOps.fallbackPriorityFeeWei)
+  })
+
+  it('pads the simulated gas limits by the safety margin', async () => {
+    const estimate = jest.spyOn(erc4337Service.submitter, 'estimateUserOperationGas')
+
+    const prepared = await erc4337Service.prepareUserOp({
+      sender: ACCOUNT,
+      nonce: 0n,
+      initCode: '0x',
+      callData: '0xb61d27f6',
+      paymasterAndData: '0x'
+    })
+
+    // Estimated with a dummy signature, the current fees and generous upper bounds
+    const [estimatedOp] = estimate.mock.calls[0]
+    expect(ethers.dataLength(estimatedOp.signature)).toBe(65)
+    expect(estimatedOp.maxFeePerGas).toBe(prepared.maxFeePerGas)
+    expect(estimatedOp.callGasLimit).toBeGreaterThan(chain.callGas)
+
+    const { callGasLimit, verificationGasLimit, preVerificationGas } = await estimate.mock.results[0].value
+    expect(prepared.callGasLimit).toBe(withMargin(callGasLimit))
+    expect(prepared.verificationGasLimit).toBe(withMargin(verificationGasLimit))
+    expect(prepared.preVerificationGas).toBe(withMargin(preVerificationGas))
+    expect(prepared.signature).toBeUndefined()
+  })
+
+  it('scales the call gas with the operation instead of a fixed limit', async () => {
+    const userOp = { sender: ACCOUNT, nonce: 0n, initCode: '0x', callData: '0xb61d27f6', paymasterAndData: '0x' }
+
+    chain.callGas = 60000n
+    const supply = await erc4337Service.prepareUserOp(userOp)
+    chain.callGas = 2500000n
+    const switchOp = await erc4337Service.prepareUserOp(userOp)
+
+    expect(supply.callGasLimit).toBe(withMargin(60000n))
+    expect(switchOp.callGasLimit).toBe(withMargin(2500000n))
+  })
+
+  it('hashes owner UserOps with the provider\'s chain ID', async () => {
+    const { userOp, userOpHash } = await erc4337Service.buildOwnerUserOp(ACCOUNT, '0xb61d27f6')
+
+    const prepared = Object.fromEntries(Object.entries(userOp).map(([key, value]) =>
+      [key, /^\d+$/.test(value) ? BigInt(value) : value]
+    ))
+    expect(userOpHash).toBe(getUserOpHash(prepared, 8453n))
+    expect(userOp.nonce).toBe('3')
+  })
+
+  it('reads the chain ID once, and again after a failed read', async () => {
+    const getNetwork = jest.spyOn(chain, 'getNetwork').mockRejectedValueOnce(new Error('connection refused'))
+
+    await expect(erc4337Service.getChainId()).rejects.toThrow('connection refused')
+    expect(await erc4337Service.getChainId()).toBe(8453n)
+    expect(await erc4337Service.getChainId()).toBe(8453n)
+    expect(getNetwork).toHaveBeenCalledTimes(2)
+  })
+})
@@ -6,8 +6,8 @@ import "forge-std/console.sol";
 import "../src/CompoundV3CrossCometSwitcher.sol";
 
 contract DeploySwitcher is Script {
-    address constant FLASH_POOL = 0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640;
-    address constant SWAP_POOL = 0x7BeA39867e4169DBe237d55C8242a8f2fcDcc387;
+    // Flash loan and swap pools are chosen per call among this factory's pools
+    address constant UNISWAP_V3_FACTORY = 0x1F98431c8aD98523631AE4a59f267346ea31F984;
 
     function run() external {
         uint256 deployerPrivateKey = vm.envUint("DEPLOYER_PRIVATE_KEY");
@@ -17,7 +17,7 @@ contract DeploySwitcher is Script {
         console.log("Deployer:", deployer);
 
         vm.startBroadcast(deployerPrivateKey);
-        CompoundV3CrossCometSwitcher switcher = new CompoundV3CrossCometSwitcher(FLASH_POOL, SWAP_POOL);
+        CompoundV3CrossCometSwitcher switcher = new CompoundV3CrossCometSwitcher(UNISWAP_V3_FACTORY);
         vm.stopBroadcast();
 
         console.log("Switcher deployed at:", address(switcher));
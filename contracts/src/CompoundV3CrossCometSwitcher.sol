@@ -2,6 +2,7 @@
 pragma solidity ^0.8.23;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 
 interface IComet {
@@ -33,19 +34,121 @@ interface IUniswapV3Pool {
 
     function token0() external view returns (address);
     function token1() external view returns (address);
+    function fee() external view returns (uint24);
+}
+
+interface IUniswapV3Factory {
+    function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address);
+}
+
+// Aave V3 Pool reserve data (the fields migrations read are the token addresses)
+struct AaveReserveData {
+    uint256 configuration;
+    uint128 liquidityIndex;
+    uint128 currentLiquidityRate;
+    uint128 variableBorrowIndex;
+    uint128 currentVariableBorrowRate;
+    uint128 currentStableBorrowRate;
+    uint40 lastUpdateTimestamp;
+    uint16 id;
+    address aTokenAddress;
+    address stableDebtTokenAddress;
+    address variableDebtTokenAddress;
+    address interestRateStrategyAddress;
+    uint128 accruedToTreasury;
+    uint128 unbacked;
+    uint128 isolationModeTotalDebt;
+}
+
+interface IAavePool {
+    function supply(address asset, uint256 amount, address onBehalfOf, uint16 referralCode) external;
+    function withdraw(address asset, uint256 amount, address to) external returns (uint256);
+    function borrow(address asset, uint256 amount, uint256 interestRateMode, uint16 referralCode, address onBehalfOf) external;
+    function repay(address asset, uint256 amount, uint256 interestRateMode, address onBehalfOf) external returns (uint256);
+    function getReserveData(address asset) external view returns (AaveReserveData memory);
 }
 
 /**
  * @title CompoundV3CrossCometSwitcher
- * @notice Enables atomic collateral switching between different Compound V3 Comets
- * @dev Uses Uniswap V3 flash loans and direct pool swaps
+ * @notice Enables atomic collateral switching between different Compound V3 Comets,
+ *         and migration of a position between a Comet and Aave V3
+ * @dev Uses Uniswap V3 flash loans and direct pool swaps. Every collateral asset of a
+ *      position moves in the same flash loan, so the switch is all-or-nothing. A switch
+ *      can move part of a position by repaying only part of the source debt.
+ *
+ *      The caller picks the flash loan pool and the swap path for each call (any fee
+ *      tier). The swap path is Uniswap-encoded (tokenIn, fee, token, fee, ..., tokenOut)
+ *      and may hop through intermediate tokens when the pair has no deep direct pool.
+ *      Every pool must be a pool of the Uniswap V3 factory, and no swap hop may go
+ *      through the flash loan pool, since a pool is locked for the duration of its own
+ *      flash loan.
+ *
+ *      Comets that share a base token switch through switchCollateralSameBase: the debt
+ *      is re-borrowed in the same token, so nothing is swapped.
+ *
+ *      Migrations need the user to let this contract act on both sides: Comet allow()
+ *      for the Comet, variable debt credit delegation (approveDelegation) to borrow on
+ *      Aave, and an aToken approval to withdraw Aave collateral.
  */
 contract CompoundV3CrossCometSwitcher is Ownable {
-    // Uniswap V3 Pool for flash loans (Compound WETH/USDC 0.3%)
-    address public immutable flashLoanPool;
+    // Every token move goes through SafeERC20: debt, collateral and swap tokens may not
+    // return a bool (e.g. USDT) or may require a zero allowance before a new approval
+    using SafeERC20 for IERC20;
+
+    // What a flash loan is taken for (the callback dispatches on it)
+    enum Operation {
+        SWITCH,
+        COMET_TO_AAVE,
+        AAVE_TO_COMET,
+        SAME_BASE_SWITCH
+    }
+
+    // Switch parameters passed through the flash loan callback (for a same-base switch
+    // borrowAmount is the most the target Comet may lend, and minOutputAmount and
+    // swapPath are unused)
+    struct SwitchParams {
+        address user;
+        address sourceComet;
+        address targetComet;
+        address[] collateralAssets;
+        uint256[] collateralAmounts;
+        address sourceBaseToken;
+        address targetBaseToken;
+        uint256 repayAmount;
+        uint256 borrowAmount;
+        uint256 minOutputAmount;
+        bytes swapPath;
+    }
+
+    // Migration parameters passed through the flash loan callback (either direction)
+    struct MigrationParams {
+        address user;
+        address comet;
+        address aavePool;
+        address[] collateralAssets;
+        uint256[] collateralAmounts;
+        address sourceDebtToken;
+        address targetDebtToken;
+        uint256 repayAmount;
+        uint256 borrowAmount;
+        uint256 minOutputAmount;
+        bytes swapPath;
+    }
+
+    // Aave V3 Ethereum only offers variable rate borrowing
+    uint256 private constant VARIABLE_RATE_MODE = 2;
+
+    // Uniswap swap path encoding: token (20 bytes), then fee (3 bytes) + token (20 bytes) per hop
+    uint256 private constant PATH_ADDR_SIZE = 20;
+    uint256 private constant PATH_HOP_SIZE = 23;
 
-    // Separate pool for swaps (can be same as flash loan pool)
-    address public immutable swapPool;
+    // Uniswap V3 factory - flash loan and swap pools passed per call must be its pools
+    address public immutable uniswapV3Factory;
+
+    // Pools of the operation in progress: the flash loan pool for the duration of the
+    // flash loan, the swap pool for the duration of each swap hop
+    address private _flashPool;
+    address private _swapPool;
 
     // Authorization mapping
     mapping(address => bool) public authorizedCallers;
@@ -60,16 +163,25 @@ contract CompoundV3CrossCometSwitcher is Ownable {
         address indexed user,
         address sourceComet,
         address targetComet,
-        address collateralAsset,
-        uint256 collateralAmount,
+        address[] collateralAssets,
+        uint256[] collateralAmounts,
+        uint256 flashLoanAmount
+    );
+
+    event PositionMigrated(
+        address indexed user,
+        Operation operation,
+        address comet,
+        address aavePool,
+        address[] collateralAssets,
+        uint256[] collateralAmounts,
         uint256 flashLoanAmount
     );
 
     event CallerAuthorized(address indexed caller, bool authorized);
 
-    constructor(address _flashLoanPool, address _swapPool) Ownable(msg.sender) {
-        flashLoanPool = _flashLoanPool;
-        swapPool = _swapPool;
+    constructor(address _uniswapV3Factory) Ownable(msg.sender) {
+        uniswapV3Factory = _uniswapV3Factory;
         _status = NOT_ENTERED;
     }
 
@@ -90,60 +202,332 @@ contract CompoundV3CrossCometSwitcher is Ownable {
 
     /**
      * @notice Switch collateral from one Comet to another atomically
-     * @param user The user whose position to switch
+     * @param user The user whose position to switch (must be the caller)
      * @param sourceComet The Comet to withdraw collateral from
      * @param targetComet The Comet to supply collateral to
-     * @param collateralAsset The collateral asset to switch
-     * @param collateralAmount The amount of collateral to switch
+     * @param collateralAssets The collateral assets to switch (each must be accepted by both Comets)
+     * @param collateralAmounts The amount of each collateral asset to switch
+     * @param debtAmount Amount of source debt to repay and move (type(uint256).max moves all of it)
      * @param borrowAmount Amount of target token to borrow (caller must estimate based on prices)
      * @param minOutputAmount Minimum amount of source token to receive from swap (slippage protection)
+     * @param flashPool Uniswap V3 pool to flash-loan the source token from
+     * @param swapPath Uniswap path from the target token to the source token (one or more hops)
      */
     function switchCollateral(
         address user,
         address sourceComet,
         address targetComet,
-        address collateralAsset,
-        uint256 collateralAmount,
+        address[] calldata collateralAssets,
+        uint256[] calldata collateralAmounts,
+        uint256 debtAmount,
         uint256 borrowAmount,
-        uint256 minOutputAmount
+        uint256 minOutputAmount,
+        address flashPool,
+        bytes calldata swapPath
     ) external nonReentrant {
-        require(authorizedCallers[msg.sender] || msg.sender == owner(), "Not authorized");
-        require(user != address(0), "Invalid user");
-        require(sourceComet != targetComet, "Same Comet");
+        _validateSwitch(user, sourceComet, targetComet, collateralAssets, collateralAmounts);
 
         // Get base tokens and debt
         address sourceBaseToken = IComet(sourceComet).baseToken();
         address targetBaseToken = IComet(targetComet).baseToken();
-        uint256 userDebt = IComet(sourceComet).borrowBalanceOf(user);
+        uint256 repayAmount = _resolveRepayAmount(IComet(sourceComet).borrowBalanceOf(user), debtAmount);
+
+        require(sourceBaseToken != targetBaseToken, "Same base token - use switchCollateralSameBase");
+
+        // Flash loan the source base token to repay debt
+        require(swapPath.length > 0, "No swap path");
+        _flash(flashPool, swapPath, sourceBaseToken, repayAmount, Operation.SWITCH, abi.encode(SwitchParams({
+            user: user,
+            sourceComet: sourceComet,
+            targetComet: targetComet,
+            collateralAssets: collateralAssets,
+            collateralAmounts: collateralAmounts,
+            sourceBaseToken: sourceBaseToken,
+            targetBaseToken: targetBaseToken,
+            repayAmount: repayAmount,
+            borrowAmount: borrowAmount,
+            minOutputAmount: minOutputAmount,
+            swapPath: swapPath
+        })));
+
+        emit CollateralSwitched(user, sourceComet, targetComet, collateralAssets, collateralAmounts, repayAmount);
+    }
 
+    /**
+     * @notice Switch collateral between two Comets that share a base token atomically
+     * @dev No swap: the target Comet lends exactly the flash loan plus its fee, which
+     *      becomes the user's target debt
+     * @param user The user whose position to switch (must be the caller)
+     * @param sourceComet The Comet to withdraw collateral from
+     * @param targetComet The Comet to supply collateral to (same base token as sourceComet)
+     * @param collateralAssets The collateral assets to switch (each must be accepted by both Comets)
+     * @param collateralAmounts The amount of each collateral asset to switch
+     * @param debtAmount Amount of source debt to repay and move (type(uint256).max moves all of it)
+     * @param maxBorrowAmount Most the target Comet may lend (caller sizes it from the flash loan fee)
+     * @param flashPool Uniswap V3 pool to flash-loan the base token from
+     */
+    function switchCollateralSameBase(
+        address user,
+        address sourceComet,
+        address targetComet,
+        address[] calldata collateralAssets,
+        uint256[] calldata collateralAmounts,
+        uint256 debtAmount,
+        uint256 maxBorrowAmount,
+        address flashPool
+    ) external nonReentrant {
+        _validateSwitch(user, sourceComet, targetComet, collateralAssets, collateralAmounts);
+
+        address baseToken = IComet(sourceComet).baseToken();
+        require(IComet(targetComet).baseToken() == baseToken, "Base tokens differ - use switchCollateral");
+        uint256 repayAmount = _resolveRepayAmount(IComet(sourceComet).borrowBalanceOf(user), debtAmount);
+
+        _flash(flashPool, "", baseToken, repayAmount, Operation.SAME_BASE_SWITCH, abi.encode(SwitchParams({
+            user: user,
+            sourceComet: sourceComet,
+            targetComet: targetComet,
+            collateralAssets: collateralAssets,
+            collateralAmounts: collateralAmounts,
+            sourceBaseToken: baseToken,
+            targetBaseToken: baseToken,
+            repayAmount: repayAmount,
+            borrowAmount: maxBorrowAmount,
+            minOutputAmount: 0,
+            swapPath: ""
+        })));
+
+        emit CollateralSwitched(user, sourceComet, targetComet, collateralAssets, collateralAmounts, repayAmount);
+    }
+
+    /**
+     * @notice Migrate a Comet position to Aave V3 atomically
+     * @dev The user must have allowed this contract on the Comet and delegated at least
+     *      borrowAmount of targetDebtToken variable debt to it on Aave
+     * @param user The user whose position to migrate (must be the caller)
+     * @param comet The Comet to repay and withdraw collateral from
+     * @param aavePool The Aave V3 Pool to supply collateral to and borrow from
+     * @param collateralAssets The collateral assets to move (each must be listed on Aave)
+     * @param collateralAmounts The amount of each collateral asset to move
+     * @param targetDebtToken Asset to borrow on Aave (the Comet base token, or another asset swapped into it)
+     * @param debtAmount Amount of Comet debt to repay (type(uint256).max repays all of it)
+     * @param borrowAmount Amount of targetDebtToken to borrow on Aave (caller sizes it from prices)
+     * @param minOutputAmount Minimum Comet base token from the swap (ignored when nothing is swapped)
+     * @param flashPool Uniswap V3 pool to flash-loan the Comet base token from
+     * @param swapPath Uniswap path from the borrowed token to the flash-loaned token (empty when the debt asset doesn't change)
+     */
+    function migrateCometToAave(
+        address user,
+        address comet,
+        address aavePool,
+        address[] calldata collateralAssets,
+        uint256[] calldata collateralAmounts,
+        address targetDebtToken,
+        uint256 debtAmount,
+        uint256 borrowAmount,
+        uint256 minOutputAmount,
+        address flashPool,
+        bytes calldata swapPath
+    ) external nonReentrant {
+        _validateMigration(user, collateralAssets, collateralAmounts);
+
+        address sourceDebtToken = IComet(comet).baseToken();
+        uint256 repayAmount = _resolveRepayAmount(IComet(comet).borrowBalanceOf(user), debtAmount);
+
+        _flash(flashPool, swapPath, sourceDebtToken, repayAmount, Operation.COMET_TO_AAVE, abi.encode(MigrationParams({
+            user: user,
+            comet: comet,
+            aavePool: aavePool,
+            collateralAssets: collateralAssets,
+            collateralAmounts: collateralAmounts,
+            sourceDebtToken: sourceDebtToken,
+            targetDebtToken: targetDebtToken,
+            repayAmount: repayAmount,
+            borrowAmount: borrowAmount,
+            minOutputAmount: minOutputAmount,
+            swapPath: swapPath
+        })));
+
+        emit PositionMigrated(user, Operation.COMET_TO_AAVE, comet, aavePool, collateralAssets, collateralAmounts, repayAmount);
+    }
+
+    /**
+     * @notice Migrate an Aave V3 position to a Comet atomically
+     * @dev The user must have allowed this contract on the Comet and approved it to
+     *      transfer the collateral aTokens
+     * @param user The user whose position to migrate (must be the caller)
+     * @param aavePool The Aave V3 Pool to repay and withdraw collateral from
+     * @param sourceDebtToken The Aave variable debt asset to repay
+     * @param comet The Comet to supply collateral to and borrow from
+     * @param collateralAssets The collateral assets to move (each must be accepted by the Comet)
+     * @param collateralAmounts The amount of each collateral asset to move (type(uint256).max moves
+     *        the aToken balance, capped at the approval so accrued interest doesn't revert)
+     * @param debtAmount Amount of Aave debt to repay (type(uint256).max repays all of it)
+     * @param borrowAmount Amount of the Comet base token to borrow (caller sizes it from prices)
+     * @param minOutputAmount Minimum sourceDebtToken from the swap (ignored when nothing is swapped)
+     * @param flashPool Uniswap V3 pool to flash-loan the Aave debt asset from
+     * @param swapPath Uniswap path from the borrowed token to the flash-loaned token (empty when the debt asset doesn't change)
+     */
+    function migrateAaveToComet(
+        address user,
+        address aavePool,
+        address sourceDebtToken,
+        address comet,
+        address[] calldata collateralAssets,
+        uint256[] calldata collateralAmounts,
+        uint256 debtAmount,
+        uint256 borrowAmount,
+        uint256 minOutputAmount,
+        address flashPool,
+        bytes calldata swapPath
+    ) external nonReentrant {
+        _validateMigration(user, collateralAssets, collateralAmounts);
+
+        address variableDebtToken = IAavePool(aavePool).getReserveData(sourceDebtToken).variableDebtTokenAddress;
+        require(variableDebtToken != address(0), "Unknown Aave reserve");
+        uint256 repayAmount = _resolveRepayAmount(IERC20(variableDebtToken).balanceOf(user), debtAmount);
+
+        _flash(flashPool, swapPath, sourceDebtToken, repayAmount, Operation.AAVE_TO_COMET, abi.encode(MigrationParams({
+            user: user,
+            comet: comet,
+            aavePool: aavePool,
+            collateralAssets: collateralAssets,
+            collateralAmounts: collateralAmounts,
+            sourceDebtToken: sourceDebtToken,
+            targetDebtToken: IComet(comet).baseToken(),
+            repayAmount: repayAmount,
+            borrowAmount: borrowAmount,
+            minOutputAmount: minOutputAmount,
+            swapPath: swapPath
+        })));
+
+        emit PositionMigrated(user, Operation.AAVE_TO_COMET, comet, aavePool, collateralAssets, collateralAmounts, repayAmount);
+    }
+
+    function _validateSwitch(
+        address user,
+        address sourceComet,
+        address targetComet,
+        address[] calldata collateralAssets,
+        uint256[] calldata collateralAmounts
+    ) internal view {
+        require(authorizedCallers[msg.sender] || msg.sender == owner(), "Not authorized");
+        // The flash loan pool and swap path are caller-supplied, so only the position
+        // owner may route its own debt through them
+        require(user == msg.sender, "Caller must be the position owner");
+        require(user != address(0), "Invalid user");
+        require(sourceComet != targetComet, "Same Comet");
+        require(collateralAssets.length > 0, "No collateral");
+        require(collateralAssets.length == collateralAmounts.length, "Collateral length mismatch");
+    }
+
+    function _validateMigration(
+        address user,
+        address[] calldata collateralAssets,
+        uint256[] calldata collateralAmounts
+    ) internal view {
+        require(authorizedCallers[msg.sender] || msg.sender == owner(), "Not authorized");
+        // Credit delegation and aToken approvals are granted to this contract, not to a
+        // caller - only the position owner may spend its own
+        require(user == msg.sender, "Caller must be the position owner");
+        require(user != address(0), "Invalid user");
+        require(collateralAssets.length > 0, "No collateral");
+        require(collateralAssets.length == collateralAmounts.length, "Collateral length mismatch");
+    }
+
+    /**
+     * @notice Debt to repay: all of it as of this block (interest accrues until inclusion) or part of it
+     */
+    function _resolveRepayAmount(uint256 userDebt, uint256 debtAmount) internal pure returns (uint256 repayAmount) {
         require(userDebt > 0, "No debt to repay");
-        require(sourceBaseToken != targetBaseToken, "Same base token - use simple switcher");
-
-        // Prepare flash loan data
-        bytes memory data = abi.encode(
-            user,
-            sourceComet,
-            targetComet,
-            collateralAsset,
-            collateralAmount,
-            sourceBaseToken,
-            targetBaseToken,
-            userDebt,
-            borrowAmount,
-            minOutputAmount
-        );
+
+        repayAmount = debtAmount == type(uint256).max ? userDebt : debtAmount;
+        require(repayAmount > 0, "No debt amount");
+        require(repayAmount <= userDebt, "Debt amount exceeds debt");
+    }
+
+    /**
+     * @notice Flash loan `amount` of `token` from `flashPool` for an operation that swaps
+     *         along `swapPath` (empty if it doesn't swap)
+     */
+    function _flash(
+        address flashPool,
+        bytes memory swapPath,
+        address token,
+        uint256 amount,
+        Operation operation,
+        bytes memory params
+    ) internal {
+        _verifyPool(flashPool);
+        if (swapPath.length > 0) {
+            uint256 hops = _hopCount(swapPath);
+            for (uint256 i = 0; i < hops; i++) {
+                require(_hopPool(swapPath, i) != flashPool, "Flash and swap pool must differ");
+            }
+        }
 
         // Determine which token is token0 and token1 in the pool
-        address token0 = IUniswapV3Pool(flashLoanPool).token0();
-        address token1 = IUniswapV3Pool(flashLoanPool).token1();
+        address token0 = IUniswapV3Pool(flashPool).token0();
+        address token1 = IUniswapV3Pool(flashPool).token1();
+        require(token == token0 || token == token1, "Flash pool does not lend token");
 
-        // Flash loan the source base token to repay debt
-        uint256 amount0 = (sourceBaseToken == token0) ? userDebt : 0;
-        uint256 amount1 = (sourceBaseToken == token1) ? userDebt : 0;
+        uint256 amount0 = (token == token0) ? amount : 0;
+        uint256 amount1 = (token == token1) ? amount : 0;
+
+        // The flash callback is only accepted from this pool while the flash loan runs
+        _flashPool = flashPool;
+
+        IUniswapV3Pool(flashPool).flash(address(this), amount0, amount1, abi.encode(operation, params));
+
+        _flashPool = address(0);
+    }
+
+    /**
+     * @notice A pool passed by the caller must be the factory's pool for its tokens and fee
+     */
+    function _verifyPool(address pool) internal view {
+        require(pool.code.length > 0, "Not a Uniswap V3 pool");
+        IUniswapV3Pool uniswapPool = IUniswapV3Pool(pool);
+        require(
+            IUniswapV3Factory(uniswapV3Factory).getPool(uniswapPool.token0(), uniswapPool.token1(), uniswapPool.fee()) == pool,
+            "Not a Uniswap V3 pool"
+        );
+    }
+
+    /**
+     * @notice Number of hops in a swap path
+     */
+    function _hopCount(bytes memory path) internal pure returns (uint256) {
+        require(
+            path.length >= PATH_ADDR_SIZE + PATH_HOP_SIZE && (path.length - PATH_ADDR_SIZE) % PATH_HOP_SIZE == 0,
+            "Invalid swap path"
+        );
+        return (path.length - PATH_ADDR_SIZE) / PATH_HOP_SIZE;
+    }
 
-        IUniswapV3Pool(flashLoanPool).flash(address(this), amount0, amount1, data);
+    /**
+     * @notice Tokens and fee of hop `hop` of a swap path
+     */
+    function _decodeHop(bytes memory path, uint256 hop)
+        internal
+        pure
+        returns (address tokenIn, uint24 fee, address tokenOut)
+    {
+        uint256 offset = hop * PATH_HOP_SIZE;
+        assembly {
+            let start := add(add(path, 32), offset)
+            tokenIn := shr(96, mload(start))
+            fee := shr(232, mload(add(start, 20)))
+            tokenOut := shr(96, mload(add(start, 23)))
+        }
+    }
 
-        emit CollateralSwitched(user, sourceComet, targetComet, collateralAsset, collateralAmount, userDebt);
+    /**
+     * @notice Factory pool of hop `hop` of a swap path (reverts if the factory has none)
+     */
+    function _hopPool(bytes memory path, uint256 hop) internal view returns (address pool) {
+        (address tokenIn, uint24 fee, address tokenOut) = _decodeHop(path, hop);
+        pool = IUniswapV3Factory(uniswapV3Factory).getPool(tokenIn, tokenOut, fee);
+        require(pool != address(0), "Not a Uniswap V3 pool");
     }
 
     /**
@@ -154,64 +538,184 @@ contract CompoundV3CrossCometSwitcher is Ownable {
         uint256 fee1,
         bytes calldata data
     ) external {
-        require(msg.sender == flashLoanPool, "Invalid callback caller");
+        require(msg.sender == _flashPool, "Invalid callback caller");
         require(_status == ENTERED, "Not in nonReentrant");
 
         // Decode callback data
-        (
-            address user,
-            address sourceComet,
-            address targetComet,
-            address collateralAsset,
-            uint256 collateralAmount,
-            address sourceBaseToken,
-            address targetBaseToken,
-            uint256 userDebt,
-            uint256 borrowAmount,
-            uint256 minOutputAmount
-        ) = abi.decode(data, (address, address, address, address, uint256, address, address, uint256, uint256, uint256));
+        (Operation operation, bytes memory params) = abi.decode(data, (Operation, bytes));
 
         // Calculate flash loan fee
         uint256 flashLoanFee = fee0 + fee1;
-        uint256 totalRepayment = userDebt + flashLoanFee;
 
-        // STEP 1: Repay user's debt in source Comet
-        IERC20(sourceBaseToken).approve(sourceComet, userDebt);
-        IComet(sourceComet).supplyTo(user, sourceBaseToken, userDebt);
+        if (operation == Operation.SWITCH) {
+            _switch(abi.decode(params, (SwitchParams)), flashLoanFee);
+        } else if (operation == Operation.SAME_BASE_SWITCH) {
+            _switchSameBase(abi.decode(params, (SwitchParams)), flashLoanFee);
+        } else if (operation == Operation.COMET_TO_AAVE) {
+            _migrateCometToAave(abi.decode(params, (MigrationParams)), flashLoanFee);
+        } else {
+            _migrateAaveToComet(abi.decode(params, (MigrationParams)), flashLoanFee);
+        }
+    }
 
-        // STEP 2: Withdraw collateral from source Comet
-        IComet(sourceComet).withdrawFrom(user, address(this), collateralAsset, collateralAmount);
+    /**
+     * @notice Cross-Comet switch, run inside the flash loan
+     */
+    function _switch(SwitchParams memory params, uint256 flashLoanFee) internal {
+        uint256 totalRepayment = params.repayAmount + flashLoanFee;
 
-        // STEP 3: Supply collateral to target Comet
-        IERC20(collateralAsset).approve(targetComet, collateralAmount);
-        IComet(targetComet).supplyTo(user, collateralAsset, collateralAmount);
+        // STEP 1-3: Repay the source debt, move the collateral to the target Comet
+        _repayAndMoveCollateral(params);
 
         // STEP 4: Borrow from target Comet (amount provided by caller based on current prices)
-        IComet(targetComet).withdrawFrom(user, address(this), targetBaseToken, borrowAmount);
+        IComet(params.targetComet).withdrawFrom(params.user, address(this), params.targetBaseToken, params.borrowAmount);
 
         // STEP 5: Swap target token to source token
         uint256 receivedAmount = _swapExactInput(
-            targetBaseToken,
-            sourceBaseToken,
-            borrowAmount,
-            minOutputAmount
+            params.swapPath,
+            params.targetBaseToken,
+            params.sourceBaseToken,
+            params.borrowAmount,
+            params.minOutputAmount
         );
 
         // Verify we received enough
         require(receivedAmount >= totalRepayment, "Insufficient swap output");
 
         // STEP 6: Repay flash loan
-        IERC20(sourceBaseToken).transfer(flashLoanPool, totalRepayment);
+        IERC20(params.sourceBaseToken).safeTransfer(_flashPool, totalRepayment);
 
         // Return any excess source token to user
         uint256 excess = receivedAmount - totalRepayment;
         if (excess > 0) {
-            IERC20(sourceBaseToken).transfer(user, excess);
+            IERC20(params.sourceBaseToken).safeTransfer(params.user, excess);
         }
     }
 
     /**
-     * @notice Perform exact input swap on Uniswap V3 pool
+     * @notice Same-base-token switch, run inside the flash loan
+     */
+    function _switchSameBase(SwitchParams memory params, uint256 flashLoanFee) internal {
+        uint256 totalRepayment = params.repayAmount + flashLoanFee;
+        require(totalRepayment <= params.borrowAmount, "Flash loan fee exceeds max borrow");
+
+        // STEP 1-3: Repay the source debt, move the collateral to the target Comet
+        _repayAndMoveCollateral(params);
+
+        // STEP 4: Re-borrow the flash loan plus its fee from the target Comet and repay the flash loan
+        IComet(params.targetComet).withdrawFrom(params.user, address(this), params.targetBaseToken, totalRepayment);
+        IERC20(params.sourceBaseToken).safeTransfer(_flashPool, totalRepayment);
+    }
+
+    /**
+     * @notice Repay the user's source debt (all of it, or the part being moved) with the
+     *         flash loan, then move each collateral asset from the source to the target Comet
+     */
+    function _repayAndMoveCollateral(SwitchParams memory params) internal {
+        IERC20(params.sourceBaseToken).forceApprove(params.sourceComet, params.repayAmount);
+        IComet(params.sourceComet).supplyTo(params.user, params.sourceBaseToken, params.repayAmount);
+
+        for (uint256 i = 0; i < params.collateralAssets.length; i++) {
+            address collateralAsset = params.collateralAssets[i];
+            uint256 collateralAmount = params.collateralAmounts[i];
+
+            IComet(params.sourceComet).withdrawFrom(params.user, address(this), collateralAsset, collateralAmount);
+
+            IERC20(collateralAsset).forceApprove(params.targetComet, collateralAmount);
+            IComet(params.targetComet).supplyTo(params.user, collateralAsset, collateralAmount);
+        }
+    }
+
+    /**
+     * @notice Comet -> Aave migration, run inside the flash loan
+     */
+    function _migrateCometToAave(MigrationParams memory params, uint256 flashLoanFee) internal {
+        // STEP 1: Repay the Comet debt (all of it, or the part being moved)
+        IERC20(params.sourceDebtToken).forceApprove(params.comet, params.repayAmount);
+        IComet(params.comet).supplyTo(params.user, params.sourceDebtToken, params.repayAmount);
+
+        // STEP 2-3: Move each collateral asset from the Comet into the user's Aave position
+        for (uint256 i = 0; i < params.collateralAssets.length; i++) {
+            address collateralAsset = params.collateralAssets[i];
+            uint256 collateralAmount = params.collateralAmounts[i];
+
+            IComet(params.comet).withdrawFrom(params.user, address(this), collateralAsset, collateralAmount);
+
+            IERC20(collateralAsset).forceApprove(params.aavePool, collateralAmount);
+            IAavePool(params.aavePool).supply(collateralAsset, collateralAmount, params.user, 0);
+        }
+
+        // STEP 4: Borrow on Aave against the user's position (uses the user's credit delegation)
+        IAavePool(params.aavePool).borrow(params.targetDebtToken, params.borrowAmount, VARIABLE_RATE_MODE, 0, params.user);
+
+        // STEP 5-6: Swap if the debt asset changes, repay the flash loan
+        _repayFlashLoan(params, params.repayAmount + flashLoanFee);
+    }
+
+    /**
+     * @notice Aave -> Comet migration, run inside the flash loan
+     */
+    function _migrateAaveToComet(MigrationParams memory params, uint256 flashLoanFee) internal {
+        // STEP 1: Repay the Aave variable debt (all of it, or the part being moved)
+        IERC20(params.sourceDebtToken).forceApprove(params.aavePool, params.repayAmount);
+        IAavePool(params.aavePool).repay(params.sourceDebtToken, params.repayAmount, VARIABLE_RATE_MODE, params.user);
+
+        // STEP 2-3: Move each collateral asset from Aave (via the user's aTokens) into the Comet
+        for (uint256 i = 0; i < params.collateralAssets.length; i++) {
+            address collateralAsset = params.collateralAssets[i];
+            address aToken = IAavePool(params.aavePool).getReserveData(collateralAsset).aTokenAddress;
+
+            uint256 collateralAmount = params.collateralAmounts[i];
+            if (collateralAmount == type(uint256).max) {
+                uint256 balance = IERC20(aToken).balanceOf(params.user);
+                uint256 allowance = IERC20(aToken).allowance(params.user, address(this));
+                collateralAmount = balance < allowance ? balance : allowance;
+            }
+
+            IERC20(aToken).safeTransferFrom(params.user, address(this), collateralAmount);
+            // Withdraw every aToken held - scaled balances can round a wei either way
+            uint256 withdrawn = IAavePool(params.aavePool).withdraw(collateralAsset, type(uint256).max, address(this));
+
+            IERC20(collateralAsset).forceApprove(params.comet, withdrawn);
+            IComet(params.comet).supplyTo(params.user, collateralAsset, withdrawn);
+        }
+
+        // STEP 4: Borrow from the Comet
+        IComet(params.comet).withdrawFrom(params.user, address(this), params.targetDebtToken, params.borrowAmount);
+
+        // STEP 5-6: Swap if the debt asset changes, repay the flash loan
+        _repayFlashLoan(params, params.repayAmount + flashLoanFee);
+    }
+
+    /**
+     * @notice Turn a migration's borrow into the flash-loaned token, repay the flash loan
+     *         and return any excess to the user
+     */
+    function _repayFlashLoan(MigrationParams memory params, uint256 totalRepayment) internal {
+        uint256 receivedAmount = params.borrowAmount;
+        if (params.targetDebtToken != params.sourceDebtToken) {
+            receivedAmount = _swapExactInput(
+                params.swapPath,
+                params.targetDebtToken,
+                params.sourceDebtToken,
+                params.borrowAmount,
+                params.minOutputAmount
+            );
+        }
+
+        require(receivedAmount >= totalRepayment, "Insufficient borrow to repay flash loan");
+
+        IERC20(params.sourceDebtToken).safeTransfer(_flashPool, totalRepayment);
+
+        uint256 excess = receivedAmount - totalRepayment;
+        if (excess > 0) {
+            IERC20(params.sourceDebtToken).safeTransfer(params.user, excess);
+        }
+    }
+
+    /**
+     * @notice Perform exact input swap along a Uniswap V3 path, one pool per hop
+     * @param path Uniswap path from tokenIn to tokenOut
      * @param tokenIn Token to swap from
      * @param tokenOut Token to swap to
      * @param amountIn Exact amount of tokenIn to swap
@@ -219,23 +723,41 @@ contract CompoundV3CrossCometSwitcher is Ownable {
      * @return amountOut Amount of tokenOut received
      */
     function _swapExactInput(
+        bytes memory path,
         address tokenIn,
         address tokenOut,
         uint256 amountIn,
         uint256 minAmountOut
     ) internal returns (uint256 amountOut) {
-        // Determine swap direction
-        address token0 = IUniswapV3Pool(swapPool).token0();
-        address token1 = IUniswapV3Pool(swapPool).token1();
+        require(path.length > 0, "No swap path");
+        uint256 hops = _hopCount(path);
+
+        (address pathIn, , ) = _decodeHop(path, 0);
+        (, , address pathOut) = _decodeHop(path, hops - 1);
+        require(pathIn == tokenIn && pathOut == tokenOut, "Swap path mismatch");
+
+        // Each hop swaps everything the previous one returned
+        amountOut = amountIn;
+        for (uint256 i = 0; i < hops; i++) {
+            (address hopIn, , address hopOut) = _decodeHop(path, i);
+            amountOut = _swapHop(_hopPool(path, i), hopIn, hopOut, amountOut);
+        }
 
-        bool zeroForOne = (tokenIn == token0);
-        require(
-            (zeroForOne && tokenOut == token1) || (!zeroForOne && tokenOut == token0),
-            "Token pair mismatch"
-        );
+        // Verify slippage
+        require(amountOut >= minAmountOut, "Slippage too high");
+    }
 
-        // Approve pool to spend tokens
-        IERC20(tokenIn).approve(swapPool, amountIn);
+    /**
+     * @notice Swap the exact `amountIn` of `tokenIn` into `tokenOut` on one pool
+     */
+    function _swapHop(
+        address pool,
+        address tokenIn,
+        address tokenOut,
+        uint256 amountIn
+    ) internal returns (uint256 amountOut) {
+        // Determine swap direction (the factory sorts token0 < token1)
+        bool zeroForOne = tokenIn < tokenOut;
 
         // Record balance before swap
         uint256 balanceBefore = IERC20(tokenOut).balanceOf(address(this));
@@ -248,22 +770,19 @@ contract CompoundV3CrossCometSwitcher is Ownable {
             ? 4295128740  // MIN_SQRT_RATIO + 1
             : 1461446703485210103287273052203988822378723970341; // MAX_SQRT_RATIO - 1
 
-        IUniswapV3Pool(swapPool).swap(
+        // The swap callback is only accepted from this pool while it swaps
+        _swapPool = pool;
+        IUniswapV3Pool(pool).swap(
             address(this),
             zeroForOne,
             int256(amountIn),
             sqrtPriceLimitX96,
             ""
         );
+        _swapPool = address(0);
 
         // Calculate amount received
-        uint256 balanceAfter = IERC20(tokenOut).balanceOf(address(this));
-        amountOut = balanceAfter - balanceBefore;
-
-        // Verify slippage
-        require(amountOut >= minAmountOut, "Slippage too high");
-
-        return amountOut;
+        amountOut = IERC20(tokenOut).balanceOf(address(this)) - balanceBefore;
     }
 
     /**
@@ -274,17 +793,17 @@ contract CompoundV3CrossCometSwitcher is Ownable {
         int256 amount1Delta,
         bytes calldata /* data */
     ) external {
-        require(msg.sender == swapPool, "Invalid swap callback caller");
+        require(msg.sender == _swapPool, "Invalid swap callback caller");
         require(_status == ENTERED, "Not in nonReentrant");
 
         // Pay the pool what it needs
         if (amount0Delta > 0) {
-            address token0 = IUniswapV3Pool(swapPool).token0();
-            IERC20(token0).transfer(swapPool, uint256(amount0Delta));
+            address token0 = IUniswapV3Pool(msg.sender).token0();
+            IERC20(token0).safeTransfer(msg.sender, uint256(amount0Delta));
         }
         if (amount1Delta > 0) {
-            address token1 = IUniswapV3Pool(swapPool).token1();
-            IERC20(token1).transfer(swapPool, uint256(amount1Delta));
+            address token1 = IUniswapV3Pool(msg.sender).token1();
+            IERC20(token1).safeTransfer(msg.sender, uint256(amount1Delta));
         }
     }
 }
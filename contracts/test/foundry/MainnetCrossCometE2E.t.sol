@@ -6,9 +6,52 @@ import "forge-std/console.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "../../src/CompoundV3CrossCometSwitcher.sol";
 
-// Use IComet from the imported contract
+// Use IComet / IAavePool from the imported contract
 // IERC20 is already imported from OpenZeppelin
 
+interface ICreditDelegationToken {
+    function approveDelegation(address delegatee, uint256 amount) external;
+}
+
+/**
+ * @notice Minimal Comet lending the same base token as a mainnet Comet (mainnet has no
+ *         second Comet on most base tokens) - just the calls the Switcher makes
+ */
+contract MockComet {
+    address public immutable baseToken;
+
+    mapping(address => uint256) public borrowBalanceOf;
+    mapping(address => mapping(address => uint128)) public collateralBalanceOf;
+    mapping(address => mapping(address => bool)) public isAllowed;
+
+    constructor(address baseToken_) {
+        baseToken = baseToken_;
+    }
+
+    function allow(address manager, bool isAllowed_) external {
+        isAllowed[msg.sender][manager] = isAllowed_;
+    }
+
+    function supplyTo(address dst, address asset, uint amount) external {
+        require(IERC20(asset).transferFrom(msg.sender, address(this), amount), "Transfer in failed");
+        if (asset == baseToken) {
+            borrowBalanceOf[dst] -= amount;
+        } else {
+            collateralBalanceOf[dst][asset] += uint128(amount);
+        }
+    }
+
+    function withdrawFrom(address src, address to, address asset, uint amount) external {
+        require(src == msg.sender || isAllowed[src][msg.sender], "Unauthorized");
+        if (asset == baseToken) {
+            borrowBalanceOf[src] += amount;
+        } else {
+            collateralBalanceOf[src][asset] -= uint128(amount);
+        }
+        require(IERC20(asset).transfer(to, amount), "Transfer out failed");
+    }
+}
+
 /**
  * @title MainnetCrossCometE2ETest
  * @notice Complete end-to-end test of cross-Comet switching on Ethereum Mainnet fork
@@ -25,10 +68,25 @@ contract MainnetCrossCometE2ETest is Test {
     address constant USDC = 0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48;
     address constant WETH = 0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2;
     address constant WBTC = 0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599;
+    address constant WSTETH = 0x7f39C581F595B53c5cb19bD0b3f8dA6c935E2Ca0;
+    address constant DAI = 0x6B175474E89094C44Da98b954EedeAC495271d0F;
+
+    // Mainnet Aave V3 Pool
+    address constant AAVE_POOL = 0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2;
+
+    // Uniswap V3 - the Switcher only accepts pools of this factory
+    address constant UNISWAP_V3_FACTORY = 0x1F98431c8aD98523631AE4a59f267346ea31F984;
 
-    // Uniswap V3 Pools - DIFFERENT fee tiers!
+    // Uniswap V3 USDC/WETH Pools - DIFFERENT fee tiers!
     address constant FLASH_POOL = 0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640; // 0.05% fee
     address constant SWAP_POOL = 0x7BeA39867e4169DBe237d55C8242a8f2fcDcc387;  // 1% fee
+    address constant POOL_30_BPS = 0x8ad599c3A0ff1De082011EFDDc58f1908eb6e6D8; // 0.3% fee
+
+    // Uniswap V3 fee tiers (swap paths name pools by token pair and fee)
+    uint24 constant FEE_1_BPS = 100;
+    uint24 constant FEE_5_BPS = 500;
+    uint24 constant FEE_30_BPS = 3000;
+    uint24 constant FEE_1_PCT = 10000;
 
     // Mainnet whale addresses for getting tokens
     address constant WETH_WHALE = 0x8EB8a3b98659Cce290402893d0123abb75E3ab28; // Avalanche Bridge
@@ -49,12 +107,22 @@ contract MainnetCrossCometE2ETest is Test {
         console.log("");
     }
 
+    // Uniswap-encoded swap path through one pool
+    function _path(address tokenIn, uint24 fee, address tokenOut) internal pure returns (bytes memory) {
+        return abi.encodePacked(tokenIn, fee, tokenOut);
+    }
+
+    // Uniswap-encoded swap path through two pools
+    function _path(address tokenIn, uint24 fee0, address tokenMid, uint24 fee1, address tokenOut) internal pure returns (bytes memory) {
+        return abi.encodePacked(tokenIn, fee0, tokenMid, fee1, tokenOut);
+    }
+
     function testCrossCometSwitchMainnet() public {
         console.log("========================================================");
         console.log("STEP 1: DEPLOY SWITCHER CONTRACT");
         console.log("========================================================\n");
 
-        switcher = new CompoundV3CrossCometSwitcher(FLASH_POOL, SWAP_POOL);
+        switcher = new CompoundV3CrossCometSwitcher(UNISWAP_V3_FACTORY);
         console.log("Switcher deployed:", address(switcher));
         console.log("Flash loan pool (0.05%):", FLASH_POOL);
         console.log("Swap pool (1%):", SWAP_POOL);
@@ -145,14 +213,22 @@ contract MainnetCrossCometE2ETest is Test {
         console.log("Calling switchCollateral()...");
         console.log("");
 
+        address[] memory collateralAssets = new address[](1);
+        collateralAssets[0] = WBTC; // Use WBTC as collateral (accepted by both Comets)
+        uint256[] memory collateralAmounts = new uint256[](1);
+        collateralAmounts[0] = initialCollateral;
+
         switcher.switchCollateral(
             user,
             USDC_COMET,
             WETH_COMET,
-            WBTC, // Use WBTC as collateral (accepted by both Comets)
-            initialCollateral,
+            collateralAssets,
+            collateralAmounts,
+            type(uint256).max, // Move the whole debt
             borrowAmount,
-            minSwapOutput
+            minSwapOutput,
+            FLASH_POOL,
+            _path(WETH, FEE_1_PCT, USDC)
         );
 
         console.log("Switch completed successfully!");
@@ -226,6 +302,577 @@ contract MainnetCrossCometE2ETest is Test {
         console.log("\n========================================================\n");
     }
 
+    function testMultiCollateralSwitchMainnet() public {
+        console.log("=== MULTI-COLLATERAL SWITCH: WBTC + wstETH, USDC -> WETH Comet ===\n");
+
+        switcher = new CompoundV3CrossCometSwitcher(UNISWAP_V3_FACTORY);
+        switcher.authorizeCaller(user, true);
+
+        vm.prank(WBTC_WHALE);
+        IERC20(WBTC).transfer(user, 1 * 10**8); // 1 WBTC
+        deal(WSTETH, user, 10 ether); // 10 wstETH
+
+        vm.startPrank(user);
+
+        // Position with two collateral assets in the USDC Comet
+        IERC20(WBTC).approve(USDC_COMET, 1 * 10**8);
+        IComet(USDC_COMET).supply(WBTC, 1 * 10**8);
+        IERC20(WSTETH).approve(USDC_COMET, 10 ether);
+        IComet(USDC_COMET).supply(WSTETH, 10 ether);
+        IComet(USDC_COMET).withdraw(USDC, 40000 * 10**6); // Borrow 40K USDC
+
+        uint256 initialDebt = IComet(USDC_COMET).borrowBalanceOf(user);
+        console.log("Initial debt:", initialDebt / 10**6, "USDC");
+
+        IComet(USDC_COMET).allow(address(switcher), true);
+        IComet(WETH_COMET).allow(address(switcher), true);
+
+        address[] memory collateralAssets = new address[](2);
+        collateralAssets[0] = WBTC;
+        collateralAssets[1] = WSTETH;
+        uint256[] memory collateralAmounts = new uint256[](2);
+        collateralAmounts[0] = IComet(USDC_COMET).collateralBalanceOf(user, WBTC);
+        collateralAmounts[1] = IComet(USDC_COMET).collateralBalanceOf(user, WSTETH);
+
+        // Same sizing as the single-collateral test: the debt is unchanged
+        switcher.switchCollateral(
+            user,
+            USDC_COMET,
+            WETH_COMET,
+            collateralAssets,
+            collateralAmounts,
+            type(uint256).max,
+            22 ether,
+            (initialDebt * 95) / 100,
+            FLASH_POOL,
+            _path(WETH, FEE_1_PCT, USDC)
+        );
+
+        vm.stopPrank();
+
+        // Both assets moved in the same transaction
+        assertEq(IComet(USDC_COMET).collateralBalanceOf(user, WBTC), 0, "Source WBTC should be cleared");
+        assertEq(IComet(USDC_COMET).collateralBalanceOf(user, WSTETH), 0, "Source wstETH should be cleared");
+        assertEq(IComet(USDC_COMET).borrowBalanceOf(user), 0, "Source should have no debt");
+        assertEq(IComet(WETH_COMET).collateralBalanceOf(user, WBTC), collateralAmounts[0], "Target should hold the WBTC");
+        assertEq(IComet(WETH_COMET).collateralBalanceOf(user, WSTETH), collateralAmounts[1], "Target should hold the wstETH");
+        assertTrue(IComet(WETH_COMET).borrowBalanceOf(user) > 0, "Target should have debt");
+
+        console.log("All assertions passed!");
+    }
+
+    function testRejectsMismatchedCollateralArrays() public {
+        switcher = new CompoundV3CrossCometSwitcher(UNISWAP_V3_FACTORY);
+
+        address[] memory collateralAssets = new address[](2);
+        collateralAssets[0] = WBTC;
+        collateralAssets[1] = WSTETH;
+        uint256[] memory collateralAmounts = new uint256[](1);
+        collateralAmounts[0] = 1;
+
+        switcher.authorizeCaller(user, true);
+        vm.prank(user);
+        vm.expectRevert(bytes("Collateral length mismatch"));
+        switcher.switchCollateral(user, USDC_COMET, WETH_COMET, collateralAssets, collateralAmounts, 1, 1, 1, FLASH_POOL, _path(WETH, FEE_1_PCT, USDC));
+    }
+
+    function testSameBaseSwitchRequiresSharedBaseToken() public {
+        switcher = new CompoundV3CrossCometSwitcher(UNISWAP_V3_FACTORY);
+        switcher.authorizeCaller(user, true);
+
+        address[] memory collateralAssets = new address[](1);
+        collateralAssets[0] = WBTC;
+        uint256[] memory collateralAmounts = new uint256[](1);
+        collateralAmounts[0] = 1;
+
+        // USDC and WETH Comets need the swap path - the swap-free one must not borrow WETH to repay USDC
+        vm.prank(user);
+        vm.expectRevert(bytes("Base tokens differ - use switchCollateral"));
+        switcher.switchCollateralSameBase(user, USDC_COMET, WETH_COMET, collateralAssets, collateralAmounts, type(uint256).max, 1, FLASH_POOL);
+    }
+
+    function testSameBaseSwitchMainnet() public {
+        console.log("=== SAME-BASE SWITCH: WBTC position, USDC Comet -> second USDC Comet ===\n");
+
+        switcher = new CompoundV3CrossCometSwitcher(UNISWAP_V3_FACTORY);
+        switcher.authorizeCaller(user, true);
+
+        // Target Comet with USDC to lend
+        MockComet targetComet = new MockComet(USDC);
+        vm.prank(USDC_WHALE);
+        IERC20(USDC).transfer(address(targetComet), 100000 * 10**6);
+
+        vm.prank(WBTC_WHALE);
+        IERC20(WBTC).transfer(user, 1 * 10**8); // 1 WBTC
+
+        vm.startPrank(user);
+
+        IERC20(WBTC).approve(USDC_COMET, 1 * 10**8);
+        IComet(USDC_COMET).supply(WBTC, 1 * 10**8);
+        IComet(USDC_COMET).withdraw(USDC, 40000 * 10**6); // Borrow 40K USDC
+
+        IComet(USDC_COMET).allow(address(switcher), true);
+        targetComet.allow(address(switcher), true);
+
+        uint256 initialDebt = IComet(USDC_COMET).borrowBalanceOf(user);
+        // Uniswap rounds the flash loan fee up (0.05% pool)
+        uint256 flashFee = (initialDebt * FEE_5_BPS + 1e6 - 1) / 1e6;
+        uint256 totalRepayment = initialDebt + flashFee;
+        uint256 maxBorrowAmount = (initialDebt * 10010) / 10000;
+
+        address[] memory collateralAssets = new address[](1);
+        collateralAssets[0] = WBTC;
+        uint256[] memory collateralAmounts = new uint256[](1);
+        collateralAmounts[0] = 1 * 10**8;
+
+        // The re-borrow has to cover the flash loan and its fee
+        vm.expectRevert(bytes("Flash loan fee exceeds max borrow"));
+        switcher.switchCollateralSameBase(user, USDC_COMET, address(targetComet), collateralAssets, collateralAmounts, type(uint256).max, totalRepayment - 1, FLASH_POOL);
+
+        switcher.switchCollateralSameBase(user, USDC_COMET, address(targetComet), collateralAssets, collateralAmounts, type(uint256).max, maxBorrowAmount, FLASH_POOL);
+
+        vm.stopPrank();
+
+        // The source position is closed, the collateral moved as-is
+        assertEq(IComet(USDC_COMET).borrowBalanceOf(user), 0, "Source debt should be repaid");
+        assertEq(IComet(USDC_COMET).collateralBalanceOf(user, WBTC), 0, "Source should hold no WBTC");
+        assertEq(targetComet.collateralBalanceOf(user, WBTC), 1 * 10**8, "Target should hold the WBTC");
+
+        // Exactly the flash loan plus its fee is re-borrowed - not the whole maxBorrowAmount
+        assertEq(targetComet.borrowBalanceOf(user), totalRepayment, "Target debt should be the flash loan plus its fee");
+        assertLe(targetComet.borrowBalanceOf(user), maxBorrowAmount, "Target debt should fit maxBorrowAmount");
+        assertEq(IERC20(USDC).balanceOf(address(switcher)), 0, "Switcher should keep no USDC");
+        assertEq(IERC20(WBTC).balanceOf(address(switcher)), 0, "Switcher should keep no WBTC");
+
+        console.log("Source debt repaid:", initialDebt / 10**6, "USDC");
+        console.log("Target debt:", totalRepayment, "(USDC, 6 decimals)");
+        console.log("All assertions passed!");
+    }
+
+    function testSwitchRejectsAnotherUsersPosition() public {
+        switcher = new CompoundV3CrossCometSwitcher(UNISWAP_V3_FACTORY);
+        switcher.authorizeCaller(user, true);
+
+        // A second registered account is also an authorized caller
+        address attacker = makeAddr("attacker");
+        switcher.authorizeCaller(attacker, true);
+
+        vm.prank(WBTC_WHALE);
+        IERC20(WBTC).transfer(user, 1 * 10**8); // 1 WBTC
+
+        vm.startPrank(user);
+        IERC20(WBTC).approve(USDC_COMET, 1 * 10**8);
+        IComet(USDC_COMET).supply(WBTC, 1 * 10**8);
+        IComet(USDC_COMET).withdraw(USDC, 40000 * 10**6); // Borrow 40K USDC
+        IComet(USDC_COMET).allow(address(switcher), true);
+        IComet(WETH_COMET).allow(address(switcher), true);
+        vm.stopPrank();
+
+        uint256 initialDebt = IComet(USDC_COMET).borrowBalanceOf(user);
+
+        address[] memory collateralAssets = new address[](1);
+        collateralAssets[0] = WBTC;
+        uint256[] memory collateralAmounts = new uint256[](1);
+        collateralAmounts[0] = 1 * 10**8;
+
+        // The user's Comet allowances must not let another caller borrow through pools it picks
+        vm.prank(attacker);
+        vm.expectRevert(bytes("Caller must be the position owner"));
+        switcher.switchCollateral(user, USDC_COMET, WETH_COMET, collateralAssets, collateralAmounts, type(uint256).max, 22 ether, 0, FLASH_POOL, _path(WETH, FEE_1_PCT, USDC));
+
+        // Nor is the contract owner exempt
+        vm.expectRevert(bytes("Caller must be the position owner"));
+        switcher.switchCollateral(user, USDC_COMET, WETH_COMET, collateralAssets, collateralAmounts, type(uint256).max, 22 ether, 0, FLASH_POOL, _path(WETH, FEE_1_PCT, USDC));
+
+        assertEq(IComet(USDC_COMET).collateralBalanceOf(user, WBTC), 1 * 10**8, "Source position should be untouched");
+        assertEq(IComet(USDC_COMET).borrowBalanceOf(user), initialDebt, "Source debt should be untouched");
+        assertEq(IComet(WETH_COMET).borrowBalanceOf(user), 0, "No target debt should be opened");
+    }
+
+    function testPartialSwitchMainnet() public {
+        console.log("=== PARTIAL SWITCH: 40% of a WBTC position, USDC -> WETH Comet ===\n");
+
+        switcher = new CompoundV3CrossCometSwitcher(UNISWAP_V3_FACTORY);
+        switcher.authorizeCaller(user, true);
+
+        vm.prank(WBTC_WHALE);
+        IERC20(WBTC).transfer(user, 1 * 10**8); // 1 WBTC
+
+        vm.startPrank(user);
+
+        IERC20(WBTC).approve(USDC_COMET, 1 * 10**8);
+        IComet(USDC_COMET).supply(WBTC, 1 * 10**8);
+        IComet(USDC_COMET).withdraw(USDC, 40000 * 10**6); // Borrow 40K USDC
+
+        IComet(USDC_COMET).allow(address(switcher), true);
+        IComet(WETH_COMET).allow(address(switcher), true);
+
+        uint256 initialDebt = IComet(USDC_COMET).borrowBalanceOf(user);
+        uint256 debtAmount = (initialDebt * 40) / 100;
+
+        address[] memory collateralAssets = new address[](1);
+        collateralAssets[0] = WBTC;
+        uint256[] memory collateralAmounts = new uint256[](1);
+        collateralAmounts[0] = (1 * 10**8 * 40) / 100; // 0.4 WBTC
+
+        // Pools are chosen per call: the flash loan pool must be a factory pool that no swap hop goes through
+        vm.expectRevert(bytes("Flash and swap pool must differ"));
+        switcher.switchCollateral(user, USDC_COMET, WETH_COMET, collateralAssets, collateralAmounts, debtAmount, 9 ether, 0, SWAP_POOL, _path(WETH, FEE_1_PCT, USDC));
+        vm.expectRevert(bytes("Not a Uniswap V3 pool"));
+        switcher.switchCollateral(user, USDC_COMET, WETH_COMET, collateralAssets, collateralAmounts, debtAmount, 9 ether, 0, makeAddr("notAPool"), _path(WETH, FEE_1_PCT, USDC));
+        vm.expectRevert(bytes("Invalid swap path"));
+        switcher.switchCollateral(user, USDC_COMET, WETH_COMET, collateralAssets, collateralAmounts, debtAmount, 9 ether, 0, FLASH_POOL, abi.encodePacked(WETH, FEE_1_PCT));
+
+        // Can't move more debt than the position has
+        vm.expectRevert(bytes("Debt amount exceeds debt"));
+        switcher.switchCollateral(user, USDC_COMET, WETH_COMET, collateralAssets, collateralAmounts, initialDebt + 1, 9 ether, 0, FLASH_POOL, _path(WETH, FEE_1_PCT, USDC));
+
+        // Collateral and debt move in the same proportion (40% of the 22 ETH full-switch borrow)
+        switcher.switchCollateral(
+            user,
+            USDC_COMET,
+            WETH_COMET,
+            collateralAssets,
+            collateralAmounts,
+            debtAmount,
+            9 ether,
+            (debtAmount * 95) / 100,
+            FLASH_POOL,
+            _path(WETH, FEE_1_PCT, USDC)
+        );
+
+        vm.stopPrank();
+
+        // The rest of the position stays in the source Comet
+        assertEq(IComet(USDC_COMET).collateralBalanceOf(user, WBTC), 1 * 10**8 - collateralAmounts[0], "Source should keep 60% of the WBTC");
+        assertApproxEqAbs(IComet(USDC_COMET).borrowBalanceOf(user), initialDebt - debtAmount, 1, "Source should keep 60% of the debt");
+        assertEq(IComet(WETH_COMET).collateralBalanceOf(user, WBTC), collateralAmounts[0], "Target should hold 40% of the WBTC");
+        assertTrue(IComet(WETH_COMET).borrowBalanceOf(user) > 0, "Target should have debt");
+
+        console.log("All assertions passed!");
+    }
+
+    function testSwitchThroughDeepSwapPoolMainnet() public {
+        console.log("=== SWITCH WITH PER-CALL POOLS: flash 0.3%, swap 0.05% ===\n");
+
+        switcher = new CompoundV3CrossCometSwitcher(UNISWAP_V3_FACTORY);
+        switcher.authorizeCaller(user, true);
+
+        vm.prank(WBTC_WHALE);
+        IERC20(WBTC).transfer(user, 1 * 10**8); // 1 WBTC
+
+        vm.startPrank(user);
+
+        IERC20(WBTC).approve(USDC_COMET, 1 * 10**8);
+        IComet(USDC_COMET).supply(WBTC, 1 * 10**8);
+        IComet(USDC_COMET).withdraw(USDC, 40000 * 10**6); // Borrow 40K USDC
+
+        IComet(USDC_COMET).allow(address(switcher), true);
+        IComet(WETH_COMET).allow(address(switcher), true);
+
+        uint256 initialDebt = IComet(USDC_COMET).borrowBalanceOf(user);
+
+        address[] memory collateralAssets = new address[](1);
+        collateralAssets[0] = WBTC;
+        uint256[] memory collateralAmounts = new uint256[](1);
+        collateralAmounts[0] = 1 * 10**8;
+
+        // The deep 0.05% pool swaps the WETH borrow, so the flash loan comes from another tier
+        switcher.switchCollateral(
+            user,
+            USDC_COMET,
+            WETH_COMET,
+            collateralAssets,
+            collateralAmounts,
+            type(uint256).max,
+            22 ether,
+            (initialDebt * 95) / 100,
+            POOL_30_BPS,
+            _path(WETH, FEE_5_BPS, USDC)
+        );
+
+        vm.stopPrank();
+
+        assertEq(IComet(USDC_COMET).collateralBalanceOf(user, WBTC), 0, "Source WBTC should be cleared");
+        assertEq(IComet(USDC_COMET).borrowBalanceOf(user), 0, "Source should have no debt");
+        assertEq(IComet(WETH_COMET).collateralBalanceOf(user, WBTC), 1 * 10**8, "Target should hold the WBTC");
+        assertTrue(IERC20(USDC).balanceOf(user) > 40000 * 10**6, "Swap surplus should be refunded");
+
+        console.log("All assertions passed!");
+    }
+
+    function testMultiHopSwitchMainnet() public {
+        console.log("=== MULTI-HOP SWITCH: WETH -> DAI -> USDC swap path ===\n");
+
+        switcher = new CompoundV3CrossCometSwitcher(UNISWAP_V3_FACTORY);
+        switcher.authorizeCaller(user, true);
+
+        vm.prank(WBTC_WHALE);
+        IERC20(WBTC).transfer(user, 1 * 10**8); // 1 WBTC
+
+        vm.startPrank(user);
+
+        IERC20(WBTC).approve(USDC_COMET, 1 * 10**8);
+        IComet(USDC_COMET).supply(WBTC, 1 * 10**8);
+        IComet(USDC_COMET).withdraw(USDC, 40000 * 10**6); // Borrow 40K USDC
+
+        IComet(USDC_COMET).allow(address(switcher), true);
+        IComet(WETH_COMET).allow(address(switcher), true);
+
+        uint256 initialDebt = IComet(USDC_COMET).borrowBalanceOf(user);
+
+        address[] memory collateralAssets = new address[](1);
+        collateralAssets[0] = WBTC;
+        uint256[] memory collateralAmounts = new uint256[](1);
+        collateralAmounts[0] = 1 * 10**8;
+
+        bytes memory swapPath = _path(WETH, FEE_30_BPS, DAI, FEE_1_BPS, USDC);
+
+        // The path has to turn the target base token into the source base token
+        vm.expectRevert(bytes("Swap path mismatch"));
+        switcher.switchCollateral(user, USDC_COMET, WETH_COMET, collateralAssets, collateralAmounts, type(uint256).max, 22 ether, 0, FLASH_POOL, _path(WETH, FEE_30_BPS, DAI));
+
+        // Flash loan USDC from the 0.05% USDC/WETH pool, swap the WETH borrow through DAI
+        switcher.switchCollateral(
+            user,
+            USDC_COMET,
+            WETH_COMET,
+            collateralAssets,
+            collateralAmounts,
+            type(uint256).max,
+            22 ether,
+            (initialDebt * 95) / 100,
+            FLASH_POOL,
+            swapPath
+        );
+
+        vm.stopPrank();
+
+        assertEq(IComet(USDC_COMET).collateralBalanceOf(user, WBTC), 0, "Source WBTC should be cleared");
+        assertEq(IComet(USDC_COMET).borrowBalanceOf(user), 0, "Source should have no debt");
+        assertEq(IComet(WETH_COMET).collateralBalanceOf(user, WBTC), 1 * 10**8, "Target should hold the WBTC");
+        assertEq(IERC20(DAI).balanceOf(address(switcher)), 0, "No intermediate token should stay in the Switcher");
+        assertTrue(IERC20(USDC).balanceOf(user) > 40000 * 10**6, "Swap surplus should be refunded");
+
+        console.log("All assertions passed!");
+    }
+
+    function testMigrateCometToAaveAndBackMainnet() public {
+        console.log("=== MIGRATION: WBTC / USDC position, USDC Comet -> Aave V3 -> USDC Comet ===\n");
+
+        switcher = new CompoundV3CrossCometSwitcher(UNISWAP_V3_FACTORY);
+        switcher.authorizeCaller(user, true);
+
+        vm.prank(WBTC_WHALE);
+        IERC20(WBTC).transfer(user, 1 * 10**8); // 1 WBTC
+
+        address aWbtc = IAavePool(AAVE_POOL).getReserveData(WBTC).aTokenAddress;
+        address usdcDebtToken = IAavePool(AAVE_POOL).getReserveData(USDC).variableDebtTokenAddress;
+
+        vm.startPrank(user);
+
+        IERC20(WBTC).approve(USDC_COMET, 1 * 10**8);
+        IComet(USDC_COMET).supply(WBTC, 1 * 10**8);
+        IComet(USDC_COMET).withdraw(USDC, 40000 * 10**6); // Borrow 40K USDC
+
+        uint256 cometDebt = IComet(USDC_COMET).borrowBalanceOf(user);
+
+        // Same debt asset on both sides: the Aave borrow only has to cover the flash loan
+        // and its 0.05% fee, no swap (the excess is refunded)
+        uint256 aaveBorrow = (cometDebt * 10010) / 10000;
+
+        IComet(USDC_COMET).allow(address(switcher), true);
+        ICreditDelegationToken(usdcDebtToken).approveDelegation(address(switcher), aaveBorrow);
+
+        address[] memory collateralAssets = new address[](1);
+        collateralAssets[0] = WBTC;
+        uint256[] memory collateralAmounts = new uint256[](1);
+        collateralAmounts[0] = 1 * 10**8;
+
+        switcher.migrateCometToAave(
+            user,
+            USDC_COMET,
+            AAVE_POOL,
+            collateralAssets,
+            collateralAmounts,
+            USDC,
+            type(uint256).max,
+            aaveBorrow,
+            0,
+            FLASH_POOL,
+            "" // USDC debt on both sides - nothing to swap
+        );
+
+        assertEq(IComet(USDC_COMET).collateralBalanceOf(user, WBTC), 0, "Comet WBTC should be cleared");
+        assertEq(IComet(USDC_COMET).borrowBalanceOf(user), 0, "Comet should have no debt");
+        assertApproxEqAbs(IERC20(aWbtc).balanceOf(user), 1 * 10**8, 1, "Aave should hold the WBTC");
+        assertApproxEqAbs(IERC20(usdcDebtToken).balanceOf(user), aaveBorrow, 1, "Aave should hold the debt");
+        assertTrue(IERC20(USDC).balanceOf(user) >= 40000 * 10**6, "Excess borrow should be refunded");
+
+        console.log("Moved to Aave, debt:", IERC20(usdcDebtToken).balanceOf(user) / 10**6, "USDC");
+
+        // And back: approve the aTokens with headroom and move the whole balance
+        uint256 aaveDebt = IERC20(usdcDebtToken).balanceOf(user);
+        uint256 cometBorrow = (aaveDebt * 10010) / 10000;
+        IERC20(aWbtc).approve(address(switcher), (IERC20(aWbtc).balanceOf(user) * 10010) / 10000);
+
+        collateralAmounts[0] = type(uint256).max;
+
+        // Can't repay more debt than the Aave position has
+        vm.expectRevert(bytes("Debt amount exceeds debt"));
+        switcher.migrateAaveToComet(user, AAVE_POOL, USDC, USDC_COMET, collateralAssets, collateralAmounts, aaveDebt + 1, cometBorrow, 0, FLASH_POOL, "");
+
+        switcher.migrateAaveToComet(
+            user,
+            AAVE_POOL,
+            USDC,
+            USDC_COMET,
+            collateralAssets,
+            collateralAmounts,
+            type(uint256).max,
+            cometBorrow,
+            0,
+            FLASH_POOL,
+            "" // USDC debt on both sides - nothing to swap
+        );
+
+        vm.stopPrank();
+
+        assertEq(IERC20(aWbtc).balanceOf(user), 0, "Aave WBTC should be cleared");
+        assertEq(IERC20(usdcDebtToken).balanceOf(user), 0, "Aave should have no debt");
+        assertApproxEqAbs(IComet(USDC_COMET).collateralBalanceOf(user, WBTC), 1 * 10**8, 1, "Comet should hold the WBTC again");
+        assertApproxEqAbs(IComet(USDC_COMET).borrowBalanceOf(user), cometBorrow, 1, "Comet should hold the debt again");
+
+        console.log("All assertions passed!");
+    }
+
+    function testMigrateCometToAaveWithDebtSwapMainnet() public {
+        console.log("=== MIGRATION: USDC Comet -> Aave V3, USDC debt becomes WETH debt ===\n");
+
+        switcher = new CompoundV3CrossCometSwitcher(UNISWAP_V3_FACTORY);
+        switcher.authorizeCaller(user, true);
+
+        vm.prank(WBTC_WHALE);
+        IERC20(WBTC).transfer(user, 1 * 10**8); // 1 WBTC
+
+        address wethDebtToken = IAavePool(AAVE_POOL).getReserveData(WETH).variableDebtTokenAddress;
+
+        vm.startPrank(user);
+
+        IERC20(WBTC).approve(USDC_COMET, 1 * 10**8);
+        IComet(USDC_COMET).supply(WBTC, 1 * 10**8);
+        IComet(USDC_COMET).withdraw(USDC, 40000 * 10**6); // Borrow 40K USDC
+
+        uint256 cometDebt = IComet(USDC_COMET).borrowBalanceOf(user);
+
+        // Same sizing as the cross-Comet switch: 22 WETH swapped on the 1% pool covers the USDC debt
+        uint256 aaveBorrow = 22 ether;
+
+        IComet(USDC_COMET).allow(address(switcher), true);
+        ICreditDelegationToken(wethDebtToken).approveDelegation(address(switcher), aaveBorrow);
+
+        address[] memory collateralAssets = new address[](1);
+        collateralAssets[0] = WBTC;
+        uint256[] memory collateralAmounts = new uint256[](1);
+        collateralAmounts[0] = 1 * 10**8;
+
+        switcher.migrateCometToAave(
+            user,
+            USDC_COMET,
+            AAVE_POOL,
+            collateralAssets,
+            collateralAmounts,
+            WETH,
+            type(uint256).max,
+            aaveBorrow,
+            (cometDebt * 95) / 100,
+            FLASH_POOL,
+            _path(WETH, FEE_1_PCT, USDC)
+        );
+
+        vm.stopPrank();
+
+        assertEq(IComet(USDC_COMET).collateralBalanceOf(user, WBTC), 0, "Comet WBTC should be cleared");
+        assertEq(IComet(USDC_COMET).borrowBalanceOf(user), 0, "Comet should have no debt");
+        assertApproxEqAbs(IERC20(wethDebtToken).balanceOf(user), aaveBorrow, 1, "Aave should hold the WETH debt");
+
+        console.log("All assertions passed!");
+    }
+
+    function testMigrationRequiresCreditDelegation() public {
+        switcher = new CompoundV3CrossCometSwitcher(UNISWAP_V3_FACTORY);
+        switcher.authorizeCaller(user, true);
+
+        vm.prank(WBTC_WHALE);
+        IERC20(WBTC).transfer(user, 1 * 10**8); // 1 WBTC
+
+        vm.startPrank(user);
+
+        IERC20(WBTC).approve(USDC_COMET, 1 * 10**8);
+        IComet(USDC_COMET).supply(WBTC, 1 * 10**8);
+        IComet(USDC_COMET).withdraw(USDC, 40000 * 10**6);
+        IComet(USDC_COMET).allow(address(switcher), true);
+
+        address[] memory collateralAssets = new address[](1);
+        collateralAssets[0] = WBTC;
+        uint256[] memory collateralAmounts = new uint256[](1);
+        collateralAmounts[0] = 1 * 10**8;
+
+        // Without approveDelegation the Aave borrow reverts and nothing moves
+        vm.expectRevert();
+        switcher.migrateCometToAave(user, USDC_COMET, AAVE_POOL, collateralAssets, collateralAmounts, USDC, type(uint256).max, 41000 * 10**6, 0, FLASH_POOL, "");
+
+        vm.stopPrank();
+
+        assertEq(IComet(USDC_COMET).collateralBalanceOf(user, WBTC), 1 * 10**8, "Comet position should be untouched");
+    }
+
+    function testMigrationRejectsAnotherUsersPosition() public {
+        switcher = new CompoundV3CrossCometSwitcher(UNISWAP_V3_FACTORY);
+        switcher.authorizeCaller(user, true);
+
+        // A second registered account is also an authorized caller
+        address attacker = makeAddr("attacker");
+        switcher.authorizeCaller(attacker, true);
+
+        vm.prank(WBTC_WHALE);
+        IERC20(WBTC).transfer(user, 1 * 10**8); // 1 WBTC
+
+        address aWbtc = IAavePool(AAVE_POOL).getReserveData(WBTC).aTokenAddress;
+        address usdcDebtToken = IAavePool(AAVE_POOL).getReserveData(USDC).variableDebtTokenAddress;
+
+        // The user has granted everything a migration in either direction needs
+        vm.startPrank(user);
+        IERC20(WBTC).approve(USDC_COMET, 1 * 10**8);
+        IComet(USDC_COMET).supply(WBTC, 1 * 10**8);
+        IComet(USDC_COMET).withdraw(USDC, 40000 * 10**6); // Borrow 40K USDC
+        IComet(USDC_COMET).allow(address(switcher), true);
+        ICreditDelegationToken(usdcDebtToken).approveDelegation(address(switcher), type(uint256).max);
+        IERC20(aWbtc).approve(address(switcher), type(uint256).max);
+        vm.stopPrank();
+
+        uint256 cometDebt = IComet(USDC_COMET).borrowBalanceOf(user);
+
+        address[] memory collateralAssets = new address[](1);
+        collateralAssets[0] = WBTC;
+        uint256[] memory collateralAmounts = new uint256[](1);
+        collateralAmounts[0] = 1 * 10**8;
+
+        // Another caller can't spend the user's credit delegation...
+        vm.prank(attacker);
+        vm.expectRevert(bytes("Caller must be the position owner"));
+        switcher.migrateCometToAave(user, USDC_COMET, AAVE_POOL, collateralAssets, collateralAmounts, USDC, type(uint256).max, 80000 * 10**6, 0, FLASH_POOL, "");
+
+        // ...or the user's aToken approval
+        vm.prank(attacker);
+        vm.expectRevert(bytes("Caller must be the position owner"));
+        switcher.migrateAaveToComet(user, AAVE_POOL, USDC, USDC_COMET, collateralAssets, collateralAmounts, type(uint256).max, 80000 * 10**6, 0, FLASH_POOL, "");
+
+        assertEq(IComet(USDC_COMET).collateralBalanceOf(user, WBTC), 1 * 10**8, "Comet position should be untouched");
+        assertEq(IComet(USDC_COMET).borrowBalanceOf(user), cometDebt, "Comet debt should be untouched");
+        assertEq(IERC20(usdcDebtToken).balanceOf(user), 0, "No Aave debt should be opened");
+    }
+
     function testVerifyPoolsAreDifferent() public {
         console.log("\n=== VERIFICATION: Pools Are Different ===\n");
         console.log("Flash loan pool:", FLASH_POOL);
@@ -29,40 +29,22 @@ export const CONTRACTS = {
   SWITCHER: import.meta.env.VITE_SWITCHER_ADDRESS || '0x81dcf22C4Ee4bD8EB3BDcb042fEb2Cc824379E0C'
 }
 
-// Compound V3 Comets (Mainnet)
-export const COMETS = {
-  USDC: {
-    address: '0xc3d688B66703497DAA19211EEdff47f25384cdc3',
-    name: 'USDC Comet',
-    baseToken: 'USDC',
-    baseDecimals: 6
-  },
-  WETH: {
-    address: '0xA17581A9E3356d9A858b789D68B4d866e593aE94',
-    name: 'WETH Comet',
-    baseToken: 'WETH',
-    baseDecimals: 18
-  }
-}
+// Compound V3 Comets and their tokens come from the backend market registry
+// (GET /api/defi/registry) so new markets don't need a frontend change
 
-// Token Addresses (Mainnet)
-export const TOKENS = {
-  WBTC: {
-    address: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599',
-    symbol: 'WBTC',
-    decimals: 8
-  },
-  USDC: {
-    address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
-    symbol: 'USDC',
-    decimals: 6
-  },
-  WETH: {
-    address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
-    symbol: 'WETH',
-    decimals: 18
-  }
-}
+// Switch slippage tolerance presets (basis points, 50 = 0.5%)
+export const SLIPPAGE_OPTIONS_BPS = [10, 50, 100, 300]
+export const DEFAULT_SLIPPAGE_BPS = 50
+
+// Share of a position to switch (collateral and debt move in the same proportion)
+export const SWITCH_PERCENTAGE_OPTIONS = [25, 50, 75, 100]
+export const DEFAULT_SWITCH_PERCENTAGE = 100
+
+// How long to wait for a submitted transaction to settle (PENDING -> SUCCESS/FAILED) on the update stream
+export const TX_WAIT_TIMEOUT_MS = 180000
+
+// Recent transactions shown in the history (kept current by the update stream)
+export const TX_HISTORY_LIMIT = 10
 
 // Format helpers
 export const formatAddress = (address) => {
@@ -252,6 +252,7 @@ export function AuthProvider({ children }) {
         sessionKeyAddress: confirmResponse.data.data.sessionKeyAddress,
         sessionKeyExpiry: confirmResponse.data.data.expiresAt
       }))
+      await refreshSessionKeyExpiry()
 
       // Refresh smart account status
       const statusRes = await accountAPI.getStatus()
@@ -276,6 +277,128 @@ export function AuthProvider({ children }) {
     }
   }
 
+  /**
+   * Run an owner-signed session key change (revoke / rotate)
+   * 1. Get the unsigned UserOp from the backend
+   * 2. User signs the UserOp hash with their Privy wallet
+   * 3. Submit the signature; backend updates the stored key once confirmed on-chain
+   */
+  const changeSessionKey = async ({ getData, confirm, label }) => {
+    try {
+      setLoading(true)
+
+      const wallet = getEmbeddedWallet()
+      if (!wallet) {
+        throw new Error('No wallet available. Please wait for wallet to initialize.')
+      }
+
+      toast.info(`Preparing session key ${label}...`)
+      const dataResponse = await getData()
+      if (!dataResponse.data.success) {
+        throw new Error(dataResponse.data.error || `Failed to get ${label} data`)
+      }
+
+      const { userOpHash } = dataResponse.data.data
+
+      toast.info(`Please sign to confirm session key ${label}...`)
+      const provider = await wallet.getEthereumProvider()
+      const signature = await provider.request({
+        method: 'personal_sign',
+        params: [userOpHash, wallet.address]
+      })
+
+      toast.info(`Submitting session key ${label} on-chain...`)
+      const confirmResponse = await confirm(signature, userOpHash)
+
+      if (!confirmResponse.data.success) {
+        throw new Error(confirmResponse.data.data?.message || `Failed to complete session key ${label}`)
+      }
+
+      return confirmResponse.data.data
+    } catch (error) {
+      console.error(`[AuthContext] Session key ${label} error:`, error)
+
+      if (error.code === 4001 || error.message?.includes('rejected')) {
+        toast.error('Signature rejected. Please try again.')
+      } else {
+        toast.error(error.response?.data?.error || error.message || `Failed to complete session key ${label}`)
+      }
+      throw error
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Pull the session key expiry state (expiring soon threshold is configured on the backend)
+  const refreshSessionKeyExpiry = async () => {
+    try {
+      const response = await authAPI.getSessionKeyStatus()
+      if (!response.data.success) return
+
+      const status = response.data.data
+      setBackendUser(prev => prev && ({
+        ...prev,
+        sessionKeyExpiry: status.expiresAt,
+        sessionKeyExpired: status.isExpired,
+        sessionKeyExpiringSoon: status.isExpiringSoon,
+        sessionKeyDaysRemaining: status.daysRemaining,
+        sessionKeyRegrantRequired: status.regrantRequired
+      }))
+    } catch (err) {
+      console.error('[AuthContext] Failed to refresh session key status:', err)
+    }
+  }
+
+  // Revoke the session key - backend can no longer act until the user activates again
+  const revokeSessionKey = async () => {
+    const result = await changeSessionKey({
+      getData: authAPI.getSessionKeyRevocationData,
+      confirm: authAPI.revokeSessionKey,
+      label: 'revocation'
+    })
+
+    setBackendUser(prev => ({
+      ...prev,
+      hasSessionKey: false,
+      sessionKeyAddress: result.sessionKeyAddress
+    }))
+    setSmartAccount(prev => prev && { ...prev, hasSessionKey: false })
+
+    toast.success('Session key revoked.')
+    return result
+  }
+
+  // Rotate to a freshly generated session key (same permissions and expiry)
+  const rotateSessionKey = async () => {
+    const result = await changeSessionKey({
+      getData: authAPI.getSessionKeyRotationData,
+      confirm: authAPI.rotateSessionKey,
+      label: 'rotation'
+    })
+
+    setBackendUser(prev => ({
+      ...prev,
+      sessionKeyAddress: result.sessionKeyAddress
+    }))
+
+    toast.success('Session key rotated.')
+    return result
+  }
+
+  // Extend the session key's validity window - same key, permissions and spend limits
+  const renewSessionKey = async () => {
+    const result = await changeSessionKey({
+      getData: authAPI.getSessionKeyRenewalData,
+      confirm: authAPI.renewSessionKey,
+      label: 'renewal'
+    })
+
+    await refreshSessionKeyExpiry()
+
+    toast.success('Session key renewed.')
+    return result
+  }
+
   // Logout
   const handleLogout = async () => {
     try {
@@ -320,7 +443,10 @@ export function AuthProvider({ children }) {
     login: privyLogin,
     logout: handleLogout,
     refresh,
-    activateAccount
+    activateAccount,
+    revokeSessionKey,
+    rotateSessionKey,
+    renewSessionKey
   }
 
   return (
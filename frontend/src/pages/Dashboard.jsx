@@ -1,8 +1,18 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { useAuth } from '../context/AuthContext'
-import { defiAPI, accountAPI } from '../services/api'
+import { defiAPI, accountAPI, notificationAPI, streamAPI } from '../services/api'
 import { toast } from 'react-toastify'
-import { formatAddress, formatAmount, COMETS, TENDERLY_EXPLORER } from '../config/constants'
+import {
+  formatAddress,
+  formatAmount,
+  TENDERLY_EXPLORER,
+  SLIPPAGE_OPTIONS_BPS,
+  DEFAULT_SLIPPAGE_BPS,
+  SWITCH_PERCENTAGE_OPTIONS,
+  DEFAULT_SWITCH_PERCENTAGE,
+  TX_WAIT_TIMEOUT_MS,
+  TX_HISTORY_LIMIT
+} from '../config/constants'
 import { handleApiError } from '../utils/errorHandler'
 import './Dashboard.css'
 
@@ -15,56 +25,102 @@ function Dashboard() {
     hasSessionKey,
     isAccountActive,
     activateAccount,
+    revokeSessionKey,
+    rotateSessionKey,
+    renewSessionKey,
     loading: authLoading,
     email
   } = useAuth()
 
+  const [registry, setRegistry] = useState(null)
   const [positions, setPositions] = useState(null)
   const [balances, setBalances] = useState(null)
   const [transactions, setTransactions] = useState([])
+  const [marketRates, setMarketRates] = useState(null)
+  const [streamConnected, setStreamConnected] = useState(false)
   const [loading, setLoading] = useState(true)
   const [switching, setSwitching] = useState(false)
+  const [switchPreview, setSwitchPreview] = useState(null)
+  const [previewLoading, setPreviewLoading] = useState(false)
+  const [slippageBps, setSlippageBps] = useState(DEFAULT_SLIPPAGE_BPS)
+  const [switchPercentage, setSwitchPercentage] = useState(DEFAULT_SWITCH_PERCENTAGE)
   const [activeTab, setActiveTab] = useState('overview')
 
   // DeFi action states
   const [actionLoading, setActionLoading] = useState(false)
   const [fundingLoading, setFundingLoading] = useState(false)
   const [selectedComet, setSelectedComet] = useState('USDC')
+  const [supplyAsset, setSupplyAsset] = useState(null)
   const [supplyAmount, setSupplyAmount] = useState('')
   const [borrowAmount, setBorrowAmount] = useState('')
 
+  // Submitted transactions waiting for the stream to report them settled (id -> resolve)
+  const transactionWaiters = useRef(new Map())
+  const streamConnectedRef = useRef(false)
+
   useEffect(() => {
     if (backendUser && smartAccountAddress) {
-      loadData()
+      // Positions and balances arrive on the update stream
+      loadData({ account: false })
     } else {
       setLoading(false)
     }
   }, [backendUser, smartAccountAddress])
 
-  const loadData = async () => {
+  // Live updates: positions and balances on new blocks, market rates, transaction status
+  useEffect(() => {
+    if (!backendUser || !smartAccountAddress) return
+
+    return streamAPI.subscribe({
+      positions: (data) => setPositions(toPositionViews(data.positions)),
+      balances: (data) => setBalances(data),
+      markets: (data) => setMarketRates(data.markets),
+      transaction: (data) => handleTransactionUpdate(data.transaction),
+      onStatus: (connected) => {
+        streamConnectedRef.current = connected
+        setStreamConnected(connected)
+      }
+    })
+  }, [backendUser, smartAccountAddress])
+
+  const getMarket = (key) => registry?.markets.find(market => market.key === key)
+
+  // Collateral chosen for supply, if the selected Comet lists it (otherwise its default collateral)
+  const getSupplyAsset = () => {
+    const collaterals = getMarket(selectedComet)?.collaterals || []
+    return collaterals.includes(supplyAsset) ? supplyAsset : collaterals[0]
+  }
+
+  const sessionKeyExpired = hasSessionKey && backendUser?.sessionKeyExpired
+  const sessionKeyExpiringSoon = hasSessionKey && backendUser?.sessionKeyExpiringSoon
+  const sessionKeyDaysRemaining = backendUser?.sessionKeyDaysRemaining
+
+  const getSessionKeyStatusLabel = () => {
+    if (!hasSessionKey) return 'Not Installed'
+    if (sessionKeyExpired) return 'Expired'
+    if (sessionKeyDaysRemaining == null) return 'Active'
+    return `Active (${sessionKeyDaysRemaining} day${sessionKeyDaysRemaining === 1 ? '' : 's'} left)`
+  }
+
+  // Load the registry and transaction history, plus positions and balances unless the stream provides them
+  const loadData = async ({ account = true } = {}) => {
+    const skipped = Promise.resolve({ data: { success: false } })
+
     try {
       setLoading(true)
 
-      const [posRes, balRes, txRes] = await Promise.all([
-        defiAPI.getPosition().catch(() => ({ data: { success: false } })),
-        accountAPI.getBalances().catch(() => ({ data: { success: false } })),
-        defiAPI.getTransactions(10).catch(() => ({ data: { success: false } }))
+      const [registryRes, posRes, balRes, txRes] = await Promise.all([
+        defiAPI.getMarketRegistry().catch(() => ({ data: { success: false } })),
+        account ? defiAPI.getPosition().catch(() => ({ data: { success: false } })) : skipped,
+        account ? accountAPI.getBalances().catch(() => ({ data: { success: false } })) : skipped,
+        defiAPI.getTransactions(TX_HISTORY_LIMIT).catch(() => ({ data: { success: false } }))
       ])
 
+      if (registryRes.data.success) {
+        setRegistry(registryRes.data.data)
+      }
       if (posRes.data.success && posRes.data.data?.positions) {
-        const backendPos = posRes.data.data.positions
-        setPositions({
-          usdcComet: backendPos.USDC ? {
-            collateral: backendPos.USDC.collateral?.balance,
-            debt: backendPos.USDC.borrowed?.balance,
-            healthFactor: 'N/A'
-          } : null,
-          wethComet: backendPos.WETH ? {
-            collateral: backendPos.WETH.collateral?.balance,
-            debt: backendPos.WETH.borrowed?.balance,
-            healthFactor: 'N/A'
-          } : null
-        })
+        setPositions(toPositionViews(posRes.data.data.positions))
       }
       if (balRes.data.success) {
         setBalances(balRes.data.data)
@@ -79,6 +135,56 @@ function Dashboard() {
     }
   }
 
+  // Keep the history current and settle anyone waiting on this transaction
+  const handleTransactionUpdate = (transaction) => {
+    setTransactions(current => [transaction, ...current.filter(tx => tx._id !== transaction._id)]
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, TX_HISTORY_LIMIT))
+
+    if (transaction.status !== 'PENDING') {
+      transactionWaiters.current.get(transaction._id)?.(transaction)
+    }
+  }
+
+  // Wait for the update stream to report a submitted transaction settled (null on timeout).
+  // One lookup covers a transaction that settled before we started waiting
+  const waitForTransaction = (transactionId) => new Promise((resolve) => {
+    const settle = (transaction) => {
+      clearTimeout(timeout)
+      transactionWaiters.current.delete(transactionId)
+      resolve(transaction)
+    }
+    const timeout = setTimeout(() => settle(null), TX_WAIT_TIMEOUT_MS)
+    transactionWaiters.current.set(transactionId, settle)
+
+    defiAPI.getTransaction(transactionId)
+      .then((response) => {
+        const transaction = response.data.data.transaction
+        if (transaction.status !== 'PENDING') handleTransactionUpdate(transaction)
+      })
+      .catch(() => {})
+  })
+
+  // Report the outcome of a submitted transaction (the stream brings the new positions and balances)
+  const trackTransaction = async (response, successMessage, failureMessage) => {
+    const { transactionId } = response.data.data
+    toast.info('Transaction submitted, waiting for confirmation...')
+
+    const transaction = await waitForTransaction(transactionId)
+    if (!transaction) {
+      toast.warning('Transaction still pending - check the Transactions tab for its status')
+    } else if (transaction.status === 'SUCCESS') {
+      toast.success(successMessage)
+    } else {
+      toast.error(`${failureMessage}: ${transaction.error || 'transaction reverted'}`)
+    }
+
+    if (!streamConnectedRef.current) {
+      await loadData()
+    }
+    return transaction?.status === 'SUCCESS'
+  }
+
   // Fund Smart Account with test tokens via Tenderly
   const handleFundSmartAccount = async () => {
     if (fundingLoading) return
@@ -87,7 +193,7 @@ function Dashboard() {
       setFundingLoading(true)
       toast.info('Funding your Smart Account with test tokens...')
 
-      const response = await accountAPI.fundSmartAccount(['WBTC', 'USDC', 'WETH'])
+      const response = await accountAPI.fundSmartAccount()
 
       if (response.data.success) {
         toast.success('Smart Account funded with test tokens!')
@@ -109,19 +215,45 @@ function Dashboard() {
     }
   }
 
+  const handleRevokeSessionKey = async () => {
+    if (!window.confirm('Revoke the session key? Gasless actions will stop until you activate a new key.')) return
+
+    try {
+      await revokeSessionKey()
+    } catch (error) {
+      // Error handled in context
+    }
+  }
+
+  const handleRotateSessionKey = async () => {
+    try {
+      await rotateSessionKey()
+    } catch (error) {
+      // Error handled in context
+    }
+  }
+
+  const handleRenewSessionKey = async () => {
+    try {
+      await renewSessionKey()
+    } catch (error) {
+      // Error handled in context
+    }
+  }
+
   const handleSupply = async () => {
     if (!supplyAmount || actionLoading) return
 
     try {
       setActionLoading(true)
-      toast.info(`Supplying ${supplyAmount} WBTC to ${selectedComet} Comet...`)
+      const collateralAsset = getSupplyAsset()
+      toast.info(`Supplying ${supplyAmount} ${collateralAsset} to ${selectedComet} Comet...`)
 
-      const response = await defiAPI.supply(selectedComet, 'WBTC', supplyAmount)
+      const response = await defiAPI.supply(selectedComet, collateralAsset, supplyAmount)
 
       if (response.data.success) {
-        toast.success('Supply successful!')
         setSupplyAmount('')
-        await loadData()
+        await trackTransaction(response, 'Supply successful!', 'Supply failed')
       }
     } catch (error) {
       handleApiError(error, 'Supply failed')
@@ -135,15 +267,14 @@ function Dashboard() {
 
     try {
       setActionLoading(true)
-      const borrowToken = selectedComet === 'USDC' ? 'USDC' : 'WETH'
+      const borrowToken = getMarket(selectedComet)?.baseToken
       toast.info(`Borrowing ${borrowAmount} ${borrowToken} from ${selectedComet} Comet...`)
 
       const response = await defiAPI.borrow(selectedComet, borrowToken, borrowAmount)
 
       if (response.data.success) {
-        toast.success('Borrow successful!')
         setBorrowAmount('')
-        await loadData()
+        await trackTransaction(response, 'Borrow successful!', 'Borrow failed')
       }
     } catch (error) {
       handleApiError(error, 'Borrow failed')
@@ -152,18 +283,40 @@ function Dashboard() {
     }
   }
 
-  const handleSwitch = async (fromComet, toComet) => {
+  // Step 1 of a switch: dry-run it and show the expected outcome
+  // Switches move the chosen share of every collateral asset and of the debt (no collateralAsset / amount)
+  const handlePreviewSwitch = async (fromComet, toComet) => {
+    if (previewLoading || switching) return
+
+    try {
+      setPreviewLoading(true)
+      setSwitchPreview(null)
+
+      const response = await defiAPI.previewSwitch(fromComet, toComet, null, null, slippageBps, switchPercentage)
+
+      if (response.data.success) {
+        setSwitchPreview({ fromComet, toComet, ...response.data.data.preview })
+      }
+    } catch (error) {
+      handleApiError(error, 'Failed to preview switch')
+    } finally {
+      setPreviewLoading(false)
+    }
+  }
+
+  // Step 2 of a switch: execute after the user has confirmed the preview
+  const handleSwitch = async (fromComet, toComet, switchSlippageBps, percentage) => {
     if (switching) return
 
     try {
       setSwitching(true)
-      toast.info(`Switching position from ${fromComet} to ${toComet} Comet...`)
+      toast.info(`Switching ${percentage}% of position from ${fromComet} to ${toComet} Comet...`)
 
-      const response = await defiAPI.switchPosition(fromComet, toComet, 'WBTC', null)
+      const response = await defiAPI.switchPosition(fromComet, toComet, null, null, switchSlippageBps, percentage)
 
       if (response.data.success) {
-        toast.success('Position switched successfully!')
-        await loadData()
+        setSwitchPreview(null)
+        await trackTransaction(response, 'Position switched successfully!', 'Switch failed')
       }
     } catch (error) {
       handleApiError(error, 'Failed to switch position')
@@ -181,8 +334,9 @@ function Dashboard() {
     )
   }
 
-  const hasUsdcPosition = positions?.usdcComet?.collateral && BigInt(positions.usdcComet.collateral) > 0n
-  const hasWethPosition = positions?.wethComet?.collateral && BigInt(positions.wethComet.collateral) > 0n
+  const cometMarkets = registry?.markets || []
+  const tokens = registry?.tokens || []
+  const collateralSymbols = new Set(cometMarkets.flatMap(market => market.collaterals))
 
   return (
     <div className="dashboard">
@@ -243,10 +397,31 @@ function Dashboard() {
             </div>
             <div className="wallet-details">
               <span className="wallet-label">Session Key</span>
-              <span className="wallet-status">{hasSessionKey ? 'Active (30 days)' : 'Not Installed'}</span>
+              <span className="wallet-status">{getSessionKeyStatusLabel()}</span>
+              {isAccountActive && (
+                <div className="session-actions">
+                  {hasSessionKey ? (
+                    <>
+                      <button className="btn-session-action" onClick={handleRenewSessionKey} disabled={authLoading}>
+                        Renew
+                      </button>
+                      <button className="btn-session-action" onClick={handleRotateSessionKey} disabled={authLoading}>
+                        Rotate
+                      </button>
+                      <button className="btn-session-action danger" onClick={handleRevokeSessionKey} disabled={authLoading}>
+                        Revoke
+                      </button>
+                    </>
+                  ) : (
+                    <button className="btn-session-action" onClick={handleActivate} disabled={authLoading}>
+                      Grant
+                    </button>
+                  )}
+                </div>
+              )}
             </div>
-            <span className={`wallet-badge ${hasSessionKey ? 'active' : 'inactive'}`}>
-              {hasSessionKey ? 'Gasless' : 'Setup Required'}
+            <span className={`wallet-badge ${hasSessionKey && !sessionKeyExpired ? 'active' : 'inactive'}`}>
+              {!hasSessionKey ? 'Setup Required' : sessionKeyExpired ? 'Renew Required' : 'Gasless'}
             </span>
           </div>
         </div>
@@ -264,6 +439,23 @@ function Dashboard() {
           </div>
         )}
 
+        {/* Session Key Expiry Banner */}
+        {isAccountActive && (sessionKeyExpired || sessionKeyExpiringSoon) && (
+          <div className={`activation-banner expiry-banner ${sessionKeyExpired ? 'expired' : ''}`}>
+            <div className="banner-content">
+              <h3>{sessionKeyExpired ? 'Session Key Expired' : 'Session Key Expiring Soon'}</h3>
+              <p>
+                {sessionKeyExpired
+                  ? 'Gasless actions are paused. Sign a renewal to resume them.'
+                  : `Your session key expires in ${sessionKeyDaysRemaining} day${sessionKeyDaysRemaining === 1 ? '' : 's'}. Renew it now so automated operations keep working.`}
+              </p>
+            </div>
+            <button className="btn-activate" onClick={handleRenewSessionKey} disabled={authLoading}>
+              {authLoading ? 'Renewing...' : 'Renew Session Key'}
+            </button>
+          </div>
+        )}
+
         {/* Main Content */}
         {isAccountActive && (
           <>
@@ -290,18 +482,17 @@ function Dashboard() {
                     <span className="token-name">ETH</span>
                     <span className="token-balance">{formatAmount(balances?.eth || '0', 18)}</span>
                   </div>
-                  <div className="balance-card highlight">
-                    <span className="token-name">WBTC</span>
-                    <span className="token-balance">{formatAmount(balances?.wbtc || '0', 8)}</span>
-                  </div>
-                  <div className="balance-card">
-                    <span className="token-name">USDC</span>
-                    <span className="token-balance">{formatAmount(balances?.usdc || '0', 6)}</span>
-                  </div>
-                  <div className="balance-card">
-                    <span className="token-name">WETH</span>
-                    <span className="token-balance">{formatAmount(balances?.weth || '0', 18)}</span>
-                  </div>
+                  {tokens.map((token) => (
+                    <div
+                      key={token.symbol}
+                      className={`balance-card ${collateralSymbols.has(token.symbol) ? 'highlight' : ''}`}
+                    >
+                      <span className="token-name">{token.symbol}</span>
+                      <span className="token-balance">
+                        {formatAmount(balances?.[token.symbol.toLowerCase()] || '0', token.decimals)}
+                      </span>
+                    </div>
+                  ))}
                 </div>
               </div>
             </div>
@@ -333,11 +524,25 @@ function Dashboard() {
             {/* Tab Content */}
             <div className="tab-content">
               {activeTab === 'overview' && (
-                <PositionsView positions={positions} onRefresh={loadData} />
+                <PositionsView
+                  markets={cometMarkets}
+                  positions={positions}
+                  rates={marketRates}
+                  live={streamConnected}
+                  onRefresh={() => loadData()}
+                />
               )}
 
+              {activeTab === 'overview' && <GuardianPanel />}
+
+              {activeTab === 'overview' && <NotificationsPanel />}
+
               {activeTab === 'defi' && (
                 <DefiActionsView
+                  markets={cometMarkets}
+                  tokens={tokens}
+                  supplyAsset={getSupplyAsset()}
+                  setSupplyAsset={setSupplyAsset}
                   selectedComet={selectedComet}
                   setSelectedComet={setSelectedComet}
                   supplyAmount={supplyAmount}
@@ -353,19 +558,34 @@ function Dashboard() {
 
               {activeTab === 'switch' && (
                 <SwitchView
+                  markets={cometMarkets}
                   positions={positions}
-                  hasUsdcPosition={hasUsdcPosition}
-                  hasWethPosition={hasWethPosition}
                   switching={switching}
-                  onSwitch={handleSwitch}
+                  slippageBps={slippageBps}
+                  onSlippageChange={(bps) => {
+                    setSlippageBps(bps)
+                    setSwitchPreview(null)
+                  }}
+                  percentage={switchPercentage}
+                  onPercentageChange={(value) => {
+                    setSwitchPercentage(value)
+                    setSwitchPreview(null)
+                  }}
+                  preview={switchPreview}
+                  previewLoading={previewLoading}
+                  onPreview={handlePreviewSwitch}
+                  onConfirm={handleSwitch}
+                  onCancel={() => setSwitchPreview(null)}
                 />
               )}
+
+              {activeTab === 'switch' && <AutoSwitchPanel />}
             </div>
 
             {/* Transaction History */}
             <TransactionHistoryView
               transactions={transactions}
-              onRefresh={loadData}
+              onRefresh={() => loadData()}
             />
           </>
         )}
@@ -374,84 +594,154 @@ function Dashboard() {
   )
 }
 
+// Comet icon glyphs (markets without one show their first letter)
+const COMET_GLYPHS = { USDC: '$', WETH: 'E' }
+
+function CometIcon({ marketKey }) {
+  return (
+    <span className={`comet-icon ${marketKey.toLowerCase()}`}>
+      {COMET_GLYPHS[marketKey] || marketKey.charAt(0)}
+    </span>
+  )
+}
+
+// Backend positions (keyed by market registry key: USDC, WETH, ...) as shown on the dashboard
+const toPositionViews = (backendPositions) => Object.fromEntries(
+  Object.entries(backendPositions).map(([key, pos]) => [key, pos ? {
+    // Only the collateral assets actually held
+    collaterals: (pos.collaterals || []).filter(collateral => BigInt(collateral.balance) > 0n),
+    collateralUsdValue: pos.collateralUsdValue,
+    debt: pos.borrowed?.balance,
+    debtAsset: pos.borrowed?.asset,
+    debtDecimals: pos.borrowed?.decimals,
+    healthFactor: pos.risk?.healthFactorFormatted || 'N/A',
+    risk: pos.risk
+  } : null])
+)
+
 // Positions View Component
-function PositionsView({ positions, onRefresh }) {
+function PositionsView({ markets, positions, rates, live, onRefresh }) {
   return (
     <div className="positions-section">
       <div className="section-header">
-        <h3>Your Compound V3 Positions</h3>
+        <h3>
+          Your Compound V3 Positions
+          <span className={`live-indicator ${live ? 'live' : ''}`}>{live ? 'Live' : 'Offline'}</span>
+        </h3>
         <button className="btn-refresh" onClick={onRefresh}>Refresh</button>
       </div>
 
       <div className="positions-grid">
-        {/* USDC Comet */}
-        <div className="position-card">
-          <div className="position-header">
-            <div className="comet-info">
-              <span className="comet-icon usdc">$</span>
-              <div>
-                <h4>USDC Comet</h4>
-                <span className="comet-address">{formatAddress(COMETS.USDC.address)}</span>
-              </div>
-            </div>
-          </div>
-          <div className="position-body">
-            <div className="position-stat">
-              <span className="stat-label">Collateral (WBTC)</span>
-              <span className="stat-value">
-                {positions?.usdcComet?.collateral
-                  ? formatAmount(positions.usdcComet.collateral, 8)
-                  : '0'}
-              </span>
-            </div>
-            <div className="position-stat">
-              <span className="stat-label">Borrowed (USDC)</span>
-              <span className="stat-value debt">
-                {positions?.usdcComet?.debt
-                  ? formatAmount(positions.usdcComet.debt, 6)
-                  : '0'}
-              </span>
-            </div>
-          </div>
-        </div>
+        {markets.map((market) => {
+          const position = positions?.[market.key]
+          const collaterals = position?.collaterals || []
+          const marketRate = rates?.[market.key]
 
-        {/* WETH Comet */}
-        <div className="position-card">
-          <div className="position-header">
-            <div className="comet-info">
-              <span className="comet-icon weth">E</span>
-              <div>
-                <h4>WETH Comet</h4>
-                <span className="comet-address">{formatAddress(COMETS.WETH.address)}</span>
+          return (
+            <div key={market.key} className="position-card">
+              <div className="position-header">
+                <div className="comet-info">
+                  <CometIcon marketKey={market.key} />
+                  <div>
+                    <h4>{market.name}</h4>
+                    <span className="comet-address">{formatAddress(market.address)}</span>
+                  </div>
+                </div>
+              </div>
+              <div className="position-body">
+                {collaterals.length === 0 ? (
+                  <div className="position-stat">
+                    <span className="stat-label">Collateral</span>
+                    <span className="stat-value">0</span>
+                  </div>
+                ) : collaterals.map((collateral) => (
+                  <div key={collateral.asset} className="position-stat">
+                    <span className="stat-label">Collateral ({collateral.asset})</span>
+                    <span className="stat-value">
+                      {formatAmount(collateral.balance, collateral.decimals)}
+                      {collateral.usdValue && (
+                        <span className="stat-subvalue"> {formatQuoteValue(collateral.usdValue, 'USD')}</span>
+                      )}
+                    </span>
+                  </div>
+                ))}
+                {collaterals.length > 1 && position?.collateralUsdValue && (
+                  <div className="position-stat">
+                    <span className="stat-label">Total Collateral</span>
+                    <span className="stat-value">{formatQuoteValue(position.collateralUsdValue, 'USD')}</span>
+                  </div>
+                )}
+                <div className="position-stat">
+                  <span className="stat-label">Borrowed ({market.baseToken})</span>
+                  <span className="stat-value debt">
+                    {position?.debt
+                      ? formatAmount(position.debt, market.decimals)
+                      : '0'}
+                  </span>
+                </div>
+                {marketRate && (
+                  <div className="position-stat">
+                    <span className="stat-label">Borrow / Supply APY</span>
+                    <span className="stat-value">{marketRate.borrowAPY} / {marketRate.supplyAPY}</span>
+                  </div>
+                )}
+                <PositionRiskStats risk={position?.risk} />
               </div>
             </div>
-          </div>
-          <div className="position-body">
-            <div className="position-stat">
-              <span className="stat-label">Collateral (WBTC)</span>
-              <span className="stat-value">
-                {positions?.wethComet?.collateral
-                  ? formatAmount(positions.wethComet.collateral, 8)
-                  : '0'}
-              </span>
-            </div>
-            <div className="position-stat">
-              <span className="stat-label">Borrowed (WETH)</span>
-              <span className="stat-value debt">
-                {positions?.wethComet?.debt
-                  ? formatAmount(positions.wethComet.debt, 18)
-                  : '0'}
-              </span>
-            </div>
-          </div>
-        </div>
+          )
+        })}
       </div>
     </div>
   )
 }
 
+// Format a price-feed denominated value ({ value, formatted }) for display
+const formatQuoteValue = (quote, currency) => {
+  if (!quote) return 'N/A'
+  const amount = Number(quote.formatted).toLocaleString('en-US', { maximumFractionDigits: 2 })
+  return currency === 'USD' ? `$${amount}` : `${amount} ${currency}`
+}
+
+// Health factor, borrow capacity and liquidation metrics for a position
+function PositionRiskStats({ risk }) {
+  if (!risk) return null
+
+  const riskClass = `risk-${risk.riskLevel.toLowerCase()}`
+
+  return (
+    <>
+      <div className="position-stat">
+        <span className="stat-label">Health Factor</span>
+        <span className={`stat-value risk-badge ${riskClass}`}>{risk.healthFactorFormatted}</span>
+      </div>
+      <div className="position-stat">
+        <span className="stat-label">Borrow Capacity</span>
+        <span className="stat-value">{formatQuoteValue(risk.borrowCapacity, risk.quoteCurrency)}</span>
+      </div>
+      <div className="position-stat">
+        <span className="stat-label">Liquidation Threshold</span>
+        <span className="stat-value">{formatQuoteValue(risk.liquidationThreshold, risk.quoteCurrency)}</span>
+      </div>
+      {risk.liquidationAsset && (
+        <div className="position-stat">
+          <span className="stat-label">{risk.liquidationAsset} Liquidation Price</span>
+          <span className="stat-value">{formatQuoteValue(risk.liquidationPrice, risk.quoteCurrency)}</span>
+        </div>
+      )}
+      <div className="position-stat">
+        <span className="stat-label">Distance to Liquidation</span>
+        <span className={`stat-value ${riskClass}`}>{risk.distanceToLiquidationFormatted}</span>
+      </div>
+    </>
+  )
+}
+
 // DeFi Actions View
 function DefiActionsView({
+  markets,
+  tokens,
+  supplyAsset,
+  setSupplyAsset,
   selectedComet,
   setSelectedComet,
   supplyAmount,
@@ -463,25 +753,27 @@ function DefiActionsView({
   actionLoading,
   balances
 }) {
+  const market = markets.find(m => m.key === selectedComet)
+  const collateral = tokens.find(token => token.symbol === supplyAsset)
+  const collateralSymbol = collateral?.symbol || ''
+  const collateralBalance = formatAmount(balances?.[collateralSymbol.toLowerCase()] || '0', collateral?.decimals)
+  const baseToken = market?.baseToken || ''
+
   return (
     <div className="defi-actions-section">
       <div className="comet-selector">
         <h3>Select Comet Pool</h3>
         <div className="selector-buttons">
-          <button
-            className={selectedComet === 'USDC' ? 'active' : ''}
-            onClick={() => setSelectedComet('USDC')}
-          >
-            <span className="comet-icon usdc">$</span>
-            USDC Comet
-          </button>
-          <button
-            className={selectedComet === 'WETH' ? 'active' : ''}
-            onClick={() => setSelectedComet('WETH')}
-          >
-            <span className="comet-icon weth">E</span>
-            WETH Comet
-          </button>
+          {markets.map((m) => (
+            <button
+              key={m.key}
+              className={selectedComet === m.key ? 'active' : ''}
+              onClick={() => setSelectedComet(m.key)}
+            >
+              <CometIcon marketKey={m.key} />
+              {m.name}
+            </button>
+          ))}
         </div>
       </div>
 
@@ -489,10 +781,26 @@ function DefiActionsView({
         {/* Supply Card */}
         <div className="action-card">
           <h4>Supply Collateral</h4>
-          <p className="action-desc">Supply WBTC as collateral to borrow against</p>
+          <p className="action-desc">Supply {collateralSymbol} as collateral to borrow against</p>
 
           <div className="input-group">
-            <label>Amount (WBTC)</label>
+            <label>Collateral Asset</label>
+            <select
+              value={collateralSymbol}
+              onChange={(e) => {
+                setSupplyAsset(e.target.value)
+                setSupplyAmount('')
+              }}
+              disabled={actionLoading}
+            >
+              {(market?.collaterals || []).map((symbol) => (
+                <option key={symbol} value={symbol}>{symbol}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="input-group">
+            <label>Amount ({collateralSymbol})</label>
             <div className="input-with-max">
               <input
                 type="number"
@@ -503,13 +811,13 @@ function DefiActionsView({
               />
               <button
                 className="btn-max"
-                onClick={() => setSupplyAmount(formatAmount(balances?.wbtc || '0', 8))}
+                onClick={() => setSupplyAmount(collateralBalance)}
               >
                 MAX
               </button>
             </div>
             <span className="balance-hint">
-              Balance: {formatAmount(balances?.wbtc || '0', 8)} WBTC
+              Balance: {collateralBalance} {collateralSymbol}
             </span>
           </div>
 
@@ -518,17 +826,17 @@ function DefiActionsView({
             onClick={onSupply}
             disabled={actionLoading || !supplyAmount}
           >
-            {actionLoading ? 'Processing...' : 'Supply WBTC'}
+            {actionLoading ? 'Processing...' : `Supply ${collateralSymbol}`}
           </button>
         </div>
 
         {/* Borrow Card */}
         <div className="action-card">
-          <h4>Borrow {selectedComet === 'USDC' ? 'USDC' : 'WETH'}</h4>
+          <h4>Borrow {baseToken}</h4>
           <p className="action-desc">Borrow against your collateral (gasless!)</p>
 
           <div className="input-group">
-            <label>Amount ({selectedComet === 'USDC' ? 'USDC' : 'WETH'})</label>
+            <label>Amount ({baseToken})</label>
             <div className="input-with-max">
               <input
                 type="number"
@@ -548,7 +856,7 @@ function DefiActionsView({
             onClick={onBorrow}
             disabled={actionLoading || !borrowAmount}
           >
-            {actionLoading ? 'Processing...' : `Borrow ${selectedComet === 'USDC' ? 'USDC' : 'WETH'}`}
+            {actionLoading ? 'Processing...' : `Borrow ${baseToken}`}
           </button>
         </div>
       </div>
@@ -582,8 +890,10 @@ function TransactionHistoryView({ transactions, onRefresh }) {
       case 'REPAY': return '💰'
       case 'WITHDRAW': return '📤'
       case 'SWITCH':
-      case 'SWITCH_PROTOCOL': return '🔄'
+      case 'SWITCH_PROTOCOL':
+      case 'MIGRATE': return '🔄'
       case 'SWAP': return '↔️'
+      case 'GUARDIAN': return '🛡️'
       default: return '📋'
     }
   }
@@ -630,22 +940,24 @@ function TransactionHistoryView({ transactions, onRefresh }) {
                 </div>
               </div>
               <div className="tx-status-actions">
-                <span className={`tx-status ${getStatusClass(tx.status)}`}>
+                <span className={`tx-status ${getStatusClass(tx.status)}`} title={tx.error || undefined}>
                   {tx.status}
                 </span>
-                <a
-                  href={TENDERLY_EXPLORER.getTxUrl(tx.txHash)}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="tx-explorer-link"
-                  title="View on Tenderly Explorer"
-                >
-                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                    <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6" />
-                    <polyline points="15 3 21 3 21 9" />
-                    <line x1="10" y1="14" x2="21" y2="3" />
-                  </svg>
-                </a>
+                {tx.txHash && (
+                  <a
+                    href={TENDERLY_EXPLORER.getTxUrl(tx.txHash)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="tx-explorer-link"
+                    title="View on Tenderly Explorer"
+                  >
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6" />
+                      <polyline points="15 3 21 3 21 9" />
+                      <line x1="10" y1="14" x2="21" y2="3" />
+                    </svg>
+                  </a>
+                )}
               </div>
             </div>
           ))}
@@ -656,12 +968,30 @@ function TransactionHistoryView({ transactions, onRefresh }) {
 }
 
 // Switch View Component
-function SwitchView({ positions, hasUsdcPosition, hasWethPosition, switching, onSwitch }) {
+function SwitchView({
+  markets,
+  positions,
+  switching,
+  slippageBps,
+  onSlippageChange,
+  percentage,
+  onPercentageChange,
+  preview,
+  previewLoading,
+  onPreview,
+  onConfirm,
+  onCancel
+}) {
+  // Markets with collateral that have at least one switch target
+  const sourceMarkets = markets.filter((market) =>
+    positions?.[market.key]?.collaterals.length > 0 && market.switchTargets.length > 0
+  )
+
   return (
     <div className="switch-section">
       <div className="switch-header">
         <h3>Cross-Comet Position Switch</h3>
-        <p>Atomically move your entire position between Compound V3 Comets using flash loans</p>
+        <p>Atomically move all or part of your position between Compound V3 Comets using flash loans</p>
       </div>
 
       <div className="switch-explainer">
@@ -686,73 +1016,97 @@ function SwitchView({ positions, hasUsdcPosition, hasWethPosition, switching, on
         </div>
       </div>
 
-      {hasUsdcPosition || hasWethPosition ? (
+      <div className="slippage-selector">
+        <span className="stat-label">Slippage tolerance</span>
+        {SLIPPAGE_OPTIONS_BPS.map((bps) => (
+          <button
+            key={bps}
+            className={`slippage-option ${slippageBps === bps ? 'active' : ''}`}
+            onClick={() => onSlippageChange(bps)}
+            disabled={switching || previewLoading}
+          >
+            {bps / 100}%
+          </button>
+        ))}
+      </div>
+
+      <div className="percentage-selector">
+        <span className="stat-label">Share of position</span>
+        {SWITCH_PERCENTAGE_OPTIONS.map((value) => (
+          <button
+            key={value}
+            className={`percentage-option ${percentage === value ? 'active' : ''}`}
+            onClick={() => onPercentageChange(value)}
+            disabled={switching || previewLoading}
+          >
+            {value}%
+          </button>
+        ))}
+      </div>
+
+      {preview && (
+        <SwitchPreviewPanel
+          preview={preview}
+          switching={switching}
+          onConfirm={() => onConfirm(preview.fromComet, preview.toComet, preview.swap?.slippageBps, preview.percentage)}
+          onCancel={onCancel}
+        />
+      )}
+
+      {sourceMarkets.length > 0 ? (
         <div className="switch-options">
-          {hasUsdcPosition && (
-            <div className="switch-card">
-              <div className="switch-from">
-                <span className="comet-icon usdc">$</span>
-                <div>
-                  <h4>USDC Comet</h4>
-                  <p>{formatAmount(positions?.usdcComet?.collateral || '0', 8)} WBTC collateral</p>
-                  <p>{formatAmount(positions?.usdcComet?.debt || '0', 6)} USDC debt</p>
-                </div>
-              </div>
-              <div className="switch-arrow">
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                  <path d="M5 12h14M12 5l7 7-7 7"/>
-                </svg>
-              </div>
-              <div className="switch-to">
-                <span className="comet-icon weth">E</span>
-                <div>
-                  <h4>WETH Comet</h4>
-                  <p>Same WBTC collateral</p>
-                  <p>Equivalent WETH debt</p>
-                </div>
-              </div>
-              <button
-                className="btn-switch"
-                onClick={() => onSwitch('USDC', 'WETH')}
-                disabled={switching}
-              >
-                {switching ? 'Switching...' : 'Switch to WETH'}
-              </button>
-            </div>
-          )}
-
-          {hasWethPosition && (
-            <div className="switch-card">
-              <div className="switch-from">
-                <span className="comet-icon weth">E</span>
-                <div>
-                  <h4>WETH Comet</h4>
-                  <p>{formatAmount(positions?.wethComet?.collateral || '0', 8)} WBTC collateral</p>
-                  <p>{formatAmount(positions?.wethComet?.debt || '0', 18)} WETH debt</p>
-                </div>
-              </div>
-              <div className="switch-arrow">
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                  <path d="M5 12h14M12 5l7 7-7 7"/>
-                </svg>
-              </div>
-              <div className="switch-to">
-                <span className="comet-icon usdc">$</span>
-                <div>
-                  <h4>USDC Comet</h4>
-                  <p>Same WBTC collateral</p>
-                  <p>Equivalent USDC debt</p>
+          {sourceMarkets.flatMap((source) => {
+            const position = positions[source.key]
+            const heldAssets = position.collaterals.map(collateral => collateral.asset)
+
+            return source.switchTargets.map((targetKey) => {
+              const target = markets.find(m => m.key === targetKey)
+              if (!target) return null
+
+              // Every asset moves in the same switch, so the target must accept all of them
+              const unsupported = heldAssets.filter(asset => !target.collaterals.includes(asset))
+
+              return (
+                <div key={`${source.key}-${targetKey}`} className="switch-card">
+                  <div className="switch-from">
+                    <CometIcon marketKey={source.key} />
+                    <div>
+                      <h4>{source.name}</h4>
+                      {position.collaterals.map((collateral) => (
+                        <p key={collateral.asset}>{formatAmount(collateral.balance, collateral.decimals)} {collateral.asset} collateral</p>
+                      ))}
+                      <p>{formatAmount(position.debt || '0', source.decimals)} {source.baseToken} debt</p>
+                    </div>
+                  </div>
+                  <div className="switch-arrow">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M5 12h14M12 5l7 7-7 7"/>
+                    </svg>
+                  </div>
+                  <div className="switch-to">
+                    <CometIcon marketKey={target.key} />
+                    <div>
+                      <h4>{target.name}</h4>
+                      <p>{percentage < 100 ? `${percentage}% of the` : 'Same'} {heldAssets.join(', ')} collateral</p>
+                      <p>Equivalent {target.baseToken} debt{percentage < 100 ? ` for ${percentage}% of the position` : ''}</p>
+                    </div>
+                  </div>
+                  {unsupported.length > 0 && (
+                    <p className="switch-preview-note error">
+                      {target.name} does not accept {unsupported.join(', ')} as collateral
+                    </p>
+                  )}
+                  <button
+                    className="btn-switch"
+                    onClick={() => onPreview(source.key, target.key)}
+                    disabled={switching || previewLoading || unsupported.length > 0}
+                  >
+                    {previewLoading ? 'Simulating...' : `Preview Switch to ${target.baseToken}`}
+                  </button>
                 </div>
-              </div>
-              <button
-                className="btn-switch"
-                onClick={() => onSwitch('WETH', 'USDC')}
-                disabled={switching}
-              >
-                {switching ? 'Switching...' : 'Switch to USDC'}
-              </button>
-            </div>
-          )}
+              )
+            })
+          })}
         </div>
       ) : (
         <div className="no-position-notice">
@@ -768,4 +1122,664 @@ function SwitchView({ positions, hasUsdcPosition, hasWethPosition, switching, on
   )
 }
 
+// Switch Preview (confirmation step)
+function SwitchPreviewPanel({ preview, switching, onConfirm, onCancel }) {
+  const { simulation } = preview
+  const simulationFailed = simulation.simulated && !simulation.success
+  const { source: postSource, target: postTarget } = preview.postSwitch
+  const riskClass = (position) => `risk-${position.riskLevel.toLowerCase()}`
+  const partial = preview.percentage < 100
+
+  return (
+    <div className="switch-preview">
+      <div className="switch-preview-header">
+        <h4>Switch Preview: {partial ? `${preview.percentage}% of ` : ''}{preview.fromComet} → {preview.toComet} Comet</h4>
+        <span className={`tx-status ${simulationFailed ? 'status-failed' : 'status-success'}`}>
+          {!simulation.simulated ? 'Not simulated' : simulation.success ? 'Simulation passed' : 'Simulation failed'}
+        </span>
+      </div>
+
+      <div className="switch-preview-grid">
+        {preview.collaterals.map((collateral) => (
+          <div key={collateral.asset} className="position-stat">
+            <span className="stat-label">Collateral moved ({collateral.asset})</span>
+            <span className="stat-value">{collateral.formatted} {collateral.asset}</span>
+          </div>
+        ))}
+        <div className="position-stat">
+          <span className="stat-label">Debt repaid</span>
+          <span className="stat-value debt">{preview.debt.formatted} {preview.debt.asset}</span>
+        </div>
+        {partial && (
+          <div className="position-stat">
+            <span className="stat-label">Debt left in {preview.fromComet} Comet</span>
+            <span className="stat-value debt">{preview.debt.remainingInSource} {preview.debt.asset}</span>
+          </div>
+        )}
+        <div className="position-stat">
+          <span className="stat-label">Flash loan fee ({preview.flashLoan.feeTier / 10000}%)</span>
+          <span className="stat-value">{preview.flashLoan.feeFormatted} {preview.debt.asset}</span>
+        </div>
+        {preview.swap ? (
+          <>
+            <div className="position-stat">
+              <span className="stat-label">Swap ({preview.swap.path.length > 1 ? `${preview.swap.path.length} hops` : 'direct'})</span>
+              <span className="stat-value">
+                {preview.swap.amountInFormatted} {preview.swap.tokenIn} → {preview.swap.expectedOutputFormatted} {preview.swap.tokenOut}
+              </span>
+            </div>
+            {preview.swap.path.map(hop => (
+              <div className="position-stat" key={hop.pool}>
+                <span className="stat-label">
+                  {hop.tokenIn} → {hop.tokenOut} ({hop.feeTier / 10000}% pool)
+                </span>
+                <span className="stat-value">{(hop.priceImpactBps / 100).toFixed(2)}% impact</span>
+              </div>
+            ))}
+            <div className="position-stat">
+              <span className="stat-label">Minimal borrow (exact-output quote)</span>
+              <span className="stat-value">{preview.swap.minimalAmountInFormatted} {preview.swap.tokenIn}</span>
+            </div>
+            <div className="position-stat">
+              <span className="stat-label">Minimum received ({preview.swap.slippageBps / 100}% slippage)</span>
+              <span className="stat-value">{preview.swap.minOutputFormatted} {preview.swap.tokenOut}</span>
+            </div>
+            <div className="position-stat">
+              <span className="stat-label">Price impact</span>
+              <span className="stat-value">{(preview.swap.priceImpactBps / 100).toFixed(2)}%</span>
+            </div>
+            <div className="position-stat">
+              <span className="stat-label">Expected refund</span>
+              <span className="stat-value">{preview.excessRefund.formatted} {preview.excessRefund.asset}</span>
+            </div>
+          </>
+        ) : (
+          <div className="position-stat">
+            <span className="stat-label">Borrowed from {preview.toComet} Comet (same base token, no swap)</span>
+            <span className="stat-value">{preview.borrow.formatted} {preview.borrow.asset}</span>
+          </div>
+        )}
+        <div className="position-stat">
+          <span className="stat-label">{preview.toComet} Comet debt after switch</span>
+          <span className="stat-value debt">{postTarget.debtFormatted} {postTarget.debtAsset}</span>
+        </div>
+        <div className="position-stat">
+          <span className="stat-label">{preview.toComet} Comet health factor after switch</span>
+          <span className={`stat-value risk-badge ${riskClass(postTarget)}`}>{postTarget.healthFactorFormatted}</span>
+        </div>
+        {partial && (
+          <div className="position-stat">
+            <span className="stat-label">{preview.fromComet} Comet health factor after switch</span>
+            <span className={`stat-value risk-badge ${riskClass(postSource)}`}>{postSource.healthFactorFormatted}</span>
+          </div>
+        )}
+        <div className="position-stat">
+          <span className="stat-label">Gas estimate</span>
+          <span className="stat-value">
+            {preview.gasEstimate ? Number(preview.gasEstimate).toLocaleString('en-US') : 'N/A'}
+          </span>
+        </div>
+      </div>
+
+      {simulation.reason && (
+        <p className={`switch-preview-note ${simulationFailed ? 'error' : ''}`}>{simulation.reason}</p>
+      )}
+
+      <div className="switch-preview-actions">
+        <button className="btn-refresh" onClick={onCancel} disabled={switching}>Cancel</button>
+        <button
+          className="btn-switch"
+          onClick={onConfirm}
+          disabled={switching || simulationFailed}
+        >
+          {switching ? 'Switching...' : 'Confirm Switch'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+// Auto-switch decision -> tx-status class
+const AUTO_SWITCH_STATUS = {
+  EXECUTED: 'status-success',
+  DRY_RUN: 'status-pending',
+  FAILED: 'status-failed'
+}
+
+// Auto-switch (rate arbitrage) settings and execution log
+function AutoSwitchPanel() {
+  const [settings, setSettings] = useState(null)
+  const [form, setForm] = useState(null)
+  const [log, setLog] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  const applySettings = (autoSwitch) => {
+    setSettings(autoSwitch)
+    setForm({
+      enabled: autoSwitch.enabled,
+      dryRun: autoSwitch.dryRun,
+      horizonDays: String(autoSwitch.horizonDays),
+      minSavingsUsd: String(autoSwitch.minSavingsUsd)
+    })
+  }
+
+  const loadAutoSwitch = async () => {
+    try {
+      const [settingsRes, logRes] = await Promise.all([
+        defiAPI.getAutoSwitch(),
+        defiAPI.getAutoSwitchLog(10)
+      ])
+
+      if (settingsRes.data.success) {
+        applySettings(settingsRes.data.data.autoSwitch)
+      }
+      if (logRes.data.success) {
+        setLog(logRes.data.data.entries || [])
+      }
+    } catch (error) {
+      handleApiError(error, 'Failed to load auto-switch settings')
+    }
+  }
+
+  useEffect(() => {
+    loadAutoSwitch()
+  }, [])
+
+  const handleSave = async () => {
+    if (saving) return
+
+    try {
+      setSaving(true)
+
+      const response = await defiAPI.updateAutoSwitch({
+        enabled: form.enabled,
+        dryRun: form.dryRun,
+        horizonDays: parseInt(form.horizonDays),
+        minSavingsUsd: Number(form.minSavingsUsd)
+      })
+
+      if (response.data.success) {
+        applySettings(response.data.data.autoSwitch)
+        toast.success('Auto-switch settings saved')
+      }
+    } catch (error) {
+      handleApiError(error, 'Failed to save auto-switch settings')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!form) return null
+
+  const updateForm = (field) => (e) =>
+    setForm({ ...form, [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value })
+
+  return (
+    <div className="auto-switch">
+      <div className="switch-preview-header">
+        <h4>Auto-Switch to the Cheaper Comet</h4>
+        <span className={`tx-status ${settings.enabled ? 'status-success' : 'status-pending'}`}>
+          {!settings.enabled ? 'Off' : settings.dryRun || settings.forcedDryRun ? 'Dry run' : 'On'}
+        </span>
+      </div>
+
+      <p className="switch-preview-note">
+        Compares borrow APRs across Comets and moves your whole position when the interest saved over
+        your horizon, after flash loan, swap and gas costs, exceeds your threshold. At most one switch
+        every {settings.cooldownHours} hours.
+      </p>
+      {!settings.workerEnabled && (
+        <p className="switch-preview-note error">Auto-switching is not running on this server</p>
+      )}
+      {settings.forcedDryRun && (
+        <p className="switch-preview-note">The server runs auto-switch in dry-run mode: decisions are logged, nothing is submitted</p>
+      )}
+
+      <div className="auto-switch-form">
+        <label className="auto-switch-toggle">
+          <input type="checkbox" checked={form.enabled} onChange={updateForm('enabled')} disabled={saving} />
+          Enabled
+        </label>
+        <label className="auto-switch-toggle">
+          <input type="checkbox" checked={form.dryRun} onChange={updateForm('dryRun')} disabled={saving} />
+          Dry run (log only)
+        </label>
+        <div className="input-group">
+          <label>Savings horizon (days)</label>
+          <div className="input-with-max">
+            <input type="number" min="1" max="365" value={form.horizonDays} onChange={updateForm('horizonDays')} disabled={saving} />
+          </div>
+        </div>
+        <div className="input-group">
+          <label>Minimum net savings (USD)</label>
+          <div className="input-with-max">
+            <input type="number" min="0" value={form.minSavingsUsd} onChange={updateForm('minSavingsUsd')} disabled={saving} />
+          </div>
+        </div>
+      </div>
+
+      <div className="switch-preview-actions">
+        <button className="btn-refresh" onClick={loadAutoSwitch} disabled={saving}>Refresh</button>
+        <button className="btn-switch" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save Settings'}
+        </button>
+      </div>
+
+      {log.length > 0 && (
+        <div className="auto-switch-log">
+          <h4>Recent decisions</h4>
+          {log.map((entry) => (
+            <div key={entry._id} className="auto-switch-log-item">
+              <span className={`tx-status ${AUTO_SWITCH_STATUS[entry.decision]}`} title={entry.error || undefined}>
+                {entry.decision.replace(/_/g, ' ')}
+              </span>
+              <span>{entry.sourceComet} → {entry.targetComet}</span>
+              <span>{(entry.sourceBorrowApr * 100).toFixed(2)}% → {(entry.targetBorrowApr * 100).toFixed(2)}% APR</span>
+              <span>
+                ${entry.netSavingsUsd.toFixed(2)} net over {entry.horizonDays} days (costs ${entry.costs.totalUsd.toFixed(2)})
+              </span>
+              <span className="tx-date">{new Date(entry.createdAt).toLocaleString()}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Guardian actions, in the order they are tried
+const GUARDIAN_ACTIONS = {
+  REPAY: 'Repay from idle balance',
+  SUPPLY: 'Supply idle collateral',
+  DELEVER: 'Deleverage (sell collateral to repay)'
+}
+
+// Liquidation guardian settings and recent interventions
+function GuardianPanel() {
+  const [settings, setSettings] = useState(null)
+  const [form, setForm] = useState(null)
+  const [log, setLog] = useState([])
+  const [saving, setSaving] = useState(false)
+
+  const applySettings = (guardian) => {
+    setSettings(guardian)
+    setForm({
+      enabled: guardian.enabled,
+      triggerHealthFactor: String(guardian.triggerHealthFactor),
+      targetHealthFactor: String(guardian.targetHealthFactor),
+      maxActionUsd: String(guardian.maxActionUsd),
+      maxDailyUsd: String(guardian.maxDailyUsd),
+      actions: guardian.actions
+    })
+  }
+
+  const loadGuardian = async () => {
+    try {
+      const [settingsRes, logRes] = await Promise.all([
+        defiAPI.getGuardian(),
+        defiAPI.getGuardianLog(10)
+      ])
+
+      if (settingsRes.data.success) {
+        applySettings(settingsRes.data.data.guardian)
+      }
+      if (logRes.data.success) {
+        setLog(logRes.data.data.transactions || [])
+      }
+    } catch (error) {
+      handleApiError(error, 'Failed to load guardian settings')
+    }
+  }
+
+  useEffect(() => {
+    loadGuardian()
+  }, [])
+
+  const handleSave = async () => {
+    if (saving) return
+
+    try {
+      setSaving(true)
+
+      const response = await defiAPI.updateGuardian({
+        enabled: form.enabled,
+        triggerHealthFactor: Number(form.triggerHealthFactor),
+        targetHealthFactor: Number(form.targetHealthFactor),
+        maxActionUsd: Number(form.maxActionUsd),
+        maxDailyUsd: Number(form.maxDailyUsd),
+        actions: form.actions
+      })
+
+      if (response.data.success) {
+        applySettings(response.data.data.guardian)
+        toast.success('Guardian settings saved')
+      }
+    } catch (error) {
+      handleApiError(error, 'Failed to save guardian settings')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!form) return null
+
+  const updateForm = (field) => (e) =>
+    setForm({ ...form, [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value })
+
+  const toggleAction = (action) => (e) =>
+    setForm({
+      ...form,
+      actions: e.target.checked ? [...form.actions, action] : form.actions.filter(a => a !== action)
+    })
+
+  return (
+    <div className="auto-switch">
+      <div className="switch-preview-header">
+        <h4>Liquidation Guardian</h4>
+        <span className={`tx-status ${settings.enabled ? 'status-success' : 'status-pending'}`}>
+          {settings.enabled ? 'On' : 'Off'}
+        </span>
+      </div>
+
+      <p className="switch-preview-note">
+        When a position's health factor falls below your trigger, the guardian acts through your session key
+        to bring it back to your target - within the limits you set here.
+      </p>
+      {!settings.workerEnabled && (
+        <p className="switch-preview-note error">The liquidation guardian is not running on this server</p>
+      )}
+
+      <div className="auto-switch-form">
+        <label className="auto-switch-toggle">
+          <input type="checkbox" checked={form.enabled} onChange={updateForm('enabled')} disabled={saving} />
+          Enabled
+        </label>
+        <span />
+        <div className="input-group">
+          <label>Trigger health factor</label>
+          <div className="input-with-max">
+            <input type="number" min="1" step="0.05" value={form.triggerHealthFactor} onChange={updateForm('triggerHealthFactor')} disabled={saving} />
+          </div>
+        </div>
+        <div className="input-group">
+          <label>Target health factor</label>
+          <div className="input-with-max">
+            <input type="number" min="1" step="0.05" value={form.targetHealthFactor} onChange={updateForm('targetHealthFactor')} disabled={saving} />
+          </div>
+        </div>
+        <div className="input-group">
+          <label>Max per action (USD)</label>
+          <div className="input-with-max">
+            <input type="number" min="0" value={form.maxActionUsd} onChange={updateForm('maxActionUsd')} disabled={saving} />
+          </div>
+        </div>
+        <div className="input-group">
+          <label>Max per 24h (USD)</label>
+          <div className="input-with-max">
+            <input type="number" min="0" value={form.maxDailyUsd} onChange={updateForm('maxDailyUsd')} disabled={saving} />
+          </div>
+        </div>
+        {Object.entries(GUARDIAN_ACTIONS).map(([action, label]) => {
+          const available = settings.availableActions.includes(action)
+          return (
+            <label
+              key={action}
+              className="auto-switch-toggle"
+              title={available ? undefined : 'Your session key lacks the permissions for this action'}
+            >
+              <input
+                type="checkbox"
+                checked={form.actions.includes(action)}
+                onChange={toggleAction(action)}
+                disabled={saving || !available}
+              />
+              {label}
+            </label>
+          )
+        })}
+      </div>
+
+      <div className="switch-preview-actions">
+        <button className="btn-refresh" onClick={loadGuardian} disabled={saving}>Refresh</button>
+        <button className="btn-switch" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save Settings'}
+        </button>
+      </div>
+
+      {log.length > 0 && (
+        <div className="auto-switch-log">
+          <h4>Recent interventions</h4>
+          {log.map((tx) => (
+            <div key={tx._id} className="auto-switch-log-item">
+              <span className={`tx-status status-${tx.status.toLowerCase()}`} title={tx.error || undefined}>
+                {tx.status}
+              </span>
+              <span>{tx.metadata.action} on {tx.metadata.comet}</span>
+              <span>${tx.metadata.usdValue.toFixed(2)} of {tx.asset}</span>
+              <span>
+                Health {tx.metadata.healthFactorBefore.toFixed(2)} → {tx.metadata.expectedHealthFactor == null ? 'no debt' : tx.metadata.expectedHealthFactor.toFixed(2)}
+              </span>
+              <span className="tx-date">{new Date(tx.createdAt).toLocaleString()}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Notification delivery status -> tx-status class
+const DELIVERY_STATUS = {
+  DELIVERED: 'status-success',
+  PENDING: 'status-pending',
+  FAILED: 'status-failed'
+}
+
+// Email / webhook notifications for position events
+function NotificationsPanel() {
+  const [settings, setSettings] = useState(null)
+  const [form, setForm] = useState(null)
+  const [webhooks, setWebhooks] = useState([])
+  const [deliveries, setDeliveries] = useState([])
+  const [webhookUrl, setWebhookUrl] = useState('')
+  // Signing secret of a just-created webhook (only ever returned once)
+  const [newSecret, setNewSecret] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  const applySettings = (notifications) => {
+    setSettings(notifications)
+    setForm({
+      emailEnabled: notifications.email.enabled,
+      emailEvents: notifications.email.events,
+      healthFactorThreshold: String(notifications.healthFactorThreshold)
+    })
+  }
+
+  const loadNotifications = async () => {
+    try {
+      const [settingsRes, webhooksRes, deliveriesRes] = await Promise.all([
+        notificationAPI.getSettings(),
+        notificationAPI.getWebhooks(),
+        notificationAPI.getDeliveries(10)
+      ])
+
+      if (settingsRes.data.success) {
+        applySettings(settingsRes.data.data.notifications)
+      }
+      if (webhooksRes.data.success) {
+        setWebhooks(webhooksRes.data.data.webhooks)
+      }
+      if (deliveriesRes.data.success) {
+        setDeliveries(deliveriesRes.data.data.deliveries || [])
+      }
+    } catch (error) {
+      handleApiError(error, 'Failed to load notification settings')
+    }
+  }
+
+  useEffect(() => {
+    loadNotifications()
+  }, [])
+
+  // Run an action with the panel locked, then reload
+  const withSaving = (action, failureMessage) => async () => {
+    if (saving) return
+
+    try {
+      setSaving(true)
+      await action()
+      await loadNotifications()
+    } catch (error) {
+      handleApiError(error, failureMessage)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSave = withSaving(async () => {
+    await notificationAPI.updateSettings({
+      email: { enabled: form.emailEnabled, events: form.emailEvents },
+      healthFactorThreshold: Number(form.healthFactorThreshold)
+    })
+    toast.success('Notification settings saved')
+  }, 'Failed to save notification settings')
+
+  const handleAddWebhook = withSaving(async () => {
+    const response = await notificationAPI.createWebhook(webhookUrl.trim())
+    setNewSecret(response.data.data.secret)
+    setWebhookUrl('')
+    toast.success('Webhook added')
+  }, 'Failed to add webhook')
+
+  const handleToggleWebhook = (webhook) => withSaving(
+    () => notificationAPI.updateWebhook(webhook.id, { active: !webhook.active }),
+    'Failed to update webhook'
+  )
+
+  const handleTestWebhook = (webhook) => withSaving(async () => {
+    await notificationAPI.testWebhook(webhook.id)
+    toast.info('Ping queued - check the delivery log')
+  }, 'Failed to test webhook')
+
+  const handleDeleteWebhook = (webhook) => withSaving(
+    () => notificationAPI.deleteWebhook(webhook.id),
+    'Failed to delete webhook'
+  )
+
+  if (!form) return null
+
+  const toggleEmailEvent = (event) => (e) =>
+    setForm({
+      ...form,
+      emailEvents: e.target.checked ? [...form.emailEvents, event] : form.emailEvents.filter(ev => ev !== event)
+    })
+
+  return (
+    <div className="auto-switch">
+      <div className="switch-preview-header">
+        <h4>Notifications</h4>
+      </div>
+
+      <p className="switch-preview-note">
+        Get told about confirmed and failed transactions, switches, health factor alerts and session key
+        expiry by email ({settings.email.address}) or on your own HTTPS webhooks.
+      </p>
+
+      <div className="auto-switch-form">
+        <label className="auto-switch-toggle">
+          <input
+            type="checkbox"
+            checked={form.emailEnabled}
+            onChange={(e) => setForm({ ...form, emailEnabled: e.target.checked })}
+            disabled={saving}
+          />
+          Email notifications
+        </label>
+        <div className="input-group">
+          <label>Alert when health factor crosses</label>
+          <div className="input-with-max">
+            <input
+              type="number"
+              min="1"
+              step="0.05"
+              value={form.healthFactorThreshold}
+              onChange={(e) => setForm({ ...form, healthFactorThreshold: e.target.value })}
+              disabled={saving}
+            />
+          </div>
+        </div>
+        {settings.events.map((event) => (
+          <label key={event} className="auto-switch-toggle">
+            <input
+              type="checkbox"
+              checked={form.emailEvents.includes(event)}
+              onChange={toggleEmailEvent(event)}
+              disabled={saving || !form.emailEnabled}
+            />
+            {event}
+          </label>
+        ))}
+      </div>
+
+      <div className="switch-preview-actions">
+        <button className="btn-refresh" onClick={loadNotifications} disabled={saving}>Refresh</button>
+        <button className="btn-switch" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save Settings'}
+        </button>
+      </div>
+
+      <div className="auto-switch-log">
+        <h4>Webhooks</h4>
+        {webhooks.map((webhook) => (
+          <div key={webhook.id} className="auto-switch-log-item">
+            <span className={`tx-status ${webhook.active ? 'status-success' : 'status-pending'}`}>
+              {webhook.active ? 'Active' : 'Paused'}
+            </span>
+            <span>{webhook.url}</span>
+            <button className="btn-refresh" onClick={handleTestWebhook(webhook)} disabled={saving || !webhook.active}>Test</button>
+            <button className="btn-refresh" onClick={handleToggleWebhook(webhook)} disabled={saving}>
+              {webhook.active ? 'Pause' : 'Resume'}
+            </button>
+            <button className="btn-refresh" onClick={handleDeleteWebhook(webhook)} disabled={saving}>Delete</button>
+          </div>
+        ))}
+        {newSecret && (
+          <p className="switch-preview-note">
+            Signing secret (shown once - verify the X-Webhook-Signature header with it): <code>{newSecret}</code>
+          </p>
+        )}
+        <div className="input-group">
+          <div className="input-with-max">
+            <input
+              type="url"
+              placeholder="https://example.com/webhooks/defi"
+              value={webhookUrl}
+              onChange={(e) => setWebhookUrl(e.target.value)}
+              disabled={saving}
+            />
+            <button className="btn-max" onClick={handleAddWebhook} disabled={saving || !webhookUrl.trim()}>Add</button>
+          </div>
+        </div>
+      </div>
+
+      {deliveries.length > 0 && (
+        <div className="auto-switch-log">
+          <h4>Recent deliveries</h4>
+          {deliveries.map((delivery) => (
+            <div key={delivery._id} className="auto-switch-log-item">
+              <span className={`tx-status ${DELIVERY_STATUS[delivery.status]}`} title={delivery.lastError || undefined}>
+                {delivery.status}
+              </span>
+              <span>{delivery.event}</span>
+              <span>{delivery.channel === 'EMAIL' ? 'Email' : 'Webhook'} → {delivery.target}</span>
+              <span>{delivery.attempts} attempt{delivery.attempts === 1 ? '' : 's'}</span>
+              <span className="tx-date">{new Date(delivery.createdAt).toLocaleString()}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
 export default Dashboard
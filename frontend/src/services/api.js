@@ -78,7 +78,31 @@ export const authAPI = {
 
   // Get session key status
   getSessionKeyStatus: () =>
-    api.get('/auth/session-key/status')
+    api.get('/auth/session-key/status'),
+
+  // Get session key revocation data (returns UserOp hash for user to sign)
+  getSessionKeyRevocationData: () =>
+    api.get('/auth/session-key/revocation-data'),
+
+  // Revoke the session key with user's signature
+  revokeSessionKey: (signature, userOpHash) =>
+    api.post('/auth/session-key/revoke', { signature, userOpHash }),
+
+  // Get session key rotation data (generates the new key, returns UserOp hash to sign)
+  getSessionKeyRotationData: () =>
+    api.get('/auth/session-key/rotation-data'),
+
+  // Rotate to the new session key with user's signature
+  rotateSessionKey: (signature, userOpHash) =>
+    api.post('/auth/session-key/rotate', { signature, userOpHash }),
+
+  // Get session key renewal data (returns UserOp hash for user to sign)
+  getSessionKeyRenewalData: () =>
+    api.get('/auth/session-key/renewal-data'),
+
+  // Extend the session key's validity with user's signature
+  renewSessionKey: (signature, userOpHash) =>
+    api.post('/auth/session-key/renew', { signature, userOpHash })
 }
 
 // Smart Account API (ERC-4337)
@@ -103,42 +127,235 @@ export const accountAPI = {
 
 // DeFi Operations API
 export const defiAPI = {
-  // Get current position details
-  getPosition: () =>
-    api.get('/defi/position'),
+  // Get current position details (Compound V3 Comets, or the Aave V3 position with protocol 'AAVE')
+  getPosition: (protocol) =>
+    api.get('/defi/position', { params: { protocol } }),
 
-  // Get market comparison (USDC Comet vs WETH Comet rates)
-  getMarketComparison: () =>
-    api.get('/defi/markets'),
+  // Get market comparison (live rates for every Comet, or Aave V3 reserves with protocol 'AAVE')
+  getMarketComparison: (protocol) =>
+    api.get('/defi/markets', { params: { protocol } }),
 
-  // Supply collateral to Comet
-  supply: (comet, asset, amount) =>
-    api.post('/defi/supply', { comet, asset, amount }),
+  // Get the market registry (supported Comets, collaterals and switch targets)
+  getMarketRegistry: () =>
+    api.get('/defi/registry'),
 
-  // Borrow from Comet
-  borrow: (comet, asset, amount) =>
-    api.post('/defi/borrow', { comet, asset, amount }),
+  // Supply collateral to Comet (protocol 'AAVE' supplies to Aave V3 instead - comet is ignored)
+  supply: (comet, asset, amount, protocol) =>
+    api.post('/defi/supply', { comet, asset, amount, protocol }),
+
+  // Borrow from Comet (or borrow asset from Aave V3)
+  borrow: (comet, asset, amount, protocol) =>
+    api.post('/defi/borrow', { comet, asset, amount, protocol }),
 
   // Repay borrowed amount
-  repay: (comet, asset, amount) =>
-    api.post('/defi/repay', { comet, asset, amount }),
+  repay: (comet, asset, amount, protocol) =>
+    api.post('/defi/repay', { comet, asset, amount, protocol }),
 
   // Withdraw collateral
-  withdraw: (comet, asset, amount) =>
-    api.post('/defi/withdraw', { comet, asset, amount }),
+  withdraw: (comet, asset, amount, protocol) =>
+    api.post('/defi/withdraw', { comet, asset, amount, protocol }),
+
+  // Preview a switch (flash fee, swap output, post-switch health of both Comets, gas) without executing
+  // percentage moves that share of every collateral asset and of the debt
+  previewSwitch: (sourceComet, targetComet, collateralAsset, amount, slippageBps, percentage) =>
+    api.post('/defi/switch/preview', {
+      sourceComet,
+      targetComet,
+      collateralAsset,
+      amount,
+      percentage,
+      slippageBps
+    }),
 
   // Switch position between Comets (cross-Comet switch via flash loan)
-  switchPosition: (sourceComet, targetComet, collateralAsset, amount) =>
+  switchPosition: (sourceComet, targetComet, collateralAsset, amount, slippageBps, percentage) =>
     api.post('/defi/switch', {
       sourceComet,
       targetComet,
       collateralAsset,
-      amount
+      amount,
+      percentage,
+      slippageBps
+    }),
+
+  // Preview a Compound <-> Aave V3 migration (flash fee, borrow / swap, post-migration health, gas)
+  // direction: 'COMPOUND_TO_AAVE' | 'AAVE_TO_COMPOUND'; debtAsset is the Aave debt asset (defaults to the Comet base token)
+  previewMigration: (direction, comet, collateralAsset, slippageBps, percentage, debtAsset) =>
+    api.post('/defi/migrate/preview', {
+      direction,
+      comet,
+      debtAsset,
+      collateralAsset,
+      percentage,
+      slippageBps
+    }),
+
+  // Migrate position between a Comet and Aave V3 (via flash loan)
+  migratePosition: (direction, comet, collateralAsset, slippageBps, percentage, debtAsset) =>
+    api.post('/defi/migrate', {
+      direction,
+      comet,
+      debtAsset,
+      collateralAsset,
+      percentage,
+      slippageBps
     }),
 
+  // Owner UserOp approving the Switcher on Aave (returns the hash to sign, or alreadyApproved) - once before the first migration
+  getMigrationSetupData: () =>
+    api.get('/defi/migrate/setup-data'),
+
+  // Submit the signed migration setup
+  confirmMigrationSetup: (signature, userOpHash) =>
+    api.post('/defi/migrate/setup', { signature, userOpHash }),
+
+  // Auto-switch (rate arbitrage) settings: { enabled, horizonDays, minSavingsUsd, dryRun }
+  getAutoSwitch: () =>
+    api.get('/defi/auto-switch'),
+
+  updateAutoSwitch: (settings) =>
+    api.put('/defi/auto-switch', settings),
+
+  // Auto-switch decisions (executed, dry run, failed)
+  getAutoSwitchLog: (limit = 10, offset = 0) =>
+    api.get(`/defi/auto-switch/log?limit=${limit}&offset=${offset}`),
+
+  // Liquidation guardian settings:
+  // { enabled, triggerHealthFactor, targetHealthFactor, maxActionUsd, maxDailyUsd, actions }
+  getGuardian: () =>
+    api.get('/defi/guardian'),
+
+  updateGuardian: (settings) =>
+    api.put('/defi/guardian', settings),
+
+  // Liquidation guardian interventions (GUARDIAN transactions)
+  getGuardianLog: (limit = 10, offset = 0) =>
+    api.get(`/defi/guardian/log?limit=${limit}&offset=${offset}`),
+
   // Get transaction history
   getTransactions: (limit = 20, offset = 0) =>
-    api.get(`/defi/transactions?limit=${limit}&offset=${offset}`)
+    api.get(`/defi/transactions?limit=${limit}&offset=${offset}`),
+
+  // Get a single transaction (poll status after submitting)
+  getTransaction: (transactionId) =>
+    api.get(`/defi/transactions/${transactionId}`)
+}
+
+// Notifications API (webhooks + email for position events)
+export const notificationAPI = {
+  // Email settings and health factor alert threshold
+  getSettings: () =>
+    api.get('/notifications/settings'),
+
+  updateSettings: (settings) =>
+    api.put('/notifications/settings', settings),
+
+  // Webhook endpoints - the signing secret is only returned by createWebhook
+  getWebhooks: () =>
+    api.get('/notifications/webhooks'),
+
+  createWebhook: (url, events) =>
+    api.post('/notifications/webhooks', { url, events }),
+
+  updateWebhook: (webhookId, changes) =>
+    api.patch(`/notifications/webhooks/${webhookId}`, changes),
+
+  deleteWebhook: (webhookId) =>
+    api.delete(`/notifications/webhooks/${webhookId}`),
+
+  // Queue a signed ping to a webhook
+  testWebhook: (webhookId) =>
+    api.post(`/notifications/webhooks/${webhookId}/test`),
+
+  // Delivery log
+  getDeliveries: (limit = 10, offset = 0) =>
+    api.get(`/notifications/deliveries?limit=${limit}&offset=${offset}`)
+}
+
+// Real-time updates (GET /stream, server-sent events)
+// Read with fetch rather than EventSource so the Privy token goes in the Authorization header
+const STREAM_RETRY_MS = 3000
+
+const streamAuthHeader = async () => {
+  if (_getAccessToken) {
+    try {
+      const token = await _getAccessToken()
+      if (token) return `Bearer ${token}`
+    } catch (e) {
+      console.warn('Failed to get fresh token:', e)
+    }
+  }
+  return api.defaults.headers.common['Authorization']
+}
+
+export const streamAPI = {
+  // Subscribe to account updates. handlers are keyed by event name (positions, balances,
+  // markets, transaction) plus onStatus(connected). Reconnects with a fresh token whenever the
+  // stream drops, until the returned unsubscribe function is called
+  subscribe: (handlers) => {
+    let stopped = false
+    let controller = null
+    let retryMs = STREAM_RETRY_MS
+
+    const dispatch = (message) => {
+      let event = 'message'
+      const data = []
+      for (const line of message.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim()
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim())
+        else if (line.startsWith('retry:')) retryMs = parseInt(line.slice(6)) || retryMs
+      }
+      if (data.length > 0 && handlers[event]) {
+        handlers[event](JSON.parse(data.join('\n')))
+      }
+    }
+
+    const connect = async () => {
+      while (!stopped) {
+        controller = new AbortController()
+        try {
+          const authorization = await streamAuthHeader()
+          const response = await fetch(`${API_URL}/stream`, {
+            headers: authorization ? { Authorization: authorization } : {},
+            signal: controller.signal
+          })
+          if (!response.ok) {
+            throw new Error(`Stream responded with HTTP ${response.status}`)
+          }
+
+          handlers.onStatus?.(true)
+          const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+          let buffer = ''
+          while (true) {
+            const { value, done } = await reader.read()
+            if (done) break
+
+            buffer += value.replace(/\r\n/g, '\n')
+            let boundary
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+              dispatch(buffer.slice(0, boundary))
+              buffer = buffer.slice(boundary + 2)
+            }
+          }
+        } catch (error) {
+          if (stopped) return
+          console.warn('Update stream disconnected:', error.message)
+        }
+
+        handlers.onStatus?.(false)
+        if (!stopped) {
+          await new Promise(resolve => setTimeout(resolve, retryMs))
+        }
+      }
+    }
+
+    connect()
+
+    return () => {
+      stopped = true
+      controller?.abort()
+    }
+  }
 }
 
 // Swap API
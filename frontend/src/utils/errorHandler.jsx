@@ -46,6 +46,84 @@ const ERROR_MESSAGES = {
     action: 'Check your connection and try again.',
     severity: 'error'
   },
+  SLIPPAGE_EXCEEDED: {
+    title: 'Price Moved Too Much',
+    message: 'The swap quote is outside your slippage tolerance.',
+    action: 'Increase the slippage tolerance or try again later.',
+    severity: 'warning'
+  },
+  HEALTH_FACTOR_TOO_LOW: {
+    title: 'Position Would Be At Risk',
+    message: 'This would leave one of your positions too close to liquidation.',
+    action: 'Switch a smaller share of the position or repay some debt first.',
+    severity: 'warning'
+  },
+  QUOTE_FAILED: {
+    title: 'Swap Quote Unavailable',
+    message: 'The swap for this switch could not be quoted, so it was not executed.',
+    action: 'Try again in a moment.',
+    severity: 'error'
+  },
+  ACCOUNT_NOT_DEPLOYED: {
+    title: 'Smart Account Not Deployed',
+    message: 'Your smart account has not been deployed yet.',
+    action: 'Create your smart account first.',
+    severity: 'error'
+  },
+  ACCOUNT_PREFUND_FAILED: {
+    title: 'Gas Payment Failed',
+    message: 'Your smart account could not pay for this transaction.',
+    action: 'Fund your smart account or try again later.',
+    severity: 'error'
+  },
+  USEROP_EXPIRED: {
+    title: 'Operation Expired',
+    message: 'This operation is outside its valid time window.',
+    action: 'Renew your session key and try again.',
+    severity: 'warning'
+  },
+  ACCOUNT_VALIDATION_REVERTED: {
+    title: 'Operation Rejected',
+    message: 'Your smart account rejected this operation.',
+    action: 'Check your session key permissions.',
+    severity: 'error'
+  },
+  INVALID_USEROP_SIGNATURE: {
+    title: 'Session Key Rejected',
+    message: 'The session key is missing, expired or not allowed to make this call.',
+    action: 'Re-register your session key.',
+    severity: 'error'
+  },
+  PAYMASTER_DEPOSIT_LOW: {
+    title: 'Gas Sponsor Out of Funds',
+    message: 'The paymaster that sponsors gas has run out of funds.',
+    action: 'Please contact the admin or try again later.',
+    severity: 'warning'
+  },
+  PAYMASTER_VALIDATION_REVERTED: {
+    title: 'Gas Sponsor Rejected',
+    message: 'The paymaster refused to sponsor this operation.',
+    action: 'Please contact the admin or try again later.',
+    severity: 'warning'
+  },
+  USEROP_GAS_TOO_LOW: {
+    title: 'Out of Gas',
+    message: 'The operation did not have enough gas to complete.',
+    action: 'Please try your transaction again.',
+    severity: 'warning'
+  },
+  SESSION_KEY_POLICY_VIOLATION: {
+    title: 'Not Allowed by Session Key',
+    message: 'This action is outside what your session key is allowed to do (permissions, expiry or daily limit).',
+    action: 'Renew your session key or try a smaller amount later.',
+    severity: 'error'
+  },
+  SESSION_KEY_EXPIRED: {
+    title: 'Session Key Expired',
+    message: 'Your session key has expired, so gasless actions are paused.',
+    action: 'Renew your session key from the dashboard.',
+    severity: 'warning'
+  },
   NETWORK_TIMEOUT: {
     title: 'Network Timeout',
     message: 'The request took too long to complete.',